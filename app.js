@@ -4,17 +4,24 @@ const express = require("express");
 const cors = require("cors");
 
 const { NotFoundError } = require("./expressError");
+const { TRUST_PROXY } = require("./config");
 
 const { authenticateJWT } = require("./middleware/auth");
 const mealRoutes = require("./routes/meals");
 const drinkRoutes = require("./routes/drinks");
 const userRoutes = require("./routes/users");
 const authRoutes = require("./routes/auth");
+const importRoutes = require("./routes/imports");
+const shoppingListRoutes = require("./routes/shoppingLists");
+const searchRoutes = require("./routes/search");
+const autocompleteRoutes = require("./routes/autocomplete");
 
 const morgan = require("morgan");
 
 const app = express();
 
+app.set("trust proxy", TRUST_PROXY);
+
 app.use(cors());
 app.use(express.json());
 app.use(morgan("tiny"));
@@ -24,6 +31,10 @@ app.use("/meals", mealRoutes);
 app.use("/drinks", drinkRoutes);
 app.use("/users", userRoutes);
 app.use("/auth", authRoutes);
+app.use("/imports", importRoutes);
+app.use("/shopping-lists", shoppingListRoutes);
+app.use("/search", searchRoutes);
+app.use("/autocomplete", autocompleteRoutes);
 
 
 /** Handle 404 errors -- this matches everything */
@@ -36,6 +47,8 @@ app.use(function (err, req, res, next) {
     if (process.env.NODE_ENV !== "test") console.error(err.stack);
     const status = err.status || 500;
     const message = err.message;
+
+    if (err.retryAfter) res.set("Retry-After", String(err.retryAfter));
   
     return res.status(status).json({
         error: { message, status },
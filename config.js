@@ -1,16 +1,40 @@
 "use strict";
 
+const os = require("os");
+const path = require("path");
+
 require("dotenv").config();
 require("colors");
 
-const MEAL_BASE_URL = "https://www.themealdb.com/api/json/v1/1/";
+// where the catalogs are fetched from (a fake server can stand in, in tests)
+const MEAL_BASE_URL = process.env.MEAL_BASE_URL || "https://www.themealdb.com/api/json/v1/1/";
 
-const DRINK_BASE_URL = "https://www.thecocktaildb.com/api/json/v1/1/";
+const DRINK_BASE_URL = process.env.DRINK_BASE_URL || "https://www.thecocktaildb.com/api/json/v1/1/";
 
 const SECRET_KEY = process.env.SECRET_KEY || "secret-dev";
 
 const PORT = +process.env.PORT || 3001;
 
+// the proxies in front of the app whose X-Forwarded-For header gives the
+// client's IP (req.ip, used for login lockouts): Express's "trust proxy", as
+// a number of hops, "true", or a list of addresses; none if not set
+function getTrustProxy(value) {
+    if (value === undefined || value === "" || value === "false") return false;
+    if (value === "true") return true;
+    if (/^\d+$/.test(value)) return +value;
+    return value;
+}
+
+const TRUST_PROXY = getTrustProxy(process.env.TRUST_PROXY);
+
+// base url of this API, used for links in outgoing mail
+const PUBLIC_URL = process.env.PUBLIC_URL || `http://localhost:${PORT}`;
+
+// access tokens are short-lived; clients use a refresh token to get a new one
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || "15m";
+
+const REFRESH_TOKEN_EXPIRES_DAYS = +process.env.REFRESH_TOKEN_EXPIRES_DAYS || 30;
+
 function getDatabaseUri() {
     return (process.env.NODE_ENV === "test")
         ? "postgresql:///dreamhost_test"
@@ -20,10 +44,59 @@ function getDatabaseUri() {
 
 const BCRYPT_WORK_FACTOR = process.env.NODE_ENV === "test" ? 1 : 12;
 
+const EMAIL_VERIFICATION_EXPIRES_HOURS = +process.env.EMAIL_VERIFICATION_EXPIRES_HOURS || 48;
+
+// when set, favoriting and creating personal recipes require a verified email
+const REQUIRE_VERIFIED_EMAIL = process.env.REQUIRE_VERIFIED_EMAIL === "true";
+
+// failed logins allowed (per username, and per IP) before locking them out
+const LOGIN_MAX_ATTEMPTS = +process.env.LOGIN_MAX_ATTEMPTS || 5;
+
+const LOGIN_MAX_ATTEMPTS_PER_IP = +process.env.LOGIN_MAX_ATTEMPTS_PER_IP || 20;
+
+// failures older than this no longer count towards a lockout
+const LOGIN_ATTEMPT_WINDOW_MINUTES = +process.env.LOGIN_ATTEMPT_WINDOW_MINUTES || 15;
+
+// the first lockout lasts this long; each one after that lasts twice as long
+const LOGIN_LOCKOUT_SECONDS = +process.env.LOGIN_LOCKOUT_SECONDS || 60;
+
+const LOGIN_LOCKOUT_MAX_SECONDS = +process.env.LOGIN_LOCKOUT_MAX_SECONDS || 24 * 60 * 60;
+
+const PASSWORD_RESET_EXPIRES_MINUTES = +process.env.PASSWORD_RESET_EXPIRES_MINUTES || 60;
+
+// how outgoing mail is delivered: "console" (log it) or "file" (append it to MAILER_FILE)
+const MAILER_TRANSPORT = process.env.MAILER_TRANSPORT
+    || (process.env.NODE_ENV === "test" ? "file" : "console");
+
+const MAILER_FILE = process.env.MAILER_FILE
+    || path.join(os.tmpdir(), "dreamhost-mail.log");
+
+const MAIL_FROM = process.env.MAIL_FROM || "DreamHost <no-reply@dreamhost.local>";
+
+// an import job with no progress for this long is taken to have died
+const IMPORT_JOB_STALE_MINUTES = +process.env.IMPORT_JOB_STALE_MINUTES || 30;
+
+// how often the catalogs are synced with TheMealDB and TheCocktailDB; 0 to never
+const SYNC_INTERVAL_HOURS = process.env.SYNC_INTERVAL_HOURS !== undefined
+    ? +process.env.SYNC_INTERVAL_HOURS
+    : (process.env.NODE_ENV === "test" ? 0 : 24);
+
+// the longest interval timers can wait (2^31 - 1 ms, about 24 days); longer
+// ones would fire right away, over and over
+const MAX_SYNC_INTERVAL_HOURS = Math.floor((2 ** 31 - 1) / (60 * 60 * 1000));
+
+if (!(SYNC_INTERVAL_HOURS >= 0 && SYNC_INTERVAL_HOURS <= MAX_SYNC_INTERVAL_HOURS)) {
+    throw new Error(`SYNC_INTERVAL_HOURS must be from 0 to ${MAX_SYNC_INTERVAL_HOURS}, `
+                    + `not ${process.env.SYNC_INTERVAL_HOURS}`);
+}
+
 console.log("DreamHost Config:".green);
 console.log("SECRET_KEY:".yellow, SECRET_KEY);
 console.log("PORT:".yellow, PORT.toString());
+console.log("TRUST_PROXY:".yellow, TRUST_PROXY);
+console.log("ACCESS_TOKEN_EXPIRES_IN:".yellow, ACCESS_TOKEN_EXPIRES_IN);
 console.log("BCRYPT_WORK_FACTOR".yellow, BCRYPT_WORK_FACTOR);
+console.log("MAILER_TRANSPORT:".yellow, MAILER_TRANSPORT);
 console.log("Database:".yellow, getDatabaseUri());
 console.log("---");
 
@@ -32,7 +105,24 @@ module.exports = {
     MEAL_BASE_URL,
     DRINK_BASE_URL,
     PORT,
+    TRUST_PROXY,
     SECRET_KEY,
+    ACCESS_TOKEN_EXPIRES_IN,
+    REFRESH_TOKEN_EXPIRES_DAYS,
     BCRYPT_WORK_FACTOR,
+    EMAIL_VERIFICATION_EXPIRES_HOURS,
+    REQUIRE_VERIFIED_EMAIL,
+    LOGIN_MAX_ATTEMPTS,
+    LOGIN_MAX_ATTEMPTS_PER_IP,
+    LOGIN_ATTEMPT_WINDOW_MINUTES,
+    LOGIN_LOCKOUT_SECONDS,
+    LOGIN_LOCKOUT_MAX_SECONDS,
+    PASSWORD_RESET_EXPIRES_MINUTES,
+    PUBLIC_URL,
+    MAILER_TRANSPORT,
+    MAILER_FILE,
+    MAIL_FROM,
+    IMPORT_JOB_STALE_MINUTES,
+    SYNC_INTERVAL_HOURS,
     getDatabaseUri
 };
\ No newline at end of file
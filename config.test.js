@@ -6,22 +6,51 @@ describe("config can come from env", function () {
     process.env.PORT = "5000";
     process.env.DATABASE_URL = "other";
     process.env.NODE_ENV = "other";
+    process.env.MEAL_BASE_URL = "http://localhost:4000/";
 
     const config = require("./config");
     expect(config.SECRET_KEY).toEqual("abc");
     expect(config.PORT).toEqual(5000);
     expect(config.getDatabaseUri()).toEqual("other");
     expect(config.BCRYPT_WORK_FACTOR).toEqual(12);
+    expect(config.MEAL_BASE_URL).toEqual("http://localhost:4000/");
+    expect(config.SYNC_INTERVAL_HOURS).toEqual(24);
 
     delete process.env.SECRET_KEY;
     delete process.env.PORT;
     delete process.env.BCRYPT_WORK_FACTOR;
     delete process.env.DATABASE_URL;
+    delete process.env.MEAL_BASE_URL;
 
     expect(config.getDatabaseUri()).toEqual("postgresql:///dreamhost");
     process.env.NODE_ENV = "test";
 
     expect(config.getDatabaseUri()).toEqual("postgresql:///dreamhost_test");
   });
+
+  test("rejects a sync interval timers can't wait", function () {
+    for (const hours of ["1000", "-1", "daily"]) {
+      process.env.SYNC_INTERVAL_HOURS = hours;
+      expect(() => jest.isolateModules(() => require("./config"))).toThrow(/SYNC_INTERVAL_HOURS/);
+    }
+    process.env.SYNC_INTERVAL_HOURS = "596";
+    jest.isolateModules(() => {
+      expect(require("./config").SYNC_INTERVAL_HOURS).toEqual(596);
+    });
+    delete process.env.SYNC_INTERVAL_HOURS;
+  });
+
+  test("trust proxy", function () {
+    const cases = [[undefined, false], ["false", false], ["true", true], ["1", 1],
+                   ["loopback, 10.0.0.0/8", "loopback, 10.0.0.0/8"]];
+    for (const [value, trustProxy] of cases) {
+      if (value === undefined) delete process.env.TRUST_PROXY;
+      else process.env.TRUST_PROXY = value;
+      jest.isolateModules(() => {
+        expect(require("./config").TRUST_PROXY).toEqual(trustProxy);
+      });
+    }
+    delete process.env.TRUST_PROXY;
+  });
 });
 
@@ -3,21 +3,32 @@
 const { Client } = require("pg");
 const { getDatabaseUri } = require("./config");
 
-let db;
+/** Make a new (unconnected) database client.
+ *
+ * The app shares one client, exported below. Work that runs its own
+ * transaction alongside requests, like catalog imports, makes its own
+ * client, so that requests' queries don't end up inside that transaction.
+ */
 
-if (process.env.NODE_ENV === "production") {
-    db = new Client({
-        connectionString: getDatabaseUri(),
-        ssl: {
-            rejectUnauthorized: false
-        }
-    });
-} else {
-    db = new Client({
+function newClient() {
+    if (process.env.NODE_ENV === "production") {
+        return new Client({
+            connectionString: getDatabaseUri(),
+            ssl: {
+                rejectUnauthorized: false
+            }
+        });
+    }
+
+    return new Client({
         connectionString: getDatabaseUri()
     });
 }
+
+const db = newClient();
   
 db.connect();
+
+db.newClient = newClient;
   
-module.exports = db;
\ No newline at end of file
+module.exports = db;
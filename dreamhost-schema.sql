@@ -1,33 +1,101 @@
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- A recipe's ingredients as one lowercase string, for indexed ingredient
+-- searches (see ingredient filters in helpers/sql.js) and full-text search
+CREATE FUNCTION ingredients_text(TEXT[]) RETURNS TEXT
+    LANGUAGE SQL IMMUTABLE PARALLEL SAFE
+    AS $$ SELECT lower(array_to_string($1, ' | ')) $$;
+
 CREATE TABLE users (
     username VARCHAR(25) PRIMARY KEY,
     password TEXT NOT NULL,
     first_name TEXT NOT NULL,
     last_name TEXT NOT NULL,
     email TEXT NOT NULL
-        CHECK (position('@' IN email) > 1)
+        CHECK (position('@' IN email) > 1),
+    is_admin BOOLEAN NOT NULL DEFAULT FALSE,
+    email_verified BOOLEAN NOT NULL DEFAULT FALSE,
+    tokens_valid_after TIMESTAMP,
+    unit_preference TEXT NOT NULL DEFAULT 'original'
+        CHECK (unit_preference IN ('metric', 'imperial', 'original'))
 );
 
 CREATE TABLE meals (
     id SERIAL PRIMARY KEY,
+    external_id TEXT UNIQUE,
     name TEXT NOT NULL,
     category TEXT NOT NULL,
     area TEXT NOT NULL,
     instructions TEXT NOT NULL,
     thumbnail TEXT,
-    ingredients TEXT[] NOT NULL
+    ingredients TEXT[] NOT NULL,
+    servings INTEGER NOT NULL DEFAULT 4
+        CHECK (servings > 0),
+    source_url TEXT,
+    video_url TEXT,
+    tags TEXT[] NOT NULL DEFAULT '{}',
+    image_source TEXT,
+    image_attribution TEXT,
+    creative_commons_confirmed BOOLEAN,
+    upstream_hash TEXT,
+    upstream_removed_at TIMESTAMP,
+    edited_fields TEXT[] NOT NULL DEFAULT '{}',
+    -- for full-text search: matches in the name rank highest, then in
+    -- the ingredients, then in the instructions
+    search_vector TSVECTOR GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', name), 'A')
+        || setweight(to_tsvector('english', ingredients_text(ingredients)), 'B')
+        || setweight(to_tsvector('english', instructions), 'C')
+    ) STORED
 );
 
+CREATE INDEX meals_ingredients_idx
+    ON meals USING GIN (ingredients_text(ingredients) gin_trgm_ops);
+
+CREATE INDEX meals_search_idx ON meals USING GIN (search_vector);
+
+-- for autocomplete, by trigram similarity
+CREATE INDEX meals_name_trgm_idx ON meals USING GIN (lower(name) gin_trgm_ops);
+
+CREATE INDEX meals_category_trgm_idx ON meals USING GIN (lower(category) gin_trgm_ops);
+
 CREATE TABLE drinks (
     id SERIAL PRIMARY KEY,
+    external_id TEXT UNIQUE,
     name TEXT NOT NULL,
     category TEXT NOT NULL,
     type TEXT NOT NULL,
     glass TEXT,
     instructions TEXT NOT NULL,
     thumbnail TEXT,
-    ingredients TEXT[] NOT NULL
+    ingredients TEXT[] NOT NULL,
+    servings INTEGER NOT NULL DEFAULT 1
+        CHECK (servings > 0),
+    source_url TEXT,
+    video_url TEXT,
+    tags TEXT[] NOT NULL DEFAULT '{}',
+    image_source TEXT,
+    image_attribution TEXT,
+    creative_commons_confirmed BOOLEAN,
+    upstream_hash TEXT,
+    upstream_removed_at TIMESTAMP,
+    edited_fields TEXT[] NOT NULL DEFAULT '{}',
+    search_vector TSVECTOR GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', name), 'A')
+        || setweight(to_tsvector('english', ingredients_text(ingredients)), 'B')
+        || setweight(to_tsvector('english', instructions), 'C')
+    ) STORED
 );
 
+CREATE INDEX drinks_ingredients_idx
+    ON drinks USING GIN (ingredients_text(ingredients) gin_trgm_ops);
+
+CREATE INDEX drinks_search_idx ON drinks USING GIN (search_vector);
+
+CREATE INDEX drinks_name_trgm_idx ON drinks USING GIN (lower(name) gin_trgm_ops);
+
+CREATE INDEX drinks_category_trgm_idx ON drinks USING GIN (lower(category) gin_trgm_ops);
+
 CREATE TABLE favorite_meals (
     username VARCHAR(25)
         REFERENCES users ON DELETE CASCADE,
@@ -52,10 +120,19 @@ CREATE TABLE personal_meals (
     instructions TEXT NOT NULL,
     thumbnail TEXT,
     ingredients TEXT[] NOT NULL,
+    servings INTEGER NOT NULL DEFAULT 4
+        CHECK (servings > 0),
     username VARCHAR(25)
-        REFERENCES users ON DELETE CASCADE
+        REFERENCES users ON DELETE CASCADE,
+    search_vector TSVECTOR GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', name), 'A')
+        || setweight(to_tsvector('english', ingredients_text(ingredients)), 'B')
+        || setweight(to_tsvector('english', instructions), 'C')
+    ) STORED
 );
 
+CREATE INDEX personal_meals_search_idx ON personal_meals USING GIN (search_vector);
+
 CREATE TABLE personal_drinks (
     id SERIAL PRIMARY KEY,
     name TEXT NOT NULL,
@@ -65,6 +142,270 @@ CREATE TABLE personal_drinks (
     instructions TEXT NOT NULL,
     thumbnail TEXT,
     ingredients TEXT[] NOT NULL,
+    servings INTEGER NOT NULL DEFAULT 1
+        CHECK (servings > 0),
     username VARCHAR(25)
-        REFERENCES users ON DELETE CASCADE
-);
\ No newline at end of file
+        REFERENCES users ON DELETE CASCADE,
+    search_vector TSVECTOR GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', name), 'A')
+        || setweight(to_tsvector('english', ingredients_text(ingredients)), 'B')
+        || setweight(to_tsvector('english', instructions), 'C')
+    ) STORED
+);
+
+CREATE INDEX personal_drinks_search_idx ON personal_drinks USING GIN (search_vector);
+
+CREATE TABLE ingredients (
+    id SERIAL PRIMARY KEY,
+    name TEXT NOT NULL UNIQUE
+);
+
+CREATE INDEX ingredients_name_trgm_idx ON ingredients USING GIN (lower(name) gin_trgm_ops);
+
+-- The ingredients of a recipe, split into parts. Each row belongs to exactly
+-- one meal, drink, personal meal or personal drink.
+CREATE TABLE recipe_ingredients (
+    id SERIAL PRIMARY KEY,
+    meal_id INTEGER
+        REFERENCES meals ON DELETE CASCADE,
+    drink_id INTEGER
+        REFERENCES drinks ON DELETE CASCADE,
+    personal_meal_id INTEGER
+        REFERENCES personal_meals ON DELETE CASCADE,
+    personal_drink_id INTEGER
+        REFERENCES personal_drinks ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    display TEXT NOT NULL,
+    quantity NUMERIC,
+    quantity_max NUMERIC,
+    unit TEXT,
+    ingredient_id INTEGER NOT NULL
+        REFERENCES ingredients,
+    note TEXT,
+    CHECK (num_nonnulls(meal_id, drink_id, personal_meal_id, personal_drink_id) = 1)
+);
+
+CREATE INDEX recipe_ingredients_meal_id_idx ON recipe_ingredients (meal_id);
+CREATE INDEX recipe_ingredients_drink_id_idx ON recipe_ingredients (drink_id);
+CREATE INDEX recipe_ingredients_personal_meal_id_idx ON recipe_ingredients (personal_meal_id);
+CREATE INDEX recipe_ingredients_personal_drink_id_idx ON recipe_ingredients (personal_drink_id);
+CREATE INDEX recipe_ingredients_ingredient_id_idx ON recipe_ingredients (ingredient_id);
+
+-- Translations of a recipe's instructions, by language tag (lowercase, like
+-- "de" or "zh-hans"). Each row belongs to exactly one meal, drink, personal
+-- meal or personal drink. source is where it came from: TheCocktailDB
+-- ('upstream') or a user (contributed_by, which is null once they're deleted).
+CREATE TABLE recipe_translations (
+    id SERIAL PRIMARY KEY,
+    meal_id INTEGER
+        REFERENCES meals ON DELETE CASCADE,
+    drink_id INTEGER
+        REFERENCES drinks ON DELETE CASCADE,
+    personal_meal_id INTEGER
+        REFERENCES personal_meals ON DELETE CASCADE,
+    personal_drink_id INTEGER
+        REFERENCES personal_drinks ON DELETE CASCADE,
+    language TEXT NOT NULL,
+    instructions TEXT NOT NULL,
+    source TEXT NOT NULL DEFAULT 'user'
+        CHECK (source IN ('upstream', 'user')),
+    contributed_by VARCHAR(25)
+        REFERENCES users ON DELETE SET NULL,
+    CHECK (num_nonnulls(meal_id, drink_id, personal_meal_id, personal_drink_id) = 1)
+);
+
+CREATE UNIQUE INDEX recipe_translations_meal_id_idx ON recipe_translations (meal_id, language);
+CREATE UNIQUE INDEX recipe_translations_drink_id_idx ON recipe_translations (drink_id, language);
+CREATE UNIQUE INDEX recipe_translations_personal_meal_id_idx ON recipe_translations (personal_meal_id, language);
+CREATE UNIQUE INDEX recipe_translations_personal_drink_id_idx ON recipe_translations (personal_drink_id, language);
+
+-- Meal and drink pairings picked by an admin, which come first in both the
+-- meal's and the drink's pairings.
+CREATE TABLE pinned_pairings (
+    meal_id INTEGER
+        REFERENCES meals ON DELETE CASCADE,
+    drink_id INTEGER
+        REFERENCES drinks ON DELETE CASCADE,
+    pinned_by VARCHAR(25)
+        REFERENCES users ON DELETE SET NULL,
+    PRIMARY KEY (meal_id, drink_id)
+);
+
+CREATE INDEX pinned_pairings_drink_id_idx ON pinned_pairings (drink_id);
+
+CREATE TABLE pantry_items (
+    username VARCHAR(25)
+        REFERENCES users ON DELETE CASCADE,
+    ingredient TEXT NOT NULL,
+    PRIMARY KEY (username, ingredient)
+);
+
+-- Events a user is hosting, and their menus: the meals and drinks (catalog
+-- or personal) they're serving, and how many servings of each per guest.
+CREATE TABLE events (
+    id SERIAL PRIMARY KEY,
+    username VARCHAR(25) NOT NULL
+        REFERENCES users ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    starts_at TIMESTAMP NOT NULL,
+    guest_count INTEGER NOT NULL
+        CHECK (guest_count > 0),
+    notes TEXT
+);
+
+CREATE INDEX events_username_idx ON events (username, starts_at);
+
+CREATE TABLE event_items (
+    id SERIAL PRIMARY KEY,
+    event_id INTEGER NOT NULL
+        REFERENCES events ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    meal_id INTEGER
+        REFERENCES meals ON DELETE CASCADE,
+    drink_id INTEGER
+        REFERENCES drinks ON DELETE CASCADE,
+    personal_meal_id INTEGER
+        REFERENCES personal_meals ON DELETE CASCADE,
+    personal_drink_id INTEGER
+        REFERENCES personal_drinks ON DELETE CASCADE,
+    servings_per_guest NUMERIC NOT NULL DEFAULT 1
+        CHECK (servings_per_guest > 0),
+    CHECK (num_nonnulls(meal_id, drink_id, personal_meal_id, personal_drink_id) = 1)
+);
+
+CREATE INDEX event_items_event_id_idx ON event_items (event_id);
+
+-- Users' saved shopping lists. Items are stored as they were combined when
+-- the list was made (see combineIngredients), so a list doesn't change when
+-- its recipes do.
+CREATE TABLE shopping_lists (
+    id SERIAL PRIMARY KEY,
+    username VARCHAR(25) NOT NULL
+        REFERENCES users ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX shopping_lists_username_idx ON shopping_lists (username);
+
+CREATE TABLE shopping_list_items (
+    id SERIAL PRIMARY KEY,
+    shopping_list_id INTEGER NOT NULL
+        REFERENCES shopping_lists ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    aisle TEXT NOT NULL,
+    display TEXT NOT NULL,
+    name TEXT NOT NULL,
+    quantity NUMERIC,
+    unit TEXT,
+    recipes TEXT[] NOT NULL,
+    unparsed BOOLEAN NOT NULL DEFAULT FALSE,
+    checked BOOLEAN NOT NULL DEFAULT FALSE
+);
+
+CREATE INDEX shopping_list_items_shopping_list_id_idx ON shopping_list_items (shopping_list_id);
+
+-- Users' meal plans: recipes (catalog or personal) put on days, in the
+-- slots of a day. A slot can have more than one recipe, like a meal and a
+-- drink.
+CREATE TABLE meal_plan_entries (
+    id SERIAL PRIMARY KEY,
+    username VARCHAR(25) NOT NULL
+        REFERENCES users ON DELETE CASCADE,
+    date DATE NOT NULL,
+    slot TEXT NOT NULL
+        CHECK (slot IN ('breakfast', 'lunch', 'snack', 'dinner')),
+    meal_id INTEGER
+        REFERENCES meals ON DELETE CASCADE,
+    drink_id INTEGER
+        REFERENCES drinks ON DELETE CASCADE,
+    personal_meal_id INTEGER
+        REFERENCES personal_meals ON DELETE CASCADE,
+    personal_drink_id INTEGER
+        REFERENCES personal_drinks ON DELETE CASCADE,
+    CHECK (num_nonnulls(meal_id, drink_id, personal_meal_id, personal_drink_id) = 1)
+);
+
+CREATE INDEX meal_plan_entries_username_idx ON meal_plan_entries (username, date);
+
+CREATE TABLE refresh_tokens (
+    token_hash TEXT PRIMARY KEY,
+    username VARCHAR(25) NOT NULL
+        REFERENCES users ON DELETE CASCADE,
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP
+);
+
+CREATE TABLE revoked_tokens (
+    jti TEXT PRIMARY KEY,
+    expires_at TIMESTAMP NOT NULL
+);
+
+CREATE TABLE password_reset_tokens (
+    token_hash TEXT PRIMARY KEY,
+    username VARCHAR(25) NOT NULL
+        REFERENCES users ON DELETE CASCADE,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP
+);
+
+CREATE TABLE email_verification_tokens (
+    token_hash TEXT PRIMARY KEY,
+    username VARCHAR(25) NOT NULL
+        REFERENCES users ON DELETE CASCADE,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP
+);
+
+CREATE TABLE login_attempts (
+    key TEXT PRIMARY KEY,
+    failed_count INTEGER NOT NULL DEFAULT 0,
+    lockouts INTEGER NOT NULL DEFAULT 0,
+    last_failed_at TIMESTAMP,
+    locked_until TIMESTAMP
+);
+
+CREATE TABLE credential_changes (
+    id SERIAL PRIMARY KEY,
+    username VARCHAR(25) NOT NULL
+        REFERENCES users ON DELETE CASCADE,
+    field TEXT NOT NULL,
+    changed_by VARCHAR(25) NOT NULL,
+    ip TEXT,
+    changed_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE import_jobs (
+    id SERIAL PRIMARY KEY,
+    type TEXT NOT NULL
+        CHECK (type IN ('meals', 'drinks')),
+    status TEXT NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'running', 'succeeded', 'failed')),
+    requested_by VARCHAR(25)
+        REFERENCES users ON DELETE SET NULL,
+    total INTEGER,
+    processed INTEGER NOT NULL DEFAULT 0,
+    inserted INTEGER NOT NULL DEFAULT 0,
+    updated INTEGER NOT NULL DEFAULT 0,
+    unchanged INTEGER NOT NULL DEFAULT 0,
+    removed INTEGER NOT NULL DEFAULT 0,
+    errors TEXT[] NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    started_at TIMESTAMP,
+    finished_at TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- at most one import of each type at a time
+CREATE UNIQUE INDEX import_jobs_active_type_idx
+    ON import_jobs (type)
+    WHERE status IN ('pending', 'running');
+
+-- catalog recipes an admin deleted, so syncs don't bring them back
+CREATE TABLE deleted_catalog_recipes (
+    recipe_type TEXT NOT NULL
+        CHECK (recipe_type IN ('meals', 'drinks')),
+    external_id TEXT NOT NULL,
+    deleted_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (recipe_type, external_id)
+);
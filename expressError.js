@@ -28,6 +28,26 @@ class UnauthorizedError extends ExpressError {
     }
 }
 
+/** 403 FORBIDDEN error. */
+
+class ForbiddenError extends ExpressError {
+    constructor(message = "Forbidden") {
+        super(message, 403);
+    }
+}
+
+/** 429 TOO MANY REQUESTS error.
+ *
+ * retryAfter is the number of seconds until the client may try again.
+ */
+
+class TooManyRequestsError extends ExpressError {
+    constructor(message = "Too Many Requests", retryAfter) {
+        super(message, 429);
+        this.retryAfter = retryAfter;
+    }
+}
+
   
 /** 400 BAD REQUEST error. */
   
@@ -42,5 +62,7 @@ module.exports = {
     ExpressError,
     NotFoundError,
     UnauthorizedError,
+    ForbiddenError,
     BadRequestError,
+    TooManyRequestsError,
 };
\ No newline at end of file
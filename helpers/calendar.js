@@ -0,0 +1,98 @@
+/** Helpers for exporting meal plans as iCalendar (.ics) files, which
+ *  calendar apps can import or subscribe to (RFC 5545).
+ */
+
+const { PUBLIC_URL } = require("../config");
+const { SLOTS } = require("./planner");
+
+// longest a line can be, in octets, before it's folded onto the next
+const MAX_LINE_OCTETS = 75;
+
+
+/** An iCalendar file for a meal plan.
+ *
+ * entries are [{ id, date, slot, recipe: { name, ... } }, ...], as from
+ * MealPlan.findRange. Each is an event at its slot's time of day, in the
+ * calendar's own time zone ("floating" times, as a plan has no time zone).
+ *
+ * now is when the file is made (stamped on every event).
+ *
+ * Returns the file's text.
+ */
+
+function planCalendar(entries, { name = "Meal plan", now = new Date() } = {}) {
+    const host = new URL(PUBLIC_URL).hostname;
+    const stamp = now.toISOString().replace(/[-:]/g, "").replace(/\.\d+/, "");
+
+    const lines = [
+        "BEGIN:VCALENDAR",
+        "VERSION:2.0",
+        "PRODID:-//DreamHost//Meal plan//EN",
+        "CALSCALE:GREGORIAN",
+        `X-WR-CALNAME:${escapeText(name)}`,
+    ];
+
+    for (const { id, date, slot, recipe } of entries) {
+        const { time, minutes } = SLOTS[slot];
+        lines.push(
+            "BEGIN:VEVENT",
+            `UID:meal-plan-entry-${id}@${host}`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART:${date.replace(/-/g, "")}T${time.replace(":", "")}00`,
+            `DURATION:PT${minutes}M`,
+            `SUMMARY:${escapeText(`${capitalize(slot)}: ${recipe.name}`)}`,
+            "END:VEVENT",
+        );
+    }
+
+    lines.push("END:VCALENDAR");
+
+    return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+
+/** Escape text for a property value: backslashes, commas, semicolons and
+ *  newlines. */
+
+function escapeText(text) {
+    return text
+        .replace(/\\/g, "\\\\")
+        .replace(/([,;])/g, "\\$1")
+        .replace(/\r?\n/g, "\\n");
+}
+
+
+/** Fold a line longer than MAX_LINE_OCTETS onto continuation lines (which
+ *  start with a space), without splitting a character. */
+
+function foldLine(line) {
+    const parts = [];
+    let part = "";
+    let octets = 0;
+
+    for (const char of line) {
+        const size = Buffer.byteLength(char);
+        // continuation lines lose an octet to their leading space
+        const max = parts.length ? MAX_LINE_OCTETS - 1 : MAX_LINE_OCTETS;
+        if (octets + size > max) {
+            parts.push(part);
+            part = "";
+            octets = 0;
+        }
+        part += char;
+        octets += size;
+    }
+    parts.push(part);
+
+    return parts.join("\r\n ");
+}
+
+
+function capitalize(word) {
+    return word[0].toUpperCase() + word.slice(1);
+}
+
+
+module.exports = {
+    planCalendar,
+};
@@ -0,0 +1,69 @@
+const { planCalendar } = require("./calendar");
+
+
+describe("planCalendar", function () {
+  const now = new Date("2026-10-19T12:34:56.789Z");
+
+  test("works", function () {
+    expect(planCalendar([
+      { id: 1, date: "2026-10-19", slot: "dinner", recipe: { name: "Beef Stew" } },
+      { id: 2, date: "2026-10-20", slot: "breakfast", recipe: { name: "Porridge" } },
+    ], { now }).split("\r\n")).toEqual([
+      "BEGIN:VCALENDAR",
+      "VERSION:2.0",
+      "PRODID:-//DreamHost//Meal plan//EN",
+      "CALSCALE:GREGORIAN",
+      "X-WR-CALNAME:Meal plan",
+      "BEGIN:VEVENT",
+      "UID:meal-plan-entry-1@localhost",
+      "DTSTAMP:20261019T123456Z",
+      "DTSTART:20261019T190000",
+      "DURATION:PT60M",
+      "SUMMARY:Dinner: Beef Stew",
+      "END:VEVENT",
+      "BEGIN:VEVENT",
+      "UID:meal-plan-entry-2@localhost",
+      "DTSTAMP:20261019T123456Z",
+      "DTSTART:20261020T080000",
+      "DURATION:PT30M",
+      "SUMMARY:Breakfast: Porridge",
+      "END:VEVENT",
+      "END:VCALENDAR",
+      "",
+    ]);
+  });
+
+  test("works: escapes text", function () {
+    const ics = planCalendar([
+      { id: 1, date: "2026-10-19", slot: "lunch", recipe: { name: "Fish, Chips; Peas\\Gravy" } },
+    ], { now });
+    expect(ics).toContain("SUMMARY:Lunch: Fish\\, Chips\\; Peas\\\\Gravy\r\n");
+  });
+
+  test("works: folds long lines", function () {
+    const ics = planCalendar([
+      { id: 1, date: "2026-10-19", slot: "dinner", recipe: { name: "Crème brûlée ".repeat(10) } },
+    ], { now });
+    const lines = ics.split("\r\n");
+    for (const line of lines) {
+      expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75);
+    }
+    const summary = lines.slice(lines.findIndex(l => l.startsWith("SUMMARY:")))
+        .filter((l, i) => i === 0 || l.startsWith(" "));
+    expect(summary.length).toBeGreaterThan(1);
+    expect(summary.map((l, i) => i ? l.slice(1) : l).join(""))
+        .toEqual(`SUMMARY:Dinner: ${"Crème brûlée ".repeat(10)}`);
+  });
+
+  test("works: no entries", function () {
+    expect(planCalendar([], { now })).toEqual([
+      "BEGIN:VCALENDAR",
+      "VERSION:2.0",
+      "PRODID:-//DreamHost//Meal plan//EN",
+      "CALSCALE:GREGORIAN",
+      "X-WR-CALNAME:Meal plan",
+      "END:VCALENDAR",
+      "",
+    ].join("\r\n"));
+  });
+});
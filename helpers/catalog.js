@@ -0,0 +1,65 @@
+const crypto = require("crypto");
+const axios = require("axios");
+
+const { makeMealObj, makeDrinkObj } = require("./helperFunctions");
+const { MEAL_BASE_URL, DRINK_BASE_URL } = require("../config");
+
+/** Helpers for fetching the catalogs of meals and drinks from TheMealDB and
+ *  TheCocktailDB.
+ *
+ * Neither API lists everything at once, so recipes are searched for by
+ * their first letter.
+ */
+
+const LETTERS = "abcdefghijklmnopqrstuvwxyz".split("");
+
+// where each type of recipe comes from, and how to read it
+const SOURCES = {
+    meals: { baseUrl: MEAL_BASE_URL, key: "meals", makeObj: makeMealObj },
+    drinks: { baseUrl: DRINK_BASE_URL, key: "drinks", makeObj: makeDrinkObj },
+};
+
+
+/** Fetch every recipe of a type ("meals" or "drinks").
+ *
+ * Letters are fetched one at a time, to go easy on the APIs. A failed fetch
+ * doesn't stop the others; it's reported in errors.
+ *
+ * Returns { recipes, errors }
+ *   where recipes are as from makeMealObj or makeDrinkObj (each once), and
+ *   errors are messages, like 'Fetching "q": Request failed with status code 500'
+ */
+
+async function fetchCatalog(type) {
+    const { baseUrl, key, makeObj } = SOURCES[type];
+    const recipes = new Map();
+    const errors = [];
+
+    for (const letter of LETTERS) {
+        try {
+            const response = await axios.get(`${baseUrl}search.php`, { params: { f: letter } });
+            for (const data of response.data[key] || []) {
+                const recipe = makeObj(data);
+                recipes.set(recipe.externalId, recipe);
+            }
+        } catch (err) {
+            errors.push(`Fetching "${letter}": ${err.message}`);
+        }
+    }
+
+    return { recipes: [...recipes.values()], errors };
+}
+
+
+/** A hash of a recipe as fetched (as from makeMealObj or makeDrinkObj).
+ *
+ * Stored with the recipe, so that a sync can tell whether it has changed
+ * upstream. (TheCocktailDB has dateModified, but TheMealDB doesn't.)
+ */
+
+function recipeHash(recipe) {
+    return crypto.createHash("sha1").update(JSON.stringify(recipe)).digest("hex");
+}
+
+
+module.exports = { fetchCatalog, recipeHash };
@@ -0,0 +1,38 @@
+"use strict";
+
+/** Builders for the messages we send through helpers/mailer.
+ *
+ * Each takes the user being mailed ({ username, firstName, email }) and the
+ * token to include, and returns { to, subject, text } for sendMail.
+ */
+
+const { PUBLIC_URL } = require("../config");
+
+
+function passwordResetEmail(user, resetToken) {
+    return {
+        to: user.email,
+        subject: "Reset your DreamHost password",
+        text: `Hi ${user.firstName},\n\n`
+            + `Use this code to reset the password for ${user.username}: ${resetToken}\n\n`
+            + "If you didn't ask to reset your password, you can ignore this email.",
+    };
+}
+
+
+function emailVerificationEmail(user, verificationToken) {
+    return {
+        to: user.email,
+        subject: "Verify your DreamHost email address",
+        text: `Hi ${user.firstName},\n\n`
+            + `Open this link to verify the email address for ${user.username}:\n`
+            + `${PUBLIC_URL}/auth/verify/${verificationToken}\n\n`
+            + "If you didn't sign up for DreamHost, you can ignore this email.",
+    };
+}
+
+
+module.exports = {
+    passwordResetEmail,
+    emailVerificationEmail,
+};
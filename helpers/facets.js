@@ -0,0 +1,77 @@
+"use strict";
+
+const db = require("../db");
+
+/** Helpers for faceted search: how many of the recipes matching a search
+ *  have each value of a field, so filters can be shown with counts.
+ */
+
+// the most ingredients counted in an ingredient facet (the most used)
+const INGREDIENT_FACET_LIMIT = 20;
+
+// the column of recipe_ingredients pointing at each table's recipes
+const RECIPE_ID_COLUMNS = {
+    meals: "meal_id",
+    drinks: "drink_id",
+};
+
+
+/** Count the values of some facets across the recipes in a table that
+ *  match some filters.
+ *
+ * @param table {String} "meals" or "drinks"
+ * @param facets {Array} the facets to count: columns of the table, like
+ *   "category", or "ingredient" (for ingredient names, from structured
+ *   ingredients)
+ * @param whereExpressions {Array} the filters, to be ANDed (see
+ *   Meal.findAll)
+ * @param queryValues {Array} the values the filters use
+ *
+ * @returns {Object} { facet: [ { value, count }, ... ], ... }
+ *   with the most common values first (and no nulls)
+ *
+ * @example ("meals", ["area"], ["category ILIKE $1"], ["%beef%"]) =>
+ *   { area: [ { value: "British", count: 4 }, { value: "French", count: 1 } ] }
+ */
+
+async function countFacets(table, facets, whereExpressions, queryValues) {
+    const counts = {};
+
+    for (const facet of facets) {
+        const result = await db.query(facetSql(table, facet, whereExpressions), queryValues);
+        counts[facet] = result.rows;
+    }
+
+    return counts;
+}
+
+
+/** SQL counting the values of a facet; see countFacets. */
+
+function facetSql(table, facet, whereExpressions) {
+    const where = whereExpressions.length > 0
+        ? " WHERE " + whereExpressions.join(" AND ")
+        : "";
+
+    if (facet === "ingredient") {
+        const idColumn = RECIPE_ID_COLUMNS[table];
+        return `SELECT i.name AS value, COUNT(DISTINCT ri.${idColumn})::INTEGER AS count
+                FROM recipe_ingredients AS ri
+                  JOIN ingredients AS i ON i.id = ri.ingredient_id
+                WHERE ri.${idColumn} IN (SELECT id FROM ${table}${where})
+                GROUP BY i.name
+                ORDER BY count DESC, value
+                LIMIT ${INGREDIENT_FACET_LIMIT}`;
+    }
+
+    return `SELECT ${facet} AS value, COUNT(*)::INTEGER AS count
+            FROM ${table}
+            WHERE ${[...whereExpressions, `${facet} IS NOT NULL`].join(" AND ")}
+            GROUP BY ${facet}
+            ORDER BY count DESC, value`;
+}
+
+
+module.exports = {
+    countFacets,
+};
@@ -1,5 +1,8 @@
+const { structureIngredient } = require("./ingredients");
+
 const makeMealObj = (data) => {
     let ingredientsResult = [];
+    let structuredResult = [];
 
     for (let i = 1; i <= 20; i++) {
         const ingredient = `strIngredient${i}`;
@@ -11,25 +14,24 @@ const makeMealObj = (data) => {
         const trimmedMeasurement = data[measurement]
                                     ? data[measurement].trim()
                                     : null;
-                                    
-        if (trimmedIngredient && trimmedMeasurement) {
-            ingredientsResult.push(trimmedMeasurement + ' ' + trimmedIngredient);
-        }
-        else if (trimmedIngredient) {
-            ingredientsResult.push(trimmedIngredient);
-        }
-        else if (trimmedMeasurement) {
-            ingredientsResult.push(trimmedMeasurement);
+
+        if (trimmedIngredient || trimmedMeasurement) {
+            const structured = structureIngredient(trimmedMeasurement, trimmedIngredient);
+            ingredientsResult.push(structured.display);
+            structuredResult.push(structured);
         }
     }
 
     const meal = {
+        externalId: data.idMeal,
         name: data.strMeal,
         category: data.strCategory,
         area: data.strArea,
         instructions: data.strInstructions,
         thumbnail: data.strMealThumb,
         ingredients: ingredientsResult,
+        structuredIngredients: structuredResult,
+        ...makeProvenance(data, data.strYoutube),
     };
 
     return meal;
@@ -38,6 +40,7 @@ const makeMealObj = (data) => {
 
 const makeDrinkObj = (data) => {
     let ingredientsResult = [];
+    let structuredResult = [];
 
     for (let i = 1; i <= 15; i++) {
         const ingredient = `strIngredient${i}`;
@@ -50,18 +53,15 @@ const makeDrinkObj = (data) => {
                                     ? data[measurement].trim()
                                     : null;
 
-        if (trimmedIngredient && trimmedMeasurement) {
-            ingredientsResult.push(trimmedMeasurement + ' ' + trimmedIngredient);
-        }
-        else if (trimmedIngredient) {
-            ingredientsResult.push(trimmedIngredient);
-        }
-        else if (trimmedMeasurement) {
-            ingredientsResult.push(trimmedMeasurement);
+        if (trimmedIngredient || trimmedMeasurement) {
+            const structured = structureIngredient(trimmedMeasurement, trimmedIngredient);
+            ingredientsResult.push(structured.display);
+            structuredResult.push(structured);
         }
     }
 
     const drink = {
+        externalId: data.idDrink,
         name: data.strDrink,
         category: data.strCategory,
         type: data.strAlcoholic,
@@ -69,12 +69,63 @@ const makeDrinkObj = (data) => {
         instructions: data.strInstructions,
         thumbnail: data.strDrinkThumb,
         ingredients: ingredientsResult,
+        structuredIngredients: structuredResult,
+        ...makeProvenance(data, data.strVideo),
+        translations: makeTranslations(data),
     };
 
     return drink;
 };
 
 
+/** Where a recipe from TheMealDB or TheCocktailDB came from: its source,
+ *  video, tags and image attribution, as stored with it.
+ *
+ * strTags is a comma-separated list, like "Meat,Casserole"; and
+ * strCreativeCommonsConfirmed is "Yes", "No" or missing.
+ */
+
+const makeProvenance = (data, videoUrl) => {
+    const confirmed = data.strCreativeCommonsConfirmed;
+
+    return {
+        sourceUrl: data.strSource || null,
+        videoUrl: videoUrl || null,
+        tags: data.strTags
+            ? data.strTags.split(",").map(tag => tag.trim()).filter(tag => tag)
+            : [],
+        imageSource: data.strImageSource || null,
+        imageAttribution: data.strImageAttribution || null,
+        creativeCommonsConfirmed: confirmed ? confirmed === "Yes" : null,
+    };
+};
+
+
+// the translated instructions in TheCocktailDB, and their language tags
+const TRANSLATED_INSTRUCTIONS = {
+    strInstructionsES: "es",
+    strInstructionsDE: "de",
+    strInstructionsFR: "fr",
+    strInstructionsIT: "it",
+    "strInstructionsZH-HANS": "zh-hans",
+    "strInstructionsZH-HANT": "zh-hant",
+};
+
+/** The translations of a drink's instructions from TheCocktailDB:
+ *  { language: instructions, ... } (with only the languages it has). */
+
+const makeTranslations = (data) => {
+    const translations = {};
+
+    for (const [key, language] of Object.entries(TRANSLATED_INSTRUCTIONS)) {
+        const instructions = data[key] && data[key].trim();
+        if (instructions) translations[language] = instructions;
+    }
+
+    return translations;
+};
+
+
 module.exports = {
     makeMealObj,
     makeDrinkObj
@@ -60,6 +60,7 @@ describe("makeMealObj", function () {
     test("works", function () {
         const result = makeMealObj(mealData);
         expect(result).toEqual({
+            externalId: "52772",
             name: mealData.strMeal,
             category: mealData.strCategory,
             area: mealData.strArea,
@@ -76,6 +77,23 @@ describe("makeMealObj", function () {
                 "1 (12 oz.) stir-fry vegetables",
                 "3 cups brown rice",
             ],
+            structuredIngredients: [
+                { display: "3/4 cup soy sauce", quantity: 0.75, quantityMax: null, unit: "cup", name: "soy sauce", note: null },
+                { display: "1/2 cup water", quantity: 0.5, quantityMax: null, unit: "cup", name: "water", note: null },
+                { display: "1/4 cup brown sugar", quantity: 0.25, quantityMax: null, unit: "cup", name: "brown sugar", note: null },
+                { display: "1/2 teaspoon ground ginger", quantity: 0.5, quantityMax: null, unit: "tsp", name: "ground ginger", note: null },
+                { display: "1/2 teaspoon minced garlic", quantity: 0.5, quantityMax: null, unit: "tsp", name: "minced garlic", note: null },
+                { display: "4 Tablespoons cornstarch", quantity: 4, quantityMax: null, unit: "tbsp", name: "cornstarch", note: null },
+                { display: "2 chicken breasts", quantity: 2, quantityMax: null, unit: null, name: "chicken breast", note: null },
+                { display: "1 (12 oz.) stir-fry vegetables", quantity: 1, quantityMax: null, unit: null, name: "stir-fry vegetable", note: "(12 oz.)" },
+                { display: "3 cups brown rice", quantity: 3, quantityMax: null, unit: "cup", name: "brown rice", note: null },
+            ],
+            sourceUrl: null,
+            videoUrl: "https://www.youtube.com/watch?v=4aZr5hZXP_s",
+            tags: ["Meat", "Casserole"],
+            imageSource: null,
+            imageAttribution: null,
+            creativeCommonsConfirmed: null,
         });
     });
 });
@@ -98,8 +116,8 @@ describe("makeDrinkObj", function () {
         strInstructionsDE: "Reiben Sie den Rand des Glases mit der Limettenscheibe, damit das Salz daran haftet. Achten Sie darauf, dass nur der äußere Rand angefeuchtet wird und streuen Sie das Salz darauf. Das Salz sollte sich auf den Lippen des Genießers befinden und niemals in den Cocktail einmischen. Die anderen Zutaten mit Eis schütteln und vorsichtig in das Glas geben.",
         strInstructionsFR: null,
         strInstructionsIT: "Strofina il bordo del bicchiere con la fetta di lime per far aderire il sale.\r\nAvere cura di inumidire solo il bordo esterno e cospargere di sale.\r\nIl sale dovrebbe presentarsi alle labbra del bevitore e non mescolarsi mai al cocktail.\r\nShakerare gli altri ingredienti con ghiaccio, quindi versarli delicatamente nel bicchiere.",
-        strInstructionsZHHANS: null,
-        strInstructionsZHHANT: null,
+        "strInstructionsZH-HANS": null,
+        "strInstructionsZH-HANT": null,
         strDrinkThumb: "https://www.thecocktaildb.com/images/media/drink/5noda61589575158.jpg",
         strIngredient1: "Tequila",
         strIngredient2: "Triple sec",
@@ -140,6 +158,7 @@ describe("makeDrinkObj", function () {
     test("works", function () {
         const result = makeDrinkObj(drinkData);
         expect(result).toEqual({
+            externalId: "11007",
             name: drinkData.strDrink,
             category: drinkData.strCategory,
             type: drinkData.strAlcoholic,
@@ -152,6 +171,22 @@ describe("makeDrinkObj", function () {
                 "1 oz Lime juice",
                 "Salt",
             ],
+            structuredIngredients: [
+                { display: "1 1/2 oz Tequila", quantity: 1.5, quantityMax: null, unit: "oz", name: "tequila", note: null },
+                { display: "1/2 oz Triple sec", quantity: 0.5, quantityMax: null, unit: "oz", name: "triple sec", note: null },
+                { display: "1 oz Lime juice", quantity: 1, quantityMax: null, unit: "oz", name: "lime juice", note: null },
+                { display: "Salt", quantity: null, quantityMax: null, unit: null, name: "salt", note: null },
+            ],
+            sourceUrl: null,
+            videoUrl: null,
+            tags: ["IBA", "ContemporaryClassic"],
+            imageSource: "https://commons.wikimedia.org/wiki/File:Klassiche_Margarita.jpg",
+            imageAttribution: "Cocktailmarler",
+            creativeCommonsConfirmed: true,
+            translations: {
+                de: drinkData.strInstructionsDE,
+                it: drinkData.strInstructionsIT,
+            },
         });
     });
 });
\ No newline at end of file
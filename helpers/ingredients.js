@@ -0,0 +1,289 @@
+/** Helpers for working with ingredient strings.
+ *
+ * Recipe ingredients are shown as display strings that combine the measure
+ * and the ingredient, like "3/4 cup soy sauce" (see makeMealObj and
+ * makeDrinkObj). These helpers split them back into a quantity, unit and
+ * ingredient name, so that "2 tbsp Soy Sauce", "soy sauce" and "Soy sauce
+ * (low sodium)" can all be compared as "soy sauce".
+ */
+
+// words that can follow a quantity in a measure: "2 cups", "1 pinch", ...
+const MEASURE_WORDS = new Set([
+    "cup", "c", "tablespoon", "tbsp", "tbs", "tblsp", "tbls", "teaspoon",
+    "tsp", "ounce", "oz", "fl", "pound", "lb", "lbs", "gram", "g", "kilogram",
+    "kg",
+    "milliliter", "millilitre", "ml", "liter", "litre", "l", "cl", "dl",
+    "pint", "quart", "gallon", "pinch", "dash", "splash", "shot", "jigger",
+    "part", "drop", "can", "tin", "jar", "packet", "package", "bottle",
+    "clove", "slice", "piece", "stick", "sprig", "bunch", "handful", "knob",
+    "cube", "glass", "scoop", "wedge", "twist", "sheet", "head", "fillet",
+    "large", "medium", "small", "whole", "heaped", "level", "generous",
+    "x", "of",
+]);
+
+// a quantity, like "2", "1/2", "1.5", "½", "1-2" or "400g"
+const QUANTITY = /^[\d½⅓⅔¼¾⅛⅜⅝⅞.,/-]+[a-z]{0,4}$/;
+
+// units, by their (singular) spellings
+const UNITS = {
+    cup: "cup", c: "cup",
+    tablespoon: "tbsp", tbsp: "tbsp", tbs: "tbsp", tblsp: "tbsp", tbls: "tbsp",
+    teaspoon: "tsp", tsp: "tsp",
+    ounce: "oz", oz: "oz",
+    pound: "lb", lb: "lb", lbs: "lb",
+    gram: "g", g: "g", gr: "g",
+    kilogram: "kg", kg: "kg",
+    milliliter: "ml", millilitre: "ml", ml: "ml",
+    liter: "l", litre: "l", l: "l",
+    centiliter: "cl", centilitre: "cl", cl: "cl",
+    deciliter: "dl", decilitre: "dl", dl: "dl",
+    pint: "pint", quart: "quart", gallon: "gallon",
+    pinch: "pinch", dash: "dash", splash: "splash", drop: "drop",
+    shot: "shot", jigger: "jigger", part: "part", measure: "measure",
+    can: "can", tin: "tin", jar: "jar", packet: "packet", package: "package",
+    bottle: "bottle", glass: "glass", scoop: "scoop",
+    clove: "clove", slice: "slice", piece: "piece", stick: "stick",
+    sprig: "sprig", bunch: "bunch", handful: "handful", knob: "knob",
+    cube: "cube", wedge: "wedge", twist: "twist", sheet: "sheet",
+    head: "head", fillet: "fillet",
+};
+
+// a number, like "2", "1 1/2", "3/4", "1.5", "1,5", "1,000", "½" or "1½"
+// (fractions can't be over 0)
+const NUMBER = String.raw`(?:\d+\s+)?\d+\/0*[1-9]\d*|\d*[½⅓⅔¼¾⅛⅜⅝⅞]|\d{1,3}(?:,\d{3})+(?:\.\d+)?|\d+(?:[.,]\d+)?`;
+
+// a comma setting off a note, like ", minced"; not one inside a number
+const NOTE_COMMA = /(?<!\d),|,(?!\d)/;
+
+// a quantity at the start of a measure: a number, or a range like "1-2"
+const LEADING_QUANTITY = new RegExp(
+    String.raw`^(${NUMBER})(?:\s*(?:-|–|to|or)\s*(${NUMBER}))?(?![\d/½⅓⅔¼¾⅛⅜⅝⅞])`);
+
+const UNICODE_FRACTIONS = {
+    "½": 1 / 2, "⅓": 1 / 3, "⅔": 2 / 3, "¼": 1 / 4, "¾": 3 / 4,
+    "⅛": 1 / 8, "⅜": 3 / 8, "⅝": 5 / 8, "⅞": 7 / 8,
+};
+
+// words ending in s that aren't plurals, or are only used in the plural
+const NOT_PLURALS = new Set([
+    "molasses", "bitters", "grits", "schnapps", "pastis", "brussels",
+]);
+
+// measures that stand alone, like "to taste Salt"
+const LEADING_PHRASES = /^(to taste|to serve|to garnish|for garnish|as required|as needed|top up( with)?|fill( with)?)(\s+|$)/;
+
+
+/** Return the name of the ingredient in a display string.
+ *
+ * Drops any leading quantity and measure words, anything in parentheses or
+ * after a comma, and plural endings, and lowercases the rest.
+ *
+ * @example "1 1/2 oz Tequila" => "tequila"
+ * @example "2 cloves Garlic, minced" => "garlic"
+ * @example "Eggs" => "egg"
+ */
+
+function ingredientName(ingredient) {
+    let name = ingredient
+        .toLowerCase()
+        .replace(/\([^)]*\)/g, " ")
+        .split(NOTE_COMMA)[0]
+        .trim()
+        .replace(LEADING_PHRASES, "");
+
+    const words = name.split(/\s+/).filter(w => w);
+
+    // keep at least one word: "Cloves" on its own is the spice
+    let start = 0;
+    while (start < words.length - 1
+           && (QUANTITY.test(words[start]) || MEASURE_WORDS.has(singular(words[start].replace(/\.$/, ""))))) {
+        start++;
+    }
+
+    return words.slice(start).map(singular).join(" ");
+}
+
+
+/** Split a measure, like "1 1/2 cups" or "to taste", into its parts.
+ *
+ * Returns { quantity, quantityMax, unit, note }
+ *   where quantity is a number (or null if there's none), quantityMax is the
+ *   top of a range like "1-2" (null if not a range), unit is the canonical
+ *   unit, like "cup" or "tbsp" (null if there's none), and note is anything
+ *   else in the measure, like "to taste" or "large" (null if nothing).
+ *
+ * @example "1 1/2 cups" => { quantity: 1.5, quantityMax: null, unit: "cup", note: null }
+ * @example "2-3 large" => { quantity: 2, quantityMax: 3, unit: null, note: "large" }
+ */
+
+function parseMeasure(measure) {
+    const { quantity, quantityMax, unit, rest, note } = splitMeasure(measure);
+    return {
+        quantity,
+        quantityMax,
+        unit,
+        note: [note, rest].filter(n => n).join(" ") || null,
+    };
+}
+
+
+/** Split a display string, like "2 cloves Garlic, minced", into its parts.
+ *
+ * Returns { display, quantity, quantityMax, unit, name, note }
+ *   as for parseMeasure, plus display (the string itself) and name (as for
+ *   ingredientName); note also has anything in parentheses or after a comma.
+ *
+ * @example "2 cloves Garlic, minced" =>
+ *   { display: "2 cloves Garlic, minced", quantity: 2, quantityMax: null,
+ *     unit: "clove", name: "garlic", note: "minced" }
+ */
+
+function parseIngredient(display) {
+    const notes = [];
+    const withoutNotes = display
+        .replace(/\(([^)]*)\)/g, (m, inParens) => {
+            notes.push(inParens.trim());
+            return " ";
+        })
+        .replace(new RegExp(`(?:${NOTE_COMMA.source})(.*)$`), (m, afterComma) => {
+            notes.push(afterComma.trim());
+            return "";
+        });
+
+    const { quantity, quantityMax, unit, rest, note } = splitMeasure(withoutNotes);
+    notes.unshift(note);
+
+    // nothing left for the name: the "unit" was the ingredient, as in "Cloves"
+    if (!rest) {
+        const name = ingredientName(display) || display.trim().toLowerCase();
+        return { display, quantity: null, quantityMax: null, unit: null, name, note: null };
+    }
+
+    return {
+        display,
+        quantity,
+        quantityMax,
+        unit,
+        name: ingredientName(rest),
+        note: notes.filter(n => n).join(", ") || null,
+    };
+}
+
+
+/** Structure an ingredient given as a separate measure and ingredient, as
+ *  in TheMealDB and TheCocktailDB (strMeasureN and strIngredientN).
+ *
+ * Returns { display, quantity, quantityMax, unit, name, note }, as for
+ * parseIngredient.
+ */
+
+function structureIngredient(measure, ingredient) {
+    const display = [measure, ingredient].filter(p => p).join(" ");
+    if (!ingredient) return parseIngredient(display);
+
+    const { quantity, quantityMax, unit, note } = parseMeasure(measure || "");
+    return { display, quantity, quantityMax, unit, name: ingredientName(ingredient), note };
+}
+
+
+/** Take the leading quantity and unit off a measure or display string.
+ *
+ * Returns { quantity, quantityMax, unit, note, rest, quantityText, unitText }
+ *   where note is a phrase standing in for a quantity, like "to taste", rest
+ *   is whatever follows the quantity and unit, and quantityText and unitText
+ *   are the quantity and unit as written (null if there's none).
+ */
+
+function splitMeasure(text) {
+    let rest = text.trim();
+    let quantity = null;
+    let quantityMax = null;
+    let unit = null;
+    let note = null;
+    let quantityText = null;
+    let unitText = null;
+
+    const phrase = rest.toLowerCase().match(LEADING_PHRASES);
+    if (phrase) {
+        note = phrase[1];
+        rest = rest.slice(phrase[0].length).trim();
+    }
+
+    const numbers = rest.match(LEADING_QUANTITY);
+    if (numbers) {
+        const afterNumbers = rest.slice(numbers[0].length);
+        const attached = afterNumbers.match(/^[a-z]+/i);
+        // "7up" and "7-Up" are names, not 7 of "up"; "400g" is 400 grams
+        if (/^(\s|$)/.test(afterNumbers) || (attached && unitOf(attached[0]))) {
+            quantity = parseNumber(numbers[1]);
+            quantityMax = numbers[2] === undefined ? null : parseNumber(numbers[2]);
+            quantityText = numbers[0];
+            rest = afterNumbers.trim();
+        }
+    }
+
+    const unitMatch = rest.match(/^(fl\.?\s*oz\.?|[a-z]+\.?)(?=\s|$)/i)
+        || (quantity !== null && rest.match(/^([a-z]+)/i));
+    if (unitMatch) {
+        const found = /^fl/i.test(unitMatch[1]) && /oz/i.test(unitMatch[1])
+            ? "fl oz"
+            : unitOf(unitMatch[1].replace(/\.$/, ""));
+        if (found) {
+            unit = found;
+            unitText = unitMatch[1];
+            rest = rest.slice(unitMatch[0].length).trim().replace(/^of\s+/i, "");
+        }
+    }
+
+    return { quantity, quantityMax, unit, note, rest, quantityText, unitText };
+}
+
+
+/** The canonical unit for a word, like "Tablespoons" => "tbsp"; or null. */
+
+function unitOf(word) {
+    const lower = word.toLowerCase();
+    return UNITS[lower] || UNITS[singular(lower)] || null;
+}
+
+
+/** Value of a number as written in a measure: "1 1/2" => 1.5, "1,000" => 1000 */
+
+function parseNumber(text) {
+    const mixed = text.match(/^(\d+)\s+(\d+)\/(\d+)$/);
+    if (mixed) return +mixed[1] + mixed[2] / mixed[3];
+
+    const fraction = text.match(/^(\d+)\/(\d+)$/);
+    if (fraction) return fraction[1] / fraction[2];
+
+    const unicode = text.match(/^(\d*)([½⅓⅔¼¾⅛⅜⅝⅞])$/);
+    if (unicode) return (+unicode[1] || 0) + UNICODE_FRACTIONS[unicode[2]];
+
+    if (/^\d{1,3}(,\d{3})+(\.\d+)?$/.test(text)) return +text.replace(/,/g, "");
+
+    return +text.replace(",", ".");
+}
+
+
+/** Naive singular of an english word: "tomatoes" => "tomato".
+ *
+ * Words like "asparagus", "molasses" and "bitters" are left as they are.
+ */
+
+function singular(word) {
+    if (word.length <= 3 || NOT_PLURALS.has(word) || /(ss|us)$/.test(word)) return word;
+    if (word.endsWith("ies")) return word.slice(0, -3) + "y";
+    if (word.endsWith("oes")) return word.slice(0, -2);
+    if (/(ch|sh|x|ss)es$/.test(word)) return word.slice(0, -2);
+    if (word.endsWith("s")) return word.slice(0, -1);
+    return word;
+}
+
+
+module.exports = {
+    ingredientName,
+    parseMeasure,
+    parseIngredient,
+    structureIngredient,
+    splitMeasure,
+};
@@ -0,0 +1,227 @@
+const {
+  ingredientName,
+  parseMeasure,
+  parseIngredient,
+  structureIngredient,
+  splitMeasure,
+} = require("./ingredients");
+
+
+describe("ingredientName", function () {
+  test("works: drops quantity and measure", function () {
+    expect(ingredientName("3/4 cup soy sauce")).toEqual("soy sauce");
+    expect(ingredientName("1 1/2 oz Tequila")).toEqual("tequila");
+    expect(ingredientName("½ tsp Ground Cinnamon")).toEqual("ground cinnamon");
+    expect(ingredientName("400g Chicken Breasts")).toEqual("chicken breast");
+    expect(ingredientName("1-2 shots Vodka")).toEqual("vodka");
+  });
+
+  test("works: drops notes", function () {
+    expect(ingredientName("2 cloves Garlic, minced")).toEqual("garlic");
+    expect(ingredientName("1 (400g) can Chopped Tomatoes")).toEqual("chopped tomato");
+  });
+
+  test("works: standalone measures", function () {
+    expect(ingredientName("to taste Salt")).toEqual("salt");
+    expect(ingredientName("Dash Angostura bitters")).toEqual("angostura bitters");
+  });
+
+  test("works: keeps the last word", function () {
+    expect(ingredientName("Cloves")).toEqual("clove");
+    expect(ingredientName("Eggs")).toEqual("egg");
+    expect(ingredientName("Ing1a")).toEqual("ing1a");
+  });
+
+  test("works: keeps words that aren't plurals", function () {
+    expect(ingredientName("1 bunch Asparagus")).toEqual("asparagus");
+    expect(ingredientName("2 tbsp Molasses")).toEqual("molasses");
+    expect(ingredientName("2 dashes Bitters")).toEqual("bitters");
+    expect(ingredientName("200g Couscous")).toEqual("couscous");
+    expect(ingredientName("Hummus")).toEqual("hummus");
+    expect(ingredientName("1 oz Pastis")).toEqual("pastis");
+    expect(ingredientName("1 cup Grits")).toEqual("grits");
+    expect(ingredientName("Swiss Cheese")).toEqual("swiss cheese");
+    expect(ingredientName("Chopped Tomatoes")).toEqual("chopped tomato");
+  });
+});
+
+
+describe("parseMeasure", function () {
+  test("works: fractions", function () {
+    expect(parseMeasure("1 1/2 cups")).toEqual(
+        { quantity: 1.5, quantityMax: null, unit: "cup", note: null });
+    expect(parseMeasure("3/4 Tablespoon")).toEqual(
+        { quantity: 0.75, quantityMax: null, unit: "tbsp", note: null });
+    expect(parseMeasure("1½ tsp")).toEqual(
+        { quantity: 1.5, quantityMax: null, unit: "tsp", note: null });
+    expect(parseMeasure("1,5 dl")).toEqual(
+        { quantity: 1.5, quantityMax: null, unit: "dl", note: null });
+  });
+
+  test("works: ranges", function () {
+    expect(parseMeasure("2-3 large")).toEqual(
+        { quantity: 2, quantityMax: 3, unit: null, note: "large" });
+    expect(parseMeasure("1 to 2 shots")).toEqual(
+        { quantity: 1, quantityMax: 2, unit: "shot", note: null });
+  });
+
+  test("works: units attached or alone", function () {
+    expect(parseMeasure("400g")).toEqual(
+        { quantity: 400, quantityMax: null, unit: "g", note: null });
+    expect(parseMeasure("2 fl oz")).toEqual(
+        { quantity: 2, quantityMax: null, unit: "fl oz", note: null });
+    expect(parseMeasure("Dash")).toEqual(
+        { quantity: null, quantityMax: null, unit: "dash", note: null });
+  });
+
+  test("works: no quantity", function () {
+    expect(parseMeasure("to taste")).toEqual(
+        { quantity: null, quantityMax: null, unit: null, note: "to taste" });
+    expect(parseMeasure("Juice of 1")).toEqual(
+        { quantity: null, quantityMax: null, unit: null, note: "Juice of 1" });
+    expect(parseMeasure("")).toEqual(
+        { quantity: null, quantityMax: null, unit: null, note: null });
+  });
+});
+
+
+describe("parseIngredient", function () {
+  test("works", function () {
+    expect(parseIngredient("2 cloves Garlic, minced")).toEqual({
+      display: "2 cloves Garlic, minced",
+      quantity: 2,
+      quantityMax: null,
+      unit: "clove",
+      name: "garlic",
+      note: "minced",
+    });
+  });
+
+  test("works: notes in parentheses", function () {
+    expect(parseIngredient("1 (400g) can Chopped Tomatoes")).toEqual({
+      display: "1 (400g) can Chopped Tomatoes",
+      quantity: 1,
+      quantityMax: null,
+      unit: "can",
+      name: "chopped tomato",
+      note: "400g",
+    });
+  });
+
+  test("works: no measure", function () {
+    expect(parseIngredient("to taste Salt")).toEqual({
+      display: "to taste Salt",
+      quantity: null,
+      quantityMax: null,
+      unit: null,
+      name: "salt",
+      note: "to taste",
+    });
+    expect(parseIngredient("7up")).toEqual({
+      display: "7up",
+      quantity: null,
+      quantityMax: null,
+      unit: null,
+      name: "7up",
+      note: null,
+    });
+  });
+
+  test("works: names starting with a number", function () {
+    expect(parseIngredient("7-Up")).toEqual({
+      display: "7-Up",
+      quantity: null,
+      quantityMax: null,
+      unit: null,
+      name: "7-up",
+      note: null,
+    });
+    expect(parseIngredient("2 cans 7-Up")).toEqual({
+      display: "2 cans 7-Up",
+      quantity: 2,
+      quantityMax: null,
+      unit: "can",
+      name: "7-up",
+      note: null,
+    });
+  });
+
+  test("works: thousands separators", function () {
+    expect(parseIngredient("1,000 g flour, sifted")).toEqual({
+      display: "1,000 g flour, sifted",
+      quantity: 1000,
+      quantityMax: null,
+      unit: "g",
+      name: "flour",
+      note: "sifted",
+    });
+    expect(parseIngredient("1,5 l Milk").quantity).toEqual(1.5);
+  });
+
+  test("works: no quantity over 0", function () {
+    expect(parseIngredient("1/0 cup Sugar")).toEqual({
+      display: "1/0 cup Sugar",
+      quantity: null,
+      quantityMax: null,
+      unit: null,
+      name: "sugar",
+      note: null,
+    });
+  });
+
+  test("works: ingredient named like a unit", function () {
+    expect(parseIngredient("Cloves")).toEqual({
+      display: "Cloves",
+      quantity: null,
+      quantityMax: null,
+      unit: null,
+      name: "clove",
+      note: null,
+    });
+  });
+});
+
+
+describe("structureIngredient", function () {
+  test("works", function () {
+    expect(structureIngredient("Juice of 1", "Lime")).toEqual({
+      display: "Juice of 1 Lime",
+      quantity: null,
+      quantityMax: null,
+      unit: null,
+      name: "lime",
+      note: "Juice of 1",
+    });
+  });
+
+  test("works: no ingredient", function () {
+    expect(structureIngredient("2 cups", null)).toEqual(parseIngredient("2 cups"));
+  });
+});
+
+
+describe("splitMeasure", function () {
+  test("works", function () {
+    expect(splitMeasure("1 1/2 Cups Rice")).toEqual({
+      quantity: 1.5,
+      quantityMax: null,
+      unit: "cup",
+      note: null,
+      rest: "Rice",
+      quantityText: "1 1/2",
+      unitText: "Cups",
+    });
+  });
+
+  test("works: no quantity", function () {
+    expect(splitMeasure("Salt")).toEqual({
+      quantity: null,
+      quantityMax: null,
+      unit: null,
+      note: null,
+      rest: "Salt",
+      quantityText: null,
+      unitText: null,
+    });
+  });
+});
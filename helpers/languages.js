@@ -0,0 +1,123 @@
+/** Helpers for showing recipes in the language a user asks for.
+ *
+ * Recipes are written in English, and their instructions can have
+ * translations (see RecipeTranslation). The language is picked from the
+ * request's Accept-Language header, or a ?lang= parameter.
+ */
+
+const { BadRequestError } = require("../expressError");
+
+// the language recipes are written in
+const DEFAULT_LANGUAGE = "en";
+
+// a language tag, like "de", "pt-BR" or "zh-Hans"
+const LANGUAGE_TAG = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i;
+
+// the script of a language in a region, where tags usually leave it out:
+// "zh-TW" is written in traditional characters, as "zh-Hant-TW"
+const REGION_SCRIPTS = {
+    "zh-tw": "hant", "zh-hk": "hant", "zh-mo": "hant",
+    "zh-cn": "hans", "zh-sg": "hans",
+};
+
+
+/** Check a language tag given for a translation, and lowercase it.
+ *
+ * Throws BadRequestError if it isn't a language tag, or is the default
+ * language (which is the recipe itself, not a translation).
+ *
+ * @example "zh-Hans" => "zh-hans"
+ */
+
+function normalizeLanguage(tag) {
+    if (!LANGUAGE_TAG.test(tag)) throw new BadRequestError(`Not a language tag: ${tag}`);
+
+    const language = tag.toLowerCase();
+    if (language === DEFAULT_LANGUAGE) {
+        throw new BadRequestError(`Recipes are written in ${DEFAULT_LANGUAGE}; that isn't a translation`);
+    }
+    return language;
+}
+
+
+/** Pick the best of the available languages for what's asked for: an
+ *  Accept-Language header, like "de-CH, de;q=0.9, fr;q=0.5", or one
+ *  language, as from ?lang=.
+ *
+ * Languages asked for are tried in order of preference. One matches an
+ * available language with the same tag, or else the longest available
+ * prefix of it ("zh-Hant-TW" matches "zh-hant", then "zh"), or else one
+ * with the same primary language ("de-CH" matches "de-at"). A region's
+ * script counts as part of the tag: "zh-TW" is "zh-Hant-TW". "*" matches
+ * the default language.
+ *
+ * Returns the language, or DEFAULT_LANGUAGE if none matches.
+ */
+
+function pickLanguage(available, asked) {
+    const preferences = (asked || "")
+        .split(",")
+        .map((part, idx) => {
+            const [tag, ...params] = part.trim().split(";");
+            const q = params.map(p => p.trim().match(/^q=([\d.]+)$/)).find(m => m);
+            return { tag: tag.trim().toLowerCase(), q: q ? +q[1] : 1, idx };
+        })
+        .filter(p => p.tag && p.q > 0)
+        .sort((a, b) => b.q - a.q || a.idx - b.idx);
+
+    for (const { tag } of preferences) {
+        if (tag === "*") return DEFAULT_LANGUAGE;
+        if (available.includes(tag)) return tag;
+
+        const subtags = withScript(tag).split("-");
+        for (let end = subtags.length; end > 0; end--) {
+            const prefix = subtags.slice(0, end).join("-");
+            if (available.includes(prefix)) return prefix;
+        }
+
+        const primary = subtags[0];
+        const samePrimary = available.find(language => language.split("-")[0] === primary);
+        if (samePrimary) return samePrimary;
+    }
+
+    return DEFAULT_LANGUAGE;
+}
+
+
+/** A lowercase language tag with the script of its region added, if it
+ *  doesn't have one: "zh-tw" => "zh-hant-tw" (see REGION_SCRIPTS). */
+
+function withScript(tag) {
+    const [language, region, ...rest] = tag.split("-");
+    const script = REGION_SCRIPTS[`${language}-${region}`];
+    return script ? [language, script, region, ...rest].join("-") : tag;
+}
+
+
+/** Show a recipe in the best language for what's asked for (as for
+ *  pickLanguage), given its translations: { language: instructions, ... }.
+ *
+ * Returns the recipe with instructions in that language, and with
+ *   language (the one picked) and languages (all it can be shown in); the
+ *   recipe passed in is left unchanged.
+ */
+
+function translateRecipe(recipe, translations, asked) {
+    const languages = [DEFAULT_LANGUAGE, ...Object.keys(translations).sort()];
+    const language = pickLanguage(languages, asked);
+
+    return {
+        ...recipe,
+        instructions: language === DEFAULT_LANGUAGE ? recipe.instructions : translations[language],
+        language,
+        languages,
+    };
+}
+
+
+module.exports = {
+    DEFAULT_LANGUAGE,
+    normalizeLanguage,
+    pickLanguage,
+    translateRecipe,
+};
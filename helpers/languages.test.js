@@ -0,0 +1,80 @@
+const { normalizeLanguage, pickLanguage, translateRecipe } = require("./languages");
+const { BadRequestError } = require("../expressError");
+
+
+describe("normalizeLanguage", function () {
+  test("works", function () {
+    expect(normalizeLanguage("de")).toEqual("de");
+    expect(normalizeLanguage("zh-Hans")).toEqual("zh-hans");
+  });
+
+  test("bad request if not a language tag", function () {
+    expect(() => normalizeLanguage("german")).toThrow(BadRequestError);
+    expect(() => normalizeLanguage("d")).toThrow(BadRequestError);
+  });
+
+  test("bad request for english", function () {
+    expect(() => normalizeLanguage("EN")).toThrow(BadRequestError);
+  });
+});
+
+
+describe("pickLanguage", function () {
+  const available = ["en", "de", "it", "zh-hans"];
+
+  test("works: by preference", function () {
+    expect(pickLanguage(available, "fr, it;q=0.8, de;q=0.9")).toEqual("de");
+    expect(pickLanguage(available, "it")).toEqual("it");
+  });
+
+  test("works: same primary language", function () {
+    expect(pickLanguage(available, "de-CH")).toEqual("de");
+    expect(pickLanguage(available, "zh-TW")).toEqual("zh-hans");
+  });
+
+  test("works: longest prefix, with a region's script", function () {
+    const chinese = ["en", "zh-hans", "zh-hant"];
+    expect(pickLanguage(chinese, "zh-Hant-TW")).toEqual("zh-hant");
+    expect(pickLanguage(chinese, "zh-Hans-CN")).toEqual("zh-hans");
+    expect(pickLanguage(chinese, "zh-TW")).toEqual("zh-hant");
+    expect(pickLanguage(chinese, "zh-HK")).toEqual("zh-hant");
+    expect(pickLanguage(chinese, "zh-MO")).toEqual("zh-hant");
+    expect(pickLanguage(chinese, "zh-CN")).toEqual("zh-hans");
+    expect(pickLanguage(["en", "pt", "pt-br"], "pt-BR-x-y")).toEqual("pt-br");
+    expect(pickLanguage(["en", "pt-br", "pt"], "pt-PT")).toEqual("pt");
+  });
+
+  test("works: case-insensitive", function () {
+    expect(pickLanguage(available, "ZH-Hans")).toEqual("zh-hans");
+  });
+
+  test("works: english if nothing matches", function () {
+    expect(pickLanguage(available, "fr, es;q=0.5")).toEqual("en");
+    expect(pickLanguage(available, "*")).toEqual("en");
+    expect(pickLanguage(available, "de;q=0")).toEqual("en");
+    expect(pickLanguage(available, undefined)).toEqual("en");
+  });
+});
+
+
+describe("translateRecipe", function () {
+  const recipe = { id: 1, name: "Margarita", instructions: "Shake." };
+  const translations = { it: "Shakerare.", de: "Schütteln." };
+
+  test("works", function () {
+    expect(translateRecipe(recipe, translations, "de-DE,en;q=0.5")).toEqual({
+      id: 1,
+      name: "Margarita",
+      instructions: "Schütteln.",
+      language: "de",
+      languages: ["en", "de", "it"],
+    });
+    expect(recipe.instructions).toEqual("Shake.");
+  });
+
+  test("works: english", function () {
+    expect(translateRecipe(recipe, {}, "de")).toEqual({
+      ...recipe, language: "en", languages: ["en"],
+    });
+  });
+});
@@ -0,0 +1,63 @@
+"use strict";
+
+/** Pluggable outgoing mail.
+ *
+ * A transport is any object with an async send(message) method, where
+ * message is { from, to, subject, text }. The transport is picked from
+ * MAILER_TRANSPORT in config, and can be swapped with setTransport (e.g. for
+ * a real mail service, or to capture mail in tests).
+ */
+
+const fs = require("fs");
+const { MAILER_TRANSPORT, MAILER_FILE, MAIL_FROM } = require("../config");
+
+
+/** Transport that logs each message to the console. */
+
+function consoleTransport() {
+    return {
+        async send(message) {
+            console.log("Mail:", JSON.stringify(message, null, 2));
+        },
+    };
+}
+
+
+/** Transport that appends each message, as a line of JSON, to a file. */
+
+function fileTransport(filePath) {
+    return {
+        async send(message) {
+            await fs.promises.appendFile(filePath, JSON.stringify(message) + "\n");
+        },
+    };
+}
+
+
+let transport = MAILER_TRANSPORT === "file"
+    ? fileTransport(MAILER_FILE)
+    : consoleTransport();
+
+
+/** Replace the transport used by sendMail; returns the previous one. */
+
+function setTransport(newTransport) {
+    const previous = transport;
+    transport = newTransport;
+    return previous;
+}
+
+
+/** Send a message { to, subject, text } through the current transport. */
+
+async function sendMail({ to, subject, text }) {
+    await transport.send({ from: MAIL_FROM, to, subject, text });
+}
+
+
+module.exports = {
+    consoleTransport,
+    fileTransport,
+    setTransport,
+    sendMail,
+};
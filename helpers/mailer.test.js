@@ -0,0 +1,31 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { fileTransport, setTransport, sendMail } = require("./mailer");
+
+describe("fileTransport", function () {
+  test("works", async function () {
+    const filePath = path.join(os.tmpdir(), `mailer-test-${process.pid}.log`);
+    const transport = fileTransport(filePath);
+    await transport.send({ to: "a@a.com", subject: "S1", text: "T1" });
+    await transport.send({ to: "b@b.com", subject: "S2", text: "T2" });
+    const lines = fs.readFileSync(filePath, "utf8").trim().split("\n");
+    fs.unlinkSync(filePath);
+    expect(lines.map(l => JSON.parse(l))).toEqual([
+      { to: "a@a.com", subject: "S1", text: "T1" },
+      { to: "b@b.com", subject: "S2", text: "T2" },
+    ]);
+  });
+});
+
+describe("sendMail", function () {
+  test("works: uses current transport", async function () {
+    const sent = [];
+    const previous = setTransport({ async send(message) { sent.push(message); } });
+    await sendMail({ to: "a@a.com", subject: "S1", text: "T1" });
+    setTransport(previous);
+    expect(sent).toEqual([
+      { from: expect.any(String), to: "a@a.com", subject: "S1", text: "T1" },
+    ]);
+  });
+});
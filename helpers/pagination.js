@@ -0,0 +1,192 @@
+const { BadRequestError } = require("../expressError");
+
+/** Helpers for paginating and sorting list queries.
+ *
+ * Pages can be picked by offset or by cursor. A cursor points just past the
+ * last row (or just before the first row) of a page, by that row's value in
+ * the sort column and its id, so paging by cursor stays consistent when rows
+ * are added or removed in between requests.
+ */
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+// offsets past this are rejected, as they'd overflow the database's integers
+const MAX_OFFSET = 999999999;
+// the largest id the database's integers can hold
+const MAX_ID = 2147483647;
+
+
+/** Turn the paging params of a request into the page to fetch.
+ *
+ * @param params {Object} { limit, offset, cursor, sort } (all optional)
+ * @param sortColumns {Object} maps allowed sort keys to database columns,
+ *   like { name: "name", id: "id" }; the result rows must have a field named
+ *   like each key
+ * @param defaultSort {String} sort key to use when none is given; prefix any
+ *   sort key with "-" to sort in descending order
+ *
+ * @returns {Object} { limit, offset, sort, sortKey, column, descending, cursor }
+ *
+ * Throws BadRequestError on an unknown sort, an invalid cursor, an offset
+ * over MAX_OFFSET, or both a cursor and an offset.
+ */
+
+function parsePageParams({ limit, offset, cursor, sort } = {}, sortColumns, defaultSort = "name") {
+    sort = sort || defaultSort;
+    const sortKey = sort.replace(/^-/, "");
+    const column = sortColumns[sortKey];
+    if (!column) throw new BadRequestError(`Invalid sort: ${sort}`);
+
+    if (cursor !== undefined && offset !== undefined) {
+        throw new BadRequestError("Use either cursor or offset, not both");
+    }
+
+    const page = {
+        limit: Math.min(limit === undefined ? DEFAULT_PAGE_SIZE : +limit, MAX_PAGE_SIZE),
+        offset: offset === undefined ? 0 : +offset,
+        sort,
+        sortKey,
+        column,
+        descending: sort.startsWith("-"),
+        cursor: cursor === undefined ? null : decodeCursor(cursor),
+    };
+
+    if (!(page.offset <= MAX_OFFSET)) {
+        throw new BadRequestError(`Invalid offset: ${offset}`);
+    }
+
+    if (page.cursor && page.cursor.sort !== sort) {
+        throw new BadRequestError("Cursor does not match sort");
+    }
+
+    // the id column holds integers; the others text (or null)
+    if (page.cursor && !(column === "id"
+                         ? isId(page.cursor.value)
+                         : typeof page.cursor.value === "string" || page.cursor.value === null)) {
+        throw new BadRequestError("Invalid cursor");
+    }
+
+    return page;
+}
+
+
+/** Make the SQL for fetching a page.
+ *
+ * Pushes the values it uses onto queryValues (after any already there), and
+ * returns { whereExpression, orderSql }: whereExpression (null if paging by
+ * offset) should be ANDed with the other filters, and orderSql appended to
+ * the query.
+ *
+ * One row more than the limit is fetched, to tell if there are more rows.
+ */
+
+function paginationSql(page, queryValues) {
+    const { column, descending, cursor, limit, offset } = page;
+    const backwards = cursor !== null && cursor.direction === "prev";
+    const ascending = descending === backwards;
+    const dir = ascending ? "ASC" : "DESC";
+
+    let whereExpression = null;
+
+    if (cursor) {
+        queryValues.push(cursor.value, cursor.id);
+        whereExpression = `(${column}, id) ${ascending ? ">" : "<"} `
+            + `($${queryValues.length - 1}, $${queryValues.length})`;
+    }
+
+    queryValues.push(limit + 1);
+    let orderSql = ` ORDER BY ${column} ${dir}, id ${dir} LIMIT $${queryValues.length}`;
+
+    if (!cursor && offset) {
+        queryValues.push(offset);
+        orderSql += ` OFFSET $${queryValues.length}`;
+    }
+
+    return { whereExpression, orderSql };
+}
+
+
+/** Given the rows fetched with paginationSql, return the page.
+ *
+ * @returns {Object} { rows, nextCursor, prevCursor }
+ *   where the cursors are null if there is no next/previous page
+ */
+
+function pageResult(rows, page) {
+    const backwards = page.cursor !== null && page.cursor.direction === "prev";
+    const hasMore = rows.length > page.limit;
+
+    rows = rows.slice(0, page.limit);
+    if (backwards) rows.reverse();
+
+    // paging backwards, there's always the page we came from after this one
+    const hasNext = backwards || hasMore;
+    const hasPrev = backwards ? hasMore : (page.cursor !== null || page.offset > 0);
+
+    const first = rows[0];
+    const last = rows[rows.length - 1];
+
+    return {
+        rows,
+        nextCursor: hasNext && last ? encodeCursor(page, last, "next") : null,
+        prevCursor: hasPrev && first ? encodeCursor(page, first, "prev") : null,
+    };
+}
+
+
+/** Links to the next and previous pages of a list request.
+ *
+ * @param path {String} path of the request, like "/meals"
+ * @param query {Object} query params of the request
+ * @param pagination {Object} { nextCursor, prevCursor }
+ *
+ * @returns {Object} { next, prev } where each is null if there's no such page
+ */
+
+function paginationLinks(path, query, { nextCursor, prevCursor }) {
+    const linkTo = cursor => {
+        const params = { ...query, cursor };
+        delete params.offset;
+        return `${path}?${new URLSearchParams(params)}`;
+    };
+
+    return {
+        next: nextCursor ? linkTo(nextCursor) : null,
+        prev: prevCursor ? linkTo(prevCursor) : null,
+    };
+}
+
+
+function encodeCursor(page, row, direction) {
+    const cursor = { s: page.sort, v: row[page.sortKey], id: row.id, d: direction };
+    return Buffer.from(JSON.stringify(cursor)).toString("base64url");
+}
+
+
+function decodeCursor(cursor) {
+    try {
+        const { s, v, id, d } = JSON.parse(Buffer.from(cursor, "base64url").toString());
+        if (typeof s !== "string" || v === undefined || !isId(id)
+            || (d !== "next" && d !== "prev")) {
+            throw new Error();
+        }
+        return { sort: s, value: v, id, direction: d };
+    } catch (err) {
+        throw new BadRequestError("Invalid cursor");
+    }
+}
+
+
+function isId(value) {
+    return Number.isInteger(value) && value >= 0 && value <= MAX_ID;
+}
+
+
+module.exports = {
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE,
+    parsePageParams,
+    paginationSql,
+    pageResult,
+    paginationLinks,
+};
@@ -0,0 +1,135 @@
+const {
+  parsePageParams,
+  paginationSql,
+  pageResult,
+  paginationLinks,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+} = require("./pagination");
+const { BadRequestError } = require("../expressError");
+
+const SORT_COLUMNS = { name: "name", id: "id" };
+
+
+describe("parsePageParams", function () {
+  test("works: defaults", function () {
+    const page = parsePageParams({}, SORT_COLUMNS);
+    expect(page).toEqual({
+      limit: DEFAULT_PAGE_SIZE,
+      offset: 0,
+      sort: "name",
+      sortKey: "name",
+      column: "name",
+      descending: false,
+      cursor: null,
+    });
+  });
+
+  test("works: descending, limit capped", function () {
+    const page = parsePageParams({ sort: "-id", limit: "1000", offset: "5" }, SORT_COLUMNS);
+    expect(page).toEqual(expect.objectContaining({
+      limit: MAX_PAGE_SIZE,
+      offset: 5,
+      sortKey: "id",
+      column: "id",
+      descending: true,
+    }));
+  });
+
+  test("bad request on unknown sort", function () {
+    expect(() => parsePageParams({ sort: "nope" }, SORT_COLUMNS))
+        .toThrow(BadRequestError);
+  });
+
+  test("bad request on cursor and offset", function () {
+    const { nextCursor } = pageResult(
+        [{ id: 1, name: "a" }, { id: 2, name: "b" }],
+        parsePageParams({ limit: "1" }, SORT_COLUMNS));
+    expect(() => parsePageParams({ cursor: nextCursor, offset: "1" }, SORT_COLUMNS))
+        .toThrow(BadRequestError);
+  });
+
+  test("bad request on an offset too large", function () {
+    expect(() => parsePageParams({ offset: "99999999999999999999" }, SORT_COLUMNS))
+        .toThrow(BadRequestError);
+  });
+
+  test("bad request on invalid cursor", function () {
+    expect(() => parsePageParams({ cursor: "nope" }, SORT_COLUMNS))
+        .toThrow(BadRequestError);
+  });
+
+  test("bad request on a cursor with the wrong type of value", function () {
+    const cursor = c => Buffer.from(JSON.stringify(c)).toString("base64url");
+    expect(() => parsePageParams(
+        { sort: "id", cursor: cursor({ s: "id", v: "abc", id: 1, d: "next" }) }, SORT_COLUMNS))
+        .toThrow(BadRequestError);
+    expect(() => parsePageParams(
+        { sort: "name", cursor: cursor({ s: "name", v: 7, id: 1, d: "next" }) }, SORT_COLUMNS))
+        .toThrow(BadRequestError);
+  });
+
+  test("bad request on a cursor with an id too large", function () {
+    const cursor = Buffer.from(JSON.stringify({ s: "name", v: "a", id: 99999999999, d: "next" }))
+        .toString("base64url");
+    expect(() => parsePageParams({ cursor }, SORT_COLUMNS))
+        .toThrow(BadRequestError);
+  });
+});
+
+
+describe("paginationSql", function () {
+  test("works: offset", function () {
+    const values = ["x"];
+    const page = parsePageParams({ limit: "10", offset: "20" }, SORT_COLUMNS);
+    expect(paginationSql(page, values)).toEqual({
+      whereExpression: null,
+      orderSql: " ORDER BY name ASC, id ASC LIMIT $2 OFFSET $3",
+    });
+    expect(values).toEqual(["x", 11, 20]);
+  });
+
+  test("works: cursor", function () {
+    const first = parsePageParams({ sort: "-name", limit: "1" }, SORT_COLUMNS);
+    const { nextCursor } = pageResult([{ id: 7, name: "g" }, { id: 6, name: "f" }], first);
+    const values = [];
+    const page = parsePageParams({ sort: "-name", limit: "1", cursor: nextCursor }, SORT_COLUMNS);
+    expect(paginationSql(page, values)).toEqual({
+      whereExpression: "(name, id) < ($1, $2)",
+      orderSql: " ORDER BY name DESC, id DESC LIMIT $3",
+    });
+    expect(values).toEqual(["g", 7, 2]);
+  });
+});
+
+
+describe("pageResult", function () {
+  test("works: last page", function () {
+    const page = parsePageParams({ limit: "2" }, SORT_COLUMNS);
+    expect(pageResult([{ id: 1, name: "a" }], page)).toEqual({
+      rows: [{ id: 1, name: "a" }],
+      nextCursor: null,
+      prevCursor: null,
+    });
+  });
+
+  test("works: more rows", function () {
+    const page = parsePageParams({ limit: "1" }, SORT_COLUMNS);
+    const result = pageResult([{ id: 1, name: "a" }, { id: 2, name: "b" }], page);
+    expect(result.rows).toEqual([{ id: 1, name: "a" }]);
+    expect(result.nextCursor).toEqual(expect.any(String));
+    expect(result.prevCursor).toEqual(null);
+  });
+});
+
+
+describe("paginationLinks", function () {
+  test("works", function () {
+    const links = paginationLinks(
+        "/meals", { name: "M", offset: "2" }, { nextCursor: "abc", prevCursor: null });
+    expect(links).toEqual({
+      next: "/meals?name=M&cursor=abc",
+      prev: null,
+    });
+  });
+});
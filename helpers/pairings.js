@@ -0,0 +1,171 @@
+/** Helpers for pairing meals with drinks.
+ *
+ * A meal and a drink are scored on how well they go together: the drink
+ * has something typical of the meal's area (tequila for Mexican food), suits
+ * the meal's category (coffee with dessert, red wine with beef), or shares
+ * ingredients with it (lime, mint). Users who favorite both add to the
+ * score, so as favorites build up they count for more than the guesses.
+ */
+
+const { ingredientName } = require("./ingredients");
+
+// drink ingredients typical of the food of an area
+const AREA_INGREDIENTS = {
+    American: ["bourbon", "rye whiskey", "beer"],
+    British: ["gin", "pimm", "cider"],
+    Canadian: ["whisky", "maple syrup"],
+    Chinese: ["lychee", "ginger", "green tea"],
+    Croatian: ["red wine", "white wine"],
+    Dutch: ["advocaat", "beer"],
+    Egyptian: ["mint", "hibiscus"],
+    Filipino: ["mango", "coconut"],
+    French: ["cognac", "champagne", "calvados", "grand marnier", "red wine", "white wine"],
+    Greek: ["ouzo", "white wine"],
+    Indian: ["mango", "ginger", "cardamom", "yoghurt"],
+    Irish: ["irish whiskey", "irish cream", "guinness"],
+    Italian: ["campari", "aperol", "prosecco", "amaretto", "limoncello", "sweet vermouth", "red wine"],
+    Jamaican: ["rum", "ginger beer", "pineapple"],
+    Japanese: ["sake", "whisky", "green tea"],
+    Kenyan: ["tea", "ginger"],
+    Malaysian: ["coconut", "pineapple", "lemongrass"],
+    Mexican: ["tequila", "mezcal", "lime"],
+    Moroccan: ["mint", "orange flower water"],
+    Polish: ["vodka"],
+    Portuguese: ["port", "white wine"],
+    Russian: ["vodka"],
+    Spanish: ["sherry", "red wine", "brandy"],
+    Thai: ["coconut", "lemongrass", "lime"],
+    Tunisian: ["mint"],
+    Turkish: ["mint", "ouzo"],
+    Ukrainian: ["vodka"],
+    Vietnamese: ["coffee", "lime", "lemongrass"],
+};
+
+// drink categories and ingredients that suit a category of meal
+const CATEGORY_PAIRINGS = {
+    Beef: { categories: [], ingredients: ["red wine", "bourbon", "whiskey", "scotch", "port"] },
+    Breakfast: {
+        categories: ["Coffee / Tea", "Shake"],
+        ingredients: ["orange juice", "champagne", "tomato juice"],
+    },
+    Chicken: { categories: ["Beer"], ingredients: ["white wine", "beer", "gin"] },
+    Dessert: {
+        categories: ["Coffee / Tea", "Cocoa", "Shake", "Homemade Liqueur"],
+        ingredients: ["amaretto", "kahlua", "coffee", "irish cream", "port"],
+    },
+    Goat: { categories: [], ingredients: ["red wine", "rum"] },
+    Lamb: { categories: [], ingredients: ["red wine", "port"] },
+    Pasta: { categories: [], ingredients: ["red wine", "campari", "prosecco"] },
+    Pork: { categories: ["Beer"], ingredients: ["bourbon", "cider", "apple", "beer"] },
+    Seafood: { categories: [], ingredients: ["white wine", "champagne", "gin", "vodka", "lemon"] },
+    Side: { categories: ["Soft Drink"], ingredients: [] },
+    Starter: { categories: ["Cocktail"], ingredients: ["champagne", "prosecco", "dry vermouth"] },
+    Vegan: { categories: ["Soft Drink"], ingredients: ["lime", "lemon", "mint"] },
+    Vegetarian: { categories: ["Soft Drink"], ingredients: ["lime", "lemon", "mint"] },
+};
+
+// ingredients in so many recipes that sharing them means nothing
+const COMMON_INGREDIENTS = new Set(["water", "ice", "salt", "sugar"]);
+
+const AREA_WEIGHT = 3;
+const CATEGORY_WEIGHT = 2;
+const SHARED_INGREDIENT_WEIGHT = 1;
+// shared ingredients beyond this many don't add to the score
+const MAX_SHARED_INGREDIENTS = 3;
+// points for each user who favorited both
+const CO_FAVORITE_WEIGHT = 1;
+
+// a pattern matching each keyword above as a whole word, made once rather
+// than for every drink scored
+const KEYWORD_PATTERNS = new Map(
+    [
+        ...Object.values(AREA_INGREDIENTS).flat(),
+        ...Object.values(CATEGORY_PAIRINGS).flatMap(suits => suits.ingredients),
+    ].map(keyword => [keyword, new RegExp(`\\b${keyword}\\b`)]));
+
+
+/** A recipe with the names of its ingredients (see ingredientName), as
+ *  ingredientNames, so scoring it against many others parses them once.
+ *
+ * @example { ingredients: ["2 Limes", "1 Lime"] }
+ *   => { ingredients: ["2 Limes", "1 Lime"], ingredientNames: ["lime"] }
+ */
+
+function withIngredientNames(recipe) {
+    return { ...recipe, ingredientNames: [...new Set(recipe.ingredients.map(ingredientName))] };
+}
+
+
+/** Score how well a meal and a drink go together.
+ *
+ * meal is { category, area, ingredients } and drink is { category,
+ * ingredients }, with ingredients as display strings (and ingredientNames,
+ * if worked out already; see withIngredientNames); coFavorites is how many
+ * users favorited both.
+ *
+ * Returns { score, reasons }
+ *   where reasons say why they go together, like "Has tequila, for Mexican
+ *   food" (score is 0 and reasons are empty if they don't).
+ *
+ * @example ({ category: "Beef", area: "Mexican", ingredients: ["2 Limes"] },
+ *           { category: "Ordinary Drink", ingredients: ["2 oz Tequila", "1 oz Lime juice"] })
+ *   => { score: 3, reasons: ["Has tequila, for Mexican food"] }
+ */
+
+function pairingScore(meal, drink, coFavorites = 0) {
+    const drinkIngredients = namesOf(drink);
+    const has = keyword => drinkIngredients.find(name => KEYWORD_PATTERNS.get(keyword).test(name));
+
+    let score = 0;
+    const reasons = [];
+
+    const areaIngredient = (AREA_INGREDIENTS[meal.area] || []).find(has);
+    if (areaIngredient) {
+        score += AREA_WEIGHT;
+        reasons.push(`Has ${areaIngredient}, for ${meal.area} food`);
+    }
+
+    const suits = CATEGORY_PAIRINGS[meal.category];
+    if (suits) {
+        const categoryIngredient = suits.ingredients.find(has);
+        if (suits.categories.includes(drink.category)) {
+            score += CATEGORY_WEIGHT;
+            reasons.push(`A ${drink.category} drink, for ${meal.category.toLowerCase()}`);
+        } else if (categoryIngredient) {
+            score += CATEGORY_WEIGHT;
+            reasons.push(`Has ${categoryIngredient}, for ${meal.category.toLowerCase()}`);
+        }
+    }
+
+    const mealIngredients = new Set(namesOf(meal));
+    const shared = drinkIngredients
+        .filter(name => mealIngredients.has(name) && !COMMON_INGREDIENTS.has(name));
+    if (shared.length) {
+        score += SHARED_INGREDIENT_WEIGHT * Math.min(shared.length, MAX_SHARED_INGREDIENTS);
+        reasons.push(`Shares ${shared.join(", ")}`);
+    }
+
+    if (coFavorites) {
+        score += CO_FAVORITE_WEIGHT * coFavorites;
+        reasons.push(coFavorites === 1
+            ? "Favorited together by 1 user"
+            : `Favorited together by ${coFavorites} users`);
+    }
+
+    return { score, reasons };
+}
+
+
+/** The names of a recipe's ingredients, each once. */
+
+function namesOf(recipe) {
+    return recipe.ingredientNames || withIngredientNames(recipe).ingredientNames;
+}
+
+
+module.exports = {
+    COMMON_INGREDIENTS,
+    namesOf,
+    pairingScore,
+    withIngredientNames,
+};
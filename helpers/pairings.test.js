@@ -0,0 +1,74 @@
+const { pairingScore, withIngredientNames } = require("./pairings");
+
+
+describe("pairingScore", function () {
+  test("works: area", function () {
+    expect(pairingScore(
+        { category: "Beef", area: "Mexican", ingredients: ["2 Limes"] },
+        { category: "Ordinary Drink", ingredients: ["2 oz Tequila", "1 oz Lime juice"] },
+    )).toEqual({ score: 3, reasons: ["Has tequila, for Mexican food"] });
+  });
+
+  test("works: category", function () {
+    expect(pairingScore(
+        { category: "Dessert", area: "Unknown", ingredients: ["Flour"] },
+        { category: "Coffee / Tea", ingredients: ["Coffee"] },
+    )).toEqual({ score: 2, reasons: ["A Coffee / Tea drink, for dessert"] });
+
+    expect(pairingScore(
+        { category: "Beef", area: "Unknown", ingredients: ["Beef"] },
+        { category: "Punch / Party Drink", ingredients: ["1 bottle Red wine", "Orange"] },
+    )).toEqual({ score: 2, reasons: ["Has red wine, for beef"] });
+  });
+
+  test("works: shared ingredients", function () {
+    expect(pairingScore(
+        { category: "Other", area: "Unknown", ingredients: ["Mint", "2 Limes", "Sugar", "Ginger", "Basil"] },
+        { category: "Cocktail", ingredients: ["Mint", "1 Lime", "Sugar", "Ginger", "Basil leaves"] },
+    )).toEqual({ score: 3, reasons: ["Shares mint, lime, ginger"] });
+  });
+
+  test("works: co-favorites", function () {
+    expect(pairingScore(
+        { category: "Other", area: "Unknown", ingredients: ["Flour"] },
+        { category: "Cocktail", ingredients: ["Gin"] },
+        5,
+    )).toEqual({ score: 5, reasons: ["Favorited together by 5 users"] });
+  });
+
+  test("works: all together", function () {
+    expect(pairingScore(
+        { category: "Seafood", area: "Mexican", ingredients: ["Prawns", "Lime"] },
+        { category: "Cocktail", ingredients: ["Tequila", "Lime"] },
+        1,
+    )).toEqual({
+      score: 5,
+      reasons: ["Has tequila, for Mexican food", "Shares lime", "Favorited together by 1 user"],
+    });
+  });
+
+  test("works: only whole words", function () {
+    expect(pairingScore(
+        { category: "Chicken", area: "British", ingredients: ["Chicken"] },
+        { category: "Soft Drink", ingredients: ["Ginger ale"] },
+    )).toEqual({ score: 0, reasons: [] });
+  });
+
+  test("works: with ingredient names worked out already", function () {
+    expect(pairingScore(
+        withIngredientNames({ category: "Seafood", area: "Mexican", ingredients: ["Prawns", "Lime"] }),
+        withIngredientNames({ category: "Cocktail", ingredients: ["Tequila", "Lime"] }),
+    )).toEqual({ score: 4, reasons: ["Has tequila, for Mexican food", "Shares lime"] });
+  });
+});
+
+
+describe("withIngredientNames", function () {
+  test("works", function () {
+    expect(withIngredientNames({ name: "Mojito", ingredients: ["2 Limes", "Mint", "1 Lime"] })).toEqual({
+      name: "Mojito",
+      ingredients: ["2 Limes", "Mint", "1 Lime"],
+      ingredientNames: ["lime", "mint"],
+    });
+  });
+});
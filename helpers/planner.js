@@ -0,0 +1,117 @@
+/** Helpers for users' weekly meal plans.
+ *
+ * A plan puts recipes on days (dates like "2026-10-19") in slots: meals of
+ * the day, in order.
+ */
+
+// the slots of a day, in order, with when they're eaten (local time) and
+// for how long, for calendars
+const SLOTS = {
+    breakfast: { time: "08:00", minutes: 30 },
+    lunch: { time: "12:30", minutes: 60 },
+    snack: { time: "15:30", minutes: 30 },
+    dinner: { time: "19:00", minutes: 60 },
+};
+
+const DAYS_IN_WEEK = 7;
+
+// how much less a recipe is wanted in a slot for each time it's already on
+// the plan, and for sharing a category or area with a recipe on the same
+// day or the day before; repeating a recipe is worst
+const REPEAT_PENALTY = 100;
+const NEIGHBOUR_PENALTY = 10;
+
+
+/** Plan recipes for the open slots of some days, with as much variety as
+ *  there can be.
+ *
+ * recipes are the recipes to choose from: [{ id, category, area, ... }, ...]
+ * days are dates, in order, and slots the slots of each day to fill
+ * planned are recipes already on the plan: [{ date, slot, recipe }, ...]
+ *   where recipe is { category, area, ... }; their slots aren't filled, and
+ *   their recipes count towards variety.
+ *
+ * Each slot gets the recipe that's been used least, avoiding categories and
+ * areas eaten that day or the day before, then those eaten least that
+ * week. Ties are broken at random (by random, like Math.random).
+ *
+ * Returns [{ date, slot, recipe }, ...] for each slot filled, in order.
+ *
+ * @example
+ *   planWeek([stew, curry], ["2026-10-19", "2026-10-20"], ["dinner"])
+ *   => [{ date: "2026-10-19", slot: "dinner", recipe: stew },
+ *       { date: "2026-10-20", slot: "dinner", recipe: curry }]
+ */
+
+function planWeek(recipes, days, slots, planned = [], { random = Math.random } = {}) {
+    const plan = [...planned];
+    const added = [];
+    if (recipes.length === 0) return added;
+
+    // a random order to break ties in, so the same favorites don't always
+    // make the same week
+    const order = new Map(shuffle(recipes, random).map((recipe, i) => [recipe, i]));
+
+    days.forEach((date, day) => {
+        for (const slot of slots) {
+            if (plan.some(p => p.date === date && p.slot === slot)) continue;
+
+            const nearby = plan
+                .filter(p => p.date === date || p.date === days[day - 1])
+                .map(p => p.recipe);
+            const week = plan.map(p => p.recipe);
+
+            const penalty = recipe =>
+                REPEAT_PENALTY * week.filter(r => r.id === recipe.id).length
+                + NEIGHBOUR_PENALTY * nearby.filter(r => r.category === recipe.category).length
+                + NEIGHBOUR_PENALTY * nearby.filter(r => recipe.area && r.area === recipe.area).length
+                + week.filter(r => r.category === recipe.category).length
+                + week.filter(r => recipe.area && r.area === recipe.area).length;
+
+            const recipe = [...recipes].sort((a, b) =>
+                penalty(a) - penalty(b) || order.get(a) - order.get(b))[0];
+
+            const entry = { date, slot, recipe };
+            plan.push(entry);
+            added.push(entry);
+        }
+    });
+
+    return added;
+}
+
+
+/** The date some days after another: ("2026-10-30", 3) => "2026-11-02" */
+
+function addDays(date, days) {
+    const [year, month, day] = date.split("-").map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+
+/** The dates of the week starting on a date. */
+
+function weekOf(start) {
+    return Array.from({ length: DAYS_IN_WEEK }, (_, i) => addDays(start, i));
+}
+
+
+/** A copy of items in random order (by random, like Math.random). */
+
+function shuffle(items, random) {
+    const shuffled = [...items];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
+
+
+module.exports = {
+    SLOTS,
+    DAYS_IN_WEEK,
+    planWeek,
+    addDays,
+    weekOf,
+};
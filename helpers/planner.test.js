@@ -0,0 +1,70 @@
+const { planWeek, addDays, weekOf } = require("./planner");
+
+
+describe("planWeek", function () {
+  const stew = { id: 1, category: "Beef", area: "British" };
+  const pie = { id: 2, category: "Beef", area: "British" };
+  const curry = { id: 3, category: "Chicken", area: "Indian" };
+  const pasta = { id: 4, category: "Pasta", area: "Italian" };
+  const days = weekOf("2026-10-19");
+  const first = () => 0;
+
+  test("works: uses each recipe before repeating one", function () {
+    const plan = planWeek([stew, curry, pasta], days, ["dinner"], [], { random: first });
+    const ids = plan.map(p => p.recipe.id);
+    expect(plan.map(p => [p.date, p.slot])).toEqual(days.map(date => [date, "dinner"]));
+    expect(new Set(ids.slice(0, 3)).size).toEqual(3);
+    expect(new Set(ids.slice(3, 6)).size).toEqual(3);
+  });
+
+  test("works: doesn't put the same category on consecutive days", function () {
+    const plan = planWeek([stew, pie, curry, pasta], days.slice(0, 4), ["dinner"], [],
+        { random: first });
+    const categories = plan.map(p => p.recipe.category);
+    for (let i = 1; i < categories.length; i++) {
+      expect(categories[i]).not.toEqual(categories[i - 1]);
+    }
+  });
+
+  test("works: several slots a day", function () {
+    const plan = planWeek([stew, curry, pasta], days.slice(0, 2), ["lunch", "dinner"], [],
+        { random: first });
+    expect(plan.map(p => [p.date, p.slot])).toEqual([
+      ["2026-10-19", "lunch"],
+      ["2026-10-19", "dinner"],
+      ["2026-10-20", "lunch"],
+      ["2026-10-20", "dinner"],
+    ]);
+    expect(plan[0].recipe).not.toBe(plan[1].recipe);
+    expect(plan[2].recipe).not.toBe(plan[1].recipe);
+  });
+
+  test("works: skips planned slots, and counts their recipes", function () {
+    const plan = planWeek([stew, curry], days.slice(0, 2), ["dinner"],
+        [{ date: "2026-10-19", slot: "dinner", recipe: stew }], { random: first });
+    expect(plan).toEqual([{ date: "2026-10-20", slot: "dinner", recipe: curry }]);
+  });
+
+  test("works: no recipes", function () {
+    expect(planWeek([], days, ["dinner"])).toEqual([]);
+  });
+});
+
+
+describe("addDays", function () {
+  test("works", function () {
+    expect(addDays("2026-10-30", 3)).toEqual("2026-11-02");
+    expect(addDays("2026-12-31", 1)).toEqual("2027-01-01");
+    expect(addDays("2026-03-01", -1)).toEqual("2026-02-28");
+  });
+});
+
+
+describe("weekOf", function () {
+  test("works", function () {
+    expect(weekOf("2026-10-29")).toEqual([
+      "2026-10-29", "2026-10-30", "2026-10-31", "2026-11-01",
+      "2026-11-02", "2026-11-03", "2026-11-04",
+    ]);
+  });
+});
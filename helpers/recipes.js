@@ -0,0 +1,51 @@
+"use strict";
+
+/** Finding recipes referred to by type and id: meals and drinks from the
+ *  catalog, or a user's personal recipes, as on event menus, shopping lists
+ *  and meal plans.
+ */
+
+const Meal = require("../models/meal");
+const Drink = require("../models/drink");
+const User = require("../models/user");
+
+// the column pointing at each type of recipe, catalog or personal, in tables
+// that can refer to any of them (like event_items)
+const RECIPE_COLUMNS = {
+    meals: { catalog: "meal_id", personal: "personal_meal_id" },
+    drinks: { catalog: "drink_id", personal: "personal_drink_id" },
+};
+
+
+/** Given a username and { type, id, personal }, return the recipe: the
+ *  catalog meal or drink (type "meals" or "drinks"), or, if personal, the
+ *  user's personal one.
+ *
+ * Returns the recipe, as from Meal.get, Drink.get or User.getPersonalRecipe
+ *
+ * Throws NotFoundError if not found (or, if personal, not the user's).
+ */
+
+async function getRecipe(username, { type, id, personal = false }) {
+    if (personal) return User.getPersonalRecipe(id, username, type);
+    return type === "meals" ? Meal.get(id) : Drink.get(id);
+}
+
+
+/** Given a row with RECIPE_COLUMNS (one of them not null), return the
+ *  recipe it refers to: { type, id, personal }. */
+
+function recipeOfRow(row) {
+    for (const [type, columns] of Object.entries(RECIPE_COLUMNS)) {
+        for (const [kind, column] of Object.entries(columns)) {
+            if (row[column] !== null) return { type, id: row[column], personal: kind === "personal" };
+        }
+    }
+}
+
+
+module.exports = {
+    RECIPE_COLUMNS,
+    getRecipe,
+    recipeOfRow,
+};
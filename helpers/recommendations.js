@@ -0,0 +1,72 @@
+/** Helpers for recommending recipes from a user's favorites.
+ *
+ * A recipe is scored on how like one of the user's favorites it is: it
+ * shares ingredients with it, is in the same category, or (for meals) is
+ * from the same area. Other users who favorited both add to the score, so
+ * as favorites build up, what people actually like together counts for
+ * more than the guesses.
+ */
+
+const { COMMON_INGREDIENTS, namesOf } = require("./pairings");
+
+const SHARED_INGREDIENT_WEIGHT = 1;
+// shared ingredients beyond this many don't add to the score
+const MAX_SHARED_INGREDIENTS = 3;
+const CATEGORY_WEIGHT = 2;
+const AREA_WEIGHT = 1;
+// points for each other user who favorited both
+const CO_FAVORITE_WEIGHT = 2;
+
+
+/** Score how like a favorite recipe another recipe is.
+ *
+ * liked and recipe are { category, area, ingredients } (area only for
+ * meals), with ingredients as display strings (and ingredientNames, if
+ * worked out already; see withIngredientNames); coFavorites is how many
+ * other users favorited both.
+ *
+ * Returns { score, reasons }
+ *   where reasons say how they're alike, like "Also Beef" (score is 0 and
+ *   reasons are empty if they aren't).
+ *
+ * @example ({ category: "Beef", area: "British", ingredients: ["1 lb Beef", "2 Onions"] },
+ *           { category: "Beef", area: "French", ingredients: ["1 lb Beef", "1 cup Red wine"] })
+ *   => { score: 3, reasons: ["Shares beef", "Also Beef"] }
+ */
+
+function similarityScore(liked, recipe, coFavorites = 0) {
+    let score = 0;
+    const reasons = [];
+
+    const likedIngredients = new Set(namesOf(liked));
+    const shared = namesOf(recipe)
+        .filter(name => likedIngredients.has(name) && !COMMON_INGREDIENTS.has(name));
+    if (shared.length) {
+        score += SHARED_INGREDIENT_WEIGHT * Math.min(shared.length, MAX_SHARED_INGREDIENTS);
+        reasons.push(`Shares ${shared.join(", ")}`);
+    }
+
+    if (recipe.category && recipe.category === liked.category) {
+        score += CATEGORY_WEIGHT;
+        reasons.push(`Also ${recipe.category}`);
+    }
+
+    if (recipe.area && recipe.area === liked.area) {
+        score += AREA_WEIGHT;
+        reasons.push(`Also ${recipe.area} food`);
+    }
+
+    if (coFavorites) {
+        score += CO_FAVORITE_WEIGHT * coFavorites;
+        reasons.push(coFavorites === 1
+            ? "Also favorited by 1 user who liked it"
+            : `Also favorited by ${coFavorites} users who liked it`);
+    }
+
+    return { score, reasons };
+}
+
+
+module.exports = {
+    similarityScore,
+};
@@ -0,0 +1,59 @@
+const { withIngredientNames } = require("./pairings");
+const { similarityScore } = require("./recommendations");
+
+
+describe("similarityScore", function () {
+  test("works: shared ingredients", function () {
+    expect(similarityScore(
+        { category: "Beef", ingredients: ["Mint", "2 Limes", "Sugar", "Ginger", "Basil"] },
+        { category: "Pork", ingredients: ["Mint", "1 Lime", "Sugar", "Ginger", "Basil leaves"] },
+    )).toEqual({ score: 3, reasons: ["Shares mint, lime, ginger"] });
+  });
+
+  test("works: at most 3 shared ingredients count", function () {
+    expect(similarityScore(
+        { category: "Beef", ingredients: ["Beef", "Onion", "Carrot", "Celery"] },
+        { category: "Pork", ingredients: ["Beef", "Onion", "Carrot", "Celery"] },
+    ).score).toEqual(3);
+  });
+
+  test("works: category and area", function () {
+    expect(similarityScore(
+        { category: "Beef", area: "British", ingredients: ["1 lb Beef", "2 Onions"] },
+        { category: "Beef", area: "French", ingredients: ["1 lb Beef", "1 cup Red wine"] },
+    )).toEqual({ score: 3, reasons: ["Shares beef", "Also Beef"] });
+
+    expect(similarityScore(
+        { category: "Beef", area: "British", ingredients: ["Beef"] },
+        { category: "Lamb", area: "British", ingredients: ["Lamb"] },
+    )).toEqual({ score: 1, reasons: ["Also British food"] });
+  });
+
+  test("works: co-favorites", function () {
+    expect(similarityScore(
+        { category: "Cocktail", ingredients: ["Gin"] },
+        { category: "Shot", ingredients: ["Rum"] },
+        1,
+    )).toEqual({ score: 2, reasons: ["Also favorited by 1 user who liked it"] });
+
+    expect(similarityScore(
+        { category: "Cocktail", ingredients: ["Gin"] },
+        { category: "Shot", ingredients: ["Rum"] },
+        3,
+    )).toEqual({ score: 6, reasons: ["Also favorited by 3 users who liked it"] });
+  });
+
+  test("works: nothing alike", function () {
+    expect(similarityScore(
+        { category: "Cocktail", ingredients: ["Gin", "Water"] },
+        { category: "Shot", ingredients: ["Rum", "Water"] },
+    )).toEqual({ score: 0, reasons: [] });
+  });
+
+  test("works: with ingredient names worked out already", function () {
+    expect(similarityScore(
+        withIngredientNames({ category: "Beef", area: "British", ingredients: ["1 lb Beef", "2 Onions"] }),
+        withIngredientNames({ category: "Beef", area: "French", ingredients: ["1 lb Beef", "1 cup Red wine"] }),
+    )).toEqual({ score: 3, reasons: ["Shares beef", "Also Beef"] });
+  });
+});
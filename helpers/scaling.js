@@ -0,0 +1,218 @@
+/** Helpers for scaling recipes to a number of servings.
+ *
+ * Quantities are scaled from the structured ingredients (see
+ * helpers/ingredients.js), and written back into the display strings as
+ * cooks would write them: "1 1/2 cups", not "1.5 cups".
+ */
+
+const { splitMeasure } = require("./ingredients");
+
+// servings a recipe makes when none is given
+const DEFAULT_SERVINGS = { meals: 4, drinks: 1 };
+
+// fractions quantities are rounded to, when close enough
+const FRACTIONS = [
+    [0, 1], [1, 8], [1, 4], [1, 3], [3, 8], [1, 2],
+    [5, 8], [2, 3], [3, 4], [7, 8], [1, 1],
+];
+
+// a scaled quantity is shown as a fraction if it's this close to one
+const FRACTION_TOLERANCE = 1 / 48;
+
+// steps between units, to keep scaled quantities readable:
+// [ smaller unit, larger unit, smaller units in a larger one,
+//   least quantity of the larger unit worth switching to ]
+const UNIT_STEPS = [
+    ["tsp", "tbsp", 3, 1],
+    ["tbsp", "cup", 16, 1 / 4],
+    ["g", "kg", 1000, 1],
+    ["ml", "l", 1000, 1],
+];
+
+// units written with decimals rather than fractions
+const METRIC_UNITS = new Set(["g", "kg", "ml", "l", "cl", "dl"]);
+
+// unit words that are written the same for any quantity
+const ABBREVIATIONS = new Set([
+    "tsp", "tbsp", "tbs", "tblsp", "tbls", "oz", "lb", "lbs", "kg", "ml", "gr",
+]);
+
+
+/** Write a quantity (of unit, if given) the way a recipe would.
+ *
+ * Quantities close to a common fraction are written as one (or as a whole
+ * number and one); others with up to two decimals. Metric quantities are
+ * always written with decimals, and rounded to whole numbers from 10 up;
+ * other quantities from 100 up.
+ *
+ * @example 1.5 => "1 1/2"
+ * @example 0.333 => "1/3"
+ * @example 0.3 => "0.3"
+ * @example (1.5, "kg") => "1.5"
+ */
+
+function formatQuantity(quantity, unit = null) {
+    if (quantity >= 100 || (METRIC_UNITS.has(unit) && quantity >= 10)) {
+        return String(Math.round(quantity));
+    }
+    if (METRIC_UNITS.has(unit)) return decimal(quantity);
+
+    const whole = Math.floor(quantity);
+    const [numerator, denominator] = FRACTIONS.reduce((best, fraction) =>
+        Math.abs(quantity - whole - fraction[0] / fraction[1])
+            < Math.abs(quantity - whole - best[0] / best[1]) ? fraction : best);
+
+    const off = Math.abs(quantity - whole - numerator / denominator);
+    if (off > FRACTION_TOLERANCE || (whole === 0 && numerator === 0)) return decimal(quantity);
+
+    if (numerator === denominator) return String(whole + 1);
+    if (numerator === 0) return String(whole);
+    return whole ? `${whole} ${numerator}/${denominator}` : `${numerator}/${denominator}`;
+}
+
+
+/** Scale a structured ingredient by factor.
+ *
+ * Scales quantity and quantityMax and writes them into display, as for
+ * changeQuantity. Ingredients without a quantity, like "Salt to taste", are
+ * left as they are.
+ *
+ * Returns { display, quantity, quantityMax, unit, name, note }
+ */
+
+function scaleIngredient(ingredient, factor) {
+    if (ingredient.quantity === null || factor === 1) return { ...ingredient };
+
+    return changeQuantity(ingredient, {
+        quantity: ingredient.quantity * factor,
+        quantityMax: ingredient.quantityMax === null ? null : ingredient.quantityMax * factor,
+        unit: ingredient.unit,
+    });
+}
+
+
+/** Give a structured ingredient a new quantity (and unit), and write it into
+ *  its display.
+ *
+ * Moves to a larger or smaller unit when that reads better (6 tsp => 2
+ * tbsp, 1500 g => 1.5 kg). The unit is only changed if the ingredient's unit
+ * is the one written in its display; if the display has no quantity, only
+ * the structured quantity changes.
+ *
+ * Returns { display, quantity, quantityMax, unit, name, note }
+ */
+
+function changeQuantity(ingredient, { quantity, quantityMax, unit }) {
+    const written = splitMeasure(ingredient.display);
+    const canChangeUnit = written.quantityText !== null && written.unit === ingredient.unit;
+    if (!canChangeUnit) unit = ingredient.unit;
+
+    let changed = canChangeUnit;
+    while (changed) {
+        changed = false;
+        for (const [smaller, larger, ratio, least] of UNIT_STEPS) {
+            let by = null;
+            if (unit === smaller && quantity / ratio >= least) {
+                by = 1 / ratio;
+                unit = larger;
+            } else if (unit === larger && quantity < least) {
+                by = ratio;
+                unit = smaller;
+            }
+            if (by !== null) {
+                quantity *= by;
+                if (quantityMax !== null) quantityMax *= by;
+                changed = true;
+            }
+        }
+    }
+
+    const changedIngredient = {
+        ...ingredient,
+        quantity: round(quantity),
+        quantityMax: quantityMax === null ? null : round(quantityMax),
+        unit,
+    };
+
+    if (written.quantityText === null) return changedIngredient;
+
+    const quantityText = quantityMax === null
+        ? formatQuantity(quantity, unit)
+        : `${formatQuantity(quantity, unit)}-${formatQuantity(quantityMax, unit)}`;
+
+    if (unit !== ingredient.unit) {
+        const unitText = unit === "cup" && quantity > 1 ? "cups" : unit;
+        changedIngredient.display = [written.note, quantityText, unitText, written.rest]
+            .filter(p => p).join(" ");
+    } else {
+        changedIngredient.display = ingredient.display.replace(written.quantityText, quantityText);
+        if (written.unitText) {
+            const unitText = pluralUnit(written.unitText, (quantityMax || quantity) > 1);
+            changedIngredient.display = changedIngredient.display.replace(
+                new RegExp(`(${escapeRegExp(quantityText)}\\s*)${escapeRegExp(written.unitText)}`),
+                `$1${unitText}`);
+        }
+    }
+
+    return changedIngredient;
+}
+
+
+/** Scale a recipe (with structuredIngredients) to a number of servings.
+ *
+ * Returns the recipe with servings, ingredients and structuredIngredients
+ * scaled; the recipe passed in is left unchanged.
+ */
+
+function scaleRecipe(recipe, servings) {
+    const factor = servings / recipe.servings;
+    const structuredIngredients = recipe.structuredIngredients
+        .map(ingredient => scaleIngredient(ingredient, factor));
+
+    return {
+        ...recipe,
+        servings,
+        ingredients: structuredIngredients.map(i => i.display),
+        structuredIngredients,
+    };
+}
+
+
+/** The unit word as written, made singular or plural: ("cup", true) => "cups" */
+
+function pluralUnit(word, plural) {
+    if (word.length < 3 || ABBREVIATIONS.has(word.toLowerCase()) || /\W/.test(word)) {
+        return word;
+    }
+
+    const singular = word.replace(/(ch|sh|x|ss)es$/i, "$1").replace(/([^s])s$/i, "$1");
+    if (!plural) return singular;
+    return /(ch|sh|x|ss)$/i.test(singular) ? `${singular}es` : `${singular}s`;
+}
+
+
+/** A quantity with up to two decimals (or two significant digits, if less
+ *  than one). */
+
+function decimal(quantity) {
+    return String(quantity < 1 ? +quantity.toPrecision(2) : +quantity.toFixed(2));
+}
+
+
+function round(quantity) {
+    return Math.round(quantity * 10000) / 10000;
+}
+
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+
+module.exports = {
+    DEFAULT_SERVINGS,
+    formatQuantity,
+    scaleIngredient,
+    changeQuantity,
+    scaleRecipe,
+};
@@ -0,0 +1,97 @@
+const { formatQuantity, scaleIngredient, scaleRecipe } = require("./scaling");
+const { parseIngredient } = require("./ingredients");
+
+
+describe("formatQuantity", function () {
+  test("works: fractions", function () {
+    expect(formatQuantity(1.5)).toEqual("1 1/2");
+    expect(formatQuantity(0.75)).toEqual("3/4");
+    expect(formatQuantity(1 / 3)).toEqual("1/3");
+    expect(formatQuantity(2.6666)).toEqual("2 2/3");
+    expect(formatQuantity(0.99)).toEqual("1");
+    expect(formatQuantity(3)).toEqual("3");
+  });
+
+  test("works: decimals", function () {
+    expect(formatQuantity(0.3)).toEqual("0.3");
+    expect(formatQuantity(1.45)).toEqual("1.45");
+    expect(formatQuantity(0.01)).toEqual("0.01");
+    expect(formatQuantity(150.4)).toEqual("150");
+  });
+
+  test("works: metric units", function () {
+    expect(formatQuantity(1.5, "kg")).toEqual("1.5");
+    expect(formatQuantity(12.5, "g")).toEqual("13");
+    expect(formatQuantity(12.5, "cup")).toEqual("12 1/2");
+  });
+});
+
+
+describe("scaleIngredient", function () {
+  const scale = (display, factor) => scaleIngredient(parseIngredient(display), factor);
+
+  test("works", function () {
+    expect(scale("3/4 cup soy sauce", 2)).toEqual({
+      display: "1 1/2 cups soy sauce",
+      quantity: 1.5,
+      quantityMax: null,
+      unit: "cup",
+      name: "soy sauce",
+      note: null,
+    });
+    expect(scale("1 1/2 cups Rice", 2 / 3).display).toEqual("1 cup Rice");
+    expect(scale("1 pinch Salt", 3).display).toEqual("3 pinches Salt");
+    expect(scale("1 1/2 oz Tequila", 3).display).toEqual("4 1/2 oz Tequila");
+    expect(scale("2 Eggs", 1.5).display).toEqual("3 Eggs");
+  });
+
+  test("works: ranges", function () {
+    expect(scale("1-2 cloves Garlic, minced", 2)).toEqual({
+      display: "2-4 cloves Garlic, minced",
+      quantity: 2,
+      quantityMax: 4,
+      unit: "clove",
+      name: "garlic",
+      note: "minced",
+    });
+  });
+
+  test("works: changes to a more readable unit", function () {
+    expect(scale("2 tsp Salt", 1.5)).toEqual(expect.objectContaining(
+        { display: "1 tbsp Salt", quantity: 1, unit: "tbsp" }));
+    expect(scale("2 tbsp Butter", 2).display).toEqual("1/4 cup Butter");
+    expect(scale("1 cup Sugar", 1 / 8).display).toEqual("2 tbsp Sugar");
+    expect(scale("400g Chicken", 4).display).toEqual("1.6 kg Chicken");
+    expect(scale("400g Chicken", 1 / 2).display).toEqual("200g Chicken");
+  });
+
+  test("works: no quantity", function () {
+    expect(scale("Salt to taste", 3)).toEqual(parseIngredient("Salt to taste"));
+    expect(scale("7up", 3)).toEqual(parseIngredient("7up"));
+  });
+});
+
+
+describe("scaleRecipe", function () {
+  test("works", function () {
+    const recipe = {
+      id: 1,
+      name: "Rice",
+      ingredients: ["1 cup Rice", "to taste Salt"],
+      servings: 4,
+      structuredIngredients: [parseIngredient("1 cup Rice"), parseIngredient("to taste Salt")],
+    };
+    const scaled = scaleRecipe(recipe, 2);
+    expect(scaled).toEqual({
+      id: 1,
+      name: "Rice",
+      ingredients: ["1/2 cup Rice", "to taste Salt"],
+      servings: 2,
+      structuredIngredients: [
+        expect.objectContaining({ display: "1/2 cup Rice", quantity: 0.5, unit: "cup" }),
+        parseIngredient("to taste Salt"),
+      ],
+    });
+    expect(recipe.servings).toEqual(4);
+  });
+});
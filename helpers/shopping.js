@@ -0,0 +1,233 @@
+/** Helpers for making shopping lists from recipes.
+ *
+ * Ingredients are combined from the structured ingredients of the recipes
+ * (see helpers/ingredients.js), so "2 cups Rice" in one recipe and "4 tbsp
+ * rice" in another are bought as "2 1/4 cup rice". Items are sorted into
+ * the aisles of a shop, in the order they're usually walked.
+ */
+
+const { formatQuantity } = require("./scaling");
+const { unitMeasure, roundConverted } = require("./units");
+
+// aisles, in order, and words in the names of ingredients found in them
+const AISLES = [
+    ["Produce", [
+        "onion", "spring onion", "shallot", "leek", "garlic", "ginger", "tomato", "potato",
+        "sweet potato", "carrot", "celery", "cucumber", "lettuce", "spinach", "cabbage",
+        "broccoli", "cauliflower", "courgette", "zucchini", "aubergine", "eggplant", "mushroom",
+        "avocado", "chilli", "chili", "green pepper", "red pepper", "yellow pepper", "bell pepper",
+        "parsley", "coriander", "cilantro", "basil", "mint", "thyme", "rosemary", "dill",
+        "lemon", "lime", "orange", "apple", "banana", "strawberry", "raspberry", "blueberry",
+        "cherry", "pineapple", "mango", "peach", "pear", "grape", "lemon juice", "lime juice",
+        "fruit", "vegetable",
+    ]],
+    ["Bakery", ["bread", "bun", "roll", "tortilla", "pitta", "pita", "baguette", "croissant"]],
+    ["Meat & Seafood", [
+        "beef", "steak", "mince", "chicken", "pork", "bacon", "ham", "sausage", "chorizo",
+        "lamb", "goat", "veal", "turkey", "duck", "fish", "salmon", "tuna", "cod", "haddock",
+        "prawn", "shrimp", "crab", "mussel", "anchovy",
+    ]],
+    ["Dairy & Eggs", [
+        "milk", "cream", "sour cream", "double cream", "butter", "cheese", "cheddar", "parmesan",
+        "mozzarella", "feta", "yogurt", "yoghurt", "creme fraiche", "ghee", "egg",
+    ]],
+    ["Pantry", [
+        "flour", "sugar", "brown sugar", "icing sugar", "rice", "pasta", "spaghetti", "noodle",
+        "egg noodle", "oat", "lentil", "chickpea", "bean", "oil", "olive oil", "vinegar",
+        "wine vinegar", "stock", "chicken stock", "beef stock", "broth", "sauce", "soy sauce",
+        "honey", "syrup", "maple syrup", "jam", "mustard", "ketchup", "mayonnaise",
+        "tomato puree", "tomato paste", "coconut milk", "coconut cream", "peanut butter",
+        "nut", "almond", "peanut", "walnut", "chocolate", "cocoa", "baking powder",
+        "bicarbonate of soda", "yeast", "breadcrumb", "grenadine",
+    ]],
+    ["Spices & Seasonings", [
+        "salt", "pepper", "black pepper", "cumin", "paprika", "cinnamon", "nutmeg", "turmeric",
+        "oregano", "garam masala", "curry powder", "chilli powder", "chili powder", "cayenne",
+        "bay leaf", "clove", "cardamom", "allspice", "saffron", "star anise", "vanilla",
+        "vanilla extract",
+    ]],
+    ["Frozen", ["ice", "crushed ice", "ice cream", "frozen"]],
+    ["Beverages", [
+        "juice", "orange juice", "soda", "club soda", "soda water", "cola", "coca-cola",
+        "lemonade", "tonic", "tonic water", "ginger ale", "ginger beer", "sprite", "7-up",
+        "coffee", "espresso", "tea",
+    ]],
+    ["Alcohol", [
+        "vodka", "gin", "rum", "tequila", "mezcal", "whisky", "whiskey", "bourbon", "scotch",
+        "brandy", "cognac", "wine", "champagne", "prosecco", "beer", "ale", "cider", "vermouth",
+        "liqueur", "schnapps", "triple sec", "cointreau", "kahlua", "amaretto", "sake", "port",
+        "sherry", "absinthe", "campari", "aperol", "irish cream", "advocaat", "bitters",
+        "coffee liqueur",
+    ]],
+];
+
+// ingredients with no aisle of their own
+const OTHER_AISLE = "Other";
+
+// a measure that wasn't read: "Juice of 1 lemon", "A handful Basil" (but
+// not names with numbers in them, like "7-Up")
+const UNREAD_MEASURE = /(^|\s)[\d/.]+(\s|$)|^(a|an|some|few|several|half)\s/i;
+
+
+/** Combine the ingredients of some recipes into a shopping list.
+ *
+ * recipes are [{ name, type, structuredIngredients }, ...]
+ *   where type ("meals" or "drinks") says how to read "oz": as fluid ounces
+ *   in drinks.
+ *
+ * The same ingredient (by name) is combined, adding up quantities: in the
+ * same unit, or in the largest of the units if they measure the same thing
+ * (1 cup and 4 tbsp, 200 g and 1 lb), rounded as for a conversion. For a
+ * range, like "2-3 Eggs", the most is bought. An ingredient with no
+ * quantity, like "Salt, to taste", is listed once.
+ *
+ * Ingredients whose measure couldn't be read, like "Juice of 1 lemon", are
+ * flagged unparsed, and listed as written.
+ *
+ * Returns [{ aisle, display, name, quantity, unit, recipes, unparsed }, ...]
+ *   (by aisle, then in alphabetical order) where display is what to buy,
+ *   like "2 1/4 cup rice", and recipes are the names of the recipes the
+ *   ingredient is for.
+ */
+
+function combineIngredients(recipes) {
+    const items = new Map();
+
+    for (const recipe of recipes) {
+        for (const ingredient of recipe.structuredIngredients) {
+            const quantity = ingredient.quantityMax === null
+                ? ingredient.quantity
+                : ingredient.quantityMax;
+            const unparsed = quantity === null && UNREAD_MEASURE.test(ingredient.display);
+            const measure = unitMeasure(ingredient.unit, { fluidOunces: recipe.type === "drinks" });
+
+            let key;
+            if (unparsed) key = [ingredient.name, "unparsed", ingredient.display];
+            else if (quantity === null) key = [ingredient.name, null];
+            else if (measure) key = [ingredient.name, measure[0]];
+            else key = [ingredient.name, "unit", ingredient.unit];
+            key = JSON.stringify(key);
+
+            const item = items.get(key) || {
+                name: ingredient.name,
+                quantity: null,
+                unit: ingredient.unit,
+                recipes: [],
+                unparsed,
+                written: ingredient.display,
+                // the size of the unit, for units that measure volume or weight
+                size: measure && measure[1],
+                amount: 0,
+                // whether any of it was in another unit
+                converted: false,
+            };
+
+            if (quantity !== null && measure) {
+                item.amount += quantity * measure[1];
+                if (ingredient.unit !== item.unit) item.converted = true;
+                if (measure[1] > item.size) {
+                    item.unit = ingredient.unit;
+                    item.size = measure[1];
+                }
+                item.quantity = item.converted
+                    ? roundConverted(item.amount / item.size, item.unit)
+                    : round(item.amount / item.size);
+            } else if (quantity !== null) {
+                item.quantity = round((item.quantity || 0) + quantity);
+            }
+            if (!item.recipes.includes(recipe.name)) item.recipes.push(recipe.name);
+            items.set(key, item);
+        }
+    }
+
+    const aisleOrder = AISLES.map(([aisle]) => aisle).concat(OTHER_AISLE);
+
+    return [...items.values()]
+        .map(({ name, quantity, unit, recipes, unparsed, written }) => ({
+            aisle: aisleOf(name),
+            display: unparsed ? written : itemDisplay({ name, quantity, unit }),
+            name,
+            quantity,
+            unit: quantity === null ? null : unit,
+            recipes,
+            unparsed,
+        }))
+        .sort((a, b) =>
+            aisleOrder.indexOf(a.aisle) - aisleOrder.indexOf(b.aisle)
+            || a.name.localeCompare(b.name)
+            || a.display.localeCompare(b.display));
+}
+
+
+/** Group shopping list items (from combineIngredients) by aisle.
+ *
+ * Returns [{ aisle, items }, ...] in the order of the items.
+ */
+
+function groupByAisle(items) {
+    const aisles = [];
+
+    for (const item of items) {
+        const last = aisles[aisles.length - 1];
+        if (last && last.aisle === item.aisle) {
+            last.items.push(item);
+        } else {
+            aisles.push({ aisle: item.aisle, items: [item] });
+        }
+    }
+
+    return aisles;
+}
+
+
+/** The aisle of a shop an ingredient (by name) is found in.
+ *
+ * The word that names the ingredient is usually the last, so a match
+ * ending later wins ("chicken stock" is stock, not chicken), and then a
+ * longer one ("coconut milk" isn't milk).
+ *
+ * @example "chicken stock" => "Pantry"
+ * @example "ginger ale" => "Beverages"
+ */
+
+function aisleOf(name) {
+    let best = { aisle: OTHER_AISLE, end: -1, length: 0 };
+
+    for (const [aisle, words] of AISLES) {
+        for (const word of words) {
+            const match = name.match(new RegExp(`\\b${escapeRegExp(word)}\\b`));
+            if (!match) continue;
+            const end = match.index + word.length;
+            if (end > best.end || (end === best.end && word.length > best.length)) {
+                best = { aisle, end, length: word.length };
+            }
+        }
+    }
+
+    return best.aisle;
+}
+
+
+/** What to buy of an item, like "1 1/2 cup rice" or "salt". */
+
+function itemDisplay({ name, quantity, unit }) {
+    if (quantity === null) return name;
+    return [formatQuantity(quantity, unit), unit, name].filter(p => p).join(" ");
+}
+
+
+function round(quantity) {
+    return Math.round(quantity * 10000) / 10000;
+}
+
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+
+module.exports = {
+    combineIngredients,
+    groupByAisle,
+    aisleOf,
+};
@@ -0,0 +1,145 @@
+const { combineIngredients, groupByAisle, aisleOf } = require("./shopping");
+const { parseIngredient } = require("./ingredients");
+
+
+describe("combineIngredients", function () {
+  const recipe = (name, ingredients, type = "meals") =>
+    ({ name, type, structuredIngredients: ingredients.map(parseIngredient) });
+
+  test("works", function () {
+    expect(combineIngredients([
+      recipe("Fried Rice", ["2 cups Rice", "2-3 Eggs", "Salt, to taste"]),
+      recipe("Rice Pudding", ["1/2 cup rice", "1 Egg", "2 cups Milk", "Salt"]),
+    ])).toEqual([
+      {
+        aisle: "Dairy & Eggs",
+        display: "4 egg",
+        name: "egg",
+        quantity: 4,
+        unit: null,
+        recipes: ["Fried Rice", "Rice Pudding"],
+        unparsed: false,
+      },
+      {
+        aisle: "Dairy & Eggs",
+        display: "2 cup milk",
+        name: "milk",
+        quantity: 2,
+        unit: "cup",
+        recipes: ["Rice Pudding"],
+        unparsed: false,
+      },
+      {
+        aisle: "Pantry",
+        display: "2 1/2 cup rice",
+        name: "rice",
+        quantity: 2.5,
+        unit: "cup",
+        recipes: ["Fried Rice", "Rice Pudding"],
+        unparsed: false,
+      },
+      {
+        aisle: "Spices & Seasonings",
+        display: "salt",
+        name: "salt",
+        quantity: null,
+        unit: null,
+        recipes: ["Fried Rice", "Rice Pudding"],
+        unparsed: false,
+      },
+    ]);
+  });
+
+  test("works: compatible units are added up in the largest", function () {
+    expect(combineIngredients([
+      recipe("Soup", ["1 cup Stock", "1 tbsp Butter", "1 lb Beef"]),
+      recipe("Stew", ["4 tbsp Stock", "250 ml stock", "200g Beef"]),
+    ]).map(i => i.display)).toEqual(["1 1/2 lb beef", "1 tbsp butter", "2 1/4 cup stock"]);
+  });
+
+  test("works: incompatible units are listed separately", function () {
+    expect(combineIngredients([
+      recipe("Soup", ["1 tbsp Butter", "2 cloves Garlic"]),
+      recipe("Cake", ["200g Butter", "1 Garlic"]),
+    ]).map(i => i.display)).toEqual(["1 garlic", "2 clove garlic", "1 tbsp butter", "200 g butter"]);
+  });
+
+  test("works: ounces are fluid ounces in drinks", function () {
+    expect(combineIngredients([
+      recipe("Rum Cake", ["4 oz Rum"]),
+      recipe("Daiquiri", ["2 oz Rum"], "drinks"),
+      recipe("Mojito", ["1/4 cup Rum"], "drinks"),
+    ]).map(i => i.display)).toEqual(["1/2 cup rum", "4 oz rum"]);
+  });
+
+  test("works: flags measures that couldn't be read", function () {
+    expect(combineIngredients([
+      recipe("Salad", ["Juice of 1 lemon", "A handful Basil", "Basil"]),
+    ])).toEqual([
+      {
+        aisle: "Produce",
+        display: "A handful Basil",
+        name: "a handful basil",
+        quantity: null,
+        unit: null,
+        recipes: ["Salad"],
+        unparsed: true,
+      },
+      {
+        aisle: "Produce",
+        display: "basil",
+        name: "basil",
+        quantity: null,
+        unit: null,
+        recipes: ["Salad"],
+        unparsed: false,
+      },
+      {
+        aisle: "Produce",
+        display: "Juice of 1 lemon",
+        name: "juice of 1 lemon",
+        quantity: null,
+        unit: null,
+        recipes: ["Salad"],
+        unparsed: true,
+      },
+    ]);
+  });
+
+  test("works: no recipes", function () {
+    expect(combineIngredients([])).toEqual([]);
+  });
+});
+
+
+describe("groupByAisle", function () {
+  test("works", function () {
+    expect(groupByAisle([
+      { aisle: "Produce", name: "lime" },
+      { aisle: "Produce", name: "mint" },
+      { aisle: "Alcohol", name: "rum" },
+    ])).toEqual([
+      { aisle: "Produce", items: [{ aisle: "Produce", name: "lime" }, { aisle: "Produce", name: "mint" }] },
+      { aisle: "Alcohol", items: [{ aisle: "Alcohol", name: "rum" }] },
+    ]);
+  });
+});
+
+
+describe("aisleOf", function () {
+  test("works", function () {
+    expect(aisleOf("onion")).toEqual("Produce");
+    expect(aisleOf("chicken breast")).toEqual("Meat & Seafood");
+    expect(aisleOf("light rum")).toEqual("Alcohol");
+    expect(aisleOf("dragon fruit")).toEqual("Produce");
+    expect(aisleOf("xanthan gum")).toEqual("Other");
+  });
+
+  test("works: the last words name the ingredient", function () {
+    expect(aisleOf("chicken stock")).toEqual("Pantry");
+    expect(aisleOf("coconut milk")).toEqual("Pantry");
+    expect(aisleOf("ginger ale")).toEqual("Beverages");
+    expect(aisleOf("black pepper")).toEqual("Spices & Seasonings");
+    expect(aisleOf("green pepper")).toEqual("Produce");
+  });
+});
@@ -32,4 +32,83 @@ function sqlForPartialUpdate(dataToUpdate, jsToSql = {}) {
   };
 }
 
-module.exports = { sqlForPartialUpdate };
+/**
+ * Helper for filtering recipes by their ingredients.
+ *
+ * Ingredients are matched as words anywhere in a recipe's ingredient list,
+ * case-insensitively: "rice" matches "1 cup rice" and "Rice Vinegar", but
+ * not "licorice". Matching goes through ingredients_text() so it can use the
+ * trigram index on it.
+ *
+ * @param filters {Object} { ingredient, excludeIngredient, ingredientMatch }
+ *   where ingredient and excludeIngredient are a string or an array of
+ *   strings, and ingredientMatch is "all" (the default: recipes must have
+ *   every ingredient) or "any" (recipes must have at least one)
+ * @param queryValues {Array} values of the query so far; the values used
+ *   here are pushed onto it
+ *
+ * @returns {Array} WHERE expressions, to be ANDed with the other filters
+ *
+ * @example ({ ingredient: ["chicken", "rice"], excludeIngredient: "peanut" }, []) =>
+ *   [ "ingredients_text(ingredients) ~ $1",
+ *     "ingredients_text(ingredients) ~ $2",
+ *     "NOT ingredients_text(ingredients) ~ $3" ]
+ */
+
+function sqlForIngredientFilters(
+    { ingredient, excludeIngredient, ingredientMatch = "all" }, queryValues) {
+  const matchOn = term => {
+    queryValues.push(ingredientPattern(term));
+    return `ingredients_text(ingredients) ~ $${queryValues.length}`;
+  };
+
+  // blank terms would match every recipe, so they're left out
+  const terms = list => [].concat(list || []).filter(term => term.trim());
+
+  const whereExpressions = [];
+
+  const included = terms(ingredient).map(matchOn);
+  if (included.length > 0 && ingredientMatch === "any") {
+    whereExpressions.push(`(${included.join(" OR ")})`);
+  } else {
+    whereExpressions.push(...included);
+  }
+
+  for (const term of terms(excludeIngredient)) {
+    whereExpressions.push(`NOT ${matchOn(term)}`);
+  }
+
+  return whereExpressions;
+}
+
+/** Regex matching an ingredient as the start of a word in ingredients_text(). */
+
+function ingredientPattern(term) {
+  const escaped = term.trim().toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return `\\m${escaped}`;
+}
+
+/**
+ * Helper for the SET clause of a catalog upsert (INSERT ... ON CONFLICT DO
+ * UPDATE), refreshing a stored recipe from the upstream one.
+ *
+ * Each column is taken from the upstream recipe, unless an admin has edited
+ * it: edited columns are listed in the row's edited_fields, and are kept.
+ *
+ * @param table {String} the table being upserted into
+ * @param columns {Array} the columns that come from upstream
+ *
+ * @returns {String} the SET clause, without SET
+ *
+ * @example ("meals", ["name"]) =>
+ *   'name = CASE WHEN 'name' = ANY(meals.edited_fields) THEN meals.name ELSE EXCLUDED.name END'
+ */
+
+function sqlForUpstreamUpdate(table, columns) {
+  return columns
+      .map(col => `${col} = CASE WHEN '${col}' = ANY(${table}.edited_fields) `
+          + `THEN ${table}.${col} ELSE EXCLUDED.${col} END`)
+      .join(",\n");
+}
+
+module.exports = { sqlForPartialUpdate, sqlForIngredientFilters, sqlForUpstreamUpdate };
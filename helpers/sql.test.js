@@ -1,4 +1,4 @@
-const { sqlForPartialUpdate } = require("./sql");
+const { sqlForPartialUpdate, sqlForIngredientFilters, sqlForUpstreamUpdate } = require("./sql");
 
 
 describe("sqlForPartialUpdate", function () {
@@ -21,4 +21,54 @@ describe("sqlForPartialUpdate", function () {
       values: ["v1", "v2"],
     });
   });
-});
\ No newline at end of file
+});
+
+describe("sqlForIngredientFilters", function () {
+  test("works: all", function () {
+    const values = ["v1"];
+    const result = sqlForIngredientFilters(
+        { ingredient: ["Chicken", "rice"], excludeIngredient: "peanut" }, values);
+    expect(result).toEqual([
+      "ingredients_text(ingredients) ~ $2",
+      "ingredients_text(ingredients) ~ $3",
+      "NOT ingredients_text(ingredients) ~ $4",
+    ]);
+    expect(values).toEqual(["v1", "\\mchicken", "\\mrice", "\\mpeanut"]);
+  });
+
+  test("works: any", function () {
+    const values = [];
+    const result = sqlForIngredientFilters(
+        { ingredient: ["chicken", "rice"], ingredientMatch: "any" }, values);
+    expect(result).toEqual([
+      "(ingredients_text(ingredients) ~ $1 OR ingredients_text(ingredients) ~ $2)",
+    ]);
+  });
+
+  test("works: escapes regex characters", function () {
+    const values = [];
+    sqlForIngredientFilters({ ingredient: "a.b (c)" }, values);
+    expect(values).toEqual(["\\ma\\.b \\(c\\)"]);
+  });
+
+  test("works: blank terms are left out", function () {
+    const values = [];
+    expect(sqlForIngredientFilters(
+        { ingredient: [" ", "rice"], excludeIngredient: "  " }, values))
+        .toEqual(["ingredients_text(ingredients) ~ $1"]);
+    expect(values).toEqual(["\\mrice"]);
+  });
+
+  test("works: no filters", function () {
+    expect(sqlForIngredientFilters({}, [])).toEqual([]);
+  });
+});
+
+describe("sqlForUpstreamUpdate", function () {
+  test("works", function () {
+    const result = sqlForUpstreamUpdate("meals", ["name", "area"]);
+    expect(result).toEqual(
+        "name = CASE WHEN 'name' = ANY(meals.edited_fields) THEN meals.name ELSE EXCLUDED.name END,\n"
+        + "area = CASE WHEN 'area' = ANY(meals.edited_fields) THEN meals.area ELSE EXCLUDED.area END");
+  });
+});
@@ -0,0 +1,60 @@
+"use strict";
+
+/** Keeping the catalogs of meals and drinks in sync with TheMealDB and
+ *  TheCocktailDB.
+ *
+ * A sync is an import job (see ImportJob) that nobody requested: it stores
+ * what has changed upstream, keeps admins' edits, and marks recipes gone from
+ * upstream as removed.
+ */
+
+const { BadRequestError } = require("../expressError");
+const { fetchCatalog } = require("./catalog");
+const ImportJob = require("../models/importJob");
+
+const TYPES = ["meals", "drinks"];
+
+
+/** Sync one catalog ("meals" or "drinks") now.
+ *
+ * Returns the finished job, or null if an import of that type was already
+ * running (so there was nothing to do).
+ */
+
+async function syncCatalog(type) {
+    let job;
+    try {
+        job = await ImportJob.create(type, null);
+    } catch (err) {
+        if (err instanceof BadRequestError) return null;
+        throw err;
+    }
+
+    return ImportJob.run(job.id, () => fetchCatalog(type));
+}
+
+
+/** Sync both catalogs every intervalHours (the first time after intervalHours,
+ *  not right away, so restarts don't each fetch everything).
+ *
+ * Returns the timer, for clearInterval.
+ */
+
+function scheduleSync(intervalHours) {
+    return setInterval(async () => {
+        for (const type of TYPES) {
+            try {
+                const job = await syncCatalog(type);
+                if (job) {
+                    console.log(`Synced ${type}: ${job.inserted} added, ${job.updated} changed, `
+                                + `${job.removed} removed (job ${job.id}, ${job.status})`);
+                }
+            } catch (err) {
+                console.error(err);
+            }
+        }
+    }, intervalHours * 60 * 60 * 1000);
+}
+
+
+module.exports = { syncCatalog, scheduleSync };
@@ -0,0 +1,106 @@
+"use strict";
+
+const http = require("http");
+
+// fetch from a fake TheMealDB, served below
+const FAKE_UPSTREAM_PORT = 3919;
+process.env.MEAL_BASE_URL = `http://localhost:${FAKE_UPSTREAM_PORT}/api/json/v1/1/`;
+
+const db = require("../db");
+const Meal = require("../models/meal");
+const { syncCatalog } = require("./sync");
+
+// the meals upstream, by idMeal
+let upstream;
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://localhost:${FAKE_UPSTREAM_PORT}`);
+  const letter = url.searchParams.get("f");
+  const meals = Object.values(upstream)
+      .filter(m => m.strMeal[0].toLowerCase() === letter);
+  res.setHeader("Content-Type", "application/json");
+  res.end(JSON.stringify({ meals: meals.length ? meals : null }));
+});
+
+function upstreamMeal(idMeal, strMeal, strIngredient1) {
+  return {
+    idMeal,
+    strMeal,
+    strCategory: "Cat1",
+    strArea: "A1",
+    strInstructions: "Inst",
+    strMealThumb: null,
+    strIngredient1,
+    strMeasure1: "1 cup",
+    strTags: null,
+    strYoutube: null,
+  };
+}
+
+async function clean() {
+  await db.query("DELETE FROM meals WHERE external_id LIKE 'sync-%'");
+  // noinspection SqlWithoutWhere
+  await db.query("DELETE FROM import_jobs");
+}
+
+beforeAll(async function () {
+  await clean();
+  await new Promise(resolve => server.listen(FAKE_UPSTREAM_PORT, resolve));
+});
+
+afterAll(async function () {
+  await clean();
+  await new Promise(resolve => server.close(resolve));
+  await db.end();
+});
+
+
+describe("syncCatalog", function () {
+  test("works: adds, changes and removes, keeping admin edits", async function () {
+    upstream = {
+      "sync-1": upstreamMeal("sync-1", "Apple Pie", "Sync Apples"),
+      "sync-2": upstreamMeal("sync-2", "Banana Bread", "Sync Bananas"),
+      "sync-3": upstreamMeal("sync-3", "Carrot Cake", "Sync Carrots"),
+    };
+
+    let job = await syncCatalog("meals");
+    expect(job).toEqual(expect.objectContaining({
+      status: "succeeded", requestedBy: null, inserted: 3, updated: 0, unchanged: 0, removed: 0,
+    }));
+
+    const stored = id => db.query(
+        `SELECT id, name, category, upstream_removed_at FROM meals WHERE external_id = $1`, [id])
+        .then(r => r.rows[0]);
+
+    // an admin renames one; upstream changes it, and another, and drops one
+    await Meal.update((await stored("sync-1")).id, { name: "Grandma's Apple Pie" });
+    upstream["sync-1"].strMeal = "Apple Tart";
+    upstream["sync-1"].strCategory = "Cat2";
+    upstream["sync-2"].strIngredient1 = "Sync Ripe Bananas";
+    delete upstream["sync-3"];
+
+    job = await syncCatalog("meals");
+    expect(job).toEqual(expect.objectContaining({
+      status: "succeeded", inserted: 0, updated: 2, unchanged: 0, removed: 1, errors: [],
+    }));
+
+    expect(await stored("sync-1")).toEqual(expect.objectContaining({
+      name: "Grandma's Apple Pie",
+      category: "Cat2",
+    }));
+    const banana = await Meal.get((await stored("sync-2")).id);
+    expect(banana.ingredients).toEqual(["1 cup Sync Ripe Bananas"]);
+    expect((await stored("sync-3")).upstream_removed_at).toEqual(expect.any(Date));
+
+    // nothing changed upstream since
+    job = await syncCatalog("meals");
+    expect(job).toEqual(expect.objectContaining({
+      inserted: 0, updated: 0, unchanged: 2, removed: 0,
+    }));
+  });
+
+  test("does nothing if an import is already running", async function () {
+    await db.query(`INSERT INTO import_jobs (type, status) VALUES ('meals', 'running')`);
+    expect(await syncCatalog("meals")).toEqual(null);
+  });
+});
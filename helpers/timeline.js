@@ -0,0 +1,89 @@
+/** Helpers for planning when to cook for an event.
+ *
+ * Recipes don't say how long they take, so it's estimated from the times in
+ * their instructions ("simmer for 20 minutes", "chill for 2 hours",
+ * "marinate overnight").
+ */
+
+// a time in instructions, like "20 minutes", "1-2 hours" or "1 1/2 hrs"
+const DURATION = new RegExp(
+    String.raw`(\d+(?:\.\d+)?(?:\s+1\/2)?)(?:\s*(?:-|–|to)\s*(\d+(?:\.\d+)?))?\s*`
+    + String.raw`(hours?|hrs?|minutes?|mins?)\b`,
+    "gi");
+
+// things that take a night, however long the instructions say
+const OVERNIGHT = /\b(overnight|the day before)\b/i;
+const OVERNIGHT_MINUTES = 12 * 60;
+
+// time for the parts of a recipe the instructions don't time: chopping,
+// measuring, mixing
+const PREP_MINUTES = 15;
+
+// time between a meal being ready and it being served
+const SERVE_MINUTES = 15;
+
+// how long before an event to shop for it
+const SHOP_DAYS_BEFORE = 1;
+
+
+/** Estimate how many minutes a recipe takes, from its instructions.
+ *
+ * Adds up the times in the instructions (the longest, for a range like
+ * "1-2 hours"), and time to prepare.
+ *
+ * @example "Simmer for 20 minutes, then chill for 1-2 hours." => 155
+ */
+
+function estimateMinutes(instructions) {
+    let minutes = PREP_MINUTES;
+
+    for (const [, low, high, unit] of instructions.matchAll(DURATION)) {
+        const amount = parseAmount(high === undefined ? low : high);
+        minutes += /^h/i.test(unit) ? amount * 60 : amount;
+    }
+
+    if (OVERNIGHT.test(instructions)) minutes = Math.max(minutes, OVERNIGHT_MINUTES);
+
+    return Math.round(minutes);
+}
+
+
+/** Plan when to shop and cook for an event starting at startsAt (a Date).
+ *
+ * menu is [{ type, name, instructions }, ...] where type is "meals" or
+ * "drinks". Meals are started so they're ready a little before guests
+ * arrive; drinks are made just as they arrive.
+ *
+ * Returns [{ at, task }, ...] (in order) where at is a Date.
+ */
+
+function prepTimeline(startsAt, menu) {
+    const minutesBefore = minutes => new Date(startsAt.getTime() - minutes * 60 * 1000);
+
+    const steps = [{ at: minutesBefore(SHOP_DAYS_BEFORE * 24 * 60), task: "Shop for ingredients" }];
+
+    for (const { type, name, instructions } of menu) {
+        const minutes = estimateMinutes(instructions);
+        steps.push(type === "meals"
+            ? { at: minutesBefore(minutes + SERVE_MINUTES), task: `Start ${name}` }
+            : { at: minutesBefore(minutes), task: `Make ${name}` });
+    }
+
+    steps.push({ at: startsAt, task: "Guests arrive" });
+
+    return steps.sort((a, b) => a.at - b.at);
+}
+
+
+/** Value of an amount of time as written: "1 1/2" => 1.5 */
+
+function parseAmount(text) {
+    const [whole, half] = text.split(/\s+/);
+    return +whole + (half ? 0.5 : 0);
+}
+
+
+module.exports = {
+    estimateMinutes,
+    prepTimeline,
+};
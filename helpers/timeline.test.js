@@ -0,0 +1,30 @@
+const { estimateMinutes, prepTimeline } = require("./timeline");
+
+
+describe("estimateMinutes", function () {
+  test("works", function () {
+    expect(estimateMinutes("Simmer for 20 minutes, then chill for 1-2 hours.")).toEqual(155);
+    expect(estimateMinutes("Bake for 1 1/2 hrs. Rest 10 mins.")).toEqual(115);
+    expect(estimateMinutes("Shake with ice and strain.")).toEqual(15);
+  });
+
+  test("works: overnight", function () {
+    expect(estimateMinutes("Marinate overnight, then grill for 10 minutes.")).toEqual(720);
+  });
+});
+
+
+describe("prepTimeline", function () {
+  test("works", function () {
+    const startsAt = new Date("2026-11-01T19:00:00Z");
+    expect(prepTimeline(startsAt, [
+      { type: "drinks", name: "Margarita", instructions: "Shake with ice." },
+      { type: "meals", name: "Tacos", instructions: "Simmer for 30 minutes." },
+    ])).toEqual([
+      { at: new Date("2026-10-31T19:00:00Z"), task: "Shop for ingredients" },
+      { at: new Date("2026-11-01T18:00:00Z"), task: "Start Tacos" },
+      { at: new Date("2026-11-01T18:45:00Z"), task: "Make Margarita" },
+      { at: startsAt, task: "Guests arrive" },
+    ]);
+  });
+});
@@ -1,14 +1,42 @@
+const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
-const { SECRET_KEY } = require("../config");
+const { SECRET_KEY, ACCESS_TOKEN_EXPIRES_IN } = require("../config");
 
-/** return signed JWT from user data. */
+/** return signed JWT from user data.
+ *
+ * Tokens expire after ACCESS_TOKEN_EXPIRES_IN and carry a unique id (jti)
+ * so that they can be revoked before then. Their issue time (iat) is to the
+ * millisecond, so that revoking every session of a user (see
+ * Token.revokeAllSessions) can tell the tokens issued just before from
+ * those issued just after.
+ */
 
 function createToken(user) {
+    console.assert(user.isAdmin !== undefined,
+        "createToken passed user without isAdmin property");
+
     let payload = {
-        username: user.username
+        username: user.username,
+        isAdmin: user.isAdmin || false,
+        iat: Date.now() / 1000,
     };
   
-    return jwt.sign(payload, SECRET_KEY);
+    return jwt.sign(payload, SECRET_KEY, {
+        expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+        jwtid: crypto.randomUUID(),
+    });
+}
+
+/** return a random, opaque token (for refresh tokens and the like). */
+
+function generateOpaqueToken() {
+    return crypto.randomBytes(32).toString("hex");
+}
+
+/** return the hash of an opaque token; only hashes are stored in the db. */
+
+function hashToken(token) {
+    return crypto.createHash("sha256").update(token).digest("hex");
 }
   
-module.exports = { createToken };
\ No newline at end of file
+module.exports = { createToken, generateOpaqueToken, hashToken };
@@ -1,14 +1,61 @@
 const jwt = require("jsonwebtoken");
-const { createToken } = require("./tokens");
+const { createToken, generateOpaqueToken, hashToken } = require("./tokens");
 const { SECRET_KEY } = require("../config");
 
 describe("createToken", function () {
-  test("works", function () {
+  test("works: not admin", function () {
+    const token = createToken({ username: "test", isAdmin: false });
+    const payload = jwt.verify(token, SECRET_KEY);
+    expect(payload).toEqual({
+      iat: expect.any(Number),
+      exp: expect.any(Number),
+      jti: expect.any(String),
+      username: "test",
+      isAdmin: false,
+    });
+  });
+
+  test("works: admin", function () {
+    const token = createToken({ username: "test", isAdmin: true });
+    const payload = jwt.verify(token, SECRET_KEY);
+    expect(payload).toEqual({
+      iat: expect.any(Number),
+      exp: expect.any(Number),
+      jti: expect.any(String),
+      username: "test",
+      isAdmin: true,
+    });
+  });
+
+  test("works: default no admin", function () {
+    // given the security risk if this didn't work, checking this specifically
     const token = createToken({ username: "test" });
     const payload = jwt.verify(token, SECRET_KEY);
     expect(payload).toEqual({
       iat: expect.any(Number),
+      exp: expect.any(Number),
+      jti: expect.any(String),
       username: "test",
+      isAdmin: false,
     });
   });
 });
+
+
+describe("generateOpaqueToken", function () {
+  test("works", function () {
+    const token = generateOpaqueToken();
+    expect(token).toMatch(/^[0-9a-f]{64}$/);
+    expect(generateOpaqueToken()).not.toEqual(token);
+  });
+});
+
+
+describe("hashToken", function () {
+  test("works", function () {
+    const hash = hashToken("abc");
+    expect(hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(hash).not.toEqual("abc");
+    expect(hashToken("abc")).toEqual(hash);
+  });
+});
@@ -0,0 +1,186 @@
+/** Helpers for showing recipes in metric or imperial units.
+ *
+ * Ingredient quantities are converted from the structured ingredients (see
+ * helpers/ingredients.js) and written back into the display strings, as for
+ * scaling (see helpers/scaling.js). Temperatures, like oven temperatures in
+ * instructions, are converted in the text.
+ */
+
+const { splitMeasure } = require("./ingredients");
+const { changeQuantity } = require("./scaling");
+
+// how many ml or g one of each unit is
+const METRIC = {
+    ml: ["volume", 1], cl: ["volume", 10], dl: ["volume", 100], l: ["volume", 1000],
+    g: ["weight", 1], kg: ["weight", 1000],
+};
+const IMPERIAL = {
+    "tsp": ["volume", 4.929], "tbsp": ["volume", 14.787], "fl oz": ["volume", 29.574],
+    "cup": ["volume", 236.588], "pint": ["volume", 473.176], "quart": ["volume", 946.353],
+    "gallon": ["volume", 3785.41],
+    "oz": ["weight", 28.35], "lb": ["weight", 453.592],
+};
+
+// spoons are used the same in both systems, so they're left as they are
+const SPOONS = new Set(["tsp", "tbsp"]);
+
+// a temperature, like "180C", "180 °C", "350 degrees F" or "200-220°C"
+const TEMPERATURE = new RegExp(
+    String.raw`(\d+)(?:\s*(?:-|–|to)\s*(\d+))?`
+    + String.raw`(?:\s*(?:°|º|degrees?\s+)\s*([CF])\b|([CF])\b|\s*(?:°|º|degrees?\s+)?\s*(celsius|centigrade|fahrenheit)\b)`,
+    "gi");
+
+
+/** Convert a structured ingredient to a unit system ("metric", "imperial"
+ *  or "original").
+ *
+ * Volumes and weights are converted; other units, like "clove" or "pinch",
+ * and teaspoons and tablespoons, are left as they are. Temperatures in the
+ * display are converted as for convertTemperatures.
+ *
+ * options:
+ * - fluidOunces: read "oz" as fluid ounces, as in drinks (default false)
+ *
+ * Returns { display, quantity, quantityMax, unit, name, note }
+ */
+
+function convertIngredient(ingredient, system, { fluidOunces = false } = {}) {
+    if (system === "original") return { ...ingredient };
+
+    let converted = { ...ingredient, display: convertTemperatures(ingredient.display, system) };
+
+    const unit = fluidOunces && ingredient.unit === "oz" ? "fl oz" : ingredient.unit;
+    const from = METRIC[unit] || IMPERIAL[unit];
+    if (ingredient.quantity === null || !from || SPOONS.has(unit)) return converted;
+    if ((system === "metric") === (unit in METRIC)) return converted;
+
+    // the unit can only be changed if it's the one written in the display
+    if (splitMeasure(converted.display).unit !== ingredient.unit) return converted;
+
+    const [kind, base] = from;
+    const amount = ingredient.quantity * base;
+    const to = system === "metric"
+        ? (kind === "volume" ? "ml" : "g")
+        : imperialUnit(kind, amount, fluidOunces);
+    const ratio = base / (METRIC[to] || IMPERIAL[to])[1];
+
+    converted = changeQuantity(converted, {
+        quantity: roundConverted(ingredient.quantity * ratio, to),
+        quantityMax: ingredient.quantityMax === null
+            ? null
+            : roundConverted(ingredient.quantityMax * ratio, to),
+        unit: to,
+    });
+
+    // "fl oz" is written "oz" in drinks
+    if (fluidOunces && converted.unit === "fl oz") {
+        converted.unit = "oz";
+        converted.display = converted.display.replace(/\bfl oz\b/, "oz");
+    }
+
+    return converted;
+}
+
+
+/** Convert a recipe (with structuredIngredients) to a unit system, as for
+ *  convertIngredient; temperatures in the instructions are converted too.
+ *
+ * Returns the recipe with ingredients, structuredIngredients and
+ * instructions converted; the recipe passed in is left unchanged.
+ */
+
+function convertRecipe(recipe, system, options = {}) {
+    if (system === "original") return recipe;
+
+    const structuredIngredients = recipe.structuredIngredients
+        .map(ingredient => convertIngredient(ingredient, system, options));
+
+    return {
+        ...recipe,
+        instructions: convertTemperatures(recipe.instructions, system),
+        ingredients: structuredIngredients.map(i => i.display),
+        structuredIngredients,
+    };
+}
+
+
+/** Convert the temperatures in some text to °C ("metric") or °F
+ *  ("imperial").
+ *
+ * Oven temperatures are rounded the way oven dials are marked (to 10°C or
+ * 25°F), others to 5 degrees.
+ *
+ * @example ("Bake at 350F for 20 minutes", "metric") => "Bake at 180°C for 20 minutes"
+ */
+
+function convertTemperatures(text, system) {
+    if (system === "original") return text;
+
+    return text.replace(TEMPERATURE, (match, low, high, marked, attached, word) => {
+        const scale = (marked || attached || word)[0].toUpperCase();
+        // "2C" or "2 c" could be cups: only attached capitals are read as
+        // temperatures
+        if (attached && attached !== attached.toUpperCase()) return match;
+
+        const toScale = system === "metric" ? "C" : "F";
+        if (scale === toScale) return match;
+
+        const convert = degrees => {
+            const converted = toScale === "C" ? (degrees - 32) * 5 / 9 : degrees * 9 / 5 + 32;
+            const oven = toScale === "C" ? converted >= 120 : converted >= 250;
+            const step = oven ? (toScale === "C" ? 10 : 25) : 5;
+            return Math.round(converted / step) * step;
+        };
+        const range = high === undefined ? convert(+low) : `${convert(+low)}-${convert(+high)}`;
+        return `${range}°${toScale}`;
+    });
+}
+
+
+/** What a unit measures and how much one is, as [kind, size] where kind is
+ *  "volume" (size in ml) or "weight" (size in g); null for other units,
+ *  like "clove" or "pinch".
+ *
+ * options:
+ * - fluidOunces: read "oz" as fluid ounces, as in drinks (default false)
+ *
+ * @example "cup" => ["volume", 236.588]
+ */
+
+function unitMeasure(unit, { fluidOunces = false } = {}) {
+    const key = fluidOunces && unit === "oz" ? "fl oz" : unit;
+    return METRIC[key] || IMPERIAL[key] || null;
+}
+
+
+/** Round a converted quantity, which is only ever approximate, to one a
+ *  cook would measure: 236.6 ml => 240 ml, 1.06 cups => 1 cup. */
+
+function roundConverted(quantity, unit) {
+    let step;
+    if (unit in METRIC) {
+        step = quantity >= 100 ? 10 : quantity >= 10 ? 5 : 0.5;
+    } else {
+        step = quantity >= 1 ? 1 / 4 : 1 / 8;
+    }
+    return Math.max(Math.round(quantity / step) * step, step);
+}
+
+
+/** The imperial unit to write an amount (in ml or g) in. */
+
+function imperialUnit(kind, amount, fluidOunces) {
+    if (kind === "weight") return amount >= IMPERIAL.lb[1] ? "lb" : "oz";
+    if (fluidOunces) return "fl oz";
+    if (amount >= IMPERIAL.cup[1] / 4) return "cup";
+    return amount >= IMPERIAL.tbsp[1] ? "tbsp" : "tsp";
+}
+
+
+module.exports = {
+    convertIngredient,
+    convertRecipe,
+    convertTemperatures,
+    unitMeasure,
+    roundConverted,
+};
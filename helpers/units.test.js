@@ -0,0 +1,113 @@
+const {
+  convertIngredient,
+  convertRecipe,
+  convertTemperatures,
+  unitMeasure,
+  roundConverted,
+} = require("./units");
+const { parseIngredient } = require("./ingredients");
+
+
+describe("convertIngredient", function () {
+  const convert = (display, system, options) =>
+    convertIngredient(parseIngredient(display), system, options).display;
+
+  test("works: to metric", function () {
+    expect(convertIngredient(parseIngredient("1 cup Milk"), "metric")).toEqual({
+      display: "240 ml Milk",
+      quantity: 240,
+      quantityMax: null,
+      unit: "ml",
+      name: "milk",
+      note: null,
+    });
+    expect(convert("8 oz Cheese", "metric")).toEqual("230 g Cheese");
+    expect(convert("3 lb Beef", "metric")).toEqual("1.36 kg Beef");
+    expect(convert("1-2 cups Stock", "metric")).toEqual("240-470 ml Stock");
+  });
+
+  test("works: to imperial", function () {
+    expect(convert("400g Chicken", "imperial")).toEqual("14 oz Chicken");
+    expect(convert("1 kg Potatoes", "imperial")).toEqual("2 1/4 lb Potatoes");
+    expect(convert("250 ml Milk", "imperial")).toEqual("1 cup Milk");
+    expect(convert("30 ml Lemon juice", "imperial")).toEqual("2 tbsp Lemon juice");
+  });
+
+  test("works: fluid ounces", function () {
+    expect(convert("1 1/2 oz Tequila", "metric", { fluidOunces: true })).toEqual("45 ml Tequila");
+    expect(convert("4 cl Gin", "imperial", { fluidOunces: true })).toEqual("1 1/4 oz Gin");
+  });
+
+  test("works: leaves other units", function () {
+    expect(convert("2 tbsp Butter", "metric")).toEqual("2 tbsp Butter");
+    expect(convert("2 cloves Garlic", "imperial")).toEqual("2 cloves Garlic");
+    expect(convert("400g Chicken", "metric")).toEqual("400g Chicken");
+    expect(convert("1 cup Milk", "original")).toEqual("1 cup Milk");
+  });
+
+  test("works: temperatures", function () {
+    expect(convert("1 cup Water (110°F)", "metric")).toEqual("240 ml Water (45°C)");
+  });
+});
+
+
+describe("convertRecipe", function () {
+  test("works", function () {
+    const recipe = {
+      id: 1,
+      instructions: "Bake at 350F.",
+      ingredients: ["2 cups Flour"],
+      structuredIngredients: [parseIngredient("2 cups Flour")],
+    };
+    expect(convertRecipe(recipe, "metric")).toEqual({
+      id: 1,
+      instructions: "Bake at 180°C.",
+      ingredients: ["470 ml Flour"],
+      structuredIngredients: [expect.objectContaining({ quantity: 470, unit: "ml" })],
+    });
+    expect(convertRecipe(recipe, "original")).toEqual(recipe);
+  });
+});
+
+
+describe("convertTemperatures", function () {
+  test("works", function () {
+    expect(convertTemperatures("Preheat the oven to 350F.", "metric"))
+        .toEqual("Preheat the oven to 180°C.");
+    expect(convertTemperatures("Oven at 400 degrees F", "metric"))
+        .toEqual("Oven at 200°C");
+    expect(convertTemperatures("Bake at 180 °C for 20 minutes", "imperial"))
+        .toEqual("Bake at 350°F for 20 minutes");
+    expect(convertTemperatures("Cook at 180-200C", "imperial"))
+        .toEqual("Cook at 350-400°F");
+    expect(convertTemperatures("Heat to 90 degrees Celsius", "imperial"))
+        .toEqual("Heat to 195°F");
+  });
+
+  test("works: leaves other numbers", function () {
+    expect(convertTemperatures("Add 2c flour and 2 C sugar", "metric"))
+        .toEqual("Add 2c flour and 2 C sugar");
+    expect(convertTemperatures("Bake at 180C", "metric")).toEqual("Bake at 180C");
+  });
+});
+
+
+describe("unitMeasure", function () {
+  test("works", function () {
+    expect(unitMeasure("cup")).toEqual(["volume", 236.588]);
+    expect(unitMeasure("kg")).toEqual(["weight", 1000]);
+    expect(unitMeasure("oz")).toEqual(["weight", 28.35]);
+    expect(unitMeasure("oz", { fluidOunces: true })).toEqual(["volume", 29.574]);
+    expect(unitMeasure("clove")).toEqual(null);
+    expect(unitMeasure(null)).toEqual(null);
+  });
+});
+
+
+describe("roundConverted", function () {
+  test("works", function () {
+    expect(roundConverted(236.6, "ml")).toEqual(240);
+    expect(roundConverted(1.06, "cup")).toEqual(1);
+    expect(roundConverted(0.3, "cup")).toEqual(0.25);
+  });
+});
@@ -3,8 +3,11 @@
 /** Convenience middleware to handle common auth cases in routes. */
 
 const jwt = require("jsonwebtoken");
-const { SECRET_KEY } = require("../config");
-const { UnauthorizedError } = require("../expressError");
+const config = require("../config");
+const { SECRET_KEY } = config;
+const { UnauthorizedError, ForbiddenError } = require("../expressError");
+const Token = require("../models/token");
+const User = require("../models/user");
 
 
 /** Middleware: Authenticate user.
@@ -12,19 +15,40 @@ const { UnauthorizedError } = require("../expressError");
  * If a token was provided, verify it, and, if valid, store the token payload
  * on res.locals (this will include the username and isAdmin field.)
  *
+ * Tokens without an expiry or id, and tokens that have been revoked
+ * (on logout, or when all of a user's sessions are revoked) are not valid.
+ *
  * It's not an error if no token was provided or if the token is not valid.
  */
 
-function authenticateJWT(req, res, next) {
+async function authenticateJWT(req, res, next) {
     try {
         const authHeader = req.headers && req.headers.authorization;
         if (authHeader) {
             const token = authHeader.replace(/^[Bb]earer /, "").trim();
-            res.locals.user = jwt.verify(token, SECRET_KEY);
+            const payload = verifyToken(token);
+            if (payload && !(await Token.isAccessTokenRevoked(
+                    payload.jti, payload.username, payload.iat))) {
+                res.locals.user = payload;
+            }
         }
         return next();
     } catch (err) {
-        return next();
+        return next(err);
+    }
+}
+
+
+/** Return the payload of a signed, unexpired token that has an expiry and
+ *  an id; null for anything else.
+ */
+
+function verifyToken(token) {
+    try {
+        const payload = jwt.verify(token, SECRET_KEY);
+        return (payload.exp && payload.jti) ? payload : null;
+    } catch (err) {
+        return null;
     }
 }
 
@@ -61,10 +85,70 @@ function ensureCorrectUser(req, res, next) {
         return next(err);
     }
 }
+
+
+/** Middleware to use when they must be logged in as an admin user.
+ *
+ *  If not, raises Unauthorized.
+ */
+
+function ensureAdmin(req, res, next) {
+    try {
+        if (!res.locals.user || !res.locals.user.isAdmin) {
+            throw new UnauthorizedError();
+        }
+        return next();
+    } catch (err) {
+        return next(err);
+    }
+}
+
+
+/** Middleware to use when they must provide a valid token & be user matching
+ *  username provided as route param, or be an admin.
+ *
+ *  If not, raises Unauthorized.
+ */
+
+function ensureAdminOrCorrectUser(req, res, next) {
+    try {
+        const user = res.locals.user;
+        if (!(user && (user.isAdmin || user.username === req.params.username))) {
+            throw new UnauthorizedError();
+        }
+        return next();
+    } catch (err) {
+        return next(err);
+    }
+}
+
+
+
+/** Middleware to use for actions that need a verified email address, when
+ *  REQUIRE_VERIFIED_EMAIL is set. Use after a middleware that ensures
+ *  they're logged in.
+ *
+ *  If not verified, raises Forbidden.
+ */
+
+async function ensureVerifiedEmail(req, res, next) {
+    try {
+        if (config.REQUIRE_VERIFIED_EMAIL
+            && !(await User.isEmailVerified(res.locals.user.username))) {
+            throw new ForbiddenError("Email address not verified");
+        }
+        return next();
+    } catch (err) {
+        return next(err);
+    }
+}
   
   
 module.exports = {
     authenticateJWT,
     ensureLoggedIn,
     ensureCorrectUser,
+    ensureAdmin,
+    ensureAdminOrCorrectUser,
+    ensureVerifiedEmail,
 };
\ No newline at end of file
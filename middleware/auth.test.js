@@ -1,21 +1,42 @@
 "use strict";
 
 const jwt = require("jsonwebtoken");
-const { UnauthorizedError } = require("../expressError");
+const db = require("../db");
+const Token = require("../models/token");
+const config = require("../config");
+const { UnauthorizedError, NotFoundError } = require("../expressError");
 const {
   authenticateJWT,
   ensureLoggedIn,
   ensureCorrectUser,
+  ensureAdmin,
+  ensureAdminOrCorrectUser,
+  ensureVerifiedEmail,
 } = require("./auth");
 
 
 const { SECRET_KEY } = require("../config");
-const testJwt = jwt.sign({ username: "test" }, SECRET_KEY);
-const badJwt = jwt.sign({ username: "test" }, "wrong");
+const jwtOptions = { expiresIn: "15m", jwtid: "test-jti" };
+const testJwt = jwt.sign({ username: "test", isAdmin: false }, SECRET_KEY, jwtOptions);
+const badJwt = jwt.sign({ username: "test", isAdmin: false }, "wrong", jwtOptions);
+const noExpJwt = jwt.sign({ username: "test", isAdmin: false }, SECRET_KEY);
+
+beforeAll(async function () {
+  await db.query("DELETE FROM users WHERE username = 'test'");
+  await db.query(`
+      INSERT INTO users (username, password, first_name, last_name, email)
+      VALUES ('test', 'password', 'Test', 'User', 'test@test.com')`);
+});
+
+afterAll(async function () {
+  await db.query("DELETE FROM revoked_tokens WHERE jti = 'test-jti'");
+  await db.query("DELETE FROM users WHERE username = 'test'");
+  await db.end();
+});
 
 
 describe("authenticateJWT", function () {
-  test("works: via header", function () {
+  test("works: via header", async function () {
     expect.assertions(2);
     //there are multiple ways to pass an authorization token, this is how you pass it in the header.
     //this has been provided to show you another way to pass the token. you are only expected to read this code for this project.
@@ -24,34 +45,73 @@ describe("authenticateJWT", function () {
     const next = function (err) {
       expect(err).toBeFalsy();
     };
-    authenticateJWT(req, res, next);
+    await authenticateJWT(req, res, next);
     expect(res.locals).toEqual({
       user: {
         iat: expect.any(Number),
+        exp: expect.any(Number),
+        jti: "test-jti",
         username: "test",
+        isAdmin: false,
       },
     });
   });
 
-  test("works: no header", function () {
+  test("works: no header", async function () {
     expect.assertions(2);
     const req = {};
     const res = { locals: {} };
     const next = function (err) {
       expect(err).toBeFalsy();
     };
-    authenticateJWT(req, res, next);
+    await authenticateJWT(req, res, next);
     expect(res.locals).toEqual({});
   });
 
-  test("works: invalid token", function () {
+  test("works: invalid token", async function () {
     expect.assertions(2);
     const req = { headers: { authorization: `Bearer ${badJwt}` } };
     const res = { locals: {} };
     const next = function (err) {
       expect(err).toBeFalsy();
     };
-    authenticateJWT(req, res, next);
+    await authenticateJWT(req, res, next);
+    expect(res.locals).toEqual({});
+  });
+
+  test("works: token without expiry", async function () {
+    expect.assertions(2);
+    const req = { headers: { authorization: `Bearer ${noExpJwt}` } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await authenticateJWT(req, res, next);
+    expect(res.locals).toEqual({});
+  });
+
+  test("works: token for a user who no longer exists", async function () {
+    expect.assertions(2);
+    const goneJwt = jwt.sign({ username: "gone", isAdmin: false }, SECRET_KEY, jwtOptions);
+    const req = { headers: { authorization: `Bearer ${goneJwt}` } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await authenticateJWT(req, res, next);
+    expect(res.locals).toEqual({});
+  });
+
+  test("works: revoked token", async function () {
+    expect.assertions(2);
+    const { jti, exp } = jwt.decode(testJwt);
+    await Token.revokeAccessToken(jti, exp);
+    const req = { headers: { authorization: `Bearer ${testJwt}` } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await authenticateJWT(req, res, next);
     expect(res.locals).toEqual({});
   });
 });
@@ -111,3 +171,104 @@ describe("ensureCorrectUser", function () {
     ensureCorrectUser(req, res, next);
   });
 });
+
+
+describe("ensureAdmin", function () {
+  test("works", function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: { user: { username: "test", isAdmin: true } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    ensureAdmin(req, res, next);
+  });
+
+  test("unauth if not admin", function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: { user: { username: "test", isAdmin: false } } };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    ensureAdmin(req, res, next);
+  });
+
+  test("unauth if anon", function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    ensureAdmin(req, res, next);
+  });
+});
+
+
+describe("ensureAdminOrCorrectUser", function () {
+  test("works: admin", function () {
+    expect.assertions(1);
+    const req = { params: { username: "test" } };
+    const res = { locals: { user: { username: "admin", isAdmin: true } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    ensureAdminOrCorrectUser(req, res, next);
+  });
+
+  test("works: same user", function () {
+    expect.assertions(1);
+    const req = { params: { username: "test" } };
+    const res = { locals: { user: { username: "test", isAdmin: false } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    ensureAdminOrCorrectUser(req, res, next);
+  });
+
+  test("unauth: mismatch", function () {
+    expect.assertions(1);
+    const req = { params: { username: "wrong" } };
+    const res = { locals: { user: { username: "test", isAdmin: false } } };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    ensureAdminOrCorrectUser(req, res, next);
+  });
+
+  test("unauth: if anon", function () {
+    expect.assertions(1);
+    const req = { params: { username: "test" } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    ensureAdminOrCorrectUser(req, res, next);
+  });
+});
+
+
+describe("ensureVerifiedEmail", function () {
+  test("works: not required", async function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: { user: { username: "test", isAdmin: false } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await ensureVerifiedEmail(req, res, next);
+  });
+
+  test("checks the user when required", async function () {
+    expect.assertions(1);
+    config.REQUIRE_VERIFIED_EMAIL = true;
+    const req = {};
+    const res = { locals: { user: { username: "no-such-user", isAdmin: false } } };
+    const next = function (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    };
+    await ensureVerifiedEmail(req, res, next);
+    config.REQUIRE_VERIFIED_EMAIL = false;
+  });
+});
@@ -0,0 +1,37 @@
+"use strict";
+
+/** Add the admin role to an existing database.
+ *
+ * Adds the is_admin column (as in dreamhost-schema.sql) to users, if it's
+ * missing; every existing user starts out as a regular user. Safe to run
+ * more than once.
+ *
+ * Run with: npm run migrate
+ */
+
+const db = require("../db");
+
+const ADD_COLUMNS = `
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS
+        is_admin BOOLEAN NOT NULL DEFAULT FALSE;`;
+
+
+/** Run the migration; returns undefined. */
+
+async function migrate() {
+    await db.query(ADD_COLUMNS);
+}
+
+
+if (require.main === module) {
+    migrate()
+        .then(() => console.log("Added the admin role to users"))
+        .catch(err => {
+            console.error(err);
+            process.exitCode = 1;
+        })
+        .finally(() => db.end());
+}
+
+
+module.exports = { migrate };
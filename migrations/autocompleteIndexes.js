@@ -0,0 +1,52 @@
+"use strict";
+
+/** Add the indexes autocomplete uses to an existing database.
+ *
+ * Adds the trigram indexes on recipes' names and categories and on
+ * ingredient names (as in dreamhost-schema.sql), if they're missing. Needs
+ * the ingredients table (see structuredIngredients). Safe to run more than
+ * once.
+ *
+ * Run with: npm run migrate
+ */
+
+const db = require("../db");
+
+const ADD_INDEXES = `
+    CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+    CREATE INDEX IF NOT EXISTS meals_name_trgm_idx
+        ON meals USING GIN (lower(name) gin_trgm_ops);
+
+    CREATE INDEX IF NOT EXISTS meals_category_trgm_idx
+        ON meals USING GIN (lower(category) gin_trgm_ops);
+
+    CREATE INDEX IF NOT EXISTS drinks_name_trgm_idx
+        ON drinks USING GIN (lower(name) gin_trgm_ops);
+
+    CREATE INDEX IF NOT EXISTS drinks_category_trgm_idx
+        ON drinks USING GIN (lower(category) gin_trgm_ops);
+
+    CREATE INDEX IF NOT EXISTS ingredients_name_trgm_idx
+        ON ingredients USING GIN (lower(name) gin_trgm_ops);`;
+
+
+/** Run the migration; returns undefined. */
+
+async function migrate() {
+    await db.query(ADD_INDEXES);
+}
+
+
+if (require.main === module) {
+    migrate()
+        .then(() => console.log("Added autocomplete indexes"))
+        .catch(err => {
+            console.error(err);
+            process.exitCode = 1;
+        })
+        .finally(() => db.end());
+}
+
+
+module.exports = { migrate };
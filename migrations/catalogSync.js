@@ -0,0 +1,58 @@
+"use strict";
+
+/** Add catalog syncing to an existing database.
+ *
+ * Adds the upstream_hash, upstream_removed_at and edited_fields columns to
+ * meals and drinks, the unchanged and removed counts to import_jobs, and the
+ * deleted_catalog_recipes table (as in dreamhost-schema.sql), if they're
+ * missing. The first sync after updates every catalog recipe, as none has a
+ * hash yet. Safe to run more than once.
+ *
+ * Run with: npm run migrate
+ */
+
+const db = require("../db");
+
+const ADD_COLUMNS = `
+    ALTER TABLE meals
+        ADD COLUMN IF NOT EXISTS upstream_hash TEXT,
+        ADD COLUMN IF NOT EXISTS upstream_removed_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS edited_fields TEXT[] NOT NULL DEFAULT '{}';
+
+    ALTER TABLE drinks
+        ADD COLUMN IF NOT EXISTS upstream_hash TEXT,
+        ADD COLUMN IF NOT EXISTS upstream_removed_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS edited_fields TEXT[] NOT NULL DEFAULT '{}';
+
+    ALTER TABLE import_jobs
+        ADD COLUMN IF NOT EXISTS unchanged INTEGER NOT NULL DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS removed INTEGER NOT NULL DEFAULT 0;
+
+    CREATE TABLE IF NOT EXISTS deleted_catalog_recipes (
+        recipe_type TEXT NOT NULL
+            CHECK (recipe_type IN ('meals', 'drinks')),
+        external_id TEXT NOT NULL,
+        deleted_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (recipe_type, external_id)
+    );`;
+
+
+/** Run the migration; returns undefined. */
+
+async function migrate() {
+    await db.query(ADD_COLUMNS);
+}
+
+
+if (require.main === module) {
+    migrate()
+        .then(() => console.log("Added catalog syncing"))
+        .catch(err => {
+            console.error(err);
+            process.exitCode = 1;
+        })
+        .finally(() => db.end());
+}
+
+
+module.exports = { migrate };
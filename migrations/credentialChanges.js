@@ -0,0 +1,47 @@
+"use strict";
+
+/** Add credential change auditing to an existing database.
+ *
+ * Adds the tokens_valid_after column to users and creates the
+ * credential_changes table (as in dreamhost-schema.sql), if they're missing.
+ * Safe to run more than once.
+ *
+ * Run with: npm run migrate
+ */
+
+const db = require("../db");
+
+const ADD_CREDENTIAL_CHANGES = `
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS
+        tokens_valid_after TIMESTAMP;
+
+    CREATE TABLE IF NOT EXISTS credential_changes (
+        id SERIAL PRIMARY KEY,
+        username VARCHAR(25) NOT NULL
+            REFERENCES users ON DELETE CASCADE,
+        field TEXT NOT NULL,
+        changed_by VARCHAR(25) NOT NULL,
+        ip TEXT,
+        changed_at TIMESTAMP NOT NULL DEFAULT NOW()
+    );`;
+
+
+/** Run the migration; returns undefined. */
+
+async function migrate() {
+    await db.query(ADD_CREDENTIAL_CHANGES);
+}
+
+
+if (require.main === module) {
+    migrate()
+        .then(() => console.log("Added credential change auditing to users"))
+        .catch(err => {
+            console.error(err);
+            process.exitCode = 1;
+        })
+        .finally(() => db.end());
+}
+
+
+module.exports = { migrate };
@@ -0,0 +1,47 @@
+"use strict";
+
+/** Add email verification to an existing database.
+ *
+ * Adds the email_verified column to users and creates the
+ * email_verification_tokens table (as in dreamhost-schema.sql), if they're
+ * missing. Existing users start out unverified, and can ask for a
+ * verification email with POST /auth/verify/resend. Safe to run more than
+ * once.
+ *
+ * Run with: npm run migrate
+ */
+
+const db = require("../db");
+
+const ADD_VERIFICATION = `
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS
+        email_verified BOOLEAN NOT NULL DEFAULT FALSE;
+
+    CREATE TABLE IF NOT EXISTS email_verification_tokens (
+        token_hash TEXT PRIMARY KEY,
+        username VARCHAR(25) NOT NULL
+            REFERENCES users ON DELETE CASCADE,
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP
+    );`;
+
+
+/** Run the migration; returns undefined. */
+
+async function migrate() {
+    await db.query(ADD_VERIFICATION);
+}
+
+
+if (require.main === module) {
+    migrate()
+        .then(() => console.log("Added email verification to users"))
+        .catch(err => {
+            console.error(err);
+            process.exitCode = 1;
+        })
+        .finally(() => db.end());
+}
+
+
+module.exports = { migrate };
@@ -0,0 +1,66 @@
+"use strict";
+
+/** Add events to an existing database.
+ *
+ * Adds the events and event_items tables (as in dreamhost-schema.sql), if
+ * they are missing. Safe to run more than once.
+ *
+ * Run with: npm run migrate
+ */
+
+const db = require("../db");
+
+const ADD_EVENTS = `
+    CREATE TABLE IF NOT EXISTS events (
+        id SERIAL PRIMARY KEY,
+        username VARCHAR(25) NOT NULL
+            REFERENCES users ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        starts_at TIMESTAMP NOT NULL,
+        guest_count INTEGER NOT NULL
+            CHECK (guest_count > 0),
+        notes TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS events_username_idx ON events (username, starts_at);
+
+    CREATE TABLE IF NOT EXISTS event_items (
+        id SERIAL PRIMARY KEY,
+        event_id INTEGER NOT NULL
+            REFERENCES events ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        meal_id INTEGER
+            REFERENCES meals ON DELETE CASCADE,
+        drink_id INTEGER
+            REFERENCES drinks ON DELETE CASCADE,
+        personal_meal_id INTEGER
+            REFERENCES personal_meals ON DELETE CASCADE,
+        personal_drink_id INTEGER
+            REFERENCES personal_drinks ON DELETE CASCADE,
+        servings_per_guest NUMERIC NOT NULL DEFAULT 1
+            CHECK (servings_per_guest > 0),
+        CHECK (num_nonnulls(meal_id, drink_id, personal_meal_id, personal_drink_id) = 1)
+    );
+
+    CREATE INDEX IF NOT EXISTS event_items_event_id_idx ON event_items (event_id);`;
+
+
+/** Run the migration; returns undefined. */
+
+async function migrate() {
+    await db.query(ADD_EVENTS);
+}
+
+
+if (require.main === module) {
+    migrate()
+        .then(() => console.log("Added events"))
+        .catch(err => {
+            console.error(err);
+            process.exitCode = 1;
+        })
+        .finally(() => db.end());
+}
+
+
+module.exports = { migrate };
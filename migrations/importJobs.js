@@ -0,0 +1,75 @@
+"use strict";
+
+/** Add catalog import jobs to an existing database.
+ *
+ * Adds the external_id columns to meals and drinks, and the import_jobs
+ * table with its index of active jobs (as in dreamhost-schema.sql), if
+ * they're missing. If more than one import of a type is somehow still
+ * active, all but the newest are marked failed first. Safe to run more
+ * than once.
+ *
+ * Run with: npm run migrate
+ */
+
+const db = require("../db");
+
+const ADD_IMPORT_JOBS = `
+    ALTER TABLE meals ADD COLUMN IF NOT EXISTS external_id TEXT UNIQUE;
+
+    ALTER TABLE drinks ADD COLUMN IF NOT EXISTS external_id TEXT UNIQUE;
+
+    CREATE TABLE IF NOT EXISTS import_jobs (
+        id SERIAL PRIMARY KEY,
+        type TEXT NOT NULL
+            CHECK (type IN ('meals', 'drinks')),
+        status TEXT NOT NULL DEFAULT 'pending'
+            CHECK (status IN ('pending', 'running', 'succeeded', 'failed')),
+        requested_by VARCHAR(25)
+            REFERENCES users ON DELETE SET NULL,
+        total INTEGER,
+        processed INTEGER NOT NULL DEFAULT 0,
+        inserted INTEGER NOT NULL DEFAULT 0,
+        updated INTEGER NOT NULL DEFAULT 0,
+        errors TEXT[] NOT NULL DEFAULT '{}',
+        created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        started_at TIMESTAMP,
+        finished_at TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+    );
+
+    UPDATE import_jobs AS j
+    SET status = 'failed',
+        errors = j.errors || 'Stopped making progress'::TEXT,
+        finished_at = NOW(),
+        updated_at = NOW()
+    WHERE j.status IN ('pending', 'running')
+      AND EXISTS (SELECT 1
+                  FROM import_jobs AS newer
+                  WHERE newer.type = j.type
+                    AND newer.status IN ('pending', 'running')
+                    AND newer.id > j.id);
+
+    CREATE UNIQUE INDEX IF NOT EXISTS import_jobs_active_type_idx
+        ON import_jobs (type)
+        WHERE status IN ('pending', 'running');`;
+
+
+/** Run the migration; returns undefined. */
+
+async function migrate() {
+    await db.query(ADD_IMPORT_JOBS);
+}
+
+
+if (require.main === module) {
+    migrate()
+        .then(() => console.log("Added catalog import jobs"))
+        .catch(err => {
+            console.error(err);
+            process.exitCode = 1;
+        })
+        .finally(() => db.end());
+}
+
+
+module.exports = { migrate };
@@ -0,0 +1,62 @@
+"use strict";
+
+/** Bring an existing database up to date with dreamhost-schema.sql.
+ *
+ * Runs every migration, in the order the features were added (some need
+ * an earlier one, e.g. catalogSync needs importJobs). Each only adds what's
+ * missing, so this is safe to run more than once, and on a database from
+ * any earlier version.
+ *
+ * Run with: npm run migrate
+ */
+
+const db = require("../db");
+
+const MIGRATIONS = [
+    "adminRole",
+    "sessionTokens",
+    "passwordResets",
+    "emailVerification",
+    "loginAttempts",
+    "credentialChanges",
+    "ingredientSearch",
+    "pantries",
+    "structuredIngredients",
+    "servings",
+    "unitPreference",
+    "importJobs",
+    "recipeSources",
+    "catalogSync",
+    "recipeTranslations",
+    "pinnedPairings",
+    "events",
+    "shoppingLists",
+    "mealPlans",
+    "searchVectors",
+    "autocompleteIndexes",
+];
+
+
+/** Run the migrations in order, stopping at the first that fails; returns
+ *  undefined. */
+
+async function migrate() {
+    for (const name of MIGRATIONS) {
+        await require(`./${name}`).migrate();
+        console.log(`Ran ${name}`);
+    }
+}
+
+
+if (require.main === module) {
+    migrate()
+        .then(() => console.log("Database is up to date"))
+        .catch(err => {
+            console.error(err);
+            process.exitCode = 1;
+        })
+        .finally(() => db.end());
+}
+
+
+module.exports = { migrate, MIGRATIONS };
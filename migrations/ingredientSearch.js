@@ -0,0 +1,46 @@
+"use strict";
+
+/** Add indexed ingredient searches to an existing database.
+ *
+ * Adds the pg_trgm extension, the ingredients_text function and the trigram
+ * indexes on it (as in dreamhost-schema.sql), if they're missing. Safe to
+ * run more than once.
+ *
+ * Run with: npm run migrate
+ */
+
+const db = require("../db");
+
+const ADD_INDEXES = `
+    CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+    CREATE OR REPLACE FUNCTION ingredients_text(TEXT[]) RETURNS TEXT
+        LANGUAGE SQL IMMUTABLE PARALLEL SAFE
+        AS $$ SELECT lower(array_to_string($1, ' | ')) $$;
+
+    CREATE INDEX IF NOT EXISTS meals_ingredients_idx
+        ON meals USING GIN (ingredients_text(ingredients) gin_trgm_ops);
+
+    CREATE INDEX IF NOT EXISTS drinks_ingredients_idx
+        ON drinks USING GIN (ingredients_text(ingredients) gin_trgm_ops);`;
+
+
+/** Run the migration; returns undefined. */
+
+async function migrate() {
+    await db.query(ADD_INDEXES);
+}
+
+
+if (require.main === module) {
+    migrate()
+        .then(() => console.log("Added ingredient search indexes"))
+        .catch(err => {
+            console.error(err);
+            process.exitCode = 1;
+        })
+        .finally(() => db.end());
+}
+
+
+module.exports = { migrate };
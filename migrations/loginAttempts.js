@@ -0,0 +1,41 @@
+"use strict";
+
+/** Add login lockouts to an existing database.
+ *
+ * Creates the login_attempts table (as in dreamhost-schema.sql) if it's
+ * missing. Safe to run more than once.
+ *
+ * Run with: npm run migrate
+ */
+
+const db = require("../db");
+
+const CREATE_TABLES = `
+    CREATE TABLE IF NOT EXISTS login_attempts (
+        key TEXT PRIMARY KEY,
+        failed_count INTEGER NOT NULL DEFAULT 0,
+        lockouts INTEGER NOT NULL DEFAULT 0,
+        last_failed_at TIMESTAMP,
+        locked_until TIMESTAMP
+    );`;
+
+
+/** Run the migration; returns undefined. */
+
+async function migrate() {
+    await db.query(CREATE_TABLES);
+}
+
+
+if (require.main === module) {
+    migrate()
+        .then(() => console.log("Added the login attempts table"))
+        .catch(err => {
+            console.error(err);
+            process.exitCode = 1;
+        })
+        .finally(() => db.end());
+}
+
+
+module.exports = { migrate };
@@ -0,0 +1,53 @@
+"use strict";
+
+/** Add meal plans to an existing database.
+ *
+ * Adds the meal_plan_entries table (as in dreamhost-schema.sql), if it is
+ * missing. Safe to run more than once.
+ *
+ * Run with: npm run migrate
+ */
+
+const db = require("../db");
+
+const ADD_MEAL_PLANS = `
+    CREATE TABLE IF NOT EXISTS meal_plan_entries (
+        id SERIAL PRIMARY KEY,
+        username VARCHAR(25) NOT NULL
+            REFERENCES users ON DELETE CASCADE,
+        date DATE NOT NULL,
+        slot TEXT NOT NULL
+            CHECK (slot IN ('breakfast', 'lunch', 'snack', 'dinner')),
+        meal_id INTEGER
+            REFERENCES meals ON DELETE CASCADE,
+        drink_id INTEGER
+            REFERENCES drinks ON DELETE CASCADE,
+        personal_meal_id INTEGER
+            REFERENCES personal_meals ON DELETE CASCADE,
+        personal_drink_id INTEGER
+            REFERENCES personal_drinks ON DELETE CASCADE,
+        CHECK (num_nonnulls(meal_id, drink_id, personal_meal_id, personal_drink_id) = 1)
+    );
+
+    CREATE INDEX IF NOT EXISTS meal_plan_entries_username_idx ON meal_plan_entries (username, date);`;
+
+
+/** Run the migration; returns undefined. */
+
+async function migrate() {
+    await db.query(ADD_MEAL_PLANS);
+}
+
+
+if (require.main === module) {
+    migrate()
+        .then(() => console.log("Added meal plans"))
+        .catch(err => {
+            console.error(err);
+            process.exitCode = 1;
+        })
+        .finally(() => db.end());
+}
+
+
+module.exports = { migrate };
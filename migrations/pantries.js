@@ -0,0 +1,40 @@
+"use strict";
+
+/** Add pantries to an existing database.
+ *
+ * Creates the pantry_items table (as in dreamhost-schema.sql) if it's
+ * missing. Safe to run more than once.
+ *
+ * Run with: npm run migrate
+ */
+
+const db = require("../db");
+
+const CREATE_TABLES = `
+    CREATE TABLE IF NOT EXISTS pantry_items (
+        username VARCHAR(25)
+            REFERENCES users ON DELETE CASCADE,
+        ingredient TEXT NOT NULL,
+        PRIMARY KEY (username, ingredient)
+    );`;
+
+
+/** Run the migration; returns undefined. */
+
+async function migrate() {
+    await db.query(CREATE_TABLES);
+}
+
+
+if (require.main === module) {
+    migrate()
+        .then(() => console.log("Added the pantry items table"))
+        .catch(err => {
+            console.error(err);
+            process.exitCode = 1;
+        })
+        .finally(() => db.end());
+}
+
+
+module.exports = { migrate };
@@ -0,0 +1,41 @@
+"use strict";
+
+/** Add password resets to an existing database.
+ *
+ * Creates the password_reset_tokens table (as in dreamhost-schema.sql) if
+ * it's missing. Safe to run more than once.
+ *
+ * Run with: npm run migrate
+ */
+
+const db = require("../db");
+
+const CREATE_TABLES = `
+    CREATE TABLE IF NOT EXISTS password_reset_tokens (
+        token_hash TEXT PRIMARY KEY,
+        username VARCHAR(25) NOT NULL
+            REFERENCES users ON DELETE CASCADE,
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP
+    );`;
+
+
+/** Run the migration; returns undefined. */
+
+async function migrate() {
+    await db.query(CREATE_TABLES);
+}
+
+
+if (require.main === module) {
+    migrate()
+        .then(() => console.log("Added the password reset token table"))
+        .catch(err => {
+            console.error(err);
+            process.exitCode = 1;
+        })
+        .finally(() => db.end());
+}
+
+
+module.exports = { migrate };
@@ -0,0 +1,45 @@
+"use strict";
+
+/** Add pinned pairings to an existing database.
+ *
+ * Adds the pinned_pairings table (as in dreamhost-schema.sql), if it's
+ * missing. Safe to run more than once.
+ *
+ * Run with: npm run migrate
+ */
+
+const db = require("../db");
+
+const ADD_PINNED_PAIRINGS = `
+    CREATE TABLE IF NOT EXISTS pinned_pairings (
+        meal_id INTEGER
+            REFERENCES meals ON DELETE CASCADE,
+        drink_id INTEGER
+            REFERENCES drinks ON DELETE CASCADE,
+        pinned_by VARCHAR(25)
+            REFERENCES users ON DELETE SET NULL,
+        PRIMARY KEY (meal_id, drink_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS pinned_pairings_drink_id_idx ON pinned_pairings (drink_id);`;
+
+
+/** Run the migration; returns undefined. */
+
+async function migrate() {
+    await db.query(ADD_PINNED_PAIRINGS);
+}
+
+
+if (require.main === module) {
+    migrate()
+        .then(() => console.log("Added pinned pairings"))
+        .catch(err => {
+            console.error(err);
+            process.exitCode = 1;
+        })
+        .finally(() => db.end());
+}
+
+
+module.exports = { migrate };
@@ -0,0 +1,51 @@
+"use strict";
+
+/** Add recipe sources and image attribution to an existing database.
+ *
+ * Adds the source_url, video_url, tags, image_source, image_attribution and
+ * creative_commons_confirmed columns (as in dreamhost-schema.sql) to meals
+ * and drinks, if they're missing; the next import fills them in for
+ * catalog recipes. Safe to run more than once.
+ *
+ * Run with: npm run migrate
+ */
+
+const db = require("../db");
+
+const ADD_COLUMNS = `
+    ALTER TABLE meals
+        ADD COLUMN IF NOT EXISTS source_url TEXT,
+        ADD COLUMN IF NOT EXISTS video_url TEXT,
+        ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}',
+        ADD COLUMN IF NOT EXISTS image_source TEXT,
+        ADD COLUMN IF NOT EXISTS image_attribution TEXT,
+        ADD COLUMN IF NOT EXISTS creative_commons_confirmed BOOLEAN;
+
+    ALTER TABLE drinks
+        ADD COLUMN IF NOT EXISTS source_url TEXT,
+        ADD COLUMN IF NOT EXISTS video_url TEXT,
+        ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}',
+        ADD COLUMN IF NOT EXISTS image_source TEXT,
+        ADD COLUMN IF NOT EXISTS image_attribution TEXT,
+        ADD COLUMN IF NOT EXISTS creative_commons_confirmed BOOLEAN;`;
+
+
+/** Run the migration; returns undefined. */
+
+async function migrate() {
+    await db.query(ADD_COLUMNS);
+}
+
+
+if (require.main === module) {
+    migrate()
+        .then(() => console.log("Added sources and image attribution to meals and drinks"))
+        .catch(err => {
+            console.error(err);
+            process.exitCode = 1;
+        })
+        .finally(() => db.end());
+}
+
+
+module.exports = { migrate };
@@ -0,0 +1,74 @@
+"use strict";
+
+/** Add recipe translations to an existing database.
+ *
+ * Adds the recipe_translations table (as in dreamhost-schema.sql), if it's
+ * missing, or its source column, if that is: translations with a
+ * contributor are from users, the rest from TheCocktailDB (so translations
+ * by users deleted before this runs count as TheCocktailDB's). The next
+ * import of drinks fills in TheCocktailDB's. Safe to run more than once.
+ *
+ * Run with: npm run migrate
+ */
+
+const db = require("../db");
+
+const ADD_TRANSLATIONS = `
+    CREATE TABLE IF NOT EXISTS recipe_translations (
+        id SERIAL PRIMARY KEY,
+        meal_id INTEGER
+            REFERENCES meals ON DELETE CASCADE,
+        drink_id INTEGER
+            REFERENCES drinks ON DELETE CASCADE,
+        personal_meal_id INTEGER
+            REFERENCES personal_meals ON DELETE CASCADE,
+        personal_drink_id INTEGER
+            REFERENCES personal_drinks ON DELETE CASCADE,
+        language TEXT NOT NULL,
+        instructions TEXT NOT NULL,
+        contributed_by VARCHAR(25)
+            REFERENCES users ON DELETE SET NULL,
+        CHECK (num_nonnulls(meal_id, drink_id, personal_meal_id, personal_drink_id) = 1)
+    );
+
+    DO $$
+    BEGIN
+        IF NOT EXISTS (SELECT 1
+                       FROM information_schema.columns
+                       WHERE table_name = 'recipe_translations' AND column_name = 'source') THEN
+            ALTER TABLE recipe_translations
+                ADD COLUMN source TEXT NOT NULL DEFAULT 'user'
+                    CHECK (source IN ('upstream', 'user'));
+            UPDATE recipe_translations SET source = 'upstream' WHERE contributed_by IS NULL;
+        END IF;
+    END $$;
+
+    CREATE UNIQUE INDEX IF NOT EXISTS recipe_translations_meal_id_idx
+        ON recipe_translations (meal_id, language);
+    CREATE UNIQUE INDEX IF NOT EXISTS recipe_translations_drink_id_idx
+        ON recipe_translations (drink_id, language);
+    CREATE UNIQUE INDEX IF NOT EXISTS recipe_translations_personal_meal_id_idx
+        ON recipe_translations (personal_meal_id, language);
+    CREATE UNIQUE INDEX IF NOT EXISTS recipe_translations_personal_drink_id_idx
+        ON recipe_translations (personal_drink_id, language);`;
+
+
+/** Run the migration; returns undefined. */
+
+async function migrate() {
+    await db.query(ADD_TRANSLATIONS);
+}
+
+
+if (require.main === module) {
+    migrate()
+        .then(() => console.log("Added recipe translations"))
+        .catch(err => {
+            console.error(err);
+            process.exitCode = 1;
+        })
+        .finally(() => db.end());
+}
+
+
+module.exports = { migrate };
@@ -0,0 +1,60 @@
+"use strict";
+
+/** Add full-text search to an existing database.
+ *
+ * Adds the search_vector column (as in dreamhost-schema.sql) and its index
+ * to the recipe tables that are missing them. Postgres fills the column in
+ * for every recipe as it's added. Safe to run more than once.
+ *
+ * Run with: npm run migrate
+ */
+
+const db = require("../db");
+
+const RECIPE_TABLES = ["meals", "drinks", "personal_meals", "personal_drinks"];
+
+const CREATE_FUNCTION = `
+    CREATE OR REPLACE FUNCTION ingredients_text(TEXT[]) RETURNS TEXT
+        LANGUAGE SQL IMMUTABLE PARALLEL SAFE
+        AS $$ SELECT lower(array_to_string($1, ' | ')) $$;`;
+
+const addSearchVector = table => `
+    ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS
+        search_vector TSVECTOR GENERATED ALWAYS AS (
+            setweight(to_tsvector('english', name), 'A')
+            || setweight(to_tsvector('english', ingredients_text(ingredients)), 'B')
+            || setweight(to_tsvector('english', instructions), 'C')
+        ) STORED;
+
+    CREATE INDEX IF NOT EXISTS ${table}_search_idx ON ${table} USING GIN (search_vector);`;
+
+
+/** Run the migration; returns undefined. */
+
+async function migrate() {
+    await db.query("BEGIN");
+    try {
+        await db.query(CREATE_FUNCTION);
+        for (const table of RECIPE_TABLES) {
+            await db.query(addSearchVector(table));
+        }
+        await db.query("COMMIT");
+    } catch (err) {
+        await db.query("ROLLBACK");
+        throw err;
+    }
+}
+
+
+if (require.main === module) {
+    migrate()
+        .then(() => console.log("Added full-text search to recipes"))
+        .catch(err => {
+            console.error(err);
+            process.exitCode = 1;
+        })
+        .finally(() => db.end());
+}
+
+
+module.exports = { migrate };
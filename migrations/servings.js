@@ -0,0 +1,50 @@
+"use strict";
+
+/** Add servings to an existing database.
+ *
+ * Adds the servings column (as in dreamhost-schema.sql) to the recipe
+ * tables that are missing it; recipes saved before it serve 4 if they're
+ * meals and 1 if they're drinks. Safe to run more than once.
+ *
+ * Run with: npm run migrate
+ */
+
+const db = require("../db");
+
+const ADD_COLUMNS = `
+    ALTER TABLE meals ADD COLUMN IF NOT EXISTS
+        servings INTEGER NOT NULL DEFAULT 4
+            CHECK (servings > 0);
+
+    ALTER TABLE drinks ADD COLUMN IF NOT EXISTS
+        servings INTEGER NOT NULL DEFAULT 1
+            CHECK (servings > 0);
+
+    ALTER TABLE personal_meals ADD COLUMN IF NOT EXISTS
+        servings INTEGER NOT NULL DEFAULT 4
+            CHECK (servings > 0);
+
+    ALTER TABLE personal_drinks ADD COLUMN IF NOT EXISTS
+        servings INTEGER NOT NULL DEFAULT 1
+            CHECK (servings > 0);`;
+
+
+/** Run the migration; returns undefined. */
+
+async function migrate() {
+    await db.query(ADD_COLUMNS);
+}
+
+
+if (require.main === module) {
+    migrate()
+        .then(() => console.log("Added servings to recipes"))
+        .catch(err => {
+            console.error(err);
+            process.exitCode = 1;
+        })
+        .finally(() => db.end());
+}
+
+
+module.exports = { migrate };
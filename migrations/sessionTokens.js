@@ -0,0 +1,46 @@
+"use strict";
+
+/** Add expiring sessions to an existing database.
+ *
+ * Creates the refresh_tokens and revoked_tokens tables (as in
+ * dreamhost-schema.sql) if they're missing. Safe to run more than once.
+ *
+ * Run with: npm run migrate
+ */
+
+const db = require("../db");
+
+const CREATE_TABLES = `
+    CREATE TABLE IF NOT EXISTS refresh_tokens (
+        token_hash TEXT PRIMARY KEY,
+        username VARCHAR(25) NOT NULL
+            REFERENCES users ON DELETE CASCADE,
+        expires_at TIMESTAMP NOT NULL,
+        revoked_at TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS revoked_tokens (
+        jti TEXT PRIMARY KEY,
+        expires_at TIMESTAMP NOT NULL
+    );`;
+
+
+/** Run the migration; returns undefined. */
+
+async function migrate() {
+    await db.query(CREATE_TABLES);
+}
+
+
+if (require.main === module) {
+    migrate()
+        .then(() => console.log("Added refresh and revoked token tables"))
+        .catch(err => {
+            console.error(err);
+            process.exitCode = 1;
+        })
+        .finally(() => db.end());
+}
+
+
+module.exports = { migrate };
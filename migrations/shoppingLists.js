@@ -0,0 +1,60 @@
+"use strict";
+
+/** Add saved shopping lists to an existing database.
+ *
+ * Adds the shopping_lists and shopping_list_items tables (as in
+ * dreamhost-schema.sql), if they are missing. Safe to run more than once.
+ *
+ * Run with: npm run migrate
+ */
+
+const db = require("../db");
+
+const ADD_SHOPPING_LISTS = `
+    CREATE TABLE IF NOT EXISTS shopping_lists (
+        id SERIAL PRIMARY KEY,
+        username VARCHAR(25) NOT NULL
+            REFERENCES users ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW()
+    );
+
+    CREATE INDEX IF NOT EXISTS shopping_lists_username_idx ON shopping_lists (username);
+
+    CREATE TABLE IF NOT EXISTS shopping_list_items (
+        id SERIAL PRIMARY KEY,
+        shopping_list_id INTEGER NOT NULL
+            REFERENCES shopping_lists ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        aisle TEXT NOT NULL,
+        display TEXT NOT NULL,
+        name TEXT NOT NULL,
+        quantity NUMERIC,
+        unit TEXT,
+        recipes TEXT[] NOT NULL,
+        unparsed BOOLEAN NOT NULL DEFAULT FALSE,
+        checked BOOLEAN NOT NULL DEFAULT FALSE
+    );
+
+    CREATE INDEX IF NOT EXISTS shopping_list_items_shopping_list_id_idx ON shopping_list_items (shopping_list_id);`;
+
+
+/** Run the migration; returns undefined. */
+
+async function migrate() {
+    await db.query(ADD_SHOPPING_LISTS);
+}
+
+
+if (require.main === module) {
+    migrate()
+        .then(() => console.log("Added shopping lists"))
+        .catch(err => {
+            console.error(err);
+            process.exitCode = 1;
+        })
+        .finally(() => db.end());
+}
+
+
+module.exports = { migrate };
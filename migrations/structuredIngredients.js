@@ -0,0 +1,79 @@
+"use strict";
+
+/** Add structured ingredients to an existing database.
+ *
+ * Creates the ingredients and recipe_ingredients tables (as in
+ * dreamhost-schema.sql) if they're missing, then splits the ingredients of
+ * every recipe saved before them into parts, and fixes ingredient names
+ * stored with an "s" cut off (see RecipeIngredient.backfill). Safe to run
+ * more than once.
+ *
+ * Run with: npm run migrate
+ */
+
+const db = require("../db");
+const RecipeIngredient = require("../models/recipeIngredient");
+
+const CREATE_TABLES = `
+    CREATE TABLE IF NOT EXISTS ingredients (
+        id SERIAL PRIMARY KEY,
+        name TEXT NOT NULL UNIQUE
+    );
+
+    CREATE TABLE IF NOT EXISTS recipe_ingredients (
+        id SERIAL PRIMARY KEY,
+        meal_id INTEGER
+            REFERENCES meals ON DELETE CASCADE,
+        drink_id INTEGER
+            REFERENCES drinks ON DELETE CASCADE,
+        personal_meal_id INTEGER
+            REFERENCES personal_meals ON DELETE CASCADE,
+        personal_drink_id INTEGER
+            REFERENCES personal_drinks ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        display TEXT NOT NULL,
+        quantity NUMERIC,
+        quantity_max NUMERIC,
+        unit TEXT,
+        ingredient_id INTEGER NOT NULL
+            REFERENCES ingredients,
+        note TEXT,
+        CHECK (num_nonnulls(meal_id, drink_id, personal_meal_id, personal_drink_id) = 1)
+    );
+
+    CREATE INDEX IF NOT EXISTS recipe_ingredients_meal_id_idx ON recipe_ingredients (meal_id);
+    CREATE INDEX IF NOT EXISTS recipe_ingredients_drink_id_idx ON recipe_ingredients (drink_id);
+    CREATE INDEX IF NOT EXISTS recipe_ingredients_personal_meal_id_idx ON recipe_ingredients (personal_meal_id);
+    CREATE INDEX IF NOT EXISTS recipe_ingredients_personal_drink_id_idx ON recipe_ingredients (personal_drink_id);
+    CREATE INDEX IF NOT EXISTS recipe_ingredients_ingredient_id_idx ON recipe_ingredients (ingredient_id);`;
+
+
+/** Run the migration; returns the number of recipes given structured
+ *  ingredients. */
+
+async function migrate() {
+    await db.query("BEGIN");
+    try {
+        await db.query(CREATE_TABLES);
+        const count = await RecipeIngredient.backfill();
+        await db.query("COMMIT");
+        return count;
+    } catch (err) {
+        await db.query("ROLLBACK");
+        throw err;
+    }
+}
+
+
+if (require.main === module) {
+    migrate()
+        .then(count => console.log(`Added structured ingredients to ${count} recipes`))
+        .catch(err => {
+            console.error(err);
+            process.exitCode = 1;
+        })
+        .finally(() => db.end());
+}
+
+
+module.exports = { migrate };
@@ -0,0 +1,38 @@
+"use strict";
+
+/** Add unit preferences to an existing database.
+ *
+ * Adds the unit_preference column (as in dreamhost-schema.sql) to users, if
+ * it's missing; every existing user keeps recipes' original units. Safe to
+ * run more than once.
+ *
+ * Run with: npm run migrate
+ */
+
+const db = require("../db");
+
+const ADD_COLUMNS = `
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS
+        unit_preference TEXT NOT NULL DEFAULT 'original'
+            CHECK (unit_preference IN ('metric', 'imperial', 'original'));`;
+
+
+/** Run the migration; returns undefined. */
+
+async function migrate() {
+    await db.query(ADD_COLUMNS);
+}
+
+
+if (require.main === module) {
+    migrate()
+        .then(() => console.log("Added unit preferences to users"))
+        .catch(err => {
+            console.error(err);
+            process.exitCode = 1;
+        })
+        .finally(() => db.end());
+}
+
+
+module.exports = { migrate };
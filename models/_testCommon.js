@@ -1,6 +1,7 @@
 const bcrypt = require("bcrypt");
 
 const db = require("../db.js");
+const RecipeIngredient = require("./recipeIngredient");
 const { BCRYPT_WORK_FACTOR } = require("../config.js");
 
 const testMealIds = [];
@@ -19,6 +20,11 @@ async function commonBeforeAll() {
   await db.query("DELETE FROM personal_meals");
   // noinspection SqlWithoutWhere
   await db.query("DELETE FROM personal_drinks");
+  // noinspection SqlWithoutWhere
+  await db.query("DELETE FROM revoked_tokens");
+  // noinspection SqlWithoutWhere
+  await db.query("DELETE FROM import_jobs");
+  await db.query("DELETE FROM deleted_catalog_recipes");
 
   const resultsMeals = await db.query(`
     INSERT INTO meals (name, category, area, instructions, thumbnail, ingredients)
@@ -75,6 +81,8 @@ async function commonBeforeAll() {
             ('P-D3', 'P-Cat3', 'P-T3', 'P-G3', 'P-Inst3', 'http://P-D3.img', ARRAY['P-Ing3a', 'P-Ing3b', 'P-Ing3c'], 'u1')
     RETURNING id`);
   testPersonalDrinkIds.splice(0, 0, ...resultsPersonalDrinks.rows.map(r => r.id));
+
+  await RecipeIngredient.backfill();
 }
 
 async function commonBeforeEach() {
@@ -0,0 +1,101 @@
+"use strict";
+
+const db = require("../db");
+
+const DEFAULT_LIMIT = 10;
+
+// what can be suggested: SQL selecting the candidates whose name matches the
+// text typed ($1) or starts with it ($2), with how popular they are (recipes
+// removed upstream aren't suggested)
+const SOURCES = {
+  meals: `SELECT m.id, m.name, m.thumbnail, COUNT(f.username)::INTEGER AS popularity
+          FROM meals AS m
+            LEFT JOIN favorite_meals AS f ON f.meal_id = m.id
+          WHERE ${matchSql("m.name")}
+            AND m.upstream_removed_at IS NULL
+          GROUP BY m.id`,
+  drinks: `SELECT d.id, d.name, d.thumbnail, COUNT(f.username)::INTEGER AS popularity
+           FROM drinks AS d
+             LEFT JOIN favorite_drinks AS f ON f.drink_id = d.id
+           WHERE ${matchSql("d.name")}
+             AND d.upstream_removed_at IS NULL
+           GROUP BY d.id`,
+  ingredients: `SELECT i.name, COUNT(ri.id)::INTEGER AS popularity
+                FROM ingredients AS i
+                  LEFT JOIN recipe_ingredients AS ri ON ri.ingredient_id = i.id
+                WHERE ${matchSql("i.name")}
+                GROUP BY i.id`,
+  categories: `SELECT 'meals' AS type, category AS name, COUNT(*)::INTEGER AS popularity
+               FROM meals
+               WHERE ${matchSql("category")}
+                 AND upstream_removed_at IS NULL
+               GROUP BY category
+               UNION ALL
+               SELECT 'drinks' AS type, category AS name, COUNT(*)::INTEGER AS popularity
+               FROM drinks
+               WHERE ${matchSql("category")}
+                 AND upstream_removed_at IS NULL
+               GROUP BY category`,
+};
+
+/** Related functions for type-ahead suggestions.
+ *
+ * Names are matched by trigram similarity (pg_trgm), so they're found while
+ * they're still being typed ("marg") and with typos ("margarta").
+ */
+
+class Autocomplete {
+  /** Suggest names of a type for some text typed so far.
+   *
+   * type is one of:
+   * - "meals" or "drinks": suggestions are { id, name, thumbnail, popularity }
+   *   where popularity is how many users have favorited it
+   * - "ingredients": { name, popularity } where popularity is how many
+   *   recipes use it
+   * - "categories": { type, name, popularity } where type is "meals" or
+   *   "drinks" and popularity is how many recipes are in it
+   *
+   * A name that is q comes first, then names starting with q, then the most
+   * similar, then the most popular. Returns at most limit suggestions
+   * (default 10).
+   *
+   * Returns [suggestion, ...]
+   **/
+
+  static async suggest(q, { type, limit = DEFAULT_LIMIT }) {
+    const text = q.trim().toLowerCase();
+
+    const result = await db.query(
+          `SELECT *
+           FROM (${SOURCES[type]}) AS candidates
+           ORDER BY lower(name) = $1 DESC,
+                    lower(name) LIKE $2 DESC,
+                    word_similarity($1, lower(name)) DESC,
+                    popularity DESC,
+                    name
+           LIMIT $3`,
+        [text, `${escapeLike(text)}%`, limit],
+    );
+
+    return result.rows;
+  }
+}
+
+
+/** SQL for whether a column is like the text typed ($1): similar to it, has
+ *  a word similar to it, or starts with it ($2). Each can use a trigram
+ *  index on lower(column). */
+
+function matchSql(column) {
+  return `(lower(${column}) % $1 OR $1 <% lower(${column}) OR lower(${column}) LIKE $2)`;
+}
+
+
+/** Escape the wildcards of a LIKE pattern. */
+
+function escapeLike(text) {
+  return text.replace(/[\\%_]/g, "\\$&");
+}
+
+
+module.exports = Autocomplete;
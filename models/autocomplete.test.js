@@ -0,0 +1,119 @@
+"use strict";
+
+const db = require("../db.js");
+const Autocomplete = require("./autocomplete.js");
+const Drink = require("./drink.js");
+const Meal = require("./meal.js");
+const User = require("./user.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+const drinks = {};
+
+beforeEach(async function () {
+  for (const [name, ingredients] of [
+    ["Margarita", ["2 oz Tequila", "1 oz Lime juice", "1 oz Triple sec"]],
+    ["Mojito", ["2 oz White rum", "1 Lime", "Mint"]],
+    ["Tommy's Margarita", ["2 oz Tequila", "1 oz Lime juice", "1/2 oz Agave syrup"]],
+  ]) {
+    drinks[name] = await Drink.create({
+      name,
+      category: "Cocktail",
+      type: "Alcoholic",
+      glass: "Rocks",
+      instructions: "Shake.",
+      thumbnail: `http://${name}.img`,
+      ingredients,
+    });
+  }
+  await Meal.create({
+    name: "Chicken Curry",
+    category: "Chicken",
+    area: "Indian",
+    instructions: "Simmer.",
+    thumbnail: "http://curry.img",
+    ingredients: ["1 Chicken", "2 tbsp Curry powder"],
+  });
+});
+
+/************************************** suggest */
+
+describe("suggest", function () {
+  test("works: with typos", async function () {
+    const suggestions = await Autocomplete.suggest("margarta", { type: "drinks" });
+    expect(suggestions).toEqual([
+      {
+        id: drinks["Margarita"].id,
+        name: "Margarita",
+        thumbnail: "http://Margarita.img",
+        popularity: 0,
+      },
+      {
+        id: drinks["Tommy's Margarita"].id,
+        name: "Tommy's Margarita",
+        thumbnail: "http://Tommy's Margarita.img",
+        popularity: 0,
+      },
+    ]);
+  });
+
+  test("works: names starting with the text first", async function () {
+    const suggestions = await Autocomplete.suggest("Mo", { type: "drinks" });
+    expect(suggestions.map(s => s.name)).toEqual(["Mojito"]);
+  });
+
+  test("works: words in the name", async function () {
+    const suggestions = await Autocomplete.suggest("curr", { type: "meals" });
+    expect(suggestions.map(s => s.name)).toEqual(["Chicken Curry"]);
+  });
+
+  test("works: more popular first, when as similar", async function () {
+    await User.markFavDrink("u1", drinks["Tommy's Margarita"].id);
+    await User.markFavDrink("u2", drinks["Tommy's Margarita"].id);
+    const suggestions = await Autocomplete.suggest("tequila", { type: "ingredients" });
+    expect(suggestions).toEqual([{ name: "tequila", popularity: 2 }]);
+
+    const drinkSuggestions = await Autocomplete.suggest("margarita", { type: "drinks" });
+    expect(drinkSuggestions.map(s => [s.name, s.popularity])).toEqual([
+      ["Margarita", 0],
+      ["Tommy's Margarita", 2],
+    ]);
+  });
+
+  test("works: categories", async function () {
+    const suggestions = await Autocomplete.suggest("cocktial", { type: "categories" });
+    expect(suggestions).toEqual([{ type: "drinks", name: "Cocktail", popularity: 3 }]);
+  });
+
+  test("works: not recipes removed upstream", async function () {
+    await db.query(
+        "UPDATE drinks SET upstream_removed_at = NOW() WHERE id = $1",
+        [drinks["Margarita"].id]);
+    const suggestions = await Autocomplete.suggest("margarta", { type: "drinks" });
+    expect(suggestions.map(s => s.name)).toEqual(["Tommy's Margarita"]);
+    const categories = await Autocomplete.suggest("cocktial", { type: "categories" });
+    expect(categories).toEqual([{ type: "drinks", name: "Cocktail", popularity: 2 }]);
+  });
+
+  test("works: limit", async function () {
+    const suggestions = await Autocomplete.suggest("lime", { type: "ingredients", limit: 1 });
+    expect(suggestions).toEqual([{ name: "lime", popularity: 1 }]);
+  });
+
+  test("works: LIKE wildcards are matched as written", async function () {
+    expect(await Autocomplete.suggest("%", { type: "drinks" })).toEqual([]);
+  });
+
+  test("works: no matches", async function () {
+    expect(await Autocomplete.suggest("xyzzy", { type: "meals" })).toEqual([]);
+  });
+});
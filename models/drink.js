@@ -2,53 +2,155 @@
 
 const db = require("../db");
 const { BadRequestError, NotFoundError } = require("../expressError");
-const { sqlForPartialUpdate } = require("../helpers/sql");
+const { sqlForPartialUpdate, sqlForIngredientFilters, sqlForUpstreamUpdate } = require("../helpers/sql");
+const { parsePageParams, paginationSql, pageResult } = require("../helpers/pagination");
+const RecipeIngredient = require("./recipeIngredient");
+const RecipeTranslation = require("./recipeTranslation");
+const { DEFAULT_SERVINGS } = require("../helpers/scaling");
+const { recipeHash } = require("../helpers/catalog");
+const { countFacets } = require("../helpers/facets");
+
+// sort keys accepted by findAll, and the columns they sort on
+const SORT_COLUMNS = {
+    name: "name",
+    category: "category",
+    type: "type",
+    id: "id",
+};
+
+// facets findAll can count, for filters
+const FACETS = ["category", "type", "glass", "ingredient"];
+
+// columns that come from TheCocktailDB, refreshed by imports unless edited by an admin
+const UPSTREAM_COLUMNS = [
+    "name", "category", "type", "glass",
+    "instructions", "thumbnail", "ingredients", "source_url",
+    "video_url", "tags", "image_source", "image_attribution",
+    "creative_commons_confirmed",
+];
 
 
 class Drink {
-    static async dumpData(dataArr) {
-        dataArr.forEach(async drink => {
-            await db.query(
+    /** Insert or update a drink fetched from TheCocktailDB (see makeDrinkObj), by its
+     *  external id. For catalog imports and syncs (see ImportJob).
+     *
+     * drink should be { externalId, name, category, type, glass, instructions, thumbnail, ingredients, structuredIngredients,
+     *   sourceUrl, videoUrl, tags, imageSource, imageAttribution, creativeCommonsConfirmed, translations }
+     *   where translations are of the instructions (see RecipeTranslation.setUpstream)
+     *
+     * A drink already stored is only updated if it has changed upstream
+     * (see recipeHash), and fields an admin has edited (see update) are kept.
+     * A drink marked removed upstream (see markRemovedUpstream) is unmarked.
+     * A drink an admin has deleted (see remove) is left deleted, and counted
+     * as unchanged.
+     *
+     * client is the database client to use (default the shared one).
+     *
+     * Returns { id, status } where status is "inserted", "updated" or
+     * "unchanged" (id is null for a deleted drink).
+     **/
+
+    static async upsert(drink, client = db) {
+        const deleted = await client.query(
+                `SELECT external_id
+                 FROM deleted_catalog_recipes
+                 WHERE recipe_type = 'drinks' AND external_id = $1`,
+            [drink.externalId]);
+        if (deleted.rows[0]) return { id: null, status: "unchanged" };
+
+        const result = await client.query(
                 `INSERT INTO drinks
-                 (name, category, type, glass, instructions, thumbnail, ingredients)
-                 VALUES ($1, $2, $3, $4, $5, $6, $7)`,
-                [
-                    drink.name,
-                    drink.category,
-                    drink.type,
-                    drink.glass,
-                    drink.instructions,
-                    drink.thumbnail,
-                    drink.ingredients,
-                ],
-            );
-        });
+                (external_id, name, category, type, glass, instructions, thumbnail, ingredients,
+                 source_url, video_url, tags, image_source, image_attribution, creative_commons_confirmed,
+                 upstream_hash)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+                ON CONFLICT (external_id) DO UPDATE
+                 SET ${sqlForUpstreamUpdate("drinks", UPSTREAM_COLUMNS)},
+                     upstream_hash = EXCLUDED.upstream_hash,
+                     upstream_removed_at = NULL
+                 WHERE drinks.upstream_hash IS DISTINCT FROM EXCLUDED.upstream_hash
+                    OR drinks.upstream_removed_at IS NOT NULL
+                RETURNING id, (xmax = 0) AS inserted, edited_fields AS "editedFields"`,
+            [
+                drink.externalId,
+                drink.name,
+                drink.category,
+                drink.type,
+                drink.glass,
+                drink.instructions,
+                drink.thumbnail,
+                drink.ingredients,
+                drink.sourceUrl || null,
+                drink.videoUrl || null,
+                drink.tags || [],
+                drink.imageSource || null,
+                drink.imageAttribution || null,
+                drink.creativeCommonsConfirmed ?? null,
+                recipeHash(drink),
+            ],
+        );
+
+        if (!result.rows[0]) {
+            const unchanged = await client.query(
+                `SELECT id FROM drinks WHERE external_id = $1`,
+                [drink.externalId]);
+            return { id: unchanged.rows[0].id, status: "unchanged" };
+        }
+
+        const { id, inserted, editedFields } = result.rows[0];
+        if (!editedFields.includes("ingredients")) {
+            await RecipeIngredient.setFor("drinks", id,
+                drink.structuredIngredients || drink.ingredients, client);
+        }
+        await RecipeTranslation.setUpstream("drinks", id, drink.translations || {}, client);
+
+        return { id, status: inserted ? "inserted" : "updated" };
     }
 
+
+    /** Mark the drinks from TheCocktailDB that are no longer there as removed
+     *  upstream, given the external ids of all the drinks that are.
+     *
+     * Removed drinks are kept (users may have them as favorites), but are no
+     * longer listed, searched or suggested, and are unmarked if they come
+     * back (see upsert).
+     *
+     * client is the database client to use (default the shared one).
+     *
+     * Returns the number of drinks newly marked removed.
+     **/
+
+    static async markRemovedUpstream(externalIds, client = db) {
+        const result = await client.query(
+                `UPDATE drinks
+                 SET upstream_removed_at = NOW()
+                 WHERE external_id IS NOT NULL
+                   AND upstream_removed_at IS NULL
+                   AND NOT (external_id = ANY($1))`,
+            [externalIds]);
+
+        return result.rowCount;
+    }
+
+
     /** Create a drink (from data), update the db, and return the new drink data.
      * 
-     * data should be { name, category, type, glass, instructions, thumbnail, ingredients }
+     * data should be { name, category, type, glass, instructions, thumbnail, ingredients, servings, externalId }
+     *   where externalId (optional) is the drink's id in TheCocktailDB
      * 
-     * returns { id, name, category, type, glass, instructions, thumbnail, ingredients }
+     * returns { id, name, category, type, glass, instructions, thumbnail, ingredients, servings, structuredIngredients }
      * 
-     * Throws a BadRequestError if drink is already in the database.
+     * Throws a BadRequestError if a drink with the same externalId is already in the database.
      * */ 
 
-    static async create({ name, category, type, glass, instructions, thumbnail, ingredients }) {
-        const duplicateCheck = await db.query(
-            `SELECT name
-             FROM drinks
-             WHERE name = $1`,
-            [name]);
-
-        if (duplicateCheck.rows[0])
-            throw new BadRequestError(`Duplicate drink: ${name}`);
-
+    static async create({ name, category, type, glass, instructions, thumbnail, ingredients,
+                          servings = DEFAULT_SERVINGS.drinks, externalId = null }) {
         const result = await db.query(
                 `INSERT INTO drinks
-                (name, category, type, glass, instructions, thumbnail, ingredients)
-                VALUES ($1, $2, $3, $4, $5, $6, $7)
-                RETURNING id, name, category, type, glass, instructions, thumbnail, ingredients`,
+                (name, category, type, glass, instructions, thumbnail, ingredients, servings, external_id)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+                ON CONFLICT (external_id) DO NOTHING
+                RETURNING id, name, category, type, glass, instructions, thumbnail, ingredients, servings`,
             [
                 name,
                 category,
@@ -57,27 +159,68 @@ class Drink {
                 instructions,
                 thumbnail,
                 ingredients,
+                servings,
+                externalId,
             ],
         );
 
         const drink = result.rows[0];
 
+        // external ids are unique, so of two drinks created at once with the
+        // same one, only the first is stored
+        if (!drink) throw new BadRequestError(`Duplicate drink: ${externalId}`);
+
+        // a deleted drink added back with its external id is synced again
+        if (externalId) {
+            await db.query(
+                `DELETE FROM deleted_catalog_recipes
+                 WHERE recipe_type = 'drinks' AND external_id = $1`,
+                [externalId]);
+        }
+
+        drink.structuredIngredients = await RecipeIngredient.setFor("drinks", drink.id, ingredients);
+
         return drink;
     }
 
 
-    /** Find all drinks (optional filter on searchFilters).
+    /** Find a page of drinks (optional filter on searchFilters).
      *
      * searchFilters (all optional):
      * - name
      * - category
      * - type
+     * - glass
      * (will find case-insensitive, partial matches)
+     * - nonAlcoholic: true for only non-alcoholic drinks
+     * - ingredient: one or more ingredients the recipe must have
+     * - excludeIngredient: one or more ingredients the recipe must not have
+     * - ingredientMatch: "all" (default) to require every ingredient, or
+     *   "any" to require at least one
+     * (ingredients match case-insensitively at the start of a word)
+     * - facets: true to count the drinks matching the filters by category,
+     *   type, glass and ingredient
+     *
+     * and paging params (all optional):
+     * - sort: one of name, category, type, id (default name); prefix with
+     *   "-" for descending order
+     * - limit: page size (default 50, at most 100)
+     * - offset: number of drinks to skip
+     * - cursor: nextCursor or prevCursor from a previous page (instead of offset)
      *
-     * Returns [{ id, name, category, type, glass, instructions, thumbnail, ingredients }, ...]
+     * Returns { drinks, pagination, facets }
+     *   where drinks is [{ id, name, category, type, glass, instructions, thumbnail, ingredients, servings }, ...]
+     *   pagination is { total, limit, nextCursor, prevCursor }
+     *   and facets (only if asked for) is { category, type, glass, ingredient }
+     *     where each is [{ value, count }, ...], most common first (only the
+     *     20 most common ingredients)
+     *
+     * Throws BadRequestError on invalid paging params.
      * */
 
     static async findAll(searchFilters = {}) {
+        const page = parsePageParams(searchFilters, SORT_COLUMNS);
+
         let query = `SELECT id,
                             name,
                             category,
@@ -85,38 +228,88 @@ class Drink {
                             glass,
                             instructions,
                             thumbnail,
-                            ingredients
+                            ingredients,
+                            servings
                      FROM drinks`;
-        let whereExpressions = [];
         let queryValues = [];
+        let whereExpressions = sqlForFilters(searchFilters, queryValues);
 
-        const { name, category, type } = searchFilters;
-
-        if (name) {
-            queryValues.push(`%${name}%`);
-            whereExpressions.push(`name ILIKE $${queryValues.length}`);
+        let countQuery = "SELECT COUNT(*) FROM drinks";
+        if (whereExpressions.length > 0) {
+            countQuery += " WHERE " + whereExpressions.join(" AND ");
         }
+        const countRes = await db.query(countQuery, queryValues);
+
+        const facets = searchFilters.facets
+            ? await countFacets("drinks", FACETS, whereExpressions, queryValues)
+            : undefined;
+
+        const { whereExpression, orderSql } = paginationSql(page, queryValues);
+        if (whereExpression) whereExpressions.push(whereExpression);
 
-        if (category) {
-            queryValues.push(`%${category}%`);
-            whereExpressions.push(`category ILIKE $${queryValues.length}`);
+        if (whereExpressions.length > 0) {
+            query += " WHERE " + whereExpressions.join(" AND ");
         }
 
-        if (type) {
-            queryValues.push(`%${type}%`);
-            whereExpressions.push(`type ILIKE $${queryValues.length}`);
+        query += orderSql;
+        const drinksRes = await db.query(query, queryValues);
+        const { rows, nextCursor, prevCursor } = pageResult(drinksRes.rows, page);
+
+        return {
+            drinks: rows,
+            pagination: {
+                total: +countRes.rows[0].count,
+                limit: page.limit,
+                nextCursor,
+                prevCursor,
+            },
+            ...(facets && { facets }),
+        };
+    }
+
+    /** Pick some drinks at random.
+     *
+     * searchFilters are the filters of findAll (paging params are ignored).
+     *
+     * options (all optional):
+     * - count: how many drinks to pick (default 1); fewer are returned if
+     *   fewer match
+     * - username: leave out the drinks this user has favorited
+     *
+     * Returns [{ id, name, category, type, glass, instructions, thumbnail, ingredients, servings }, ...]
+     **/
+
+    static async random(searchFilters = {}, { count = 1, username } = {}) {
+        let queryValues = [];
+        let whereExpressions = sqlForFilters(searchFilters, queryValues);
+
+        if (username) {
+            queryValues.push(username);
+            whereExpressions.push(`id NOT IN (SELECT drink_id
+                                              FROM favorite_drinks
+                                              WHERE username = $${queryValues.length})`);
         }
 
+        let query = `SELECT id,
+                            name,
+                            category,
+                            type,
+                            glass,
+                            instructions,
+                            thumbnail,
+                            ingredients,
+                            servings
+                     FROM drinks`;
         if (whereExpressions.length > 0) {
             query += " WHERE " + whereExpressions.join(" AND ");
         }
+        queryValues.push(count);
+        query += ` ORDER BY random() LIMIT $${queryValues.length}`;
 
-        query += " ORDER BY name";
         const drinksRes = await db.query(query, queryValues);
         return drinksRes.rows;
     }
 
-
     /** Get all category names, with a count of how many items have that particular category 
      * 
      * Returns [ { category, count }, ...] 
@@ -126,20 +319,42 @@ class Drink {
         const categoriesRes = await db.query(
                 `SELECT category, COUNT(*)
                  FROM drinks
+                 WHERE upstream_removed_at IS NULL
                  GROUP BY category
                  ORDER BY category`);
         return categoriesRes.rows;
     }
 
+    /** Get all glass names, with a count of how many drinks are served in each
+     *
+     * Returns [ { glass, count }, ...]
+     */
+
+    static async getGlasses() {
+        const glassesRes = await db.query(
+                `SELECT glass, COUNT(*)
+                 FROM drinks
+                 WHERE glass IS NOT NULL
+                   AND upstream_removed_at IS NULL
+                 GROUP BY glass
+                 ORDER BY glass`);
+        return glassesRes.rows;
+    }
+
 
     /** Given a drink id, return data about drink.
      *
-     * Returns { id, name, category, type, glass, instructions, thumbnail, ingredients }
+     * Returns { id, name, category, type, glass, instructions, thumbnail, ingredients, servings, externalId, sourceUrl, videoUrl,
+     *           tags, imageSource, imageAttribution, creativeCommonsConfirmed, structuredIngredients }
+     *   where externalId is the drink's id in TheCocktailDB, and the rest say where it came from
+     *   (all null, or [] for tags, for drinks not from TheCocktailDB)
      *
      * Throws NotFoundError if not found.
      **/
 
     static async get(id) {
+        if (!/^\d{1,9}$/.test(id)) throw new NotFoundError(`No drink: ${id}`);
+
         const drinkRes = await db.query(
                 `SELECT id,
                         name,
@@ -148,7 +363,15 @@ class Drink {
                         glass,
                         instructions,
                         thumbnail,
-                        ingredients
+                        ingredients,
+                        servings,
+                        external_id AS "externalId",
+                        source_url AS "sourceUrl",
+                        video_url AS "videoUrl",
+                        tags,
+                        image_source AS "imageSource",
+                        image_attribution AS "imageAttribution",
+                        creative_commons_confirmed AS "creativeCommonsConfirmed"
                  FROM drinks
                  WHERE id = $1`,
                 [id]);
@@ -157,6 +380,8 @@ class Drink {
 
         if (!drink) throw new NotFoundError(`No drink: ${id}`);
 
+        drink.structuredIngredients = await RecipeIngredient.getFor("drinks", drink.id);
+
         return drink;
     }
 
@@ -166,19 +391,25 @@ class Drink {
      * This is a "partial update" --- it's fine if data doesn't contain all the
      * fields; this only changes provided ones.
      *
-     * Data can include: {name, category, type, glass, instructions, thumbnail, ingredients}
+     * The fields changed are recorded as edited, so that syncing with
+     * TheCocktailDB doesn't overwrite them (see upsert).
+     *
+     * Data can include: {name, category, type, glass, instructions, thumbnail, ingredients, servings}
      *
-     * Returns {id, name, category, type, glass, instructions, thumbnail, ingredients}
+     * Returns {id, name, category, type, glass, instructions, thumbnail, ingredients, servings, externalId, sourceUrl, videoUrl, tags,
+     *          imageSource, imageAttribution, creativeCommonsConfirmed, structuredIngredients}
      *
      * Throws NotFoundError if not found.
      */
 
     static async update(id, data) {
         const { setCols, values } = sqlForPartialUpdate(data);
-        const idVarIdx = "$" + (values.length + 1);
+        const editedIdx = "$" + (values.length + 1);
+        const idVarIdx = "$" + (values.length + 2);
 
         const querySql = `UPDATE drinks 
-                          SET ${setCols} 
+                          SET ${setCols},
+                              edited_fields = ARRAY(SELECT DISTINCT unnest(edited_fields || ${editedIdx}::TEXT[]))
                           WHERE id = ${idVarIdx} 
                           RETURNING id, 
                                     name, 
@@ -187,27 +418,50 @@ class Drink {
                                     glass, 
                                     instructions,
                                     thumbnail,
-                                    ingredients`;
-        const result = await db.query(querySql, [...values, id]);
+                                    ingredients,
+                                    servings,
+                                    external_id AS "externalId",
+                                    source_url AS "sourceUrl",
+                                    video_url AS "videoUrl",
+                                    tags,
+                                    image_source AS "imageSource",
+                                    image_attribution AS "imageAttribution",
+                                    creative_commons_confirmed AS "creativeCommonsConfirmed"`;
+        const result = await db.query(querySql, [...values, Object.keys(data), id]);
         const drink = result.rows[0];
 
         if (!drink) throw new NotFoundError(`No drink: ${id}`);
 
+        drink.structuredIngredients = data.ingredients
+            ? await RecipeIngredient.setFor("drinks", drink.id, data.ingredients)
+            : await RecipeIngredient.getFor("drinks", drink.id);
+
         return drink;
     }
 
 
     /** Delete given drink from database; returns undefined.
+     *
+     * A drink from TheCocktailDB is remembered by its external id, so that
+     * syncs don't bring it back (see upsert).
      *
      * Throws NotFoundError if drink not found.
      **/
 
     static async remove(id) {
         const result = await db.query(
-            `DELETE
-             FROM drinks
-             WHERE id = $1
-             RETURNING id`,
+            `WITH drink AS (
+                 DELETE
+                 FROM drinks
+                 WHERE id = $1
+                 RETURNING id, external_id),
+             tombstone AS (
+                 INSERT INTO deleted_catalog_recipes (recipe_type, external_id)
+                 SELECT 'drinks', external_id
+                 FROM drink
+                 WHERE external_id IS NOT NULL
+                 ON CONFLICT DO NOTHING)
+             SELECT id FROM drink`,
             [id]);
         const drink = result.rows[0];
 
@@ -216,4 +470,43 @@ class Drink {
 }
 
 
+/** WHERE expressions for the filters of findAll and random, pushing the
+ *  values they use onto queryValues. */
+
+function sqlForFilters(searchFilters, queryValues) {
+    // recipes removed upstream are only kept for the users who have them
+    let whereExpressions = ["upstream_removed_at IS NULL"];
+
+    const { name, category, type, glass } = searchFilters;
+
+    if (name) {
+        queryValues.push(`%${name}%`);
+        whereExpressions.push(`name ILIKE $${queryValues.length}`);
+    }
+
+    if (category) {
+        queryValues.push(`%${category}%`);
+        whereExpressions.push(`category ILIKE $${queryValues.length}`);
+    }
+
+    if (type) {
+        queryValues.push(`%${type}%`);
+        whereExpressions.push(`type ILIKE $${queryValues.length}`);
+    }
+
+    if (glass) {
+        queryValues.push(`%${glass}%`);
+        whereExpressions.push(`glass ILIKE $${queryValues.length}`);
+    }
+
+    if (searchFilters.nonAlcoholic) {
+        whereExpressions.push("type ILIKE 'non%alcoholic'");
+    }
+
+    whereExpressions.push(...sqlForIngredientFilters(searchFilters, queryValues));
+
+    return whereExpressions;
+}
+
+
 module.exports = Drink;
\ No newline at end of file
@@ -3,6 +3,7 @@
 const { NotFoundError, BadRequestError } = require("../expressError");
 const db = require("../db.js");
 const Drink = require("./drink.js");
+const RecipeTranslation = require("./recipeTranslation.js");
 const {
   commonBeforeAll,
   commonBeforeEach,
@@ -34,15 +35,148 @@ describe("create", function () {
     expect(drink).toEqual({
       ...newDrink,
       id: expect.any(Number),
+      servings: 1,
+      structuredIngredients: [
+        { display: "New Ing 1", quantity: null, quantityMax: null, unit: null, name: "new ing 1", note: null },
+        { display: "New Ing 2", quantity: null, quantityMax: null, unit: null, name: "new ing 2", note: null },
+        { display: "New Ing 3", quantity: null, quantityMax: null, unit: null, name: "new ing 3", note: null },
+      ],
     });
   });
+
+  test("works: same name as another drink", async function () {
+    await Drink.create(newDrink);
+    const drink = await Drink.create(newDrink);
+    expect(drink.id).toEqual(expect.any(Number));
+  });
+
+  test("bad request with dupe external id", async function () {
+    const drink = await Drink.create({ ...newDrink, externalId: "11007" });
+    expect((await Drink.get(drink.id)).externalId).toEqual("11007");
+    try {
+      await Drink.create({ ...newDrink, name: "Other", externalId: "11007" });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request with dupe external id, created at once", async function () {
+    const results = await Promise.allSettled([
+      Drink.create({ ...newDrink, externalId: "52772" }),
+      Drink.create({ ...newDrink, name: "Other", externalId: "52772" }),
+    ]);
+    expect(results.map(r => r.status).sort()).toEqual(["fulfilled", "rejected"]);
+    const { reason } = results.find(r => r.status === "rejected");
+    expect(reason instanceof BadRequestError).toBeTruthy();
+  });
+});
+
+/************************************** upsert */
+
+function newDrinkFrom(externalId) {
+  return {
+    externalId,
+    name: `Imported ${externalId}`,
+    category: "Cat1",
+    type: "T1",
+    glass: "G1",
+    instructions: "Inst",
+    thumbnail: null,
+    ingredients: ["1 oz Gin"],
+  };
+}
+
+describe("upsert", function () {
+  const newDrink = {
+    externalId: "17999",
+    name: "Imported Drink",
+    category: "Cat1",
+    type: "T1",
+    glass: "G1",
+    instructions: "Inst",
+    thumbnail: null,
+    ingredients: ["1 oz Gin"],
+  };
+
+  test("works: inserts, then updates by external id", async function () {
+    const { id, status } = await Drink.upsert(newDrink);
+    expect(status).toEqual("inserted");
+
+    const result = await Drink.upsert({ ...newDrink, glass: "G2" });
+    expect(result).toEqual({ id, status: "updated" });
+    expect(await Drink.upsert({ ...newDrink, glass: "G2" })).toEqual({ id, status: "unchanged" });
+    const drink = await Drink.get(id);
+    expect(drink.glass).toEqual("G2");
+    expect(drink.ingredients).toEqual(["1 oz Gin"]);
+  });
+
+  test("works: leaves a drink deleted by an admin deleted", async function () {
+    const { id } = await Drink.upsert(newDrink);
+    await Drink.remove(id);
+    expect(await Drink.upsert(newDrink)).toEqual({ id: null, status: "unchanged" });
+    const res = await db.query(
+        "SELECT id FROM drinks WHERE external_id=$1", [newDrink.externalId]);
+    expect(res.rows.length).toEqual(0);
+
+    // until an admin adds it back
+    const drink = await Drink.create({ ...newDrink, name: "Back" });
+    expect(await Drink.upsert(newDrink)).toEqual({ id: drink.id, status: "updated" });
+  });
+
+  test("works: stores where the drink came from", async function () {
+    const { id } = await Drink.upsert({
+      ...newDrink,
+      videoUrl: "https://video.example/d",
+      tags: ["IBA", "Classic"],
+      imageSource: "https://commons.example/d.jpg",
+      imageAttribution: "Someone",
+      creativeCommonsConfirmed: true,
+    });
+    expect(await Drink.get(id)).toEqual(expect.objectContaining({
+      externalId: "17999",
+      sourceUrl: null,
+      videoUrl: "https://video.example/d",
+      tags: ["IBA", "Classic"],
+      imageSource: "https://commons.example/d.jpg",
+      imageAttribution: "Someone",
+      creativeCommonsConfirmed: true,
+    }));
+  });
+
+  test("works: stores translations", async function () {
+    const { id } = await Drink.upsert({ ...newDrink, translations: { de: "Rühren." } });
+    expect(await RecipeTranslation.getFor("drinks", id)).toEqual([
+      { language: "de", instructions: "Rühren.", contributedBy: null },
+    ]);
+  });
+
+  test("works: keeps fields edited by an admin", async function () {
+    const { id } = await Drink.upsert(newDrink);
+    await Drink.update(id, { glass: "Admin Glass" });
+    await Drink.upsert({ ...newDrink, glass: "G2", type: "T2" });
+    const drink = await Drink.get(id);
+    expect(drink.glass).toEqual("Admin Glass");
+    expect(drink.type).toEqual("T2");
+  });
+});
+
+/************************************** markRemovedUpstream */
+
+describe("markRemovedUpstream", function () {
+  test("works", async function () {
+    await Drink.upsert(newDrinkFrom("1"));
+    await Drink.upsert(newDrinkFrom("2"));
+    expect(await Drink.markRemovedUpstream(["2"])).toEqual(1);
+    expect(await Drink.markRemovedUpstream(["2"])).toEqual(0);
+  });
 });
 
 /************************************** findAll */
 
 describe("findAll", function () {
   test("works: no filter", async function () {
-    let drinks = await Drink.findAll();
+    let { drinks } = await Drink.findAll();
     expect(drinks).toEqual([
       {
         id: testDrinkIds[0],
@@ -52,7 +186,8 @@ describe("findAll", function () {
         glass: "G1",
         instructions: "Inst1",
         thumbnail: "http://D1.img",
-        ingredients: ["Ing1a", "Ing1b", "Ing1c"]
+        ingredients: ["Ing1a", "Ing1b", "Ing1c"],
+        servings: 1
       },
       {
         id: testDrinkIds[1],
@@ -62,7 +197,8 @@ describe("findAll", function () {
         glass: "G2",
         instructions: "Inst2",
         thumbnail: "http://D2.img",
-        ingredients: ["Ing2a", "Ing2b", "Ing2c"]
+        ingredients: ["Ing2a", "Ing2b", "Ing2c"],
+        servings: 1
       },
       {
         id: testDrinkIds[2],
@@ -72,13 +208,133 @@ describe("findAll", function () {
         glass: "G3",
         instructions: "Inst3",
         thumbnail: "http://D3.img",
-        ingredients: ["Ing3a", "Ing3b", "Ing3c"]
+        ingredients: ["Ing3a", "Ing3b", "Ing3c"],
+        servings: 1
       },
     ]);
   });
 
+  test("works: by ingredient", async function () {
+    let { drinks } = await Drink.findAll({ ingredient: "ing1a" });
+    expect(drinks.map(d => d.name)).toEqual(["D1"]);
+  });
+
+  test("works: ingredients match at start of word", async function () {
+    let { drinks } = await Drink.findAll({ ingredient: "ING2" });
+    expect(drinks.map(d => d.name)).toEqual(["D2"]);
+    ({ drinks } = await Drink.findAll({ ingredient: "ng2a" }));
+    expect(drinks).toEqual([]);
+  });
+
+  test("works: all ingredients", async function () {
+    let { drinks } = await Drink.findAll({ ingredient: ["Ing1a", "Ing1c"] });
+    expect(drinks.map(d => d.name)).toEqual(["D1"]);
+    ({ drinks } = await Drink.findAll({ ingredient: ["Ing1a", "Ing2a"] }));
+    expect(drinks).toEqual([]);
+  });
+
+  test("works: any ingredient", async function () {
+    let { drinks, pagination } = await Drink.findAll({
+      ingredient: ["Ing1a", "Ing3a"], ingredientMatch: "any",
+    });
+    expect(drinks.map(d => d.name)).toEqual(["D1", "D3"]);
+    expect(pagination.total).toEqual(2);
+  });
+
+  test("works: excluding ingredients", async function () {
+    let { drinks } = await Drink.findAll({ excludeIngredient: ["Ing1b", "Ing3"] });
+    expect(drinks.map(d => d.name)).toEqual(["D2"]);
+  });
+
+  test("works: ingredient with regex characters", async function () {
+    let { drinks } = await Drink.findAll({ ingredient: "Ing.*" });
+    expect(drinks).toEqual([]);
+  });
+
+  test("works: pagination totals", async function () {
+    let { pagination } = await Drink.findAll();
+    expect(pagination).toEqual({
+      total: 3,
+      limit: 50,
+      nextCursor: null,
+      prevCursor: null,
+    });
+  });
+
+  test("works: leaves out drinks removed upstream", async function () {
+    await db.query("UPDATE drinks SET upstream_removed_at = NOW() WHERE id = $1", [testDrinkIds[0]]);
+    const { drinks, pagination } = await Drink.findAll();
+    expect(drinks.map(d => d.name)).toEqual(["D2", "D3"]);
+    expect(pagination.total).toEqual(2);
+  });
+
+  test("works: sort descending", async function () {
+    let { drinks } = await Drink.findAll({ sort: "-name" });
+    expect(drinks.map(d => d.name)).toEqual(["D3", "D2", "D1"]);
+  });
+
+  test("works: sort by type", async function () {
+    let { drinks } = await Drink.findAll({ sort: "-type" });
+    expect(drinks.map(d => d.type)).toEqual(["T3", "T2", "T1"]);
+  });
+
+  test("works: limit and offset", async function () {
+    let { drinks, pagination } = await Drink.findAll({ limit: "1", offset: "1" });
+    expect(drinks.map(d => d.name)).toEqual(["D2"]);
+    expect(pagination).toEqual({
+      total: 3,
+      limit: 1,
+      nextCursor: expect.any(String),
+      prevCursor: expect.any(String),
+    });
+  });
+
+  test("works: paging by cursor, both ways", async function () {
+    let page1 = await Drink.findAll({ limit: "2" });
+    expect(page1.drinks.map(d => d.name)).toEqual(["D1", "D2"]);
+    expect(page1.pagination.prevCursor).toEqual(null);
+
+    let page2 = await Drink.findAll({ limit: "2", cursor: page1.pagination.nextCursor });
+    expect(page2.drinks.map(d => d.name)).toEqual(["D3"]);
+    expect(page2.pagination.nextCursor).toEqual(null);
+    expect(page2.pagination.total).toEqual(3);
+
+    let back = await Drink.findAll({ limit: "2", cursor: page2.pagination.prevCursor });
+    expect(back.drinks.map(d => d.name)).toEqual(["D1", "D2"]);
+    expect(back.pagination.prevCursor).toEqual(null);
+    expect(back.pagination.nextCursor).toEqual(expect.any(String));
+  });
+
+  test("works: cursor with filters", async function () {
+    let page1 = await Drink.findAll({ name: "D", limit: "1", sort: "-name" });
+    expect(page1.drinks.map(d => d.name)).toEqual(["D3"]);
+    let page2 = await Drink.findAll({
+      name: "D", limit: "1", sort: "-name", cursor: page1.pagination.nextCursor,
+    });
+    expect(page2.drinks.map(d => d.name)).toEqual(["D2"]);
+  });
+
+  test("bad request on invalid cursor", async function () {
+    try {
+      await Drink.findAll({ cursor: "nope" });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request on cursor for another sort", async function () {
+    let { pagination } = await Drink.findAll({ limit: "1" });
+    try {
+      await Drink.findAll({ sort: "id", cursor: pagination.nextCursor });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
   test("works: by category", async function () {
-    let drinks = await Drink.findAll({ category: "Cat2" });
+    let { drinks } = await Drink.findAll({ category: "Cat2" });
     expect(drinks).toEqual([
       {
         id: testDrinkIds[1],
@@ -88,13 +344,14 @@ describe("findAll", function () {
         glass: "G2",
         instructions: "Inst2",
         thumbnail: "http://D2.img",
-        ingredients: ["Ing2a", "Ing2b", "Ing2c"]
+        ingredients: ["Ing2a", "Ing2b", "Ing2c"],
+        servings: 1
       },
     ]);
   });
 
   test("works: by type", async function () {
-    let drinks = await Drink.findAll({ type: "T3" });
+    let { drinks } = await Drink.findAll({ type: "T3" });
     expect(drinks).toEqual([
       {
         id: testDrinkIds[2],
@@ -104,13 +361,14 @@ describe("findAll", function () {
         glass: "G3",
         instructions: "Inst3",
         thumbnail: "http://D3.img",
-        ingredients: ["Ing3a", "Ing3b", "Ing3c"]
+        ingredients: ["Ing3a", "Ing3b", "Ing3c"],
+        servings: 1
       },
     ]);
   });
 
   test("works: by name", async function () {
-    let drinks = await Drink.findAll({ name: "D1" });
+    let { drinks } = await Drink.findAll({ name: "D1" });
     expect(drinks).toEqual([
       {
         id: testDrinkIds[0],
@@ -120,12 +378,104 @@ describe("findAll", function () {
         glass: "G1",
         instructions: "Inst1",
         thumbnail: "http://D1.img",
-        ingredients: ["Ing1a", "Ing1b", "Ing1c"]
+        ingredients: ["Ing1a", "Ing1b", "Ing1c"],
+        servings: 1
       },
     ]);
   });
 });
 
+/************************************** findAll facets */
+
+describe("findAll facets", function () {
+  beforeEach(async function () {
+    for (const [name, type, glass, ingredients] of [
+      ["Margarita", "Alcoholic", "Cocktail glass", ["2 oz Tequila", "1 oz Lime juice"]],
+      ["Paloma", "Alcoholic", "Highball glass", ["2 oz Tequila", "4 oz Grapefruit soda"]],
+      ["Limeade", "Non alcoholic", "Highball glass", ["1 oz Lime juice", "6 oz Water"]],
+    ]) {
+      await Drink.create({
+        name,
+        category: "Cocktail",
+        type,
+        glass,
+        instructions: "Mix.",
+        thumbnail: `http://${name}.img`,
+        ingredients,
+      });
+    }
+  });
+
+  test("works: counts across the filtered drinks", async function () {
+    const { facets } = await Drink.findAll({ category: "cocktail", facets: true });
+    expect(facets).toEqual({
+      category: [{ value: "Cocktail", count: 3 }],
+      type: [{ value: "Alcoholic", count: 2 }, { value: "Non alcoholic", count: 1 }],
+      glass: [{ value: "Highball glass", count: 2 }, { value: "Cocktail glass", count: 1 }],
+      ingredient: [
+        { value: "lime juice", count: 2 },
+        { value: "tequila", count: 2 },
+        { value: "grapefruit soda", count: 1 },
+        { value: "water", count: 1 },
+      ],
+    });
+  });
+
+  test("works: by glass", async function () {
+    const { drinks, facets } = await Drink.findAll({ glass: "highball", facets: true });
+    expect(drinks.map(d => d.name)).toEqual(["Limeade", "Paloma"]);
+    expect(facets.type).toEqual([
+      { value: "Alcoholic", count: 1 },
+      { value: "Non alcoholic", count: 1 },
+    ]);
+  });
+
+  test("works: no facets unless asked", async function () {
+    const result = await Drink.findAll({ category: "cocktail" });
+    expect(result.facets).toBeUndefined();
+  });
+});
+
+/************************************** random */
+
+describe("random", function () {
+  test("works: one drink by default", async function () {
+    const drinks = await Drink.random();
+    expect(drinks.length).toEqual(1);
+    expect(testDrinkIds).toContain(drinks[0].id);
+  });
+
+  test("works: leaves out drinks removed upstream", async function () {
+    await db.query("UPDATE drinks SET upstream_removed_at = NOW() WHERE id = $1", [testDrinkIds[0]]);
+    const drinks = await Drink.random({}, { count: 3 });
+    expect(drinks.map(d => d.id).sort()).toEqual([testDrinkIds[1], testDrinkIds[2]].sort());
+  });
+
+  test("works: filters", async function () {
+    const drinks = await Drink.random({ glass: "G3" }, { count: 3 });
+    expect(drinks.map(d => d.id)).toEqual([testDrinkIds[2]]);
+  });
+
+  test("works: non-alcoholic", async function () {
+    const limeade = await Drink.create({
+      name: "Limeade",
+      category: "Cat1",
+      type: "Non alcoholic",
+      glass: "G1",
+      instructions: "Mix.",
+      thumbnail: "http://Limeade.img",
+      ingredients: ["1 oz Lime juice"],
+    });
+    const drinks = await Drink.random({ nonAlcoholic: true }, { count: 3 });
+    expect(drinks.map(d => d.id)).toEqual([limeade.id]);
+  });
+
+  test("works: leaves out the user's favorites", async function () {
+    const drinks = await Drink.random({}, { count: 3, username: "u1" });
+    expect(drinks.map(d => d.id).sort()).toEqual([testDrinkIds[1], testDrinkIds[2]].sort());
+  });
+});
+
 /************************************** getCategories */
 
 describe("getCategories", function () {
@@ -146,6 +496,25 @@ describe("getCategories", function () {
       },
     ]);
   });
+
+  test("works: leaves out drinks removed upstream", async function () {
+    await db.query("UPDATE drinks SET upstream_removed_at = NOW() WHERE id = $1", [testDrinkIds[0]]);
+    const categories = await Drink.getCategories();
+    expect(categories.map(c => c.category)).toEqual(["Cat2", "Cat3"]);
+  });
+});
+
+/************************************** getGlasses */
+
+describe("getGlasses", function () {
+  test("works", async function () {
+    let glasses = await Drink.getGlasses();
+    expect(glasses).toEqual([
+      { glass: "G1", count: "1" },
+      { glass: "G2", count: "1" },
+      { glass: "G3", count: "1" },
+    ]);
+  });
 });
 
 /************************************** get */
@@ -161,7 +530,20 @@ describe("get", function () {
       glass: "G1",
       instructions: "Inst1",
       thumbnail: "http://D1.img",
-      ingredients: ["Ing1a", "Ing1b", "Ing1c"]
+      ingredients: ["Ing1a", "Ing1b", "Ing1c"],
+      servings: 1,
+      externalId: null,
+      sourceUrl: null,
+      videoUrl: null,
+      tags: [],
+      imageSource: null,
+      imageAttribution: null,
+      creativeCommonsConfirmed: null,
+      structuredIngredients: [
+        { display: "Ing1a", quantity: null, quantityMax: null, unit: null, name: "ing1a", note: null },
+        { display: "Ing1b", quantity: null, quantityMax: null, unit: null, name: "ing1b", note: null },
+        { display: "Ing1c", quantity: null, quantityMax: null, unit: null, name: "ing1c", note: null },
+      ],
     });
   });
 
@@ -186,13 +568,42 @@ describe("update", function () {
     instructions: "New Inst",
     thumbnail: "http://NewDrink.img",
     ingredients: ["New Ing 1", "New Ing 2", "New Ing 3"],
+    servings: 2,
   };
   test("works", async function () {
     let drink = await Drink.update(testDrinkIds[0], updateData);
     expect(drink).toEqual({
       id: testDrinkIds[0],
       ...updateData,
+      externalId: null,
+      sourceUrl: null,
+      videoUrl: null,
+      tags: [],
+      imageSource: null,
+      imageAttribution: null,
+      creativeCommonsConfirmed: null,
+      structuredIngredients: [
+        { display: "New Ing 1", quantity: null, quantityMax: null, unit: null, name: "new ing 1", note: null },
+        { display: "New Ing 2", quantity: null, quantityMax: null, unit: null, name: "new ing 2", note: null },
+        { display: "New Ing 3", quantity: null, quantityMax: null, unit: null, name: "new ing 3", note: null },
+      ],
+    });
+  });
+
+  test("works: ingredients are parsed", async function () {
+    let drink = await Drink.update(testDrinkIds[0], {
+      ingredients: ["1 1/2 cups Rice", "to taste Salt"],
     });
+    expect(drink.structuredIngredients).toEqual([
+      { display: "1 1/2 cups Rice", quantity: 1.5, quantityMax: null, unit: "cup", name: "rice", note: null },
+      { display: "to taste Salt", quantity: null, quantityMax: null, unit: null, name: "salt", note: "to taste" },
+    ]);
+    expect(await Drink.get(testDrinkIds[0])).toEqual(drink);
+  });
+
+  test("works: ingredients kept if not updated", async function () {
+    let drink = await Drink.update(testDrinkIds[0], { name: "New" });
+    expect(drink.structuredIngredients.map(i => i.name)).toEqual(["ing1a", "ing1b", "ing1c"]);
   });
 
   test("not found if no such drink", async function () {
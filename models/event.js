@@ -0,0 +1,279 @@
+"use strict";
+
+const db = require("../db");
+const { NotFoundError, BadRequestError } = require("../expressError");
+const { sqlForPartialUpdate } = require("../helpers/sql");
+const { scaleRecipe } = require("../helpers/scaling");
+const { combineIngredients } = require("../helpers/shopping");
+const { prepTimeline } = require("../helpers/timeline");
+const { getRecipe, recipeOfRow } = require("../helpers/recipes");
+
+const EVENT_COLUMNS = `id,
+                       name,
+                       starts_at AS "startsAt",
+                       guest_count AS "guestCount",
+                       notes`;
+
+/** Related functions for events: parties a user is hosting.
+ *
+ * An event has a menu of meals and drinks, from the catalog or the user's
+ * personal recipes, each with how many servings to make per guest. Getting
+ * an event scales its menu to the guest count, and plans the shopping and
+ * cooking for it.
+ *
+ * A menu item, as given, is { type, id, personal, servingsPerGuest }
+ *   where type is "meals" or "drinks", personal is whether id is one of the
+ *   user's personal recipes (default false), and servingsPerGuest defaults
+ *   to 1.
+ */
+
+class Event {
+  /** Create an event for a user, from data:
+   *  { name, startsAt, guestCount, notes, menu }.
+   *
+   * The event and its menu are stored together, or not at all.
+   *
+   * Returns the event, as for get.
+   *
+   * Throws NotFoundError if a recipe on the menu doesn't exist (or, for a
+   * personal recipe, isn't the user's).
+   **/
+
+  static async create(username, { name, startsAt, guestCount, notes = null, menu = [] }) {
+    await checkMenu(username, menu);
+
+    const items = sqlForMenu("(SELECT id FROM event)", menu, 5);
+    const result = await write(
+          `WITH event AS (INSERT INTO events (username, name, starts_at, guest_count, notes)
+                          VALUES ($1, $2, $3, $4, $5)
+                          RETURNING id),
+                items AS (${items.sql})
+           SELECT id FROM event`,
+        [username, name, new Date(startsAt), guestCount, notes, ...items.values],
+    );
+
+    return this.get(username, result.rows[0].id);
+  }
+
+  /** Given a username, return their events (soonest first).
+   *
+   * Returns [{ id, name, startsAt, guestCount, notes }, ...]
+   **/
+
+  static async findAll(username) {
+    const result = await db.query(
+          `SELECT ${EVENT_COLUMNS}
+           FROM events
+           WHERE username = $1
+           ORDER BY starts_at, id`,
+        [username],
+    );
+
+    return result.rows;
+  }
+
+  /** Given a username and event id, return the event, with its menu scaled
+   *  to the guest count.
+   *
+   * Returns { id, name, startsAt, guestCount, notes, menu, shoppingList, timeline }
+   *   where menu is [{ type, id, personal, servingsPerGuest, name, thumbnail,
+   *                    instructions, servings, ingredients, structuredIngredients }, ...]
+   *     with each recipe scaled to make servingsPerGuest for every guest
+   *   shoppingList is the ingredients of the whole menu, as from
+   *     combineIngredients: [{ aisle, display, name, quantity, unit, recipes, unparsed }, ...]
+   *   timeline is when to shop and cook, as from prepTimeline:
+   *     [{ at, task }, ...]
+   *
+   * Throws NotFoundError if the user has no such event.
+   **/
+
+  static async get(username, id) {
+    if (!/^\d{1,9}$/.test(id)) throw new NotFoundError(`No event: ${id}`);
+
+    const eventRes = await db.query(
+          `SELECT ${EVENT_COLUMNS}
+           FROM events
+           WHERE id = $1 AND username = $2`,
+        [id, username],
+    );
+
+    const event = eventRes.rows[0];
+
+    if (!event) throw new NotFoundError(`No event: ${id}`);
+
+    const itemsRes = await db.query(
+          `SELECT meal_id,
+                  drink_id,
+                  personal_meal_id,
+                  personal_drink_id,
+                  servings_per_guest::FLOAT AS "servingsPerGuest"
+           FROM event_items
+           WHERE event_id = $1
+           ORDER BY position`,
+        [id],
+    );
+
+    event.menu = [];
+    for (const row of itemsRes.rows) {
+      const item = { ...recipeOfRow(row), servingsPerGuest: row.servingsPerGuest };
+      const recipe = await getRecipe(username, item);
+      const scaled = scaleRecipe(recipe, Math.ceil(event.guestCount * item.servingsPerGuest));
+      event.menu.push({
+        ...item,
+        name: scaled.name,
+        thumbnail: scaled.thumbnail,
+        instructions: scaled.instructions,
+        servings: scaled.servings,
+        ingredients: scaled.ingredients,
+        structuredIngredients: scaled.structuredIngredients,
+      });
+    }
+
+    event.shoppingList = combineIngredients(event.menu);
+    event.timeline = prepTimeline(event.startsAt, event.menu);
+
+    return event;
+  }
+
+  /** Update a user's event with data.
+   *
+   * This is a "partial update" --- it's fine if data doesn't contain all the
+   * fields; this only changes provided ones. A menu given replaces the
+   * whole menu, in the same write.
+   *
+   * Data can include: { name, startsAt, guestCount, notes, menu }
+   *
+   * Returns the event, as for get.
+   *
+   * Throws NotFoundError if the user has no such event, or a recipe on the
+   * menu doesn't exist.
+   **/
+
+  static async update(username, id, data) {
+    const { menu, ...fields } = data;
+    if (menu === undefined && Object.keys(fields).length === 0) {
+      throw new BadRequestError("No data");
+    }
+
+    await checkEvent(username, id);
+    if (menu) await checkMenu(username, menu);
+
+    if (fields.startsAt) fields.startsAt = new Date(fields.startsAt);
+    const { setCols, values } = Object.keys(fields).length
+        ? sqlForPartialUpdate(fields, { startsAt: "starts_at", guestCount: "guest_count" })
+        : { setCols: null, values: [] };
+    values.push(id);
+    const idVarIdx = "$" + values.length;
+
+    const changes = [];
+    if (setCols) {
+      changes.push(`updated AS (UPDATE events SET ${setCols} WHERE id = ${idVarIdx})`);
+    }
+    if (menu) {
+      const items = sqlForMenu(idVarIdx, menu, values.length);
+      changes.push(`cleared AS (DELETE FROM event_items WHERE event_id = ${idVarIdx})`,
+                   `items AS (${items.sql})`);
+      values.push(...items.values);
+    }
+
+    await write(`WITH ${changes.join(",\n")} SELECT ${idVarIdx}`, values);
+
+    return this.get(username, id);
+  }
+
+  /** Delete a user's event; returns undefined.
+   *
+   * Throws NotFoundError if the user has no such event.
+   **/
+
+  static async remove(username, id) {
+    if (!/^\d{1,9}$/.test(id)) throw new NotFoundError(`No event: ${id}`);
+
+    const result = await db.query(
+          `DELETE
+           FROM events
+           WHERE id = $1 AND username = $2
+           RETURNING id`,
+        [id, username],
+    );
+
+    if (!result.rows[0]) throw new NotFoundError(`No event: ${id}`);
+  }
+}
+
+
+/** Throws NotFoundError if the user has no event with this id. */
+
+async function checkEvent(username, id) {
+  if (!/^\d{1,9}$/.test(id)) throw new NotFoundError(`No event: ${id}`);
+
+  const result = await db.query(
+        `SELECT id
+         FROM events
+         WHERE id = $1 AND username = $2`,
+      [id, username],
+  );
+
+  if (!result.rows[0]) throw new NotFoundError(`No event: ${id}`);
+}
+
+
+/** Throws NotFoundError if a recipe on a menu doesn't exist (or isn't the
+ *  user's). */
+
+async function checkMenu(username, menu) {
+  for (const item of menu) {
+    await getRecipe(username, item);
+  }
+}
+
+
+/** Given the SQL for an event's id, a menu, and how many parameters come
+ *  before the menu's, return the SQL to store the menu, in order:
+ *  { sql, values }.
+ */
+
+function sqlForMenu(eventIdSql, menu, paramCount) {
+  const column = (item, type, personal) =>
+      item.type === type && !!item.personal === personal ? item.id : null;
+  const [meals, drinks, personalMeals, personalDrinks, servings] =
+      [1, 2, 3, 4, 5].map(n => `$${paramCount + n}`);
+
+  return {
+    sql: `INSERT INTO event_items (event_id, position, meal_id, drink_id, personal_meal_id,
+                                   personal_drink_id, servings_per_guest)
+          SELECT ${eventIdSql}, position, meal_id, drink_id, personal_meal_id,
+                 personal_drink_id, servings_per_guest
+          FROM unnest(${meals}::INTEGER[], ${drinks}::INTEGER[], ${personalMeals}::INTEGER[],
+                      ${personalDrinks}::INTEGER[], ${servings}::NUMERIC[])
+               WITH ORDINALITY AS i(meal_id, drink_id, personal_meal_id, personal_drink_id,
+                                    servings_per_guest, position)`,
+    values: [
+      menu.map(item => column(item, "meals", false)),
+      menu.map(item => column(item, "drinks", false)),
+      menu.map(item => column(item, "meals", true)),
+      menu.map(item => column(item, "drinks", true)),
+      menu.map(item => item.servingsPerGuest || 1),
+    ],
+  };
+}
+
+
+/** Run a write to an event and its menu.
+ *
+ * Each write is one statement, so an event is never left half stored, and
+ * other requests' queries on the shared client can't end up in it. A recipe
+ * deleted since the menu was checked gives a NotFoundError.
+ */
+
+async function write(sql, values) {
+  try {
+    return await db.query(sql, values);
+  } catch (err) {
+    if (err.code === "23503") throw new NotFoundError("No recipe on the menu");
+    throw err;
+  }
+}
+
+
+module.exports = Event;
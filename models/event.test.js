@@ -0,0 +1,298 @@
+"use strict";
+
+const db = require("../db.js");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const Event = require("./event.js");
+const User = require("./user.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testMealIds,
+  testDrinkIds,
+  testPersonalMealIds,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+const startsAt = "2026-11-01T19:00:00Z";
+
+async function createRice() {
+  return User.createPersonalRecipe("u1", "meals", {
+    name: "Rice",
+    category: "Side",
+    area: "A1",
+    instructions: "Simmer for 20 minutes.",
+    thumbnail: "http://Rice.img",
+    ingredients: ["2 cups Rice", "1 tsp Salt"],
+    servings: 4,
+  });
+}
+
+/************************************** create */
+
+describe("create", function () {
+  test("works", async function () {
+    const rice = await createRice();
+    const event = await Event.create("u1", {
+      name: "Dinner",
+      startsAt,
+      guestCount: 6,
+      notes: "Bring chairs",
+      menu: [
+        { type: "meals", id: rice.id, personal: true },
+        { type: "drinks", id: testDrinkIds[0], servingsPerGuest: 2 },
+      ],
+    });
+
+    expect(event).toEqual({
+      id: expect.any(Number),
+      name: "Dinner",
+      startsAt: new Date(startsAt),
+      guestCount: 6,
+      notes: "Bring chairs",
+      menu: [
+        {
+          type: "meals",
+          id: rice.id,
+          personal: true,
+          servingsPerGuest: 1,
+          name: "Rice",
+          thumbnail: "http://Rice.img",
+          instructions: "Simmer for 20 minutes.",
+          servings: 6,
+          ingredients: ["3 cups Rice", "1 1/2 tsp Salt"],
+          structuredIngredients: [
+            { display: "3 cups Rice", quantity: 3, quantityMax: null, unit: "cup", name: "rice", note: null },
+            { display: "1 1/2 tsp Salt", quantity: 1.5, quantityMax: null, unit: "tsp", name: "salt", note: null },
+          ],
+        },
+        {
+          type: "drinks",
+          id: testDrinkIds[0],
+          personal: false,
+          servingsPerGuest: 2,
+          name: "D1",
+          thumbnail: "http://D1.img",
+          instructions: "Inst1",
+          servings: 12,
+          ingredients: ["Ing1a", "Ing1b", "Ing1c"],
+          structuredIngredients: [
+            { display: "Ing1a", quantity: null, quantityMax: null, unit: null, name: "ing1a", note: null },
+            { display: "Ing1b", quantity: null, quantityMax: null, unit: null, name: "ing1b", note: null },
+            { display: "Ing1c", quantity: null, quantityMax: null, unit: null, name: "ing1c", note: null },
+          ],
+        },
+      ],
+      shoppingList: [
+        {
+          aisle: "Pantry",
+          display: "3 cup rice",
+          name: "rice",
+          quantity: 3,
+          unit: "cup",
+          recipes: ["Rice"],
+          unparsed: false,
+        },
+        {
+          aisle: "Spices & Seasonings",
+          display: "1 1/2 tsp salt",
+          name: "salt",
+          quantity: 1.5,
+          unit: "tsp",
+          recipes: ["Rice"],
+          unparsed: false,
+        },
+        ...["ing1a", "ing1b", "ing1c"].map(name => ({
+          aisle: "Other",
+          display: name,
+          name,
+          quantity: null,
+          unit: null,
+          recipes: ["D1"],
+          unparsed: false,
+        })),
+      ],
+      timeline: [
+        { at: new Date("2026-10-31T19:00:00Z"), task: "Shop for ingredients" },
+        { at: new Date("2026-11-01T18:10:00Z"), task: "Start Rice" },
+        { at: new Date("2026-11-01T18:45:00Z"), task: "Make D1" },
+        { at: new Date(startsAt), task: "Guests arrive" },
+      ],
+    });
+  });
+
+  test("works: no menu", async function () {
+    const event = await Event.create("u1", { name: "Drinks", startsAt, guestCount: 2 });
+    expect(event.notes).toEqual(null);
+    expect(event.menu).toEqual([]);
+    expect(event.shoppingList).toEqual([]);
+    expect(event.timeline.map(s => s.task)).toEqual(["Shop for ingredients", "Guests arrive"]);
+  });
+
+  test("not found if a recipe on the menu doesn't exist", async function () {
+    try {
+      await Event.create("u1", {
+        name: "Dinner", startsAt, guestCount: 2, menu: [{ type: "meals", id: 0 }],
+      });
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found for another user's personal recipe", async function () {
+    try {
+      await Event.create("u2", {
+        name: "Dinner",
+        startsAt,
+        guestCount: 2,
+        menu: [{ type: "meals", id: testPersonalMealIds[0], personal: true }],
+      });
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+    const result = await db.query("SELECT * FROM events");
+    expect(result.rows.length).toEqual(0);
+  });
+});
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  test("works", async function () {
+    const later = await Event.create("u1", { name: "Later", startsAt, guestCount: 4 });
+    const sooner = await Event.create("u1", {
+      name: "Sooner", startsAt: "2026-10-25T12:00:00Z", guestCount: 2,
+    });
+    await Event.create("u2", { name: "Not mine", startsAt, guestCount: 2 });
+
+    const events = await Event.findAll("u1");
+    expect(events).toEqual([
+      {
+        id: sooner.id,
+        name: "Sooner",
+        startsAt: new Date("2026-10-25T12:00:00Z"),
+        guestCount: 2,
+        notes: null,
+      },
+      { id: later.id, name: "Later", startsAt: new Date(startsAt), guestCount: 4, notes: null },
+    ]);
+  });
+});
+
+/************************************** get */
+
+describe("get", function () {
+  test("works", async function () {
+    const { id } = await Event.create("u1", {
+      name: "Dinner", startsAt, guestCount: 2, menu: [{ type: "meals", id: testMealIds[1] }],
+    });
+    const event = await Event.get("u1", id);
+    expect(event.menu.map(i => [i.type, i.id, i.personal, i.servings])).toEqual([
+      ["meals", testMealIds[1], false, 2],
+    ]);
+  });
+
+  test("not found for another user's event", async function () {
+    const { id } = await Event.create("u1", { name: "Dinner", startsAt, guestCount: 2 });
+    try {
+      await Event.get("u2", id);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** update */
+
+describe("update", function () {
+  test("works", async function () {
+    const { id } = await Event.create("u1", {
+      name: "Dinner", startsAt, guestCount: 2, menu: [{ type: "meals", id: testMealIds[1] }],
+    });
+    const event = await Event.update("u1", id, {
+      name: "Supper", guestCount: 8, startsAt: "2026-11-02T18:00:00Z",
+    });
+    expect(event.name).toEqual("Supper");
+    expect(event.startsAt).toEqual(new Date("2026-11-02T18:00:00Z"));
+    expect(event.menu.map(i => [i.id, i.servings])).toEqual([[testMealIds[1], 8]]);
+  });
+
+  test("works: replaces the menu", async function () {
+    const { id } = await Event.create("u1", {
+      name: "Dinner", startsAt, guestCount: 2, menu: [{ type: "meals", id: testMealIds[1] }],
+    });
+    const event = await Event.update("u1", id, {
+      menu: [
+        { type: "drinks", id: testDrinkIds[2] },
+        { type: "meals", id: testPersonalMealIds[0], personal: true, servingsPerGuest: 0.5 },
+      ],
+    });
+    expect(event.name).toEqual("Dinner");
+    expect(event.menu.map(i => [i.type, i.id, i.personal, i.servings])).toEqual([
+      ["drinks", testDrinkIds[2], false, 2],
+      ["meals", testPersonalMealIds[0], true, 1],
+    ]);
+  });
+
+  test("works: changes fields and the menu together", async function () {
+    const { id } = await Event.create("u1", {
+      name: "Dinner", startsAt, guestCount: 2, menu: [{ type: "meals", id: testMealIds[1] }],
+    });
+    const event = await Event.update("u1", id, {
+      name: "Supper", menu: [{ type: "drinks", id: testDrinkIds[0] }],
+    });
+    expect(event.name).toEqual("Supper");
+    expect(event.menu.map(i => [i.type, i.id])).toEqual([["drinks", testDrinkIds[0]]]);
+  });
+
+  test("bad request with no data", async function () {
+    const { id } = await Event.create("u1", { name: "Dinner", startsAt, guestCount: 2 });
+    try {
+      await Event.update("u1", id, {});
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found for another user's event", async function () {
+    const { id } = await Event.create("u1", { name: "Dinner", startsAt, guestCount: 2 });
+    try {
+      await Event.update("u2", id, { name: "Mine now" });
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** remove */
+
+describe("remove", function () {
+  test("works", async function () {
+    const { id } = await Event.create("u1", {
+      name: "Dinner", startsAt, guestCount: 2, menu: [{ type: "meals", id: testMealIds[1] }],
+    });
+    await Event.remove("u1", id);
+    const result = await db.query("SELECT * FROM event_items WHERE event_id = $1", [id]);
+    expect(result.rows.length).toEqual(0);
+  });
+
+  test("not found for another user's event", async function () {
+    const { id } = await Event.create("u1", { name: "Dinner", startsAt, guestCount: 2 });
+    try {
+      await Event.remove("u2", id);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
@@ -0,0 +1,231 @@
+"use strict";
+
+const db = require("../db");
+const { NotFoundError, BadRequestError } = require("../expressError");
+const Meal = require("./meal");
+const Drink = require("./drink");
+
+const { IMPORT_JOB_STALE_MINUTES } = require("../config.js");
+
+// the model that stores each type of recipe
+const MODELS = { meals: Meal, drinks: Drink };
+
+// how often (in recipes) a running job records its progress
+const PROGRESS_EVERY = 25;
+
+const JOB_COLUMNS = `id,
+                     type,
+                     status,
+                     requested_by AS "requestedBy",
+                     total,
+                     processed,
+                     inserted,
+                     updated,
+                     unchanged,
+                     removed,
+                     errors,
+                     created_at AS "createdAt",
+                     started_at AS "startedAt",
+                     finished_at AS "finishedAt"`;
+
+/** Related functions for catalog import jobs.
+ *
+ * An import job fetches every meal or drink from TheMealDB or TheCocktailDB
+ * and stores them, inserting new ones and updating ones already stored (by
+ * their external id), so running an import again is safe. Imports are also
+ * how the catalogs are kept in sync (see helpers/sync.js): recipes that
+ * haven't changed upstream are left alone, admins' edits are kept, and
+ * recipes gone from upstream are marked removed.
+ *
+ * A job is { id, type, status, requestedBy, total, processed, inserted,
+ * updated, unchanged, removed, errors, createdAt, startedAt, finishedAt }
+ *   where type is "meals" or "drinks", status is "pending", "running",
+ *   "succeeded" or "failed", requestedBy is null for scheduled syncs, total
+ *   is the number of recipes fetched (null until they are), and errors are
+ *   messages about what went wrong.
+ */
+
+class ImportJob {
+  /** Create an import job for a type of recipe ("meals" or "drinks"),
+   *  requested by an admin; returns the job. Start it with run.
+   *
+   * Throws BadRequestError if an import of that type is already pending or
+   * running. A job that has made no progress for IMPORT_JOB_STALE_MINUTES
+   * (as when the server restarted in the middle of it) doesn't count: it's
+   * marked failed.
+   **/
+
+  static async create(type, username) {
+    await db.query(
+          `UPDATE import_jobs
+           SET status = 'failed',
+               errors = errors || 'Stopped making progress'::TEXT,
+               finished_at = NOW(),
+               updated_at = NOW()
+           WHERE type = $1
+             AND status IN ('pending', 'running')
+             AND updated_at <= NOW() - make_interval(mins => $2)`,
+        [type, IMPORT_JOB_STALE_MINUTES],
+    );
+
+    const activeCheck = await db.query(
+          `SELECT id
+           FROM import_jobs
+           WHERE type = $1
+             AND status IN ('pending', 'running')`,
+        [type],
+    );
+
+    if (activeCheck.rows[0]) {
+      throw new BadRequestError(
+          `An import of ${type} is already running: job ${activeCheck.rows[0].id}`);
+    }
+
+    // two imports created at once can both pass the check above; the
+    // database's unique index on active jobs lets only one of them in
+    let result;
+    try {
+      result = await db.query(
+            `INSERT INTO import_jobs (type, requested_by)
+             VALUES ($1, $2)
+             RETURNING ${JOB_COLUMNS}`,
+          [type, username],
+      );
+    } catch (err) {
+      if (err.code === "23505") {
+        throw new BadRequestError(`An import of ${type} is already running`);
+      }
+      throw err;
+    }
+
+    return result.rows[0];
+  }
+
+  /** Given a job id, return the job.
+   *
+   * Throws NotFoundError if not found.
+   **/
+
+  static async get(id) {
+    if (!/^\d{1,9}$/.test(id)) throw new NotFoundError(`No import job: ${id}`);
+
+    const result = await db.query(
+          `SELECT ${JOB_COLUMNS}
+           FROM import_jobs
+           WHERE id = $1`,
+        [id],
+    );
+
+    const job = result.rows[0];
+
+    if (!job) throw new NotFoundError(`No import job: ${id}`);
+
+    return job;
+  }
+
+  /** Run an import job; returns the finished job.
+   *
+   * fetchRecipes is an async function returning { recipes, errors }, as
+   * fetchCatalog does.
+   *
+   * The recipes are stored in one transaction, on a database client of the
+   * job's own, so an import that fails part way leaves the catalog as it
+   * was. A recipe that can't be stored is skipped, and reported in the
+   * job's errors. Progress is recorded as the job goes, outside of the
+   * transaction, so it can be followed with get.
+   *
+   * If every recipe was fetched (there were no errors fetching), stored
+   * recipes that weren't are marked removed upstream.
+   *
+   * Never throws: if the job fails, that is recorded in the job.
+   **/
+
+  static async run(id, fetchRecipes) {
+    const { type } = await this.get(id);
+    const Model = MODELS[type];
+    const progress = {
+      processed: 0, inserted: 0, updated: 0, unchanged: 0, removed: 0, errors: [],
+    };
+    let client;
+
+    await updateJob(id, { status: "running", startedAt: new Date() });
+
+    try {
+      const { recipes, errors } = await fetchRecipes();
+      progress.errors.push(...errors);
+      await updateJob(id, { total: recipes.length, errors: progress.errors });
+
+      client = db.newClient();
+      await client.connect();
+      await client.query("BEGIN");
+
+      for (const recipe of recipes) {
+        await client.query("SAVEPOINT recipe");
+        try {
+          const { status } = await Model.upsert(recipe, client);
+          progress[status]++;
+          await client.query("RELEASE SAVEPOINT recipe");
+        } catch (err) {
+          await client.query("ROLLBACK TO SAVEPOINT recipe");
+          progress.errors.push(`Storing "${recipe.name}" (${recipe.externalId}): ${err.message}`);
+        }
+
+        progress.processed++;
+        if (progress.processed % PROGRESS_EVERY === 0) await updateJob(id, progress);
+      }
+
+      if (errors.length === 0 && recipes.length > 0) {
+        progress.removed = await Model.markRemovedUpstream(recipes.map(r => r.externalId), client);
+      }
+
+      await client.query("COMMIT");
+      await updateJob(id, { ...progress, status: "succeeded", finishedAt: new Date() });
+    } catch (err) {
+      if (client) await client.query("ROLLBACK").catch(() => {});
+      await updateJob(id, {
+        ...progress,
+        inserted: 0,
+        updated: 0,
+        unchanged: 0,
+        removed: 0,
+        errors: [...progress.errors, err.message],
+        status: "failed",
+        finishedAt: new Date(),
+      });
+    } finally {
+      if (client) await client.end().catch(() => {});
+    }
+
+    return this.get(id);
+  }
+}
+
+
+/** Update some columns of an import job (and when it was last updated). */
+
+async function updateJob(id, data) {
+  const columns = {
+    status: "status",
+    total: "total",
+    processed: "processed",
+    inserted: "inserted",
+    updated: "updated",
+    unchanged: "unchanged",
+    removed: "removed",
+    errors: "errors",
+    startedAt: "started_at",
+    finishedAt: "finished_at",
+  };
+  const keys = Object.keys(data);
+  const setCols = keys.map((key, idx) => `${columns[key]} = $${idx + 1}`);
+
+  await db.query(
+        `UPDATE import_jobs
+         SET ${setCols.join(", ")}, updated_at = NOW()
+         WHERE id = $${keys.length + 1}`,
+      [...keys.map(key => data[key]), id],
+  );
+}
+
+
+module.exports = ImportJob;
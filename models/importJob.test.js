@@ -0,0 +1,178 @@
+"use strict";
+
+const db = require("../db.js");
+const { NotFoundError, BadRequestError } = require("../expressError");
+const ImportJob = require("./importJob.js");
+const Meal = require("./meal.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(async function () {
+  await commonAfterEach();
+  // run commits the recipes it imports (on its own client), so they outlive
+  // each test's transaction
+  await db.query("DELETE FROM meals WHERE external_id LIKE 'test-%'");
+});
+afterAll(commonAfterAll);
+
+function testMeal(externalId, name) {
+  return {
+    externalId,
+    name,
+    category: "Cat1",
+    area: "A1",
+    instructions: "Inst",
+    thumbnail: null,
+    ingredients: [`1 cup Import Test ${name}`],
+  };
+}
+
+/************************************** create */
+
+describe("create", function () {
+  test("works", async function () {
+    const job = await ImportJob.create("meals", "u1");
+    expect(job).toEqual({
+      id: expect.any(Number),
+      type: "meals",
+      status: "pending",
+      requestedBy: "u1",
+      total: null,
+      processed: 0,
+      inserted: 0,
+      updated: 0,
+      unchanged: 0,
+      removed: 0,
+      errors: [],
+      createdAt: expect.any(Date),
+      startedAt: null,
+      finishedAt: null,
+    });
+  });
+
+  test("bad request if an import of the type is already running", async function () {
+    await ImportJob.create("meals", "u1");
+    try {
+      await ImportJob.create("meals", "u2");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("works: other type, or stale job", async function () {
+    const job = await ImportJob.create("meals", "u1");
+    await ImportJob.create("drinks", "u1");
+
+    await db.query(
+        `UPDATE import_jobs SET updated_at = NOW() - INTERVAL '1 day' WHERE id = $1`,
+        [job.id]);
+    const newJob = await ImportJob.create("meals", "u1");
+    expect(newJob.id).not.toEqual(job.id);
+    expect(await ImportJob.get(job.id)).toEqual(expect.objectContaining({
+      status: "failed",
+      errors: ["Stopped making progress"],
+      finishedAt: expect.any(Date),
+    }));
+  });
+
+  test("bad request if two imports of the type are created at once", async function () {
+    const results = await Promise.allSettled([
+      ImportJob.create("meals", "u1"),
+      ImportJob.create("meals", "u2"),
+    ]);
+    expect(results.map(r => r.status).sort()).toEqual(["fulfilled", "rejected"]);
+    const { reason } = results.find(r => r.status === "rejected");
+    expect(reason instanceof BadRequestError).toBeTruthy();
+  });
+});
+
+/************************************** get */
+
+describe("get", function () {
+  test("works", async function () {
+    const job = await ImportJob.create("drinks", "u1");
+    expect(await ImportJob.get(job.id)).toEqual(job);
+  });
+
+  test("not found if no such job", async function () {
+    try {
+      await ImportJob.get(0);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found if the id isn't a job id", async function () {
+    try {
+      await ImportJob.get("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** run */
+
+describe("run", function () {
+  test("works: inserts, updates and reports errors", async function () {
+    const existing = await Meal.upsert(testMeal("test-1", "Old Name"));
+    // committed, so the job's own client sees it
+    await db.query("COMMIT");
+    await db.query("BEGIN");
+
+    const { id } = await ImportJob.create("meals", "u1");
+    const job = await ImportJob.run(id, async () => ({
+      recipes: [
+        testMeal("test-1", "New Name"),
+        testMeal("test-2", "Second"),
+        { ...testMeal("test-3", "Broken"), name: null },
+      ],
+      errors: ['Fetching "q": Request failed with status code 500'],
+    }));
+
+    expect(job).toEqual(expect.objectContaining({
+      status: "succeeded",
+      total: 3,
+      processed: 3,
+      inserted: 1,
+      updated: 1,
+      unchanged: 0,
+      // not every recipe was fetched, so none are marked removed
+      removed: 0,
+      startedAt: expect.any(Date),
+      finishedAt: expect.any(Date),
+    }));
+    expect(job.errors).toEqual([
+      'Fetching "q": Request failed with status code 500',
+      expect.stringMatching(/^Storing "null" \(test-3\): /),
+    ]);
+
+    const { meals } = await Meal.findAll({ name: "New Name" });
+    expect(meals.map(m => m.id)).toEqual([existing.id]);
+    expect((await Meal.findAll({ name: "Second" })).meals.length).toEqual(1);
+  });
+
+  test("works: failed fetch fails the job", async function () {
+    const { id } = await ImportJob.create("meals", "u1");
+    const job = await ImportJob.run(id, async () => {
+      throw new Error("Network down");
+    });
+
+    expect(job).toEqual(expect.objectContaining({
+      status: "failed",
+      total: null,
+      processed: 0,
+      errors: ["Network down"],
+      finishedAt: expect.any(Date),
+    }));
+  });
+});
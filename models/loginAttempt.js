@@ -0,0 +1,138 @@
+"use strict";
+
+const db = require("../db");
+const { NotFoundError, TooManyRequestsError } = require("../expressError");
+
+const {
+  LOGIN_MAX_ATTEMPTS,
+  LOGIN_MAX_ATTEMPTS_PER_IP,
+  LOGIN_ATTEMPT_WINDOW_MINUTES,
+  LOGIN_LOCKOUT_SECONDS,
+  LOGIN_LOCKOUT_MAX_SECONDS,
+} = require("../config.js");
+
+/** Related functions for tracking failed logins and locking out usernames
+ *  and IP addresses that have too many of them.
+ *
+ * Each username and IP address gets a row in login_attempts, keyed as
+ * "user:<username>" or "ip:<address>".
+ */
+
+class LoginAttempt {
+  /** Throws TooManyRequestsError if the username or the IP address is
+   *  currently locked out; returns undefined otherwise.
+   **/
+
+  static async check(username, ip) {
+    const result = await db.query(
+          `SELECT CEIL(EXTRACT(EPOCH FROM MAX(locked_until) - NOW()))::INTEGER AS "retryAfter"
+           FROM login_attempts
+           WHERE key = ANY($1) AND locked_until > NOW()`,
+        [keysFor(username, ip)],
+    );
+
+    const { retryAfter } = result.rows[0];
+
+    if (retryAfter) {
+      throw new TooManyRequestsError(
+          "Too many failed login attempts; try again later", retryAfter);
+    }
+  }
+
+  /** Record a failed login for a username (and IP address, if known).
+   *
+   * Once either has LOGIN_MAX_ATTEMPTS (LOGIN_MAX_ATTEMPTS_PER_IP for IP
+   * addresses) failures within the attempt window, it is locked out. Every
+   * lockout lasts twice as long as the one before it.
+   *
+   * Returns undefined.
+   **/
+
+  static async recordFailure(username, ip) {
+    await recordFailureFor(`user:${username}`, LOGIN_MAX_ATTEMPTS);
+    if (ip) await recordFailureFor(`ip:${ip}`, LOGIN_MAX_ATTEMPTS_PER_IP);
+  }
+
+  /** Record a successful login: clears the failures and lockout history of
+   *  the username. Returns undefined.
+   *
+   * The IP address is left alone, so that logging into one account doesn't
+   * reset the count for guesses at others.
+   **/
+
+  static async recordSuccess(username) {
+    await db.query(
+          `DELETE FROM login_attempts
+           WHERE key = $1`,
+        [`user:${username}`],
+    );
+  }
+
+  /** Lift any lockout on a user and clear their failures; returns
+   *  undefined.
+   *
+   * Throws NotFoundError if no such user.
+   **/
+
+  static async unlock(username) {
+    const userCheck = await db.query(
+          `SELECT username
+           FROM users
+           WHERE username = $1`,
+        [username],
+    );
+
+    if (!userCheck.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    await this.recordSuccess(username);
+  }
+}
+
+
+/** Count a failed login against one key, locking it out if that was one
+ *  too many. */
+
+async function recordFailureFor(key, maxAttempts) {
+  const result = await db.query(
+        `INSERT INTO login_attempts (key, failed_count, last_failed_at)
+         VALUES ($1, 1, NOW())
+         ON CONFLICT (key) DO UPDATE
+         SET failed_count =
+               CASE WHEN login_attempts.last_failed_at
+                           < NOW() - make_interval(mins => $2)
+                    THEN 1
+                    ELSE login_attempts.failed_count + 1
+               END,
+             last_failed_at = NOW()
+         RETURNING failed_count AS "failedCount", lockouts`,
+      [key, LOGIN_ATTEMPT_WINDOW_MINUTES],
+  );
+
+  const { failedCount, lockouts } = result.rows[0];
+
+  if (failedCount >= maxAttempts) {
+    const lockoutSeconds = Math.min(
+        LOGIN_LOCKOUT_SECONDS * 2 ** lockouts, LOGIN_LOCKOUT_MAX_SECONDS);
+
+    await db.query(
+          `UPDATE login_attempts
+           SET failed_count = 0,
+               lockouts = lockouts + 1,
+               locked_until = NOW() + make_interval(secs => $2)
+           WHERE key = $1`,
+        [key, lockoutSeconds],
+    );
+  }
+}
+
+
+/** Keys in login_attempts for a username and (optional) IP address. */
+
+function keysFor(username, ip) {
+  const keys = [`user:${username}`];
+  if (ip) keys.push(`ip:${ip}`);
+  return keys;
+}
+
+
+module.exports = LoginAttempt;
@@ -0,0 +1,118 @@
+"use strict";
+
+const { NotFoundError, TooManyRequestsError } = require("../expressError");
+const db = require("../db.js");
+const LoginAttempt = require("./loginAttempt.js");
+const {
+  LOGIN_MAX_ATTEMPTS,
+  LOGIN_MAX_ATTEMPTS_PER_IP,
+  LOGIN_LOCKOUT_SECONDS,
+} = require("../config");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+async function failTimes(n, username, ip) {
+  for (let i = 0; i < n; i++) {
+    await LoginAttempt.recordFailure(username, ip);
+  }
+}
+
+async function expectLockedOut(username, ip) {
+  try {
+    await LoginAttempt.check(username, ip);
+    fail();
+  } catch (err) {
+    expect(err instanceof TooManyRequestsError).toBeTruthy();
+    return err;
+  }
+}
+
+/************************************** check / recordFailure */
+
+describe("check", function () {
+  test("works: no failures", async function () {
+    await LoginAttempt.check("u1", "1.2.3.4");
+  });
+
+  test("works: fewer failures than the limit", async function () {
+    await failTimes(LOGIN_MAX_ATTEMPTS - 1, "u1", "1.2.3.4");
+    await LoginAttempt.check("u1", "1.2.3.4");
+  });
+
+  test("locks out username after too many failures", async function () {
+    await failTimes(LOGIN_MAX_ATTEMPTS, "u1", "1.2.3.4");
+    const err = await expectLockedOut("u1", "5.6.7.8");
+    expect(err.retryAfter).toBeGreaterThan(0);
+    expect(err.retryAfter).toBeLessThanOrEqual(LOGIN_LOCKOUT_SECONDS);
+    // other users aren't affected
+    await LoginAttempt.check("u2", "5.6.7.8");
+  });
+
+  test("locks out ip after too many failures", async function () {
+    const usernames = Array.from(
+        { length: LOGIN_MAX_ATTEMPTS_PER_IP }, (_, i) => `guess${i}`);
+    for (const username of usernames) {
+      await LoginAttempt.recordFailure(username, "1.2.3.4");
+    }
+    await expectLockedOut("u2", "1.2.3.4");
+    await LoginAttempt.check("u2", "5.6.7.8");
+  });
+
+  test("each lockout lasts longer", async function () {
+    await failTimes(LOGIN_MAX_ATTEMPTS, "u1");
+    await db.query(
+        "UPDATE login_attempts SET locked_until = NOW() WHERE key = 'user:u1'");
+    await LoginAttempt.check("u1");
+    await failTimes(LOGIN_MAX_ATTEMPTS, "u1");
+    const err = await expectLockedOut("u1");
+    expect(err.retryAfter).toBeGreaterThan(LOGIN_LOCKOUT_SECONDS);
+  });
+
+  test("old failures don't count", async function () {
+    await failTimes(LOGIN_MAX_ATTEMPTS - 1, "u1");
+    await db.query(
+        "UPDATE login_attempts SET last_failed_at = NOW() - INTERVAL '1 day'");
+    await failTimes(1, "u1");
+    await LoginAttempt.check("u1");
+  });
+});
+
+/************************************** recordSuccess */
+
+describe("recordSuccess", function () {
+  test("clears failures", async function () {
+    await failTimes(LOGIN_MAX_ATTEMPTS - 1, "u1");
+    await LoginAttempt.recordSuccess("u1");
+    await failTimes(LOGIN_MAX_ATTEMPTS - 1, "u1");
+    await LoginAttempt.check("u1");
+  });
+});
+
+/************************************** unlock */
+
+describe("unlock", function () {
+  test("works", async function () {
+    await failTimes(LOGIN_MAX_ATTEMPTS, "u1");
+    await expectLockedOut("u1");
+    await LoginAttempt.unlock("u1");
+    await LoginAttempt.check("u1");
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await LoginAttempt.unlock("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
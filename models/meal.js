@@ -2,53 +2,150 @@
 
 const db = require("../db");
 const { BadRequestError, NotFoundError } = require("../expressError");
-const { sqlForPartialUpdate } = require("../helpers/sql");
+const { sqlForPartialUpdate, sqlForIngredientFilters, sqlForUpstreamUpdate } = require("../helpers/sql");
+const { parsePageParams, paginationSql, pageResult } = require("../helpers/pagination");
+const RecipeIngredient = require("./recipeIngredient");
+const { DEFAULT_SERVINGS } = require("../helpers/scaling");
+const { recipeHash } = require("../helpers/catalog");
+const { countFacets } = require("../helpers/facets");
+
+// sort keys accepted by findAll, and the columns they sort on
+const SORT_COLUMNS = {
+    name: "name",
+    category: "category",
+    area: "area",
+    id: "id",
+};
+
+// facets findAll can count, for filters
+const FACETS = ["category", "area", "ingredient"];
+
+// columns that come from TheMealDB, refreshed by imports unless edited by an admin
+const UPSTREAM_COLUMNS = [
+    "name", "category", "area", "instructions",
+    "thumbnail", "ingredients", "source_url", "video_url",
+    "tags", "image_source", "image_attribution", "creative_commons_confirmed",
+];
 
 
 class Meal {
-    static async dumpData(dataArr) {
-        dataArr.forEach(async meal => {
-            await db.query(
+    /** Insert or update a meal fetched from TheMealDB (see makeMealObj), by its
+     *  external id. For catalog imports and syncs (see ImportJob).
+     *
+     * meal should be { externalId, name, category, area, instructions, thumbnail, ingredients, structuredIngredients,
+     *   sourceUrl, videoUrl, tags, imageSource, imageAttribution, creativeCommonsConfirmed }
+     *
+     * A meal already stored is only updated if it has changed upstream
+     * (see recipeHash), and fields an admin has edited (see update) are kept.
+     * A meal marked removed upstream (see markRemovedUpstream) is unmarked.
+     * A meal an admin has deleted (see remove) is left deleted, and counted
+     * as unchanged.
+     *
+     * client is the database client to use (default the shared one).
+     *
+     * Returns { id, status } where status is "inserted", "updated" or
+     * "unchanged" (id is null for a deleted meal).
+     **/
+
+    static async upsert(meal, client = db) {
+        const deleted = await client.query(
+                `SELECT external_id
+                 FROM deleted_catalog_recipes
+                 WHERE recipe_type = 'meals' AND external_id = $1`,
+            [meal.externalId]);
+        if (deleted.rows[0]) return { id: null, status: "unchanged" };
+
+        const result = await client.query(
                 `INSERT INTO meals
-                (name, category, area, instructions, thumbnail, ingredients)
-                VALUES ($1, $2, $3, $4, $5, $6)`,
-                [
-                    meal.name,
-                    meal.category,
-                    meal.area,
-                    meal.instructions,
-                    meal.thumbnail,
-                    meal.ingredients,
-                ],
-            );
-        });
+                (external_id, name, category, area, instructions, thumbnail, ingredients,
+                 source_url, video_url, tags, image_source, image_attribution, creative_commons_confirmed,
+                 upstream_hash)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+                ON CONFLICT (external_id) DO UPDATE
+                 SET ${sqlForUpstreamUpdate("meals", UPSTREAM_COLUMNS)},
+                     upstream_hash = EXCLUDED.upstream_hash,
+                     upstream_removed_at = NULL
+                 WHERE meals.upstream_hash IS DISTINCT FROM EXCLUDED.upstream_hash
+                    OR meals.upstream_removed_at IS NOT NULL
+                RETURNING id, (xmax = 0) AS inserted, edited_fields AS "editedFields"`,
+            [
+                meal.externalId,
+                meal.name,
+                meal.category,
+                meal.area,
+                meal.instructions,
+                meal.thumbnail,
+                meal.ingredients,
+                meal.sourceUrl || null,
+                meal.videoUrl || null,
+                meal.tags || [],
+                meal.imageSource || null,
+                meal.imageAttribution || null,
+                meal.creativeCommonsConfirmed ?? null,
+                recipeHash(meal),
+            ],
+        );
+
+        if (!result.rows[0]) {
+            const unchanged = await client.query(
+                `SELECT id FROM meals WHERE external_id = $1`,
+                [meal.externalId]);
+            return { id: unchanged.rows[0].id, status: "unchanged" };
+        }
+
+        const { id, inserted, editedFields } = result.rows[0];
+        if (!editedFields.includes("ingredients")) {
+            await RecipeIngredient.setFor("meals", id,
+                meal.structuredIngredients || meal.ingredients, client);
+        }
+
+        return { id, status: inserted ? "inserted" : "updated" };
+    }
+
+
+    /** Mark the meals from TheMealDB that are no longer there as removed
+     *  upstream, given the external ids of all the meals that are.
+     *
+     * Removed meals are kept (users may have them as favorites), but are no
+     * longer listed, searched or suggested, and are unmarked if they come
+     * back (see upsert).
+     *
+     * client is the database client to use (default the shared one).
+     *
+     * Returns the number of meals newly marked removed.
+     **/
+
+    static async markRemovedUpstream(externalIds, client = db) {
+        const result = await client.query(
+                `UPDATE meals
+                 SET upstream_removed_at = NOW()
+                 WHERE external_id IS NOT NULL
+                   AND upstream_removed_at IS NULL
+                   AND NOT (external_id = ANY($1))`,
+            [externalIds]);
+
+        return result.rowCount;
     }
 
 
     /** Create a meal (from data), update the db, and return the new meal data.
      * 
-     * data should be { name, category, area, instructions, thumbnail, ingredients }
+     * data should be { name, category, area, instructions, thumbnail, ingredients, servings, externalId }
+     *   where externalId (optional) is the meal's id in TheMealDB
      * 
-     * returns { id, name, category, area, instructions, thumbnail, ingredients }
+     * returns { id, name, category, area, instructions, thumbnail, ingredients, servings, structuredIngredients }
      * 
-     * Throws a BadRequestError if meal is already in the database.
+     * Throws a BadRequestError if a meal with the same externalId is already in the database.
      * */ 
     
-    static async create({ name, category, area, instructions, thumbnail, ingredients }) {
-        const duplicateCheck = await db.query(
-            `SELECT name
-             FROM meals
-             WHERE name = $1`,
-            [name]);
-
-        if (duplicateCheck.rows[0])
-            throw new BadRequestError(`Duplicate meal: ${name}`);
-
+    static async create({ name, category, area, instructions, thumbnail, ingredients,
+                          servings = DEFAULT_SERVINGS.meals, externalId = null }) {
         const result = await db.query(
                 `INSERT INTO meals
-                (name, category, area, instructions, thumbnail, ingredients)
-                VALUES ($1, $2, $3, $4, $5, $6)
-                RETURNING id, name, category, area, instructions, thumbnail, ingredients`,
+                (name, category, area, instructions, thumbnail, ingredients, servings, external_id)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                ON CONFLICT (external_id) DO NOTHING
+                RETURNING id, name, category, area, instructions, thumbnail, ingredients, servings`,
             [
                 name,
                 category,
@@ -56,60 +153,149 @@ class Meal {
                 instructions,
                 thumbnail,
                 ingredients,
+                servings,
+                externalId,
             ],
         );
 
         const meal = result.rows[0];
 
+        // external ids are unique, so of two meals created at once with the
+        // same one, only the first is stored
+        if (!meal) throw new BadRequestError(`Duplicate meal: ${externalId}`);
+
+        // a deleted meal added back with its external id is synced again
+        if (externalId) {
+            await db.query(
+                `DELETE FROM deleted_catalog_recipes
+                 WHERE recipe_type = 'meals' AND external_id = $1`,
+                [externalId]);
+        }
+
+        meal.structuredIngredients = await RecipeIngredient.setFor("meals", meal.id, ingredients);
+
         return meal;
     }
 
 
-    /** Find all meals (optional filter on searchFilters).
+    /** Find a page of meals (optional filter on searchFilters).
      *
      * searchFilters (all optional):
      * - name
      * - category
      * - area
      * (will find case-insensitive, partial matches)
+     * - ingredient: one or more ingredients the recipe must have
+     * - excludeIngredient: one or more ingredients the recipe must not have
+     * - ingredientMatch: "all" (default) to require every ingredient, or
+     *   "any" to require at least one
+     * (ingredients match case-insensitively at the start of a word)
+     * - facets: true to count the meals matching the filters by category,
+     *   area and ingredient
      *
-     * Returns [{ id, name, category, area, instructions, thumbnail, ingredients }, ...]
+     * and paging params (all optional):
+     * - sort: one of name, category, area, id (default name); prefix with
+     *   "-" for descending order
+     * - limit: page size (default 50, at most 100)
+     * - offset: number of meals to skip
+     * - cursor: nextCursor or prevCursor from a previous page (instead of offset)
+     *
+     * Returns { meals, pagination, facets }
+     *   where meals is [{ id, name, category, area, instructions, thumbnail, ingredients, servings }, ...]
+     *   pagination is { total, limit, nextCursor, prevCursor }
+     *   and facets (only if asked for) is { category, area, ingredient }
+     *     where each is [{ value, count }, ...], most common first (only the
+     *     20 most common ingredients)
+     *
+     * Throws BadRequestError on invalid paging params.
      * */
 
     static async findAll(searchFilters = {}) {
+        const page = parsePageParams(searchFilters, SORT_COLUMNS);
+
         let query = `SELECT id,
                             name,
                             category,
                             area,
                             instructions,
                             thumbnail,
-                            ingredients
+                            ingredients,
+                            servings
                      FROM meals`;
-        let whereExpressions = [];
         let queryValues = [];
+        let whereExpressions = sqlForFilters(searchFilters, queryValues);
 
-        const { name, category, area } = searchFilters;
-
-        if (name) {
-            queryValues.push(`%${name}%`);
-            whereExpressions.push(`name ILIKE $${queryValues.length}`);
+        let countQuery = "SELECT COUNT(*) FROM meals";
+        if (whereExpressions.length > 0) {
+            countQuery += " WHERE " + whereExpressions.join(" AND ");
         }
+        const countRes = await db.query(countQuery, queryValues);
 
-        if (category) {
-            queryValues.push(`%${category}%`);
-            whereExpressions.push(`category ILIKE $${queryValues.length}`);
+        const facets = searchFilters.facets
+            ? await countFacets("meals", FACETS, whereExpressions, queryValues)
+            : undefined;
+
+        const { whereExpression, orderSql } = paginationSql(page, queryValues);
+        if (whereExpression) whereExpressions.push(whereExpression);
+
+        if (whereExpressions.length > 0) {
+            query += " WHERE " + whereExpressions.join(" AND ");
         }
 
-        if (area) {
-            queryValues.push(`%${area}%`);
-            whereExpressions.push(`area ILIKE $${queryValues.length}`);
+        query += orderSql;
+        const mealsRes = await db.query(query, queryValues);
+        const { rows, nextCursor, prevCursor } = pageResult(mealsRes.rows, page);
+
+        return {
+            meals: rows,
+            pagination: {
+                total: +countRes.rows[0].count,
+                limit: page.limit,
+                nextCursor,
+                prevCursor,
+            },
+            ...(facets && { facets }),
+        };
+    }
+
+    /** Pick some meals at random.
+     *
+     * searchFilters are the filters of findAll (paging params are ignored).
+     *
+     * options (all optional):
+     * - count: how many meals to pick (default 1); fewer are returned if
+     *   fewer match
+     * - username: leave out the meals this user has favorited
+     *
+     * Returns [{ id, name, category, area, instructions, thumbnail, ingredients, servings }, ...]
+     **/
+
+    static async random(searchFilters = {}, { count = 1, username } = {}) {
+        let queryValues = [];
+        let whereExpressions = sqlForFilters(searchFilters, queryValues);
+
+        if (username) {
+            queryValues.push(username);
+            whereExpressions.push(`id NOT IN (SELECT meal_id
+                                              FROM favorite_meals
+                                              WHERE username = $${queryValues.length})`);
         }
 
+        let query = `SELECT id,
+                            name,
+                            category,
+                            area,
+                            instructions,
+                            thumbnail,
+                            ingredients,
+                            servings
+                     FROM meals`;
         if (whereExpressions.length > 0) {
             query += " WHERE " + whereExpressions.join(" AND ");
         }
+        queryValues.push(count);
+        query += ` ORDER BY random() LIMIT $${queryValues.length}`;
 
-        query += " ORDER BY name";
         const mealsRes = await db.query(query, queryValues);
         return mealsRes.rows;
     }
@@ -123,20 +309,41 @@ class Meal {
         const categoriesRes = await db.query(
                 `SELECT category, COUNT(*)
                  FROM meals
+                 WHERE upstream_removed_at IS NULL
                  GROUP BY category
                  ORDER BY category`);
         return categoriesRes.rows;
     }
 
+    /** Get all area names, with a count of how many meals are from each
+     *
+     * Returns [ { area, count }, ...]
+     */
+
+    static async getAreas() {
+        const areasRes = await db.query(
+                `SELECT area, COUNT(*)
+                 FROM meals
+                 WHERE upstream_removed_at IS NULL
+                 GROUP BY area
+                 ORDER BY area`);
+        return areasRes.rows;
+    }
+
 
     /** Given a meal id, return data about meal.
      *
-     * Returns { id, name, category, area, instructions, thumbnail, ingredients }
+     * Returns { id, name, category, area, instructions, thumbnail, ingredients, servings, externalId, sourceUrl, videoUrl,
+     *           tags, imageSource, imageAttribution, creativeCommonsConfirmed, structuredIngredients }
+     *   where externalId is the meal's id in TheMealDB, and the rest say where it came from
+     *   (all null, or [] for tags, for meals not from TheMealDB)
      *
      * Throws NotFoundError if not found.
      **/
 
     static async get(id) {
+        if (!/^\d{1,9}$/.test(id)) throw new NotFoundError(`No meal: ${id}`);
+
         const mealRes = await db.query(
                 `SELECT id,
                         name,
@@ -144,7 +351,15 @@ class Meal {
                         area,
                         instructions,
                         thumbnail,
-                        ingredients
+                        ingredients,
+                        servings,
+                        external_id AS "externalId",
+                        source_url AS "sourceUrl",
+                        video_url AS "videoUrl",
+                        tags,
+                        image_source AS "imageSource",
+                        image_attribution AS "imageAttribution",
+                        creative_commons_confirmed AS "creativeCommonsConfirmed"
                  FROM meals
                  WHERE id = $1`,
                 [id]);
@@ -153,6 +368,8 @@ class Meal {
 
         if (!meal) throw new NotFoundError(`No meal: ${id}`);
 
+        meal.structuredIngredients = await RecipeIngredient.getFor("meals", meal.id);
+
         return meal;
     }
 
@@ -162,19 +379,25 @@ class Meal {
      * This is a "partial update" --- it's fine if data doesn't contain all the
      * fields; this only changes provided ones.
      *
-     * Data can include: {name, category, area, instructions, thumbnail, ingredients}
+     * The fields changed are recorded as edited, so that syncing with
+     * TheMealDB doesn't overwrite them (see upsert).
      *
-     * Returns {id, name, category, area, instructions, thumbnail, ingredients}
+     * Data can include: {name, category, area, instructions, thumbnail, ingredients, servings}
+     *
+     * Returns {id, name, category, area, instructions, thumbnail, ingredients, servings, externalId, sourceUrl, videoUrl, tags,
+     *          imageSource, imageAttribution, creativeCommonsConfirmed, structuredIngredients}
      *
      * Throws NotFoundError if not found.
      */
 
     static async update(id, data) {
         const { setCols, values } = sqlForPartialUpdate(data);
-        const idVarIdx = "$" + (values.length + 1);
+        const editedIdx = "$" + (values.length + 1);
+        const idVarIdx = "$" + (values.length + 2);
 
         const querySql = `UPDATE meals 
-                          SET ${setCols} 
+                          SET ${setCols},
+                              edited_fields = ARRAY(SELECT DISTINCT unnest(edited_fields || ${editedIdx}::TEXT[]))
                           WHERE id = ${idVarIdx} 
                           RETURNING id, 
                                     name, 
@@ -182,27 +405,50 @@ class Meal {
                                     area, 
                                     instructions,
                                     thumbnail,
-                                    ingredients`;
-        const result = await db.query(querySql, [...values, id]);
+                                    ingredients,
+                                    servings,
+                                    external_id AS "externalId",
+                                    source_url AS "sourceUrl",
+                                    video_url AS "videoUrl",
+                                    tags,
+                                    image_source AS "imageSource",
+                                    image_attribution AS "imageAttribution",
+                                    creative_commons_confirmed AS "creativeCommonsConfirmed"`;
+        const result = await db.query(querySql, [...values, Object.keys(data), id]);
         const meal = result.rows[0];
 
         if (!meal) throw new NotFoundError(`No meal: ${id}`);
 
+        meal.structuredIngredients = data.ingredients
+            ? await RecipeIngredient.setFor("meals", meal.id, data.ingredients)
+            : await RecipeIngredient.getFor("meals", meal.id);
+
         return meal;
     }
 
 
     /** Delete given meal from database; returns undefined.
+     *
+     * A meal from TheMealDB is remembered by its external id, so that
+     * syncs don't bring it back (see upsert).
      *
      * Throws NotFoundError if meal not found.
      **/
 
     static async remove(id) {
         const result = await db.query(
-            `DELETE
-             FROM meals
-             WHERE id = $1
-             RETURNING id`,
+            `WITH meal AS (
+                 DELETE
+                 FROM meals
+                 WHERE id = $1
+                 RETURNING id, external_id),
+             tombstone AS (
+                 INSERT INTO deleted_catalog_recipes (recipe_type, external_id)
+                 SELECT 'meals', external_id
+                 FROM meal
+                 WHERE external_id IS NOT NULL
+                 ON CONFLICT DO NOTHING)
+             SELECT id FROM meal`,
             [id]);
         const meal = result.rows[0];
 
@@ -211,4 +457,34 @@ class Meal {
 }
 
 
+/** WHERE expressions for the filters of findAll and random, pushing the
+ *  values they use onto queryValues. */
+
+function sqlForFilters(searchFilters, queryValues) {
+    // recipes removed upstream are only kept for the users who have them
+    let whereExpressions = ["upstream_removed_at IS NULL"];
+
+    const { name, category, area } = searchFilters;
+
+    if (name) {
+        queryValues.push(`%${name}%`);
+        whereExpressions.push(`name ILIKE $${queryValues.length}`);
+    }
+
+    if (category) {
+        queryValues.push(`%${category}%`);
+        whereExpressions.push(`category ILIKE $${queryValues.length}`);
+    }
+
+    if (area) {
+        queryValues.push(`%${area}%`);
+        whereExpressions.push(`area ILIKE $${queryValues.length}`);
+    }
+
+    whereExpressions.push(...sqlForIngredientFilters(searchFilters, queryValues));
+
+    return whereExpressions;
+}
+
+
 module.exports = Meal;
\ No newline at end of file
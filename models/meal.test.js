@@ -33,15 +33,161 @@ describe("create", function () {
     expect(meal).toEqual({
       ...newMeal,
       id: expect.any(Number),
+      servings: 4,
+      structuredIngredients: [
+        { display: "New Ing 1", quantity: null, quantityMax: null, unit: null, name: "new ing 1", note: null },
+        { display: "New Ing 2", quantity: null, quantityMax: null, unit: null, name: "new ing 2", note: null },
+        { display: "New Ing 3", quantity: null, quantityMax: null, unit: null, name: "new ing 3", note: null },
+      ],
     });
   });
+
+  test("works: same name as another meal", async function () {
+    await Meal.create(newMeal);
+    const meal = await Meal.create(newMeal);
+    expect(meal.id).toEqual(expect.any(Number));
+  });
+
+  test("bad request with dupe external id", async function () {
+    const meal = await Meal.create({ ...newMeal, externalId: "52772" });
+    expect((await Meal.get(meal.id)).externalId).toEqual("52772");
+    try {
+      await Meal.create({ ...newMeal, name: "Other", externalId: "52772" });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request with dupe external id, created at once", async function () {
+    const results = await Promise.allSettled([
+      Meal.create({ ...newMeal, externalId: "52772" }),
+      Meal.create({ ...newMeal, name: "Other", externalId: "52772" }),
+    ]);
+    expect(results.map(r => r.status).sort()).toEqual(["fulfilled", "rejected"]);
+    const { reason } = results.find(r => r.status === "rejected");
+    expect(reason instanceof BadRequestError).toBeTruthy();
+  });
+});
+
+/************************************** upsert */
+
+describe("upsert", function () {
+  const newMeal = {
+    externalId: "52999",
+    name: "Imported Meal",
+    category: "Cat1",
+    area: "A1",
+    instructions: "Inst",
+    thumbnail: null,
+    ingredients: ["Juice of 1 Lime"],
+    structuredIngredients: [{
+      display: "Juice of 1 Lime", quantity: null, quantityMax: null, unit: null, name: "lime", note: "Juice of 1",
+    }],
+    sourceUrl: "https://recipes.example/m",
+    tags: ["Meat", "Casserole"],
+    creativeCommonsConfirmed: false,
+  };
+
+  test("works: inserts a new meal", async function () {
+    const { id, status } = await Meal.upsert(newMeal);
+    expect(status).toEqual("inserted");
+    const meal = await Meal.get(id);
+    expect(meal.name).toEqual("Imported Meal");
+    expect(meal.structuredIngredients).toEqual(newMeal.structuredIngredients);
+    expect(meal).toEqual(expect.objectContaining({
+      externalId: "52999",
+      sourceUrl: "https://recipes.example/m",
+      videoUrl: null,
+      tags: ["Meat", "Casserole"],
+      imageSource: null,
+      imageAttribution: null,
+      creativeCommonsConfirmed: false,
+    }));
+  });
+
+  test("works: updates a meal already imported", async function () {
+    const { id } = await Meal.upsert(newMeal);
+    const result = await Meal.upsert({
+      ...newMeal,
+      name: "Renamed Meal",
+      ingredients: ["2 Eggs"],
+      structuredIngredients: undefined,
+    });
+    expect(result).toEqual({ id, status: "updated" });
+    const meal = await Meal.get(id);
+    expect(meal.name).toEqual("Renamed Meal");
+    expect(meal.ingredients).toEqual(["2 Eggs"]);
+    expect(meal.structuredIngredients).toEqual([
+      { display: "2 Eggs", quantity: 2, quantityMax: null, unit: null, name: "egg", note: null },
+    ]);
+  });
+
+  test("works: unchanged if the same upstream", async function () {
+    const { id } = await Meal.upsert(newMeal);
+    expect(await Meal.upsert(newMeal)).toEqual({ id, status: "unchanged" });
+  });
+
+  test("works: leaves a meal deleted by an admin deleted", async function () {
+    const { id } = await Meal.upsert(newMeal);
+    await Meal.remove(id);
+    expect(await Meal.upsert(newMeal)).toEqual({ id: null, status: "unchanged" });
+    const res = await db.query(
+        "SELECT id FROM meals WHERE external_id=$1", [newMeal.externalId]);
+    expect(res.rows.length).toEqual(0);
+
+    // until an admin adds it back
+    const meal = await Meal.create({ ...newMeal, name: "Back" });
+    expect(await Meal.upsert(newMeal)).toEqual({ id: meal.id, status: "updated" });
+  });
+
+  test("works: keeps fields edited by an admin", async function () {
+    const { id } = await Meal.upsert(newMeal);
+    await Meal.update(id, { name: "Admin Name", ingredients: ["3 Eggs"] });
+    const result = await Meal.upsert({
+      ...newMeal,
+      name: "Upstream Name",
+      area: "Upstream Area",
+      ingredients: ["2 Eggs"],
+      structuredIngredients: undefined,
+    });
+    expect(result).toEqual({ id, status: "updated" });
+    const meal = await Meal.get(id);
+    expect(meal.name).toEqual("Admin Name");
+    expect(meal.area).toEqual("Upstream Area");
+    expect(meal.ingredients).toEqual(["3 Eggs"]);
+    expect(meal.structuredIngredients.map(i => i.display)).toEqual(["3 Eggs"]);
+  });
+});
+
+/************************************** markRemovedUpstream */
+
+describe("markRemovedUpstream", function () {
+  test("works", async function () {
+    const base = { category: "Cat1", area: "A1", instructions: "Inst", thumbnail: null };
+    const kept = await Meal.upsert({ ...base, externalId: "1", name: "Kept", ingredients: ["Rice"] });
+    await Meal.upsert({ ...base, externalId: "2", name: "Gone", ingredients: ["Rice"] });
+
+    expect(await Meal.markRemovedUpstream(["1"])).toEqual(1);
+    // already marked
+    expect(await Meal.markRemovedUpstream(["1"])).toEqual(0);
+
+    const marked = await db.query(
+        `SELECT external_id FROM meals WHERE upstream_removed_at IS NOT NULL`);
+    expect(marked.rows).toEqual([{ external_id: "2" }]);
+
+    // unmarked when it comes back
+    const back = await Meal.upsert({ ...base, externalId: "2", name: "Gone", ingredients: ["Rice"] });
+    expect(back.status).toEqual("updated");
+    expect(kept.status).toEqual("inserted");
+  });
 });
 
 /************************************** findAll */
 
 describe("findAll", function () {
   test("works: no filter", async function () {
-    let meals = await Meal.findAll();
+    let { meals } = await Meal.findAll();
     expect(meals).toEqual([
       {
         id: testMealIds[0],
@@ -50,7 +196,8 @@ describe("findAll", function () {
         area: "A1",
         instructions: "Inst1",
         thumbnail: "http://M1.img",
-        ingredients: ["Ing1a", "Ing1b", "Ing1c"]
+        ingredients: ["Ing1a", "Ing1b", "Ing1c"],
+        servings: 4
       },
       {
         id: testMealIds[1],
@@ -59,7 +206,8 @@ describe("findAll", function () {
         area: "A2",
         instructions: "Inst2",
         thumbnail: "http://M2.img",
-        ingredients: ["Ing2a", "Ing2b", "Ing2c"]
+        ingredients: ["Ing2a", "Ing2b", "Ing2c"],
+        servings: 4
       },
       {
         id: testMealIds[2],
@@ -68,13 +216,133 @@ describe("findAll", function () {
         area: "A3",
         instructions: "Inst3",
         thumbnail: "http://M3.img",
-        ingredients: ["Ing3a", "Ing3b", "Ing3c"]
+        ingredients: ["Ing3a", "Ing3b", "Ing3c"],
+        servings: 4
       },
     ]);
   });
 
+  test("works: by ingredient", async function () {
+    let { meals } = await Meal.findAll({ ingredient: "ing1a" });
+    expect(meals.map(d => d.name)).toEqual(["M1"]);
+  });
+
+  test("works: ingredients match at start of word", async function () {
+    let { meals } = await Meal.findAll({ ingredient: "ING2" });
+    expect(meals.map(d => d.name)).toEqual(["M2"]);
+    ({ meals } = await Meal.findAll({ ingredient: "ng2a" }));
+    expect(meals).toEqual([]);
+  });
+
+  test("works: all ingredients", async function () {
+    let { meals } = await Meal.findAll({ ingredient: ["Ing1a", "Ing1c"] });
+    expect(meals.map(d => d.name)).toEqual(["M1"]);
+    ({ meals } = await Meal.findAll({ ingredient: ["Ing1a", "Ing2a"] }));
+    expect(meals).toEqual([]);
+  });
+
+  test("works: any ingredient", async function () {
+    let { meals, pagination } = await Meal.findAll({
+      ingredient: ["Ing1a", "Ing3a"], ingredientMatch: "any",
+    });
+    expect(meals.map(d => d.name)).toEqual(["M1", "M3"]);
+    expect(pagination.total).toEqual(2);
+  });
+
+  test("works: excluding ingredients", async function () {
+    let { meals } = await Meal.findAll({ excludeIngredient: ["Ing1b", "Ing3"] });
+    expect(meals.map(d => d.name)).toEqual(["M2"]);
+  });
+
+  test("works: ingredient with regex characters", async function () {
+    let { meals } = await Meal.findAll({ ingredient: "Ing.*" });
+    expect(meals).toEqual([]);
+  });
+
+  test("works: pagination totals", async function () {
+    let { pagination } = await Meal.findAll();
+    expect(pagination).toEqual({
+      total: 3,
+      limit: 50,
+      nextCursor: null,
+      prevCursor: null,
+    });
+  });
+
+  test("works: leaves out meals removed upstream", async function () {
+    await db.query("UPDATE meals SET upstream_removed_at = NOW() WHERE id = $1", [testMealIds[0]]);
+    const { meals, pagination } = await Meal.findAll();
+    expect(meals.map(m => m.name)).toEqual(["M2", "M3"]);
+    expect(pagination.total).toEqual(2);
+  });
+
+  test("works: sort descending", async function () {
+    let { meals } = await Meal.findAll({ sort: "-name" });
+    expect(meals.map(d => d.name)).toEqual(["M3", "M2", "M1"]);
+  });
+
+  test("works: sort by area", async function () {
+    let { meals } = await Meal.findAll({ sort: "-area" });
+    expect(meals.map(d => d.area)).toEqual(["A3", "A2", "A1"]);
+  });
+
+  test("works: limit and offset", async function () {
+    let { meals, pagination } = await Meal.findAll({ limit: "1", offset: "1" });
+    expect(meals.map(d => d.name)).toEqual(["M2"]);
+    expect(pagination).toEqual({
+      total: 3,
+      limit: 1,
+      nextCursor: expect.any(String),
+      prevCursor: expect.any(String),
+    });
+  });
+
+  test("works: paging by cursor, both ways", async function () {
+    let page1 = await Meal.findAll({ limit: "2" });
+    expect(page1.meals.map(d => d.name)).toEqual(["M1", "M2"]);
+    expect(page1.pagination.prevCursor).toEqual(null);
+
+    let page2 = await Meal.findAll({ limit: "2", cursor: page1.pagination.nextCursor });
+    expect(page2.meals.map(d => d.name)).toEqual(["M3"]);
+    expect(page2.pagination.nextCursor).toEqual(null);
+    expect(page2.pagination.total).toEqual(3);
+
+    let back = await Meal.findAll({ limit: "2", cursor: page2.pagination.prevCursor });
+    expect(back.meals.map(d => d.name)).toEqual(["M1", "M2"]);
+    expect(back.pagination.prevCursor).toEqual(null);
+    expect(back.pagination.nextCursor).toEqual(expect.any(String));
+  });
+
+  test("works: cursor with filters", async function () {
+    let page1 = await Meal.findAll({ name: "M", limit: "1", sort: "-name" });
+    expect(page1.meals.map(d => d.name)).toEqual(["M3"]);
+    let page2 = await Meal.findAll({
+      name: "M", limit: "1", sort: "-name", cursor: page1.pagination.nextCursor,
+    });
+    expect(page2.meals.map(d => d.name)).toEqual(["M2"]);
+  });
+
+  test("bad request on invalid cursor", async function () {
+    try {
+      await Meal.findAll({ cursor: "nope" });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request on cursor for another sort", async function () {
+    let { pagination } = await Meal.findAll({ limit: "1" });
+    try {
+      await Meal.findAll({ sort: "id", cursor: pagination.nextCursor });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
   test("works: by category", async function () {
-    let meals = await Meal.findAll({ category: "Cat2" });
+    let { meals } = await Meal.findAll({ category: "Cat2" });
     expect(meals).toEqual([
       {
         id: testMealIds[1],
@@ -83,13 +351,14 @@ describe("findAll", function () {
         area: "A2",
         instructions: "Inst2",
         thumbnail: "http://M2.img",
-        ingredients: ["Ing2a", "Ing2b", "Ing2c"]
+        ingredients: ["Ing2a", "Ing2b", "Ing2c"],
+        servings: 4
       },
     ]);
   });
 
   test("works: by area", async function () {
-    let meals = await Meal.findAll({ area: "A3" });
+    let { meals } = await Meal.findAll({ area: "A3" });
     expect(meals).toEqual([
       {
         id: testMealIds[2],
@@ -98,13 +367,14 @@ describe("findAll", function () {
         area: "A3",
         instructions: "Inst3",
         thumbnail: "http://M3.img",
-        ingredients: ["Ing3a", "Ing3b", "Ing3c"]
+        ingredients: ["Ing3a", "Ing3b", "Ing3c"],
+        servings: 4
       },
     ]);
   });
 
   test("works: by name", async function () {
-    let meals = await Meal.findAll({ name: "M1" });
+    let { meals } = await Meal.findAll({ name: "M1" });
     expect(meals).toEqual([
       {
         id: testMealIds[0],
@@ -113,12 +383,111 @@ describe("findAll", function () {
         area: "A1",
         instructions: "Inst1",
         thumbnail: "http://M1.img",
-        ingredients: ["Ing1a", "Ing1b", "Ing1c"]
+        ingredients: ["Ing1a", "Ing1b", "Ing1c"],
+        servings: 4
       },
     ]);
   });
 });
 
+/************************************** findAll facets */
+
+describe("findAll facets", function () {
+  beforeEach(async function () {
+    for (const [name, area, ingredients] of [
+      ["Pie", "British", ["1 lb Beef", "2 Onions"]],
+      ["Stew", "British", ["1 lb Beef", "3 Carrots"]],
+      ["Bourguignon", "French", ["1 lb Beef", "2 Onions", "1 cup Red wine"]],
+    ]) {
+      await Meal.create({
+        name,
+        category: "Beef",
+        area,
+        instructions: "Cook.",
+        thumbnail: `http://${name}.img`,
+        ingredients,
+      });
+    }
+  });
+
+  test("works: counts across the filtered meals", async function () {
+    const { meals, pagination, facets } = await Meal.findAll({
+      category: "beef", facets: true, limit: 1,
+    });
+    expect(meals.length).toEqual(1);
+    expect(pagination.total).toEqual(3);
+    expect(facets).toEqual({
+      category: [{ value: "Beef", count: 3 }],
+      area: [{ value: "British", count: 2 }, { value: "French", count: 1 }],
+      ingredient: [
+        { value: "beef", count: 3 },
+        { value: "onion", count: 2 },
+        { value: "carrot", count: 1 },
+        { value: "red wine", count: 1 },
+      ],
+    });
+  });
+
+  test("works: with ingredient filters", async function () {
+    const { facets } = await Meal.findAll({ ingredient: "onion", facets: true });
+    expect(facets.area).toEqual([
+      { value: "British", count: 1 },
+      { value: "French", count: 1 },
+    ]);
+  });
+
+  test("works: no facets unless asked", async function () {
+    const result = await Meal.findAll({ category: "beef" });
+    expect(result.facets).toBeUndefined();
+  });
+});
+
+/************************************** random */
+
+describe("random", function () {
+  test("works: one meal by default", async function () {
+    const meals = await Meal.random();
+    expect(meals.length).toEqual(1);
+    expect(testMealIds).toContain(meals[0].id);
+    expect(meals[0]).toEqual({
+      id: expect.any(Number),
+      name: expect.any(String),
+      category: expect.any(String),
+      area: expect.any(String),
+      instructions: expect.any(String),
+      thumbnail: expect.any(String),
+      ingredients: expect.any(Array),
+      servings: 4,
+    });
+  });
+
+  test("works: leaves out meals removed upstream", async function () {
+    await db.query("UPDATE meals SET upstream_removed_at = NOW() WHERE id = $1", [testMealIds[0]]);
+    const meals = await Meal.random({}, { count: 3 });
+    expect(meals.map(m => m.id).sort()).toEqual([testMealIds[1], testMealIds[2]].sort());
+  });
+
+  test("works: count, at most the meals there are", async function () {
+    const meals = await Meal.random({}, { count: 5 });
+    expect(meals.map(m => m.id).sort()).toEqual([...testMealIds].sort());
+  });
+
+  test("works: filters", async function () {
+    let meals = await Meal.random({ area: "A2" }, { count: 3 });
+    expect(meals.map(m => m.id)).toEqual([testMealIds[1]]);
+    meals = await Meal.random({ excludeIngredient: ["Ing1a", "Ing2a"] }, { count: 3 });
+    expect(meals.map(m => m.id)).toEqual([testMealIds[2]]);
+  });
+
+  test("works: leaves out the user's favorites", async function () {
+    const meals = await Meal.random({ category: "Cat1" }, { username: "u1" });
+    expect(meals).toEqual([]);
+    const others = await Meal.random({}, { count: 3, username: "u1" });
+    expect(others.map(m => m.id)).not.toContain(testMealIds[0]);
+    expect(others.length).toEqual(2);
+  });
+});
+
 /************************************** getCategories */
 
 describe("getCategories", function () {
@@ -139,6 +508,25 @@ describe("getCategories", function () {
       },
     ]);
   });
+
+  test("works: leaves out meals removed upstream", async function () {
+    await db.query("UPDATE meals SET upstream_removed_at = NOW() WHERE id = $1", [testMealIds[0]]);
+    const categories = await Meal.getCategories();
+    expect(categories.map(c => c.category)).toEqual(["Cat2", "Cat3"]);
+  });
+});
+
+/************************************** getAreas */
+
+describe("getAreas", function () {
+  test("works", async function () {
+    let areas = await Meal.getAreas();
+    expect(areas).toEqual([
+      { area: "A1", count: "1" },
+      { area: "A2", count: "1" },
+      { area: "A3", count: "1" },
+    ]);
+  });
 });
 
 /************************************** get */
@@ -153,7 +541,20 @@ describe("get", function () {
       area: "A1",
       instructions: "Inst1",
       thumbnail: "http://M1.img",
-      ingredients: ["Ing1a", "Ing1b", "Ing1c"]
+      ingredients: ["Ing1a", "Ing1b", "Ing1c"],
+      servings: 4,
+      externalId: null,
+      sourceUrl: null,
+      videoUrl: null,
+      tags: [],
+      imageSource: null,
+      imageAttribution: null,
+      creativeCommonsConfirmed: null,
+      structuredIngredients: [
+        { display: "Ing1a", quantity: null, quantityMax: null, unit: null, name: "ing1a", note: null },
+        { display: "Ing1b", quantity: null, quantityMax: null, unit: null, name: "ing1b", note: null },
+        { display: "Ing1c", quantity: null, quantityMax: null, unit: null, name: "ing1c", note: null },
+      ],
     });
   });
 
@@ -177,13 +578,42 @@ describe("update", function () {
     instructions: "New Inst",
     thumbnail: "http://NewMeal.img",
     ingredients: ["New Ing 1", "New Ing 2", "New Ing 3"],
+    servings: 6,
   };
   test("works", async function () {
     let meal = await Meal.update(testMealIds[0], updateData);
     expect(meal).toEqual({
       id: testMealIds[0],
       ...updateData,
+      externalId: null,
+      sourceUrl: null,
+      videoUrl: null,
+      tags: [],
+      imageSource: null,
+      imageAttribution: null,
+      creativeCommonsConfirmed: null,
+      structuredIngredients: [
+        { display: "New Ing 1", quantity: null, quantityMax: null, unit: null, name: "new ing 1", note: null },
+        { display: "New Ing 2", quantity: null, quantityMax: null, unit: null, name: "new ing 2", note: null },
+        { display: "New Ing 3", quantity: null, quantityMax: null, unit: null, name: "new ing 3", note: null },
+      ],
+    });
+  });
+
+  test("works: ingredients are parsed", async function () {
+    let meal = await Meal.update(testMealIds[0], {
+      ingredients: ["1 1/2 cups Rice", "to taste Salt"],
     });
+    expect(meal.structuredIngredients).toEqual([
+      { display: "1 1/2 cups Rice", quantity: 1.5, quantityMax: null, unit: "cup", name: "rice", note: null },
+      { display: "to taste Salt", quantity: null, quantityMax: null, unit: null, name: "salt", note: "to taste" },
+    ]);
+    expect(await Meal.get(testMealIds[0])).toEqual(meal);
+  });
+
+  test("works: ingredients kept if not updated", async function () {
+    let meal = await Meal.update(testMealIds[0], { name: "New" });
+    expect(meal.structuredIngredients.map(i => i.name)).toEqual(["ing1a", "ing1b", "ing1c"]);
   });
 
   test("not found if no such meal", async function () {
@@ -0,0 +1,258 @@
+"use strict";
+
+const db = require("../db");
+const { NotFoundError, BadRequestError } = require("../expressError");
+const { sqlForPartialUpdate } = require("../helpers/sql");
+const { getRecipe, recipeOfRow, RECIPE_COLUMNS } = require("../helpers/recipes");
+const { SLOTS, DAYS_IN_WEEK, planWeek, addDays, weekOf } = require("../helpers/planner");
+
+// the most days a plan can be looked at, at once
+const MAX_RANGE_DAYS = 92;
+
+const ENTRY_QUERY = `SELECT e.id,
+                            to_char(e.date, 'YYYY-MM-DD') AS date,
+                            e.slot,
+                            e.meal_id,
+                            e.drink_id,
+                            e.personal_meal_id,
+                            e.personal_drink_id,
+                            COALESCE(m.name, d.name, pm.name, pd.name) AS name,
+                            COALESCE(m.thumbnail, d.thumbnail, pm.thumbnail, pd.thumbnail) AS thumbnail,
+                            COALESCE(m.category, d.category, pm.category, pd.category) AS category,
+                            COALESCE(m.area, pm.area) AS area
+                     FROM meal_plan_entries AS e
+                       LEFT JOIN meals AS m ON m.id = e.meal_id
+                       LEFT JOIN drinks AS d ON d.id = e.drink_id
+                       LEFT JOIN personal_meals AS pm ON pm.id = e.personal_meal_id
+                       LEFT JOIN personal_drinks AS pd ON pd.id = e.personal_drink_id`;
+
+/** Related functions for users' meal plans.
+ *
+ * A plan is made of entries, each putting a recipe (catalog or personal,
+ * meal or drink) on a date in a slot: "breakfast", "lunch", "snack" or
+ * "dinner". Dates are like "2026-10-19".
+ *
+ * An entry is { id, date, slot, recipe }
+ *   where recipe is { type, id, personal, name, thumbnail, category, area }
+ *   (area is null for drinks).
+ */
+
+class MealPlan {
+  /** Given a username, return their plan from one date to another
+   *  (inclusive), by date and slot.
+   *
+   * from defaults to today (UTC), and to to the end of the week from it.
+   *
+   * Returns [entry, ...]
+   *
+   * Throws BadRequestError if to is before from, or they're more than
+   * MAX_RANGE_DAYS apart.
+   **/
+
+  static async findRange(username, { from = today(), to = addDays(from, DAYS_IN_WEEK - 1) } = {}) {
+    checkDates(from, to);
+    if (to < from) throw new BadRequestError("to must not be before from");
+    if (to > addDays(from, MAX_RANGE_DAYS - 1)) {
+      throw new BadRequestError(`Can't get more than ${MAX_RANGE_DAYS} days at once`);
+    }
+
+    const result = await db.query(
+          `${ENTRY_QUERY}
+           WHERE e.username = $1 AND e.date BETWEEN $2 AND $3
+           ORDER BY e.date, array_position($4::TEXT[], e.slot), e.id`,
+        [username, from, to, Object.keys(SLOTS)],
+    );
+
+    return result.rows.map(entryOfRow);
+  }
+
+  /** Given a username and entry id, return the entry.
+   *
+   * Throws NotFoundError if the user has no such entry.
+   **/
+
+  static async get(username, id) {
+    if (!/^\d{1,9}$/.test(id)) throw new NotFoundError(`No meal plan entry: ${id}`);
+
+    const result = await db.query(
+          `${ENTRY_QUERY}
+           WHERE e.id = $1 AND e.username = $2`,
+        [id, username],
+    );
+
+    const row = result.rows[0];
+
+    if (!row) throw new NotFoundError(`No meal plan entry: ${id}`);
+
+    return entryOfRow(row);
+  }
+
+  /** Put a recipe on a user's plan, from data: { date, slot, type, id, personal }
+   *   where type is "meals" or "drinks" and personal is whether id is one of
+   *   the user's personal recipes (default false).
+   *
+   * Returns the entry.
+   *
+   * Throws NotFoundError if the recipe doesn't exist (or, for a personal
+   * recipe, isn't the user's).
+   **/
+
+  static async add(username, { date, slot, type, id, personal = false }) {
+    checkDates(date);
+    await getRecipe(username, { type, id, personal });
+
+    const column = RECIPE_COLUMNS[type][personal ? "personal" : "catalog"];
+    const result = await db.query(
+          `INSERT INTO meal_plan_entries (username, date, slot, ${column})
+           VALUES ($1, $2, $3, $4)
+           RETURNING id`,
+        [username, date, slot, id],
+    );
+
+    return this.get(username, result.rows[0].id);
+  }
+
+  /** Move an entry on a user's plan to another date or slot.
+   *
+   * Data can include: { date, slot }
+   *
+   * Returns the entry.
+   *
+   * Throws NotFoundError if the user has no such entry.
+   **/
+
+  static async update(username, id, data) {
+    if (Object.keys(data).length === 0) throw new BadRequestError("No data");
+    if (data.date) checkDates(data.date);
+    if (!/^\d{1,9}$/.test(id)) throw new NotFoundError(`No meal plan entry: ${id}`);
+
+    const { setCols, values } = sqlForPartialUpdate(data, {});
+    const result = await db.query(
+          `UPDATE meal_plan_entries
+           SET ${setCols}
+           WHERE id = $${values.length + 1} AND username = $${values.length + 2}
+           RETURNING id`,
+        [...values, id, username],
+    );
+
+    if (!result.rows[0]) throw new NotFoundError(`No meal plan entry: ${id}`);
+
+    return this.get(username, id);
+  }
+
+  /** Take an entry off a user's plan; returns undefined.
+   *
+   * Throws NotFoundError if the user has no such entry.
+   **/
+
+  static async remove(username, id) {
+    if (!/^\d{1,9}$/.test(id)) throw new NotFoundError(`No meal plan entry: ${id}`);
+
+    const result = await db.query(
+          `DELETE
+           FROM meal_plan_entries
+           WHERE id = $1 AND username = $2
+           RETURNING id`,
+        [id, username],
+    );
+
+    if (!result.rows[0]) throw new NotFoundError(`No meal plan entry: ${id}`);
+  }
+
+  /** Plan a week for a user from their favorite meals, from data:
+   *  { start, slots }
+   *   where start is the first day of the week (default today, UTC) and
+   *   slots are the slots to fill each day (default ["dinner"]).
+   *
+   * Only slots with no meal planned yet are filled. Meals are chosen for
+   * variety, of recipes and of their categories and areas (see planWeek).
+   *
+   * Returns the week's plan: [entry, ...], as for findRange.
+   *
+   * Throws BadRequestError if the user has no favorite meals.
+   **/
+
+  static async generateWeek(username, { start = today(), slots = ["dinner"] } = {}) {
+    checkDates(start);
+
+    const favoritesRes = await db.query(
+          `SELECT m.id, m.name, m.category, m.area
+           FROM favorite_meals AS fm
+             JOIN meals AS m ON m.id = fm.meal_id
+           WHERE fm.username = $1
+           ORDER BY m.id`,
+        [username],
+    );
+
+    if (favoritesRes.rows.length === 0) {
+      throw new BadRequestError("No favorite meals to plan a week from");
+    }
+
+    const days = weekOf(start);
+    const end = days[days.length - 1];
+    const planned = (await this.findRange(username, { from: start, to: end }))
+        .filter(entry => entry.recipe.type === "meals");
+
+    const added = planWeek(favoritesRes.rows, days, slots, planned);
+
+    // one statement, checking again for meals planned since, so a week
+    // generated twice at once doesn't get two meals in a slot
+    await db.query(
+          `INSERT INTO meal_plan_entries (username, date, slot, meal_id)
+           SELECT $1::VARCHAR, date, slot, meal_id
+           FROM unnest($2::DATE[], $3::TEXT[], $4::INTEGER[]) AS e(date, slot, meal_id)
+           WHERE NOT EXISTS (SELECT 1
+                             FROM meal_plan_entries AS p
+                             WHERE p.username = $1
+                               AND p.date = e.date
+                               AND p.slot = e.slot
+                               AND (p.meal_id IS NOT NULL OR p.personal_meal_id IS NOT NULL))`,
+        [
+          username,
+          added.map(e => e.date),
+          added.map(e => e.slot),
+          added.map(e => e.recipe.id),
+        ],
+    );
+
+    return this.findRange(username, { from: start, to: end });
+  }
+}
+
+
+/** An entry, from a row of ENTRY_QUERY. */
+
+function entryOfRow(row) {
+  return {
+    id: row.id,
+    date: row.date,
+    slot: row.slot,
+    recipe: {
+      ...recipeOfRow(row),
+      name: row.name,
+      thumbnail: row.thumbnail,
+      category: row.category,
+      area: row.area,
+    },
+  };
+}
+
+
+/** Throws BadRequestError if any of dates isn't a real date, like
+ *  "2026-02-30". */
+
+function checkDates(...dates) {
+  for (const date of dates) {
+    if (addDays(date, 0) !== date) throw new BadRequestError(`Not a date: ${date}`);
+  }
+}
+
+
+/** Today's date (UTC), like "2026-10-19". */
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+
+module.exports = MealPlan;
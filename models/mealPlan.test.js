@@ -0,0 +1,283 @@
+"use strict";
+
+const db = require("../db.js");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const MealPlan = require("./mealPlan.js");
+const User = require("./user.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testMealIds,
+  testDrinkIds,
+  testPersonalMealIds,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+const date = "2026-10-19";
+
+/************************************** add */
+
+describe("add", function () {
+  test("works", async function () {
+    const entry = await MealPlan.add("u1", { date, slot: "dinner", type: "meals", id: testMealIds[0] });
+    expect(entry).toEqual({
+      id: expect.any(Number),
+      date,
+      slot: "dinner",
+      recipe: {
+        type: "meals",
+        id: testMealIds[0],
+        personal: false,
+        name: "M1",
+        thumbnail: "http://M1.img",
+        category: "Cat1",
+        area: "A1",
+      },
+    });
+    const result = await db.query(
+        "SELECT username, meal_id FROM meal_plan_entries WHERE id = $1", [entry.id]);
+    expect(result.rows).toEqual([{ username: "u1", meal_id: testMealIds[0] }]);
+  });
+
+  test("works: drink", async function () {
+    const entry = await MealPlan.add("u1", { date, slot: "snack", type: "drinks", id: testDrinkIds[0] });
+    expect(entry.recipe).toEqual({
+      type: "drinks",
+      id: testDrinkIds[0],
+      personal: false,
+      name: "D1",
+      thumbnail: "http://D1.img",
+      category: "Cat1",
+      area: null,
+    });
+  });
+
+  test("works: personal recipe", async function () {
+    const entry = await MealPlan.add("u1", {
+      date, slot: "lunch", type: "meals", id: testPersonalMealIds[0], personal: true,
+    });
+    expect(entry.recipe).toEqual({
+      type: "meals",
+      id: testPersonalMealIds[0],
+      personal: true,
+      name: "P-M1",
+      thumbnail: "http://P-M1.img",
+      category: "P-Cat1",
+      area: "P-A1",
+    });
+  });
+
+  test("not found if the recipe doesn't exist", async function () {
+    try {
+      await MealPlan.add("u1", { date, slot: "dinner", type: "meals", id: 0 });
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found for another user's personal recipe", async function () {
+    try {
+      await MealPlan.add("u2", {
+        date, slot: "dinner", type: "meals", id: testPersonalMealIds[0], personal: true,
+      });
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("bad request with a date that doesn't exist", async function () {
+    try {
+      await MealPlan.add("u1", { date: "2026-02-30", slot: "dinner", type: "meals", id: testMealIds[0] });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** findRange */
+
+describe("findRange", function () {
+  test("works", async function () {
+    const dinner = await MealPlan.add("u1", { date, slot: "dinner", type: "meals", id: testMealIds[0] });
+    const breakfast = await MealPlan.add("u1", {
+      date, slot: "breakfast", type: "meals", id: testMealIds[1],
+    });
+    const nextDay = await MealPlan.add("u1", {
+      date: "2026-10-20", slot: "lunch", type: "meals", id: testMealIds[2],
+    });
+    await MealPlan.add("u1", { date: "2026-10-26", slot: "lunch", type: "meals", id: testMealIds[2] });
+    await MealPlan.add("u2", { date, slot: "dinner", type: "meals", id: testMealIds[2] });
+
+    const entries = await MealPlan.findRange("u1", { from: date, to: "2026-10-25" });
+    expect(entries).toEqual([breakfast, dinner, nextDay]);
+  });
+
+  test("works: defaults to a week", async function () {
+    const entries = await MealPlan.findRange("u1", { from: date });
+    expect(entries).toEqual([]);
+  });
+
+  test("bad request if to is before from", async function () {
+    try {
+      await MealPlan.findRange("u1", { from: date, to: "2026-10-18" });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request for too many days", async function () {
+    try {
+      await MealPlan.findRange("u1", { from: date, to: "2027-10-19" });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** get */
+
+describe("get", function () {
+  test("works", async function () {
+    const entry = await MealPlan.add("u1", { date, slot: "dinner", type: "meals", id: testMealIds[0] });
+    expect(await MealPlan.get("u1", entry.id)).toEqual(entry);
+  });
+
+  test("not found for another user's entry", async function () {
+    const entry = await MealPlan.add("u1", { date, slot: "dinner", type: "meals", id: testMealIds[0] });
+    try {
+      await MealPlan.get("u2", entry.id);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** update */
+
+describe("update", function () {
+  test("works", async function () {
+    const entry = await MealPlan.add("u1", { date, slot: "dinner", type: "meals", id: testMealIds[0] });
+    const moved = await MealPlan.update("u1", entry.id, { date: "2026-10-21", slot: "lunch" });
+    expect(moved).toEqual({ ...entry, date: "2026-10-21", slot: "lunch" });
+  });
+
+  test("bad request with no data", async function () {
+    const entry = await MealPlan.add("u1", { date, slot: "dinner", type: "meals", id: testMealIds[0] });
+    try {
+      await MealPlan.update("u1", entry.id, {});
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found for another user's entry", async function () {
+    const entry = await MealPlan.add("u1", { date, slot: "dinner", type: "meals", id: testMealIds[0] });
+    try {
+      await MealPlan.update("u2", entry.id, { slot: "lunch" });
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** remove */
+
+describe("remove", function () {
+  test("works", async function () {
+    const entry = await MealPlan.add("u1", { date, slot: "dinner", type: "meals", id: testMealIds[0] });
+    await MealPlan.remove("u1", entry.id);
+    const result = await db.query("SELECT * FROM meal_plan_entries WHERE id = $1", [entry.id]);
+    expect(result.rows.length).toEqual(0);
+  });
+
+  test("not found for another user's entry", async function () {
+    const entry = await MealPlan.add("u1", { date, slot: "dinner", type: "meals", id: testMealIds[0] });
+    try {
+      await MealPlan.remove("u2", entry.id);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** generateWeek */
+
+describe("generateWeek", function () {
+  test("works", async function () {
+    await User.markFavMeal("u1", testMealIds[1]);
+    await User.markFavMeal("u1", testMealIds[2]);
+
+    const entries = await MealPlan.generateWeek("u1", { start: date });
+    expect(entries.map(e => [e.date, e.slot])).toEqual([
+      ["2026-10-19", "dinner"],
+      ["2026-10-20", "dinner"],
+      ["2026-10-21", "dinner"],
+      ["2026-10-22", "dinner"],
+      ["2026-10-23", "dinner"],
+      ["2026-10-24", "dinner"],
+      ["2026-10-25", "dinner"],
+    ]);
+    const names = entries.map(e => e.recipe.name);
+    expect(names.slice(0, 3).sort()).toEqual(["M1", "M2", "M3"]);
+    for (let i = 1; i < names.length; i++) {
+      expect(names[i]).not.toEqual(names[i - 1]);
+    }
+  });
+
+  test("works: keeps planned meals", async function () {
+    await User.markFavMeal("u1", testMealIds[1]);
+    const planned = await MealPlan.add("u1", {
+      date, slot: "dinner", type: "meals", id: testPersonalMealIds[0], personal: true,
+    });
+    const drink = await MealPlan.add("u1", {
+      date: "2026-10-20", slot: "dinner", type: "drinks", id: testDrinkIds[0],
+    });
+
+    const entries = await MealPlan.generateWeek("u1", { start: date, slots: ["lunch", "dinner"] });
+    expect(entries.length).toEqual(15);
+    expect(entries.filter(e => e.date === date)).toEqual([
+      expect.objectContaining({ slot: "lunch" }),
+      planned,
+    ]);
+    expect(entries.filter(e => e.date === "2026-10-20").map(e => [e.slot, e.recipe.type])).toEqual([
+      ["lunch", "meals"],
+      ["dinner", "drinks"],
+      ["dinner", "meals"],
+    ]);
+    expect(entries).toContainEqual(drink);
+  });
+
+  test("works: generated twice at once, fills each slot once", async function () {
+    await User.markFavMeal("u1", testMealIds[1]);
+    await Promise.all([
+      MealPlan.generateWeek("u1", { start: date }),
+      MealPlan.generateWeek("u1", { start: date }),
+    ]);
+    const entries = await MealPlan.findRange("u1", { from: date });
+    expect(entries.length).toEqual(7);
+  });
+
+  test("bad request with no favorite meals", async function () {
+    try {
+      await MealPlan.generateWeek("u2", { start: date });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
@@ -0,0 +1,225 @@
+"use strict";
+
+const db = require("../db");
+const { NotFoundError } = require("../expressError");
+const { pairingScore, withIngredientNames } = require("../helpers/pairings");
+
+const DEFAULT_PAIRINGS_LIMIT = 10;
+
+/** Related functions for pairing meals with drinks.
+ *
+ * Pairings are suggested by scoring every drink for a meal, or every meal
+ * for a drink (see pairingScore): on the meal's area and category, shared
+ * ingredients, and how many users favorited both. Admins can pin pairings,
+ * which always come first. Recipes removed upstream aren't suggested.
+ *
+ * A pairing is { id, name, category, thumbnail, pinned, score, reasons }
+ *   where id, name, category and thumbnail are the paired drink's or meal's,
+ *   and reasons say why they go together.
+ */
+
+class Pairing {
+  /** Given a meal id, return the drinks that go with it, best first.
+   *
+   * options (all optional):
+   * - limit: most pairings to return (default 10)
+   *
+   * Returns [{ id, name, category, thumbnail, pinned, score, reasons }, ...]
+   *
+   * Throws NotFoundError if no such meal.
+   **/
+
+  static async forMeal(mealId, { limit = DEFAULT_PAIRINGS_LIMIT } = {}) {
+    const meal = withIngredientNames(await getRecipe("meals", mealId));
+
+    const drinksRes = await db.query(
+          `SELECT id, name, category, thumbnail, ingredients
+           FROM drinks
+           WHERE upstream_removed_at IS NULL`);
+
+    const coFavoritesRes = await db.query(
+          `SELECT fd.drink_id AS id, COUNT(*)::INTEGER AS count
+           FROM favorite_meals AS fm
+             JOIN favorite_drinks AS fd ON fd.username = fm.username
+           WHERE fm.meal_id = $1
+           GROUP BY fd.drink_id`,
+        [mealId],
+    );
+
+    const pinnedRes = await db.query(
+          `SELECT drink_id AS id
+           FROM pinned_pairings
+           WHERE meal_id = $1`,
+        [mealId],
+    );
+
+    return rankPairings(
+        drinksRes.rows.map(withIngredientNames),
+        (drink, coFavorites) => pairingScore(meal, drink, coFavorites),
+        coFavoritesRes.rows,
+        pinnedRes.rows,
+        limit);
+  }
+
+  /** Given a drink id, return the meals that go with it, best first.
+   *
+   * options (all optional):
+   * - limit: most pairings to return (default 10)
+   *
+   * Returns [{ id, name, category, thumbnail, pinned, score, reasons }, ...]
+   *
+   * Throws NotFoundError if no such drink.
+   **/
+
+  static async forDrink(drinkId, { limit = DEFAULT_PAIRINGS_LIMIT } = {}) {
+    const drink = withIngredientNames(await getRecipe("drinks", drinkId));
+
+    const mealsRes = await db.query(
+          `SELECT id, name, category, area, thumbnail, ingredients
+           FROM meals
+           WHERE upstream_removed_at IS NULL`);
+
+    const coFavoritesRes = await db.query(
+          `SELECT fm.meal_id AS id, COUNT(*)::INTEGER AS count
+           FROM favorite_drinks AS fd
+             JOIN favorite_meals AS fm ON fm.username = fd.username
+           WHERE fd.drink_id = $1
+           GROUP BY fm.meal_id`,
+        [drinkId],
+    );
+
+    const pinnedRes = await db.query(
+          `SELECT meal_id AS id
+           FROM pinned_pairings
+           WHERE drink_id = $1`,
+        [drinkId],
+    );
+
+    return rankPairings(
+        mealsRes.rows.map(withIngredientNames),
+        (meal, coFavorites) => pairingScore(meal, drink, coFavorites),
+        coFavoritesRes.rows,
+        pinnedRes.rows,
+        limit);
+  }
+
+  /** Pin a pairing of a meal and a drink, as an admin; pinning one that's
+   *  already pinned does nothing.
+   *
+   * Returns { mealId, drinkId }
+   *
+   * Throws NotFoundError if no such meal or drink.
+   **/
+
+  static async pin(mealId, drinkId, username) {
+    await getRecipe("meals", mealId);
+    await getRecipe("drinks", drinkId);
+
+    await db.query(
+          `INSERT INTO pinned_pairings (meal_id, drink_id, pinned_by)
+           VALUES ($1, $2, $3)
+           ON CONFLICT DO NOTHING`,
+        [mealId, drinkId, username],
+    );
+
+    return { mealId: +mealId, drinkId: +drinkId };
+  }
+
+  /** Unpin a pairing of a meal and a drink; returns { mealId, drinkId }.
+   *
+   * Throws NotFoundError if the pairing isn't pinned.
+   **/
+
+  static async unpin(mealId, drinkId) {
+    if (!isId(mealId) || !isId(drinkId)) {
+      throw new NotFoundError(`No pinned pairing: meal ${mealId}, drink ${drinkId}`);
+    }
+
+    const result = await db.query(
+          `DELETE
+           FROM pinned_pairings
+           WHERE meal_id = $1 AND drink_id = $2
+           RETURNING meal_id`,
+        [mealId, drinkId],
+    );
+
+    if (!result.rows[0]) {
+      throw new NotFoundError(`No pinned pairing: meal ${mealId}, drink ${drinkId}`);
+    }
+
+    return { mealId: +mealId, drinkId: +drinkId };
+  }
+}
+
+
+/** The meal or drink with this id, with what pairings are scored on.
+ *
+ * Throws NotFoundError if there's none.
+ */
+
+async function getRecipe(table, id) {
+  if (!isId(id)) throw new NotFoundError(`No ${table === "meals" ? "meal" : "drink"}: ${id}`);
+
+  const columns = table === "meals" ? "category, area, ingredients" : "category, ingredients";
+  const result = await db.query(
+        `SELECT ${columns}
+         FROM ${table}
+         WHERE id = $1`,
+      [id],
+  );
+
+  const recipe = result.rows[0];
+
+  if (!recipe) throw new NotFoundError(`No ${table === "meals" ? "meal" : "drink"}: ${id}`);
+
+  return recipe;
+}
+
+
+/** Whether an id (from a URL) could be a recipe's; others would overflow
+ *  the database's integers, or aren't numbers at all. */
+
+function isId(id) {
+  return /^\d{1,9}$/.test(id);
+}
+
+
+/** Score each candidate, given how many users favorited it along with the
+ *  recipe paired with, and return the pinned ones and then the best
+ *  scoring, as pairings.
+ *
+ * Candidates that aren't pinned and don't score are left out.
+ */
+
+function rankPairings(candidates, score, coFavorites, pinned, limit) {
+  const coFavoriteCounts = new Map(coFavorites.map(r => [r.id, r.count]));
+  const pinnedIds = new Set(pinned.map(r => r.id));
+  const pairings = [];
+
+  for (const candidate of candidates) {
+    const coFavoriteCount = coFavoriteCounts.get(candidate.id) || 0;
+    const { score: candidateScore, reasons } = score(candidate, coFavoriteCount);
+    const isPinned = pinnedIds.has(candidate.id);
+    if (!isPinned && candidateScore === 0) continue;
+
+    pairings.push({
+      id: candidate.id,
+      name: candidate.name,
+      category: candidate.category,
+      thumbnail: candidate.thumbnail,
+      pinned: isPinned,
+      score: candidateScore,
+      reasons,
+    });
+  }
+
+  pairings.sort((a, b) =>
+      b.pinned - a.pinned
+      || b.score - a.score
+      || a.name.localeCompare(b.name));
+
+  return pairings.slice(0, limit);
+}
+
+
+module.exports = Pairing;
@@ -0,0 +1,183 @@
+"use strict";
+
+const db = require("../db.js");
+const { NotFoundError } = require("../expressError");
+const Pairing = require("./pairing.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testMealIds,
+  testDrinkIds,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** forMeal */
+
+describe("forMeal", function () {
+  test("works", async function () {
+    const pairings = await Pairing.forMeal(testMealIds[0]);
+    expect(pairings).toEqual([
+      {
+        id: testDrinkIds[0],
+        name: "D1",
+        category: "Cat1",
+        thumbnail: "http://D1.img",
+        pinned: false,
+        score: 4,
+        reasons: ["Shares ing1a, ing1b, ing1c", "Favorited together by 1 user"],
+      },
+    ]);
+  });
+
+  test("works: pinned first", async function () {
+    await Pairing.pin(testMealIds[0], testDrinkIds[2], "u1");
+    const pairings = await Pairing.forMeal(testMealIds[0]);
+    expect(pairings.map(p => [p.name, p.pinned, p.score])).toEqual([
+      ["D3", true, 0],
+      ["D1", false, 4],
+    ]);
+  });
+
+  test("works: co-favorites", async function () {
+    await db.query(
+        `INSERT INTO favorite_meals (username, meal_id) VALUES ('u2', $1)`,
+        [testMealIds[1]]);
+    await db.query(
+        `INSERT INTO favorite_drinks (username, drink_id) VALUES ('u2', $1), ('u2', $2)`,
+        [testDrinkIds[0], testDrinkIds[2]]);
+
+    const pairings = await Pairing.forMeal(testMealIds[1]);
+    expect(pairings.map(p => [p.name, p.score, p.reasons])).toEqual([
+      ["D2", 3, ["Shares ing2a, ing2b, ing2c"]],
+      ["D1", 1, ["Favorited together by 1 user"]],
+      ["D3", 1, ["Favorited together by 1 user"]],
+    ]);
+  });
+
+  test("works: not drinks removed upstream", async function () {
+    await db.query("UPDATE drinks SET upstream_removed_at = NOW() WHERE id = $1", [testDrinkIds[0]]);
+    expect(await Pairing.forMeal(testMealIds[0])).toEqual([]);
+  });
+
+  test("works: limit", async function () {
+    await Pairing.pin(testMealIds[0], testDrinkIds[2], "u1");
+    const pairings = await Pairing.forMeal(testMealIds[0], { limit: 1 });
+    expect(pairings.map(p => p.name)).toEqual(["D3"]);
+  });
+
+  test("not found if no such meal", async function () {
+    try {
+      await Pairing.forMeal(0);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** forDrink */
+
+describe("forDrink", function () {
+  test("works", async function () {
+    await Pairing.pin(testMealIds[1], testDrinkIds[0], "u1");
+    const pairings = await Pairing.forDrink(testDrinkIds[0]);
+    expect(pairings).toEqual([
+      {
+        id: testMealIds[1],
+        name: "M2",
+        category: "Cat2",
+        thumbnail: "http://M2.img",
+        pinned: true,
+        score: 0,
+        reasons: [],
+      },
+      {
+        id: testMealIds[0],
+        name: "M1",
+        category: "Cat1",
+        thumbnail: "http://M1.img",
+        pinned: false,
+        score: 4,
+        reasons: ["Shares ing1a, ing1b, ing1c", "Favorited together by 1 user"],
+      },
+    ]);
+  });
+
+  test("works: not meals removed upstream", async function () {
+    await db.query("UPDATE meals SET upstream_removed_at = NOW() WHERE id = $1", [testMealIds[0]]);
+    expect(await Pairing.forDrink(testDrinkIds[0])).toEqual([]);
+  });
+
+  test("not found if no such drink", async function () {
+    try {
+      await Pairing.forDrink(0);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** pin */
+
+describe("pin", function () {
+  test("works", async function () {
+    const pinned = await Pairing.pin(testMealIds[0], testDrinkIds[1], "u1");
+    expect(pinned).toEqual({ mealId: testMealIds[0], drinkId: testDrinkIds[1] });
+
+    const result = await db.query(
+        `SELECT pinned_by FROM pinned_pairings WHERE meal_id = $1 AND drink_id = $2`,
+        [testMealIds[0], testDrinkIds[1]]);
+    expect(result.rows).toEqual([{ pinned_by: "u1" }]);
+  });
+
+  test("works: already pinned", async function () {
+    await Pairing.pin(testMealIds[0], testDrinkIds[1], "u1");
+    const pinned = await Pairing.pin(testMealIds[0], testDrinkIds[1], "u2");
+    expect(pinned).toEqual({ mealId: testMealIds[0], drinkId: testDrinkIds[1] });
+  });
+
+  test("not found if no such meal or drink", async function () {
+    try {
+      await Pairing.pin(0, testDrinkIds[1], "u1");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+
+    try {
+      await Pairing.pin(testMealIds[0], 0, "u1");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** unpin */
+
+describe("unpin", function () {
+  test("works", async function () {
+    await Pairing.pin(testMealIds[0], testDrinkIds[1], "u1");
+    const unpinned = await Pairing.unpin(testMealIds[0], testDrinkIds[1]);
+    expect(unpinned).toEqual({ mealId: testMealIds[0], drinkId: testDrinkIds[1] });
+
+    const result = await db.query("SELECT * FROM pinned_pairings");
+    expect(result.rows.length).toEqual(0);
+  });
+
+  test("not found if not pinned", async function () {
+    try {
+      await Pairing.unpin(testMealIds[0], testDrinkIds[1]);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
@@ -0,0 +1,174 @@
+"use strict";
+
+const db = require("../db");
+const { NotFoundError } = require("../expressError");
+const { ingredientName } = require("../helpers/ingredients");
+const { RECIPE_COLUMNS } = require("../helpers/recipes");
+
+const DEFAULT_MATCHES_LIMIT = 20;
+
+/** Related functions for users' pantries: the ingredients they have at home.
+ *
+ * Pantry ingredients are stored by name (see ingredientName), so "Eggs" and
+ * "2 eggs" are the same pantry ingredient, and match the recipe ingredient
+ * "3 Large Eggs" (by its name in the ingredients table).
+ */
+
+class Pantry {
+  /** Given a username, return the ingredients in their pantry.
+   *
+   * Returns [ingredient, ...] (in alphabetical order)
+   *
+   * Throws NotFoundError if no such user.
+   **/
+
+  static async get(username) {
+    await checkUser(username);
+
+    const result = await db.query(
+          `SELECT ingredient
+           FROM pantry_items
+           WHERE username = $1
+           ORDER BY ingredient`,
+        [username],
+    );
+
+    return result.rows.map(r => r.ingredient);
+  }
+
+  /** Add ingredients to a user's pantry; ones already there are skipped.
+   *
+   * Returns the whole pantry, as for get.
+   *
+   * Throws NotFoundError if no such user.
+   **/
+
+  static async add(username, ingredients) {
+    await checkUser(username);
+
+    const names = [...new Set(ingredients.map(ingredientName))].filter(n => n);
+
+    await db.query(
+          `INSERT INTO pantry_items (username, ingredient)
+           SELECT $1, unnest($2::TEXT[])
+           ON CONFLICT DO NOTHING`,
+        [username, names],
+    );
+
+    return this.get(username);
+  }
+
+  /** Remove an ingredient from a user's pantry; returns the ingredient name.
+   *
+   * Throws NotFoundError if no such user or ingredient isn't in the pantry.
+   **/
+
+  static async remove(username, ingredient) {
+    const name = ingredientName(ingredient);
+
+    const result = await db.query(
+          `DELETE
+           FROM pantry_items
+           WHERE username = $1 AND ingredient = $2
+           RETURNING ingredient`,
+        [username, name],
+    );
+
+    if (!result.rows[0]) throw new NotFoundError(`Not in pantry: ${name}`);
+
+    return name;
+  }
+
+  /** Find the recipes a user can make (or nearly make) with their pantry,
+   *  from the meals and drinks and from their personal recipes.
+   *
+   * options (all optional):
+   * - type: "meals" or "drinks" (default both)
+   * - limit: most matches to return (default 20)
+   *
+   * Recipes are ranked by the share of their ingredients in the pantry, then
+   * by how many ingredients are in the pantry, so recipes that can be made
+   * right away come first. Recipes with none of their ingredients in the
+   * pantry, and recipes removed upstream, are left out.
+   *
+   * Returns [{ id, type, personal, name, thumbnail, haveCount, totalCount, missing }, ...]
+   *   where type is "meals" or "drinks", personal is whether it is one of
+   *   the user's personal recipes, and missing lists the ingredients (as in
+   *   the recipe) that aren't in the pantry
+   *
+   * Throws NotFoundError if no such user.
+   **/
+
+  static async findMatches(username, { type, limit = DEFAULT_MATCHES_LIMIT } = {}) {
+    await checkUser(username);
+
+    const types = type ? [type] : ["meals", "drinks"];
+    const sources = [];
+    for (const recipeType of types) {
+      const { catalog, personal } = RECIPE_COLUMNS[recipeType];
+      sources.push(
+          sqlForMatches(recipeType, catalog, false, "r.upstream_removed_at IS NULL"),
+          sqlForMatches(recipeType, personal, true, "r.username = $1"));
+    }
+
+    const result = await db.query(
+          `SELECT *
+           FROM (${sources.join("\nUNION ALL\n")}) AS matches
+           ORDER BY "haveCount"::FLOAT / "totalCount" DESC, "haveCount" DESC, name
+           LIMIT $2`,
+        [username, limit],
+    );
+
+    return result.rows;
+  }
+}
+
+
+/** SQL for the recipes of a type, catalog or personal, with any of their
+ *  ingredients in user $1's pantry, and how many they have, for findMatches.
+ *
+ * column is the recipe's column in recipe_ingredients, and where says which
+ * of the recipes to look at.
+ */
+
+function sqlForMatches(type, column, personal, where) {
+  const table = personal ? `personal_${type}` : type;
+
+  return `SELECT r.id,
+                 '${type}' AS type,
+                 ${personal} AS personal,
+                 r.name,
+                 r.thumbnail,
+                 COUNT(p.ingredient)::INTEGER AS "haveCount",
+                 COUNT(*)::INTEGER AS "totalCount",
+                 COALESCE(array_agg(ri.display ORDER BY ri.position)
+                              FILTER (WHERE p.ingredient IS NULL), '{}') AS missing
+          FROM ${table} AS r
+            JOIN recipe_ingredients AS ri ON ri.${column} = r.id
+            JOIN ingredients AS i ON i.id = ri.ingredient_id
+            LEFT JOIN pantry_items AS p ON p.username = $1 AND p.ingredient = i.name
+          WHERE ${where}
+            AND r.id IN (SELECT ri.${column}
+                         FROM pantry_items AS p
+                           JOIN ingredients AS i ON i.name = p.ingredient
+                           JOIN recipe_ingredients AS ri ON ri.ingredient_id = i.id
+                         WHERE p.username = $1)
+          GROUP BY r.id`;
+}
+
+
+/** Throws NotFoundError if there's no user with this username. */
+
+async function checkUser(username) {
+  const userCheck = await db.query(
+        `SELECT username
+         FROM users
+         WHERE username = $1`,
+      [username],
+  );
+
+  if (!userCheck.rows[0]) throw new NotFoundError(`No user: ${username}`);
+}
+
+
+module.exports = Pantry;
@@ -0,0 +1,172 @@
+"use strict";
+
+const db = require("../db.js");
+const { NotFoundError } = require("../expressError");
+const Pantry = require("./pantry.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testMealIds,
+  testDrinkIds,
+  testPersonalMealIds,
+  testPersonalDrinkIds,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** get */
+
+describe("get", function () {
+  test("works: empty", async function () {
+    expect(await Pantry.get("u1")).toEqual([]);
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await Pantry.get("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** add */
+
+describe("add", function () {
+  test("works", async function () {
+    const pantry = await Pantry.add("u1", ["2 Large Eggs", "Soy Sauce", "egg"]);
+    expect(pantry).toEqual(["egg", "soy sauce"]);
+    expect(await Pantry.get("u2")).toEqual([]);
+  });
+
+  test("works: adding twice", async function () {
+    await Pantry.add("u1", ["rice"]);
+    const pantry = await Pantry.add("u1", ["1 cup Rice", "milk"]);
+    expect(pantry).toEqual(["milk", "rice"]);
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await Pantry.add("nope", ["rice"]);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** remove */
+
+describe("remove", function () {
+  test("works", async function () {
+    await Pantry.add("u1", ["rice", "milk"]);
+    expect(await Pantry.remove("u1", "Rice")).toEqual("rice");
+    expect(await Pantry.get("u1")).toEqual(["milk"]);
+  });
+
+  test("not found if not in pantry", async function () {
+    try {
+      await Pantry.remove("u1", "rice");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** findMatches */
+
+describe("findMatches", function () {
+  test("works", async function () {
+    await Pantry.add("u1", ["Ing1a", "Ing1b", "2 P-Ing1a"]);
+    const matches = await Pantry.findMatches("u1");
+    expect(matches).toEqual([
+      {
+        id: testDrinkIds[0],
+        type: "drinks",
+        personal: false,
+        name: "D1",
+        thumbnail: "http://D1.img",
+        haveCount: 2,
+        totalCount: 3,
+        missing: ["Ing1c"],
+      },
+      {
+        id: testMealIds[0],
+        type: "meals",
+        personal: false,
+        name: "M1",
+        thumbnail: "http://M1.img",
+        haveCount: 2,
+        totalCount: 3,
+        missing: ["Ing1c"],
+      },
+      {
+        id: testPersonalDrinkIds[0],
+        type: "drinks",
+        personal: true,
+        name: "P-D1",
+        thumbnail: "http://P-D1.img",
+        haveCount: 1,
+        totalCount: 3,
+        missing: ["P-Ing1b", "P-Ing1c"],
+      },
+      {
+        id: testPersonalMealIds[0],
+        type: "meals",
+        personal: true,
+        name: "P-M1",
+        thumbnail: "http://P-M1.img",
+        haveCount: 1,
+        totalCount: 3,
+        missing: ["P-Ing1b", "P-Ing1c"],
+      },
+    ]);
+  });
+
+  test("works: ranks complete recipes first", async function () {
+    await Pantry.add("u1", ["Ing1a", "Ing2a", "Ing2b", "Ing2c"]);
+    const matches = await Pantry.findMatches("u1", { type: "meals" });
+    expect(matches.map(m => [m.name, m.haveCount, m.missing])).toEqual([
+      ["M2", 3, []],
+      ["M1", 1, ["Ing1b", "Ing1c"]],
+    ]);
+  });
+
+  test("works: limit", async function () {
+    await Pantry.add("u1", ["Ing1a"]);
+    const matches = await Pantry.findMatches("u1", { limit: 1 });
+    expect(matches.map(m => m.name)).toEqual(["D1"]);
+  });
+
+  test("works: recipes removed upstream left out", async function () {
+    await db.query("UPDATE meals SET upstream_removed_at = NOW() WHERE id = $1", [testMealIds[0]]);
+    await Pantry.add("u1", ["Ing1a"]);
+    const matches = await Pantry.findMatches("u1", { type: "meals" });
+    expect(matches).toEqual([]);
+  });
+
+  test("works: other users' personal recipes left out", async function () {
+    await Pantry.add("u2", ["P-Ing1a"]);
+    expect(await Pantry.findMatches("u2")).toEqual([]);
+  });
+
+  test("works: empty pantry", async function () {
+    expect(await Pantry.findMatches("u1")).toEqual([]);
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await Pantry.findMatches("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
@@ -0,0 +1,182 @@
+"use strict";
+
+const db = require("../db");
+const { parseIngredient, ingredientName } = require("../helpers/ingredients");
+
+// the column of recipe_ingredients pointing at each table of recipes
+const RECIPE_COLUMNS = {
+    meals: "meal_id",
+    drinks: "drink_id",
+    personal_meals: "personal_meal_id",
+    personal_drinks: "personal_drink_id",
+};
+
+
+/** Related functions for the structured ingredients of recipes.
+ *
+ * Recipes keep their ingredients as display strings (the ingredients column),
+ * and each one is also stored split into its parts in recipe_ingredients,
+ * with the ingredient name normalized into the ingredients table.
+ *
+ * A structured ingredient is { display, quantity, quantityMax, unit, name, note }
+ * (see parseIngredient).
+ *
+ * recipeTable is one of meals, drinks, personal_meals or personal_drinks.
+ */
+
+class RecipeIngredient {
+    /** Replace the structured ingredients of a recipe.
+     *
+     * ingredients is a list of display strings, which are parsed, or of
+     * structured ingredients, which are stored as they are.
+     *
+     * client is the database client to use (default the shared one), for
+     * storing them as part of a transaction on another client.
+     *
+     * Returns [ structuredIngredient, ... ]
+     **/
+
+    static async setFor(recipeTable, recipeId, ingredients, client = db) {
+        const column = RECIPE_COLUMNS[recipeTable];
+        const structured = ingredients.map(i => typeof i === "string" ? parseIngredient(i) : i);
+
+        await client.query(
+            `DELETE FROM recipe_ingredients
+             WHERE ${column} = $1`,
+            [recipeId]);
+
+        if (structured.length === 0) return [];
+
+        await client.query(
+            `INSERT INTO ingredients (name)
+             SELECT DISTINCT unnest($1::TEXT[])
+             ON CONFLICT (name) DO NOTHING`,
+            [structured.map(i => i.name)]);
+
+        await client.query(
+            `INSERT INTO recipe_ingredients
+             (${column}, position, display, quantity, quantity_max, unit, ingredient_id, note)
+             SELECT $1, r.position, r.display, r.quantity, r.quantity_max, r.unit, i.id, r.note
+             FROM unnest($2::TEXT[], $3::NUMERIC[], $4::NUMERIC[], $5::TEXT[], $6::TEXT[], $7::TEXT[])
+                  WITH ORDINALITY AS r(display, quantity, quantity_max, unit, name, note, position)
+             JOIN ingredients AS i ON i.name = r.name`,
+            [
+                recipeId,
+                structured.map(i => i.display),
+                structured.map(i => i.quantity),
+                structured.map(i => i.quantityMax),
+                structured.map(i => i.unit),
+                structured.map(i => i.name),
+                structured.map(i => i.note),
+            ],
+        );
+
+        return structured.map(({ display, quantity, quantityMax, unit, name, note }) =>
+            ({ display, quantity, quantityMax, unit, name, note }));
+    }
+
+
+    /** Given a recipe, return its structured ingredients, in order.
+     *
+     * Returns [ structuredIngredient, ... ]
+     **/
+
+    static async getFor(recipeTable, recipeId) {
+        const column = RECIPE_COLUMNS[recipeTable];
+
+        const result = await db.query(
+            `SELECT ri.display,
+                    ri.quantity::FLOAT AS quantity,
+                    ri.quantity_max::FLOAT AS "quantityMax",
+                    ri.unit,
+                    i.name,
+                    ri.note
+             FROM recipe_ingredients AS ri
+             JOIN ingredients AS i ON i.id = ri.ingredient_id
+             WHERE ri.${column} = $1
+             ORDER BY ri.position`,
+            [recipeId]);
+
+        return result.rows;
+    }
+
+
+    /** Store structured ingredients for every recipe that has none yet, by
+     *  parsing its display strings. For recipes saved before structured
+     *  ingredients existed.
+     *
+     * Also fixes the names of ingredients stored when ingredientName cut the
+     * "s" off words like "asparagus" and "bitters" (see fixNames).
+     *
+     * Returns the number of recipes updated.
+     **/
+
+    static async backfill() {
+        let count = 0;
+
+        for (const [recipeTable, column] of Object.entries(RECIPE_COLUMNS)) {
+            const result = await db.query(
+                `SELECT id, ingredients
+                 FROM ${recipeTable} AS r
+                 WHERE cardinality(r.ingredients) > 0
+                   AND NOT EXISTS (SELECT 1
+                                   FROM recipe_ingredients
+                                   WHERE ${column} = r.id)`);
+
+            for (const { id, ingredients } of result.rows) {
+                await this.setFor(recipeTable, id, ingredients);
+                count++;
+            }
+        }
+
+        await fixNames();
+
+        return count;
+    }
+}
+
+
+/** Fix ingredient names with a word that had its "s" or "es" cut off, but
+ *  shouldn't have: "asparagu" (from "1 bunch Asparagus") becomes "asparagus".
+ *
+ * A word is fixed if the display string has it with "s" or "es" added, and
+ * ingredientName now keeps that word whole. Ingredient names no recipe uses
+ * any more are then removed.
+ */
+
+async function fixNames() {
+    const result = await db.query(
+        `SELECT ri.id, ri.display, i.name
+         FROM recipe_ingredients AS ri
+         JOIN ingredients AS i ON i.id = ri.ingredient_id`);
+
+    for (const { id, display, name } of result.rows) {
+        const written = display.toLowerCase().split(/[^\p{L}\p{N}-]+/u);
+        const fixed = name.split(" ").map(word => {
+            const whole = written.find(w => (w === `${word}s` || w === `${word}es`)
+                                            && ingredientName(w) === w);
+            return whole || word;
+        }).join(" ");
+        if (fixed === name) continue;
+
+        await db.query(
+            `INSERT INTO ingredients (name)
+             VALUES ($1)
+             ON CONFLICT (name) DO NOTHING`,
+            [fixed]);
+        await db.query(
+            `UPDATE recipe_ingredients
+             SET ingredient_id = (SELECT id FROM ingredients WHERE name = $1)
+             WHERE id = $2`,
+            [fixed, id]);
+    }
+
+    await db.query(
+        `DELETE FROM ingredients AS i
+         WHERE NOT EXISTS (SELECT 1
+                           FROM recipe_ingredients
+                           WHERE ingredient_id = i.id)`);
+}
+
+
+module.exports = RecipeIngredient;
@@ -0,0 +1,82 @@
+"use strict";
+
+const db = require("../db.js");
+const RecipeIngredient = require("./recipeIngredient.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testMealIds,
+  testDrinkIds,
+  testPersonalMealIds,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** setFor / getFor */
+
+describe("setFor", function () {
+  test("works: display strings", async function () {
+    const structured = await RecipeIngredient.setFor("meals", testMealIds[0], [
+      "1 1/2 cups Rice",
+      "2-3 Eggs",
+    ]);
+    expect(structured).toEqual([
+      { display: "1 1/2 cups Rice", quantity: 1.5, quantityMax: null, unit: "cup", name: "rice", note: null },
+      { display: "2-3 Eggs", quantity: 2, quantityMax: 3, unit: null, name: "egg", note: null },
+    ]);
+    expect(await RecipeIngredient.getFor("meals", testMealIds[0])).toEqual(structured);
+  });
+
+  test("works: structured ingredients", async function () {
+    const ingredient = {
+      display: "Juice of 1 Lime", quantity: null, quantityMax: null, unit: null, name: "lime", note: "Juice of 1",
+    };
+    await RecipeIngredient.setFor("drinks", testDrinkIds[0], [ingredient]);
+    expect(await RecipeIngredient.getFor("drinks", testDrinkIds[0])).toEqual([ingredient]);
+  });
+
+  test("works: ingredient names are shared", async function () {
+    await RecipeIngredient.setFor("meals", testMealIds[0], ["1 cup Rice"]);
+    await RecipeIngredient.setFor("personal_meals", testPersonalMealIds[0], ["2 cups rice"]);
+    const found = await db.query("SELECT * FROM ingredients WHERE name = 'rice'");
+    expect(found.rows.length).toEqual(1);
+  });
+
+  test("works: empty", async function () {
+    expect(await RecipeIngredient.setFor("meals", testMealIds[0], [])).toEqual([]);
+    expect(await RecipeIngredient.getFor("meals", testMealIds[0])).toEqual([]);
+  });
+});
+
+/************************************** backfill */
+
+describe("backfill", function () {
+  test("works", async function () {
+    await db.query("DELETE FROM recipe_ingredients WHERE meal_id = $1", [testMealIds[1]]);
+    expect(await RecipeIngredient.getFor("meals", testMealIds[1])).toEqual([]);
+
+    expect(await RecipeIngredient.backfill()).toEqual(1);
+    expect((await RecipeIngredient.getFor("meals", testMealIds[1])).map(i => i.display))
+        .toEqual(["Ing2a", "Ing2b", "Ing2c"]);
+
+    expect(await RecipeIngredient.backfill()).toEqual(0);
+  });
+
+  test("works: fixes names with an s cut off", async function () {
+    await RecipeIngredient.setFor("meals", testMealIds[1], [
+      { display: "1 bunch Asparagus", quantity: 1, quantityMax: null, unit: "bunch", name: "asparagu", note: null },
+      { display: "2 Eggs", quantity: 2, quantityMax: null, unit: null, name: "egg", note: null },
+    ]);
+
+    expect(await RecipeIngredient.backfill()).toEqual(0);
+    expect((await RecipeIngredient.getFor("meals", testMealIds[1])).map(i => [i.name, i.unit]))
+        .toEqual([["asparagus", "bunch"], ["egg", null]]);
+    const result = await db.query("SELECT name FROM ingredients WHERE name = 'asparagu'");
+    expect(result.rows).toEqual([]);
+  });
+});
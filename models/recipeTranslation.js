@@ -0,0 +1,167 @@
+"use strict";
+
+const db = require("../db");
+const { NotFoundError, ForbiddenError } = require("../expressError");
+
+// the column of recipe_translations pointing at each table of recipes
+const RECIPE_COLUMNS = {
+    meals: "meal_id",
+    drinks: "drink_id",
+    personal_meals: "personal_meal_id",
+    personal_drinks: "personal_drink_id",
+};
+
+
+/** Related functions for translations of recipes' instructions.
+ *
+ * Recipes are written in English; their instructions can have translations,
+ * by language tag (lowercase, like "de" or "zh-hans"; see helpers/languages.js).
+ * Translations come from TheCocktailDB, or are contributed by users.
+ *
+ * A translation is { language, instructions, contributedBy }
+ *   where contributedBy is null for translations from TheCocktailDB (and
+ *   for ones whose contributor has since been deleted).
+ *
+ * recipeTable is one of meals, drinks, personal_meals or personal_drinks.
+ */
+
+class RecipeTranslation {
+    /** Replace the translations of a recipe that came from upstream, as
+     *  from makeDrinkObj: { language: instructions, ... }.
+     *
+     * Translations contributed by users are kept, even if upstream has one
+     * in the same language.
+     *
+     * client is the database client to use (default the shared one), as for
+     * RecipeIngredient.setFor.
+     **/
+
+    static async setUpstream(recipeTable, recipeId, translations, client = db) {
+        const column = RECIPE_COLUMNS[recipeTable];
+
+        await client.query(
+            `DELETE FROM recipe_translations
+             WHERE ${column} = $1 AND source = 'upstream'`,
+            [recipeId]);
+
+        await client.query(
+            `INSERT INTO recipe_translations (${column}, language, instructions, source)
+             SELECT $1, t.language, t.instructions, 'upstream'
+             FROM unnest($2::TEXT[], $3::TEXT[]) AS t(language, instructions)
+             ON CONFLICT DO NOTHING`,
+            [recipeId, Object.keys(translations), Object.values(translations)]);
+    }
+
+
+    /** Given a recipe, return its translations.
+     *
+     * Returns [ { language, instructions, contributedBy }, ... ] (by language)
+     **/
+
+    static async getFor(recipeTable, recipeId) {
+        const column = RECIPE_COLUMNS[recipeTable];
+
+        const result = await db.query(
+            `SELECT language,
+                    instructions,
+                    contributed_by AS "contributedBy"
+             FROM recipe_translations
+             WHERE ${column} = $1
+             ORDER BY language`,
+            [recipeId]);
+
+        return result.rows;
+    }
+
+
+    /** Given some recipes (of one table), return their translations, for
+     *  showing them in a language (see translateRecipe).
+     *
+     * Returns { recipeId: { language: instructions, ... }, ... }
+     *   (recipes without translations are left out)
+     **/
+
+    static async getForMany(recipeTable, recipeIds) {
+        const column = RECIPE_COLUMNS[recipeTable];
+
+        const result = await db.query(
+            `SELECT ${column} AS "recipeId", language, instructions
+             FROM recipe_translations
+             WHERE ${column} = ANY($1)`,
+            [recipeIds]);
+
+        const translations = {};
+        for (const { recipeId, language, instructions } of result.rows) {
+            translations[recipeId] = { ...translations[recipeId], [language]: instructions };
+        }
+        return translations;
+    }
+
+
+    /** Add or replace a recipe's translation into a language, contributed by
+     *  a user; returns the translation.
+     *
+     * A translation can only be replaced by the user who contributed it,
+     * unless replaceAny is true (as for admins, or a personal recipe's owner).
+     *
+     * Throws NotFoundError if there's no such recipe, and ForbiddenError if
+     * the translation can't be replaced by this user.
+     **/
+
+    static async set(recipeTable, recipeId, language, instructions, username, { replaceAny = false } = {}) {
+        const column = RECIPE_COLUMNS[recipeTable];
+
+        if (!/^\d{1,9}$/.test(recipeId)) throw new NotFoundError(`No recipe: ${recipeId}`);
+
+        const recipeCheck = await db.query(
+            `SELECT id
+             FROM ${recipeTable}
+             WHERE id = $1`,
+            [recipeId]);
+
+        if (!recipeCheck.rows[0]) throw new NotFoundError(`No recipe: ${recipeId}`);
+
+        const result = await db.query(
+            `INSERT INTO recipe_translations (${column}, language, instructions, contributed_by)
+             VALUES ($1, $2, $3, $4)
+             ON CONFLICT (${column}, language) DO UPDATE
+              SET instructions = EXCLUDED.instructions,
+                  source = EXCLUDED.source,
+                  contributed_by = EXCLUDED.contributed_by
+              WHERE $5::BOOLEAN OR recipe_translations.contributed_by = EXCLUDED.contributed_by
+             RETURNING language, instructions, contributed_by AS "contributedBy"`,
+            [recipeId, language, instructions, username, replaceAny]);
+
+        const translation = result.rows[0];
+
+        if (!translation) {
+            throw new ForbiddenError(
+                `The ${language} translation can only be replaced by its contributor or an admin`);
+        }
+
+        return translation;
+    }
+
+
+    /** Remove a recipe's translation into a language; returns undefined.
+     *
+     * Throws NotFoundError if the recipe has no such translation.
+     **/
+
+    static async remove(recipeTable, recipeId, language) {
+        const column = RECIPE_COLUMNS[recipeTable];
+
+        if (!/^\d{1,9}$/.test(recipeId)) throw new NotFoundError(`No translation: ${language}`);
+
+        const result = await db.query(
+            `DELETE FROM recipe_translations
+             WHERE ${column} = $1 AND language = $2
+             RETURNING language`,
+            [recipeId, language]);
+
+        if (!result.rows[0]) throw new NotFoundError(`No translation: ${language}`);
+    }
+}
+
+
+module.exports = RecipeTranslation;
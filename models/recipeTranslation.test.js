@@ -0,0 +1,149 @@
+"use strict";
+
+const db = require("../db.js");
+const { NotFoundError, ForbiddenError } = require("../expressError");
+const RecipeTranslation = require("./recipeTranslation.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testDrinkIds,
+  testPersonalMealIds,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** setUpstream / getFor */
+
+describe("setUpstream", function () {
+  test("works", async function () {
+    await RecipeTranslation.setUpstream("drinks", testDrinkIds[0], { it: "Mescolare.", de: "Rühren." });
+    expect(await RecipeTranslation.getFor("drinks", testDrinkIds[0])).toEqual([
+      { language: "de", instructions: "Rühren.", contributedBy: null },
+      { language: "it", instructions: "Mescolare.", contributedBy: null },
+    ]);
+  });
+
+  test("works: replaces upstream, keeps contributed", async function () {
+    await RecipeTranslation.setUpstream("drinks", testDrinkIds[0], { it: "Mescolare.", de: "Rühren." });
+    await RecipeTranslation.set("drinks", testDrinkIds[0], "de", "Gut rühren.", "u1", { replaceAny: true });
+    await RecipeTranslation.setUpstream("drinks", testDrinkIds[0], { de: "Rühren!", es: "Remover." });
+    expect(await RecipeTranslation.getFor("drinks", testDrinkIds[0])).toEqual([
+      { language: "de", instructions: "Gut rühren.", contributedBy: "u1" },
+      { language: "es", instructions: "Remover.", contributedBy: null },
+    ]);
+  });
+
+  test("works: keeps translations by users since deleted", async function () {
+    await RecipeTranslation.set("drinks", testDrinkIds[0], "fr", "Remuer.", "u2");
+    await db.query("DELETE FROM users WHERE username = 'u2'");
+    await RecipeTranslation.setUpstream("drinks", testDrinkIds[0], { it: "Mescolare." });
+    expect(await RecipeTranslation.getFor("drinks", testDrinkIds[0])).toEqual([
+      { language: "fr", instructions: "Remuer.", contributedBy: null },
+      { language: "it", instructions: "Mescolare.", contributedBy: null },
+    ]);
+  });
+});
+
+/************************************** getForMany */
+
+describe("getForMany", function () {
+  test("works", async function () {
+    await RecipeTranslation.setUpstream("drinks", testDrinkIds[0], { it: "Mescolare.", de: "Rühren." });
+    await RecipeTranslation.setUpstream("drinks", testDrinkIds[1], { fr: "Remuer." });
+    expect(await RecipeTranslation.getForMany("drinks", testDrinkIds)).toEqual({
+      [testDrinkIds[0]]: { it: "Mescolare.", de: "Rühren." },
+      [testDrinkIds[1]]: { fr: "Remuer." },
+    });
+  });
+});
+
+/************************************** set */
+
+describe("set", function () {
+  test("works", async function () {
+    const translation = await RecipeTranslation.set(
+        "personal_meals", testPersonalMealIds[0], "fr", "Cuire.", "u1");
+    expect(translation).toEqual({ language: "fr", instructions: "Cuire.", contributedBy: "u1" });
+    expect(await RecipeTranslation.getFor("personal_meals", testPersonalMealIds[0]))
+        .toEqual([translation]);
+  });
+
+  test("works: replacing one's own", async function () {
+    await RecipeTranslation.set("drinks", testDrinkIds[0], "fr", "Remuer.", "u1");
+    const translation = await RecipeTranslation.set("drinks", testDrinkIds[0], "fr", "Bien remuer.", "u1");
+    expect(translation).toEqual({ language: "fr", instructions: "Bien remuer.", contributedBy: "u1" });
+  });
+
+  test("works: replacing any, with replaceAny", async function () {
+    await RecipeTranslation.setUpstream("drinks", testDrinkIds[0], { fr: "Remuer." });
+    await RecipeTranslation.set("drinks", testDrinkIds[0], "de", "Rühren.", "u1");
+    await RecipeTranslation.set("drinks", testDrinkIds[0], "fr", "Bien remuer.", "u2", { replaceAny: true });
+    await RecipeTranslation.set("drinks", testDrinkIds[0], "de", "Gut rühren.", "u2", { replaceAny: true });
+    expect(await RecipeTranslation.getFor("drinks", testDrinkIds[0])).toEqual([
+      { language: "de", instructions: "Gut rühren.", contributedBy: "u2" },
+      { language: "fr", instructions: "Bien remuer.", contributedBy: "u2" },
+    ]);
+  });
+
+  test("forbidden replacing another user's", async function () {
+    await RecipeTranslation.set("drinks", testDrinkIds[0], "fr", "Remuer.", "u1");
+    try {
+      await RecipeTranslation.set("drinks", testDrinkIds[0], "fr", "Secouer.", "u2");
+      fail();
+    } catch (err) {
+      expect(err instanceof ForbiddenError).toBeTruthy();
+    }
+  });
+
+  test("forbidden replacing one from upstream", async function () {
+    await RecipeTranslation.setUpstream("drinks", testDrinkIds[0], { fr: "Remuer." });
+    try {
+      await RecipeTranslation.set("drinks", testDrinkIds[0], "fr", "Secouer.", "u2");
+      fail();
+    } catch (err) {
+      expect(err instanceof ForbiddenError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such recipe", async function () {
+    try {
+      await RecipeTranslation.set("drinks", 0, "fr", "Cuire.", "u1");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found if the id is invalid", async function () {
+    try {
+      await RecipeTranslation.set("drinks", "99999999999", "fr", "Cuire.", "u1");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** remove */
+
+describe("remove", function () {
+  test("works", async function () {
+    await RecipeTranslation.setUpstream("drinks", testDrinkIds[0], { it: "Mescolare." });
+    await RecipeTranslation.remove("drinks", testDrinkIds[0], "it");
+    expect(await RecipeTranslation.getFor("drinks", testDrinkIds[0])).toEqual([]);
+  });
+
+  test("not found if no such translation", async function () {
+    try {
+      await RecipeTranslation.remove("drinks", testDrinkIds[0], "it");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
@@ -0,0 +1,137 @@
+"use strict";
+
+const db = require("../db");
+const { RECIPE_COLUMNS } = require("../helpers/recipes");
+const { withIngredientNames } = require("../helpers/pairings");
+const { similarityScore } = require("../helpers/recommendations");
+
+const DEFAULT_RECOMMENDATIONS_LIMIT = 10;
+
+// what recipes are scored on, besides their ingredients (see similarityScore)
+const SCORED_COLUMNS = {
+  meals: "category, area",
+  drinks: "category",
+};
+
+/** Related functions for recommending recipes to a user.
+ *
+ * Every meal or drink the user hasn't favorited is scored against each of
+ * their favorites (see similarityScore), and the scores added up, so
+ * recipes like several favorites come first. Each is explained by the
+ * favorite it's most like. Recipes removed upstream aren't recommended.
+ *
+ * A recommendation is { id, name, category, thumbnail, score, because,
+ *   explanation, reasons }
+ *   where because is the favorite it's most like, as { id, name },
+ *   explanation is like "Because you liked Beef Stew", and reasons say how
+ *   it's like that favorite.
+ */
+
+class Recommendation {
+  /** Given a username and a type ("meals" or "drinks"), return the catalog
+   *  recipes of that type the user might like, best first.
+   *
+   * options (all optional):
+   * - limit: most recommendations to return (default 10)
+   *
+   * Users with no favorites of the type get none.
+   *
+   * Returns [{ id, name, category, thumbnail, score, because, explanation, reasons }, ...]
+   **/
+
+  static async forUser(username, type, { limit = DEFAULT_RECOMMENDATIONS_LIMIT } = {}) {
+    const idColumn = RECIPE_COLUMNS[type].catalog;
+    const columns = SCORED_COLUMNS[type];
+
+    const favoritesRes = await db.query(
+          `SELECT r.id, r.name, ${columns}, r.ingredients
+           FROM favorite_${type} AS f
+             JOIN ${type} AS r ON r.id = f.${idColumn}
+           WHERE f.username = $1`,
+        [username],
+    );
+    if (favoritesRes.rows.length === 0) return [];
+
+    const candidatesRes = await db.query(
+          `SELECT id, name, ${columns}, thumbnail, ingredients
+           FROM ${type}
+           WHERE upstream_removed_at IS NULL
+             AND id NOT IN (SELECT ${idColumn}
+                            FROM favorite_${type}
+                            WHERE username = $1)`,
+        [username],
+    );
+
+    // how many other users favorited each of the user's favorites along
+    // with each other recipe
+    const coFavoritesRes = await db.query(
+          `SELECT liked.${idColumn} AS "likedId",
+                  other.${idColumn} AS id,
+                  COUNT(*)::INTEGER AS count
+           FROM favorite_${type} AS liked
+             JOIN favorite_${type} AS other
+               ON other.username = liked.username
+               AND other.${idColumn} <> liked.${idColumn}
+           WHERE liked.username <> $1
+             AND liked.${idColumn} IN (SELECT ${idColumn}
+                                       FROM favorite_${type}
+                                       WHERE username = $1)
+           GROUP BY liked.${idColumn}, other.${idColumn}`,
+        [username],
+    );
+
+    // each is scored many times, so its ingredients are parsed once, here
+    return rankRecommendations(
+        candidatesRes.rows.map(withIngredientNames),
+        favoritesRes.rows.map(withIngredientNames),
+        coFavoritesRes.rows,
+        limit);
+  }
+}
+
+
+/** Score each candidate against each favorite, given how many other users
+ *  favorited them both, and return the best scoring as recommendations.
+ *
+ * Candidates like none of the favorites are left out.
+ */
+
+function rankRecommendations(candidates, favorites, coFavorites, limit) {
+  const coFavoriteCounts = new Map(
+      coFavorites.map(r => [`${r.likedId}-${r.id}`, r.count]));
+  const recommendations = [];
+
+  for (const candidate of candidates) {
+    let total = 0;
+    let best;
+
+    for (const liked of favorites) {
+      const coFavoriteCount = coFavoriteCounts.get(`${liked.id}-${candidate.id}`) || 0;
+      const { score, reasons } = similarityScore(liked, candidate, coFavoriteCount);
+      total += score;
+      if (score > 0 && (!best || score > best.score)) best = { liked, score, reasons };
+    }
+
+    if (!best) continue;
+
+    recommendations.push({
+      id: candidate.id,
+      name: candidate.name,
+      category: candidate.category,
+      thumbnail: candidate.thumbnail,
+      score: total,
+      because: { id: best.liked.id, name: best.liked.name },
+      explanation: `Because you liked ${best.liked.name}`,
+      reasons: best.reasons,
+    });
+  }
+
+  recommendations.sort((a, b) =>
+      b.score - a.score
+      || a.name.localeCompare(b.name));
+
+  return recommendations.slice(0, limit);
+}
+
+
+module.exports = Recommendation;
@@ -0,0 +1,114 @@
+"use strict";
+
+const db = require("../db.js");
+const Meal = require("./meal.js");
+const Recommendation = require("./recommendation.js");
+const User = require("./user.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testMealIds,
+  testDrinkIds,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** forUser */
+
+describe("forUser", function () {
+  let alike;
+
+  beforeEach(async function () {
+    alike = await Meal.create({
+      name: "M1 Again",
+      category: "Cat1",
+      area: "A1",
+      instructions: "Inst",
+      thumbnail: "http://M1-again.img",
+      ingredients: ["Ing1a", "New Ing"],
+    });
+  });
+
+  test("works: like the user's favorites", async function () {
+    const recommendations = await Recommendation.forUser("u1", "meals");
+    expect(recommendations).toEqual([
+      {
+        id: alike.id,
+        name: "M1 Again",
+        category: "Cat1",
+        thumbnail: "http://M1-again.img",
+        score: 4,
+        because: { id: testMealIds[0], name: "M1" },
+        explanation: "Because you liked M1",
+        reasons: ["Shares ing1a", "Also Cat1", "Also A1 food"],
+      },
+    ]);
+  });
+
+  test("works: favorited along with the user's favorites", async function () {
+    await User.markFavMeal("u2", testMealIds[0]);
+    await User.markFavMeal("u2", testMealIds[2]);
+
+    const recommendations = await Recommendation.forUser("u1", "meals");
+    expect(recommendations.map(r => [r.name, r.score, r.reasons])).toEqual([
+      ["M1 Again", 4, ["Shares ing1a", "Also Cat1", "Also A1 food"]],
+      ["M3", 2, ["Also favorited by 1 user who liked it"]],
+    ]);
+  });
+
+  test("works: scores add up across favorites", async function () {
+    await User.markFavMeal("u1", testMealIds[1]);
+    const twice = await Meal.create({
+      name: "M1 M2",
+      category: "Cat2",
+      area: "A9",
+      instructions: "Inst",
+      thumbnail: "http://M1-M2.img",
+      ingredients: ["Ing1a", "Ing2a", "Ing2b"],
+    });
+
+    const recommendations = await Recommendation.forUser("u1", "meals");
+    expect(recommendations[0]).toEqual({
+      id: twice.id,
+      name: "M1 M2",
+      category: "Cat2",
+      thumbnail: "http://M1-M2.img",
+      score: 5,
+      because: { id: testMealIds[1], name: "M2" },
+      explanation: "Because you liked M2",
+      reasons: ["Shares ing2a, ing2b", "Also Cat2"],
+    });
+  });
+
+  test("works: drinks", async function () {
+    await User.markFavDrink("u2", testDrinkIds[0]);
+    await User.markFavDrink("u2", testDrinkIds[1]);
+
+    const recommendations = await Recommendation.forUser("u1", "drinks");
+    expect(recommendations.map(r => [r.id, r.because.id])).toEqual([
+      [testDrinkIds[1], testDrinkIds[0]],
+    ]);
+  });
+
+  test("works: limit", async function () {
+    await User.markFavMeal("u2", testMealIds[0]);
+    await User.markFavMeal("u2", testMealIds[2]);
+
+    const recommendations = await Recommendation.forUser("u1", "meals", { limit: 1 });
+    expect(recommendations.map(r => r.name)).toEqual(["M1 Again"]);
+  });
+
+  test("works: not meals removed upstream", async function () {
+    await db.query("UPDATE meals SET upstream_removed_at = NOW() WHERE id = $1", [alike.id]);
+    expect(await Recommendation.forUser("u1", "meals")).toEqual([]);
+  });
+
+  test("works: none without favorites", async function () {
+    expect(await Recommendation.forUser("u2", "meals")).toEqual([]);
+  });
+});
@@ -0,0 +1,146 @@
+"use strict";
+
+const db = require("../db");
+
+const DEFAULT_LIMIT = 20;
+
+// what a word matching the search is wrapped in, in highlights
+const HIGHLIGHT_START = "<mark>";
+const HIGHLIGHT_STOP = "</mark>";
+
+// marks Postgres puts around matches, swapped for HIGHLIGHT_START and
+// HIGHLIGHT_STOP once the text around them is escaped (recipes are user
+// content, so can have HTML in them)
+const MARK_START = "\u0001";
+const MARK_STOP = "\u0002";
+
+// the tables searched, for each type of recipe
+const TABLES = {
+  meals: { catalog: "meals", personal: "personal_meals" },
+  drinks: { catalog: "drinks", personal: "personal_drinks" },
+};
+
+/** Related functions for full-text search across recipes.
+ *
+ * Searches the names, ingredients and instructions of meals and drinks,
+ * and of a user's own personal recipes (see search_vector in
+ * dreamhost-schema.sql). Searches are written as in a search engine:
+ * `lime -juice`, `"egg fried rice"`, `rum or gin`.
+ */
+
+class Search {
+  /** Search recipes for q, most relevant first.
+   *
+   * Options:
+   * - username: whose personal recipes to include (none if not given)
+   * - type: "meals" or "drinks" (default both)
+   * - limit: most results to return (default 20)
+   * - offset: number of results to skip
+   *
+   * Returns { results, pagination: { total, limit, offset } }
+   *   where results are [{ type, id, personal, name, category, thumbnail,
+   *                        rank, highlights }, ...]
+   *   and highlights are { name, ingredients, instructions }: the name and
+   *   ingredients with matching words in <mark> tags, and the parts of the
+   *   instructions with matches (HTML, escaped).
+   **/
+
+  static async recipes(q, { username, type, limit = DEFAULT_LIMIT, offset = 0 } = {}) {
+    const queryValues = [q];
+    if (username) queryValues.push(username);
+
+    const matches = Object.entries(TABLES)
+        .filter(([tableType]) => !type || tableType === type)
+        .flatMap(([tableType, { catalog, personal }]) => {
+          const selects = [matchSql(tableType, catalog, false)];
+          if (username) selects.push(matchSql(tableType, personal, true));
+          return selects;
+        })
+        .join(" UNION ALL ");
+
+    const withMatches = `WITH query AS (SELECT websearch_to_tsquery('english', $1) AS q),
+                              matches AS (${matches})`;
+
+    const countRes = await db.query(
+          `${withMatches}
+           SELECT COUNT(*) FROM matches`,
+        queryValues,
+    );
+
+    const options = `StartSel=${MARK_START}, StopSel=${MARK_STOP}`;
+    const resultsRes = await db.query(
+          `${withMatches}
+           SELECT type,
+                  id,
+                  personal,
+                  name,
+                  category,
+                  thumbnail,
+                  rank,
+                  ts_headline('english', name, q, '${options}, HighlightAll=true') AS "nameHighlight",
+                  ts_headline('english', array_to_string(ingredients, ', '), q,
+                              '${options}, HighlightAll=true') AS "ingredientsHighlight",
+                  ts_headline('english', instructions, q,
+                              '${options}, MaxFragments=2, MinWords=5, MaxWords=20, FragmentDelimiter=" … "')
+                      AS "instructionsHighlight"
+           FROM (SELECT *
+                 FROM matches
+                 ORDER BY rank DESC, name, type, personal, id
+                 LIMIT $${queryValues.length + 1} OFFSET $${queryValues.length + 2}) AS page,
+                query
+           ORDER BY rank DESC, name, type, personal, id`,
+        [...queryValues, limit, offset],
+    );
+
+    const results = resultsRes.rows.map(
+        ({ nameHighlight, ingredientsHighlight, instructionsHighlight, ...result }) => ({
+          ...result,
+          highlights: {
+            name: highlightHtml(nameHighlight),
+            ingredients: highlightHtml(ingredientsHighlight),
+            instructions: highlightHtml(instructionsHighlight),
+          },
+        }));
+
+    return {
+      results,
+      pagination: { total: +countRes.rows[0].count, limit, offset },
+    };
+  }
+}
+
+
+/** SQL selecting the recipes in a table that match the search (as query.q),
+ *  with their rank; personal recipes must be the user's ($2), and catalog
+ *  recipes still upstream. */
+
+function matchSql(type, table, personal) {
+  return `SELECT '${type}' AS type,
+                 id,
+                 ${personal ? "TRUE" : "FALSE"} AS personal,
+                 name,
+                 category,
+                 thumbnail,
+                 ingredients,
+                 instructions,
+                 ts_rank(search_vector, q) AS rank
+          FROM ${table}, query
+          WHERE search_vector @@ q
+            AND ${personal ? "username = $2" : "upstream_removed_at IS NULL"}`;
+}
+
+
+/** Text from ts_headline as HTML: escaped, with matches in <mark> tags. */
+
+function highlightHtml(text) {
+  return text
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(new RegExp(MARK_START, "g"), HIGHLIGHT_START)
+      .replace(new RegExp(MARK_STOP, "g"), HIGHLIGHT_STOP);
+}
+
+
+module.exports = Search;
@@ -0,0 +1,130 @@
+"use strict";
+
+const db = require("../db.js");
+const Search = require("./search.js");
+const Meal = require("./meal.js");
+const Drink = require("./drink.js");
+const User = require("./user.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+let lime, rice, gimlet, pie;
+
+beforeEach(async function () {
+  lime = await Meal.create({
+    name: "Lime Chicken",
+    category: "Chicken",
+    area: "Thai",
+    instructions: "Marinate the chicken. Grill it.",
+    thumbnail: "http://lime.img",
+    ingredients: ["2 Limes", "1 Chicken"],
+  });
+  rice = await Meal.create({
+    name: "Coconut Rice",
+    category: "Side",
+    area: "Thai",
+    instructions: "Boil the rice. Squeeze over a lime.",
+    thumbnail: "http://rice.img",
+    ingredients: ["1 cup Rice", "1 can Coconut milk"],
+  });
+  gimlet = await Drink.create({
+    name: "Gimlet",
+    category: "Cocktail",
+    type: "Alcoholic",
+    glass: "Coupe",
+    instructions: "Shake with ice.",
+    thumbnail: "http://gimlet.img",
+    ingredients: ["2 oz Gin", "1 oz Lime juice"],
+  });
+  pie = await User.createPersonalRecipe("u1", "meals", {
+    name: "Key Lime & \"Pie\"",
+    category: "Dessert",
+    area: "American",
+    instructions: "Bake.",
+    thumbnail: "http://pie.img",
+    ingredients: ["4 Limes"],
+  });
+});
+
+/************************************** recipes */
+
+describe("recipes", function () {
+  test("works: ranks matches in names, then ingredients, then instructions", async function () {
+    const { results, pagination } = await Search.recipes("lime");
+    expect(results.map(r => [r.type, r.id, r.personal])).toEqual([
+      ["meals", lime.id, false],
+      ["drinks", gimlet.id, false],
+      ["meals", rice.id, false],
+    ]);
+    expect(results[0]).toEqual({
+      type: "meals",
+      id: lime.id,
+      personal: false,
+      name: "Lime Chicken",
+      category: "Chicken",
+      thumbnail: "http://lime.img",
+      rank: expect.any(Number),
+      highlights: {
+        name: "<mark>Lime</mark> Chicken",
+        ingredients: "2 <mark>Limes</mark>, 1 Chicken",
+        instructions: "Marinate the chicken. Grill it",
+      },
+    });
+    expect(results[2].highlights.instructions).toEqual("Boil the rice. Squeeze over a <mark>lime</mark>");
+    expect(pagination).toEqual({ total: 3, limit: 20, offset: 0 });
+  });
+
+  test("works: with the user's personal recipes, escaped", async function () {
+    const { results } = await Search.recipes("lime", { username: "u1" });
+    const mine = results.find(r => r.personal);
+    expect(mine).toEqual(expect.objectContaining({ type: "meals", id: pie.id, name: "Key Lime & \"Pie\"" }));
+    expect(mine.highlights.name).toEqual("Key <mark>Lime</mark> &amp; &quot;Pie&quot;");
+  });
+
+  test("works: not other users' personal recipes", async function () {
+    const { results } = await Search.recipes("lime", { username: "u2" });
+    expect(results.some(r => r.personal)).toEqual(false);
+  });
+
+  test("works: by type", async function () {
+    const { results } = await Search.recipes("lime", { type: "drinks", username: "u1" });
+    expect(results.map(r => r.id)).toEqual([gimlet.id]);
+  });
+
+  test("works: search syntax", async function () {
+    let { results } = await Search.recipes("lime -chicken");
+    expect(results.map(r => r.name).sort()).toEqual(["Coconut Rice", "Gimlet"]);
+
+    ({ results } = await Search.recipes("\"coconut milk\" or gin"));
+    expect(results.map(r => r.name).sort()).toEqual(["Coconut Rice", "Gimlet"]);
+  });
+
+  test("works: paging", async function () {
+    const { results, pagination } = await Search.recipes("lime", { limit: 1, offset: 1 });
+    expect(results.map(r => r.name)).toEqual(["Gimlet"]);
+    expect(pagination).toEqual({ total: 3, limit: 1, offset: 1 });
+  });
+
+  test("works: not recipes removed upstream", async function () {
+    await db.query("UPDATE meals SET upstream_removed_at = NOW() WHERE id = $1", [lime.id]);
+    const { results, pagination } = await Search.recipes("lime");
+    expect(results.map(r => r.name)).toEqual(["Gimlet", "Coconut Rice"]);
+    expect(pagination.total).toEqual(2);
+  });
+
+  test("works: no matches", async function () {
+    expect(await Search.recipes("nope")).toEqual({
+      results: [],
+      pagination: { total: 0, limit: 20, offset: 0 },
+    });
+  });
+});
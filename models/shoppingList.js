@@ -0,0 +1,223 @@
+"use strict";
+
+const db = require("../db");
+const { NotFoundError } = require("../expressError");
+const { scaleRecipe } = require("../helpers/scaling");
+const { combineIngredients, groupByAisle } = require("../helpers/shopping");
+const { getRecipe } = require("../helpers/recipes");
+
+const DEFAULT_NAME = "Shopping list";
+
+const ITEM_COLUMNS = `id,
+                      aisle,
+                      display,
+                      name,
+                      quantity::FLOAT AS quantity,
+                      unit,
+                      recipes,
+                      unparsed,
+                      checked`;
+
+/** Related functions for users' shopping lists.
+ *
+ * A shopping list is made from some recipes, catalog or personal, with
+ * their ingredients combined (see combineIngredients) and sorted by aisle.
+ * Items are checked off as they're bought.
+ *
+ * An item is { id, aisle, display, name, quantity, unit, recipes, unparsed, checked }
+ *   where unparsed is whether its measure couldn't be read (so it's listed
+ *   as written in the recipe).
+ */
+
+class ShoppingList {
+  /** Make a shopping list for a user, from data: { name, recipes }
+   *   where recipes are [{ type, id, personal, servings }, ...]: catalog or
+   *   personal (personal: true) meals and drinks, each scaled to servings if
+   *   given.
+   *
+   * Returns the list, as for get.
+   *
+   * Throws NotFoundError if a recipe doesn't exist (or, for a personal
+   * recipe, isn't the user's).
+   **/
+
+  static async create(username, { name = DEFAULT_NAME, recipes }) {
+    const scaled = [];
+    for (const { type, id, personal, servings } of recipes) {
+      const recipe = await getRecipe(username, { type, id, personal });
+      scaled.push({ ...(servings ? scaleRecipe(recipe, servings) : recipe), type });
+    }
+    const items = combineIngredients(scaled);
+
+    // one statement, so a list is never left with only some of its items
+    const result = await db.query(
+          `WITH list AS (INSERT INTO shopping_lists (username, name)
+                         VALUES ($1, $2)
+                         RETURNING id),
+                items AS (INSERT INTO shopping_list_items
+                            (shopping_list_id, position, aisle, display, name, quantity, unit,
+                             recipes, unparsed)
+                          SELECT (SELECT id FROM list), position, aisle, display, name, quantity,
+                                 unit, ARRAY(SELECT json_array_elements_text(recipes)), unparsed
+                          FROM unnest($3::TEXT[], $4::TEXT[], $5::TEXT[], $6::NUMERIC[],
+                                      $7::TEXT[], $8::JSON[], $9::BOOLEAN[])
+                               WITH ORDINALITY AS i(aisle, display, name, quantity, unit,
+                                                    recipes, unparsed, position))
+           SELECT id FROM list`,
+        [
+          username,
+          name,
+          items.map(i => i.aisle),
+          items.map(i => i.display),
+          items.map(i => i.name),
+          items.map(i => i.quantity),
+          items.map(i => i.unit),
+          items.map(i => JSON.stringify(i.recipes)),
+          items.map(i => i.unparsed),
+        ],
+    );
+
+    return this.get(username, result.rows[0].id);
+  }
+
+  /** Given a username, return their shopping lists (newest first).
+   *
+   * Returns [{ id, name, createdAt, itemCount, checkedCount }, ...]
+   **/
+
+  static async findAll(username) {
+    const result = await db.query(
+          `SELECT sl.id,
+                  sl.name,
+                  sl.created_at AS "createdAt",
+                  COUNT(i.id)::INTEGER AS "itemCount",
+                  COUNT(i.id) FILTER (WHERE i.checked)::INTEGER AS "checkedCount"
+           FROM shopping_lists AS sl
+             LEFT JOIN shopping_list_items AS i ON i.shopping_list_id = sl.id
+           WHERE sl.username = $1
+           GROUP BY sl.id
+           ORDER BY sl.created_at DESC, sl.id DESC`,
+        [username],
+    );
+
+    return result.rows;
+  }
+
+  /** Given a username and shopping list id, return the list.
+   *
+   * Returns { id, name, createdAt, aisles }
+   *   where aisles are [{ aisle, items: [item, ...] }, ...], in the order
+   *   they're usually walked
+   *
+   * Throws NotFoundError if the user has no such list.
+   **/
+
+  static async get(username, id) {
+    if (!/^\d{1,9}$/.test(id)) throw new NotFoundError(`No shopping list: ${id}`);
+
+    const listRes = await db.query(
+          `SELECT id, name, created_at AS "createdAt"
+           FROM shopping_lists
+           WHERE id = $1 AND username = $2`,
+        [id, username],
+    );
+
+    const list = listRes.rows[0];
+
+    if (!list) throw new NotFoundError(`No shopping list: ${id}`);
+
+    const itemsRes = await db.query(
+          `SELECT ${ITEM_COLUMNS}
+           FROM shopping_list_items
+           WHERE shopping_list_id = $1
+           ORDER BY position`,
+        [id],
+    );
+
+    list.aisles = groupByAisle(itemsRes.rows);
+
+    return list;
+  }
+
+  /** Rename a user's shopping list; returns the list, as for get.
+   *
+   * Throws NotFoundError if the user has no such list.
+   **/
+
+  static async rename(username, id, name) {
+    if (!/^\d{1,9}$/.test(id)) throw new NotFoundError(`No shopping list: ${id}`);
+
+    const result = await db.query(
+          `UPDATE shopping_lists
+           SET name = $1
+           WHERE id = $2 AND username = $3
+           RETURNING id`,
+        [name, id, username],
+    );
+
+    if (!result.rows[0]) throw new NotFoundError(`No shopping list: ${id}`);
+
+    return this.get(username, id);
+  }
+
+  /** Check off (or un-check) an item on a user's shopping list; returns
+   *  the item.
+   *
+   * Throws NotFoundError if the user has no such list, or it has no such
+   * item.
+   **/
+
+  static async checkItem(username, id, itemId, checked) {
+    if (!/^\d{1,9}$/.test(id) || !/^\d{1,9}$/.test(itemId)) {
+      throw new NotFoundError(`No item ${itemId} on shopping list ${id}`);
+    }
+
+    const result = await db.query(
+          `UPDATE shopping_list_items AS i
+           SET checked = $1
+           FROM shopping_lists AS sl
+           WHERE i.id = $2
+             AND i.shopping_list_id = $3
+             AND sl.id = i.shopping_list_id
+             AND sl.username = $4
+           RETURNING i.id,
+                     i.aisle,
+                     i.display,
+                     i.name,
+                     i.quantity::FLOAT AS quantity,
+                     i.unit,
+                     i.recipes,
+                     i.unparsed,
+                     i.checked`,
+        [checked, itemId, id, username],
+    );
+
+    const item = result.rows[0];
+
+    if (!item) throw new NotFoundError(`No item ${itemId} on shopping list ${id}`);
+
+    return item;
+  }
+
+  /** Delete a user's shopping list; returns undefined.
+   *
+   * Throws NotFoundError if the user has no such list.
+   **/
+
+  static async remove(username, id) {
+    if (!/^\d{1,9}$/.test(id)) throw new NotFoundError(`No shopping list: ${id}`);
+
+    const result = await db.query(
+          `DELETE
+           FROM shopping_lists
+           WHERE id = $1 AND username = $2
+           RETURNING id`,
+        [id, username],
+    );
+
+    if (!result.rows[0]) throw new NotFoundError(`No shopping list: ${id}`);
+  }
+}
+
+
+module.exports = ShoppingList;
@@ -0,0 +1,304 @@
+"use strict";
+
+const db = require("../db.js");
+const { NotFoundError } = require("../expressError");
+const ShoppingList = require("./shoppingList.js");
+const User = require("./user.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testMealIds,
+  testDrinkIds,
+  testPersonalMealIds,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+async function createRice() {
+  return User.createPersonalRecipe("u1", "meals", {
+    name: "Rice",
+    category: "Side",
+    area: "A1",
+    instructions: "Simmer for 20 minutes.",
+    thumbnail: "http://Rice.img",
+    ingredients: ["2 cups Rice", "1 tsp Salt", "Juice of 1 lemon"],
+    servings: 4,
+  });
+}
+
+/************************************** create */
+
+describe("create", function () {
+  test("works", async function () {
+    const rice = await createRice();
+    const list = await ShoppingList.create("u1", {
+      name: "Dinner",
+      recipes: [
+        { type: "meals", id: rice.id, personal: true, servings: 6 },
+        { type: "drinks", id: testDrinkIds[0] },
+      ],
+    });
+
+    expect(list).toEqual({
+      id: expect.any(Number),
+      name: "Dinner",
+      createdAt: expect.any(Date),
+      aisles: [
+        {
+          aisle: "Produce",
+          items: [
+            {
+              id: expect.any(Number),
+              aisle: "Produce",
+              display: "Juice of 1 lemon",
+              name: "juice of 1 lemon",
+              quantity: null,
+              unit: null,
+              recipes: ["Rice"],
+              unparsed: true,
+              checked: false,
+            },
+          ],
+        },
+        {
+          aisle: "Pantry",
+          items: [
+            {
+              id: expect.any(Number),
+              aisle: "Pantry",
+              display: "3 cup rice",
+              name: "rice",
+              quantity: 3,
+              unit: "cup",
+              recipes: ["Rice"],
+              unparsed: false,
+              checked: false,
+            },
+          ],
+        },
+        {
+          aisle: "Spices & Seasonings",
+          items: [
+            {
+              id: expect.any(Number),
+              aisle: "Spices & Seasonings",
+              display: "1 1/2 tsp salt",
+              name: "salt",
+              quantity: 1.5,
+              unit: "tsp",
+              recipes: ["Rice"],
+              unparsed: false,
+              checked: false,
+            },
+          ],
+        },
+        {
+          aisle: "Other",
+          items: ["ing1a", "ing1b", "ing1c"].map(name => ({
+            id: expect.any(Number),
+            aisle: "Other",
+            display: name,
+            name,
+            quantity: null,
+            unit: null,
+            recipes: ["D1"],
+            unparsed: false,
+            checked: false,
+          })),
+        },
+      ],
+    });
+
+    const result = await db.query(
+        "SELECT username FROM shopping_lists WHERE id = $1", [list.id]);
+    expect(result.rows).toEqual([{ username: "u1" }]);
+  });
+
+  test("works: combines the same ingredient in different recipes", async function () {
+    const list = await ShoppingList.create("u1", {
+      recipes: [
+        { type: "meals", id: testMealIds[0] },
+        { type: "drinks", id: testDrinkIds[0] },
+      ],
+    });
+    expect(list.name).toEqual("Shopping list");
+    expect(list.aisles[0].items.map(i => [i.name, i.recipes])).toEqual([
+      ["ing1a", ["M1", "D1"]],
+      ["ing1b", ["M1", "D1"]],
+      ["ing1c", ["M1", "D1"]],
+    ]);
+  });
+
+  test("not found if a recipe doesn't exist", async function () {
+    try {
+      await ShoppingList.create("u1", { recipes: [{ type: "meals", id: 0 }] });
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+    const result = await db.query("SELECT * FROM shopping_lists");
+    expect(result.rows.length).toEqual(0);
+  });
+
+  test("not found for another user's personal recipe", async function () {
+    try {
+      await ShoppingList.create("u2", {
+        recipes: [{ type: "meals", id: testPersonalMealIds[0], personal: true }],
+      });
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  test("works", async function () {
+    const older = await ShoppingList.create("u1", {
+      name: "Older", recipes: [{ type: "meals", id: testMealIds[0] }],
+    });
+    const newer = await ShoppingList.create("u1", {
+      name: "Newer", recipes: [{ type: "meals", id: testMealIds[1] }],
+    });
+    await ShoppingList.create("u2", {
+      name: "Not mine", recipes: [{ type: "meals", id: testMealIds[0] }],
+    });
+    await ShoppingList.checkItem("u1", older.id, older.aisles[0].items[0].id, true);
+
+    const lists = await ShoppingList.findAll("u1");
+    expect(lists).toEqual([
+      { id: newer.id, name: "Newer", createdAt: expect.any(Date), itemCount: 3, checkedCount: 0 },
+      { id: older.id, name: "Older", createdAt: expect.any(Date), itemCount: 3, checkedCount: 1 },
+    ]);
+  });
+
+  test("works: none", async function () {
+    expect(await ShoppingList.findAll("u1")).toEqual([]);
+  });
+});
+
+/************************************** get */
+
+describe("get", function () {
+  test("works", async function () {
+    const created = await ShoppingList.create("u1", {
+      recipes: [{ type: "meals", id: testMealIds[0] }],
+    });
+    const list = await ShoppingList.get("u1", created.id);
+    expect(list).toEqual(created);
+  });
+
+  test("not found for another user's list", async function () {
+    const { id } = await ShoppingList.create("u1", {
+      recipes: [{ type: "meals", id: testMealIds[0] }],
+    });
+    try {
+      await ShoppingList.get("u2", id);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** rename */
+
+describe("rename", function () {
+  test("works", async function () {
+    const { id } = await ShoppingList.create("u1", {
+      recipes: [{ type: "meals", id: testMealIds[0] }],
+    });
+    const list = await ShoppingList.rename("u1", id, "Saturday");
+    expect(list.name).toEqual("Saturday");
+    expect(list.aisles[0].items.length).toEqual(3);
+  });
+
+  test("not found for another user's list", async function () {
+    const { id } = await ShoppingList.create("u1", {
+      recipes: [{ type: "meals", id: testMealIds[0] }],
+    });
+    try {
+      await ShoppingList.rename("u2", id, "Saturday");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** checkItem */
+
+describe("checkItem", function () {
+  test("works", async function () {
+    const { id, aisles } = await ShoppingList.create("u1", {
+      recipes: [{ type: "meals", id: testMealIds[0] }],
+    });
+    const itemId = aisles[0].items[1].id;
+
+    const item = await ShoppingList.checkItem("u1", id, itemId, true);
+    expect(item).toEqual({ ...aisles[0].items[1], checked: true });
+
+    const unchecked = await ShoppingList.checkItem("u1", id, itemId, false);
+    expect(unchecked.checked).toEqual(false);
+  });
+
+  test("not found for an item on another list", async function () {
+    const first = await ShoppingList.create("u1", {
+      recipes: [{ type: "meals", id: testMealIds[0] }],
+    });
+    const second = await ShoppingList.create("u1", {
+      recipes: [{ type: "meals", id: testMealIds[1] }],
+    });
+    try {
+      await ShoppingList.checkItem("u1", second.id, first.aisles[0].items[0].id, true);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found for another user's list", async function () {
+    const { id, aisles } = await ShoppingList.create("u1", {
+      recipes: [{ type: "meals", id: testMealIds[0] }],
+    });
+    try {
+      await ShoppingList.checkItem("u2", id, aisles[0].items[0].id, true);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** remove */
+
+describe("remove", function () {
+  test("works", async function () {
+    const { id } = await ShoppingList.create("u1", {
+      recipes: [{ type: "meals", id: testMealIds[0] }],
+    });
+    await ShoppingList.remove("u1", id);
+    const result = await db.query(
+        "SELECT * FROM shopping_list_items WHERE shopping_list_id = $1", [id]);
+    expect(result.rows.length).toEqual(0);
+  });
+
+  test("not found for another user's list", async function () {
+    const { id } = await ShoppingList.create("u1", {
+      recipes: [{ type: "meals", id: testMealIds[0] }],
+    });
+    try {
+      await ShoppingList.remove("u2", id);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
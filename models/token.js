@@ -0,0 +1,251 @@
+"use strict";
+
+const db = require("../db");
+const { UnauthorizedError, BadRequestError } = require("../expressError");
+const { generateOpaqueToken, hashToken } = require("../helpers/tokens");
+
+const {
+  REFRESH_TOKEN_EXPIRES_DAYS,
+  PASSWORD_RESET_EXPIRES_MINUTES,
+  EMAIL_VERIFICATION_EXPIRES_HOURS,
+} = require("../config.js");
+
+/** Related functions for refresh tokens, revoked access tokens, password
+ *  reset tokens and email verification tokens. */
+
+class Token {
+  /** Issue a new refresh token for a user.
+   *
+   * Only a hash of the token is stored; the token itself is returned once.
+   *
+   * Returns refreshToken
+   **/
+
+  static async createRefreshToken(username) {
+    const refreshToken = generateOpaqueToken();
+
+    await db.query(
+          `INSERT INTO refresh_tokens (token_hash, username, expires_at)
+           VALUES ($1, $2, NOW() + make_interval(days => $3))`,
+        [hashToken(refreshToken), username, REFRESH_TOKEN_EXPIRES_DAYS],
+    );
+
+    return refreshToken;
+  }
+
+  /** Exchange a refresh token for the user it belongs to.
+   *
+   * The refresh token is revoked in the process, so each one can only be
+   * used once (the caller should issue a new one).
+   *
+   * Returns { username, isAdmin }
+   *
+   * Throws UnauthorizedError if token is unknown, expired or revoked.
+   **/
+
+  static async useRefreshToken(refreshToken) {
+    const result = await db.query(
+          `UPDATE refresh_tokens AS rt
+           SET revoked_at = NOW()
+           FROM users AS u
+           WHERE rt.token_hash = $1
+             AND rt.revoked_at IS NULL
+             AND rt.expires_at > NOW()
+             AND u.username = rt.username
+           RETURNING u.username, u.is_admin AS "isAdmin"`,
+        [hashToken(refreshToken)],
+    );
+
+    const user = result.rows[0];
+
+    if (!user) throw new UnauthorizedError("Invalid refresh token");
+
+    return user;
+  }
+
+  /** Revoke a refresh token; returns undefined.
+   *
+   * Revoking an unknown or already revoked token is not an error.
+   **/
+
+  static async revokeRefreshToken(refreshToken) {
+    await db.query(
+          `UPDATE refresh_tokens
+           SET revoked_at = NOW()
+           WHERE token_hash = $1 AND revoked_at IS NULL`,
+        [hashToken(refreshToken)],
+    );
+  }
+
+  /** Revoke every refresh token belonging to a user; returns undefined. */
+
+  static async revokeAllRefreshTokens(username) {
+    await db.query(
+          `UPDATE refresh_tokens
+           SET revoked_at = NOW()
+           WHERE username = $1 AND revoked_at IS NULL`,
+        [username],
+    );
+  }
+
+  /** Add an access token to the denylist until it expires; returns undefined.
+   *
+   * - jti: the token's unique id
+   * - exp: the token's expiry (seconds since epoch, as in the JWT payload)
+   **/
+
+  static async revokeAccessToken(jti, exp) {
+    // expired entries can't match a valid token anymore, so prune them here
+    await db.query(
+          `DELETE FROM revoked_tokens
+           WHERE expires_at < NOW()`);
+
+    await db.query(
+          `INSERT INTO revoked_tokens (jti, expires_at)
+           VALUES ($1, to_timestamp($2))
+           ON CONFLICT (jti) DO NOTHING`,
+        [jti, exp],
+    );
+  }
+
+  /** Check if an access token is revoked: either it is on the denylist (by
+   * jti), it was issued (iat, in seconds since epoch) to username no later
+   * than all of their sessions were revoked, or username no longer exists.
+   *
+   * Returns true/false
+   **/
+
+  static async isAccessTokenRevoked(jti, username, iat) {
+    const result = await db.query(
+          `SELECT EXISTS (SELECT jti
+                          FROM revoked_tokens
+                          WHERE jti = $1)
+               OR NOT EXISTS (SELECT username
+                              FROM users
+                              WHERE username = $2
+                                AND (tokens_valid_after IS NULL
+                                     OR to_timestamp($3) > tokens_valid_after))
+                  AS "revoked"`,
+        [jti, username, iat],
+    );
+
+    return result.rows[0].revoked;
+  }
+
+  /** Revoke every session of a user: all of their refresh tokens, and every
+   * access token issued to them up to now. Returns undefined, once access
+   * tokens issued from then on are valid.
+   **/
+
+  static async revokeAllSessions(username) {
+    // the app's clock, in ms as in access tokens' iat (see createToken)
+    const revokedAt = Date.now();
+
+    await this.revokeAllRefreshTokens(username);
+
+    await db.query(
+          `UPDATE users
+           SET tokens_valid_after = to_timestamp($2)
+           WHERE username = $1`,
+        [username, revokedAt / 1000],
+    );
+
+    // a token issued in the same millisecond would count as revoked
+    while (Date.now() <= revokedAt) {
+      await new Promise(resolve => setTimeout(resolve, 1));
+    }
+  }
+
+  /** Issue a password reset token for a user.
+   *
+   * Only a hash of the token is stored; the token itself is returned once,
+   * to be mailed to the user.
+   *
+   * Returns resetToken
+   **/
+
+  static async createPasswordResetToken(username) {
+    const resetToken = generateOpaqueToken();
+
+    await db.query(
+          `INSERT INTO password_reset_tokens (token_hash, username, expires_at)
+           VALUES ($1, $2, NOW() + make_interval(mins => $3))`,
+        [hashToken(resetToken), username, PASSWORD_RESET_EXPIRES_MINUTES],
+    );
+
+    return resetToken;
+  }
+
+  /** Consume a password reset token; it can't be used again afterwards.
+   *
+   * Returns username
+   *
+   * Throws BadRequestError if token is unknown, expired or already used.
+   **/
+
+  static async usePasswordResetToken(resetToken) {
+    const result = await db.query(
+          `UPDATE password_reset_tokens
+           SET used_at = NOW()
+           WHERE token_hash = $1
+             AND used_at IS NULL
+             AND expires_at > NOW()
+           RETURNING username`,
+        [hashToken(resetToken)],
+    );
+
+    const row = result.rows[0];
+
+    if (!row) throw new BadRequestError("Invalid or expired reset token");
+
+    return row.username;
+  }
+
+  /** Issue an email verification token for a user.
+   *
+   * Only a hash of the token is stored; the token itself is returned once,
+   * to be mailed to the user.
+   *
+   * Returns verificationToken
+   **/
+
+  static async createEmailVerificationToken(username) {
+    const verificationToken = generateOpaqueToken();
+
+    await db.query(
+          `INSERT INTO email_verification_tokens (token_hash, username, expires_at)
+           VALUES ($1, $2, NOW() + make_interval(hours => $3))`,
+        [hashToken(verificationToken), username, EMAIL_VERIFICATION_EXPIRES_HOURS],
+    );
+
+    return verificationToken;
+  }
+
+  /** Consume an email verification token; it can't be used again afterwards.
+   *
+   * Returns username
+   *
+   * Throws BadRequestError if token is unknown, expired or already used.
+   **/
+
+  static async useEmailVerificationToken(verificationToken) {
+    const result = await db.query(
+          `UPDATE email_verification_tokens
+           SET used_at = NOW()
+           WHERE token_hash = $1
+             AND used_at IS NULL
+             AND expires_at > NOW()
+           RETURNING username`,
+        [hashToken(verificationToken)],
+    );
+
+    const row = result.rows[0];
+
+    if (!row) throw new BadRequestError("Invalid or expired verification token");
+
+    return row.username;
+  }
+}
+
+
+module.exports = Token;
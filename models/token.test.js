@@ -0,0 +1,272 @@
+"use strict";
+
+const { UnauthorizedError, BadRequestError } = require("../expressError");
+const db = require("../db.js");
+const Token = require("./token.js");
+const jwt = require("jsonwebtoken");
+const { createToken, hashToken } = require("../helpers/tokens");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** createRefreshToken */
+
+describe("createRefreshToken", function () {
+  test("works", async function () {
+    const refreshToken = await Token.createRefreshToken("u1");
+    expect(refreshToken).toEqual(expect.any(String));
+    const found = await db.query(
+        "SELECT * FROM refresh_tokens WHERE username = 'u1'");
+    expect(found.rows.length).toEqual(1);
+    expect(found.rows[0].token_hash).toEqual(hashToken(refreshToken));
+    expect(found.rows[0].revoked_at).toEqual(null);
+  });
+});
+
+/************************************** useRefreshToken */
+
+describe("useRefreshToken", function () {
+  test("works", async function () {
+    const refreshToken = await Token.createRefreshToken("u1");
+    const user = await Token.useRefreshToken(refreshToken);
+    expect(user).toEqual({ username: "u1", isAdmin: false });
+  });
+
+  test("unauth if used twice", async function () {
+    const refreshToken = await Token.createRefreshToken("u1");
+    await Token.useRefreshToken(refreshToken);
+    try {
+      await Token.useRefreshToken(refreshToken);
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+
+  test("unauth if expired", async function () {
+    const refreshToken = await Token.createRefreshToken("u1");
+    await db.query(
+        "UPDATE refresh_tokens SET expires_at = NOW() - INTERVAL '1 day'");
+    try {
+      await Token.useRefreshToken(refreshToken);
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+
+  test("unauth if no such token", async function () {
+    try {
+      await Token.useRefreshToken("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** revokeRefreshToken */
+
+describe("revokeRefreshToken", function () {
+  test("works", async function () {
+    const refreshToken = await Token.createRefreshToken("u1");
+    await Token.revokeRefreshToken(refreshToken);
+    try {
+      await Token.useRefreshToken(refreshToken);
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+
+  test("works: no such token", async function () {
+    await Token.revokeRefreshToken("nope");
+  });
+});
+
+/************************************** revokeAllRefreshTokens */
+
+describe("revokeAllRefreshTokens", function () {
+  test("works", async function () {
+    const refreshToken1 = await Token.createRefreshToken("u1");
+    const refreshToken2 = await Token.createRefreshToken("u1");
+    const otherUserToken = await Token.createRefreshToken("u2");
+    await Token.revokeAllRefreshTokens("u1");
+    for (const refreshToken of [refreshToken1, refreshToken2]) {
+      try {
+        await Token.useRefreshToken(refreshToken);
+        fail();
+      } catch (err) {
+        expect(err instanceof UnauthorizedError).toBeTruthy();
+      }
+    }
+    const user = await Token.useRefreshToken(otherUserToken);
+    expect(user.username).toEqual("u2");
+  });
+});
+
+/************************************** revokeAllSessions */
+
+describe("revokeAllSessions", function () {
+  test("works", async function () {
+    const refreshToken = await Token.createRefreshToken("u1");
+    const before = Math.floor(Date.now() / 1000) - 60;
+    const after = Math.floor(Date.now() / 1000) + 60;
+    await Token.revokeAllSessions("u1");
+    try {
+      await Token.useRefreshToken(refreshToken);
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+    expect(await Token.isAccessTokenRevoked("jti-1", "u1", before)).toEqual(true);
+    expect(await Token.isAccessTokenRevoked("jti-2", "u1", after)).toEqual(false);
+    expect(await Token.isAccessTokenRevoked("jti-3", "u2", before)).toEqual(false);
+  });
+
+  test("works: revokes tokens issued in the same second", async function () {
+    const iat = Math.floor(Date.now() / 1000);
+    const justBefore = Date.now() / 1000;
+    await Token.revokeAllSessions("u1");
+    expect(await Token.isAccessTokenRevoked("jti-1", "u1", iat)).toEqual(true);
+    expect(await Token.isAccessTokenRevoked("jti-2", "u1", justBefore)).toEqual(true);
+  });
+
+  test("works: keeps tokens issued right after", async function () {
+    await Token.revokeAllSessions("u1");
+    const { jti, iat } = jwt.decode(createToken({ username: "u1", isAdmin: false }));
+    expect(await Token.isAccessTokenRevoked(jti, "u1", iat)).toEqual(false);
+  });
+});
+
+/************************************** isAccessTokenRevoked */
+
+describe("isAccessTokenRevoked", function () {
+  test("works: revoked once the user is gone", async function () {
+    const iat = Math.floor(Date.now() / 1000);
+    expect(await Token.isAccessTokenRevoked("jti-1", "u1", iat)).toEqual(false);
+    await db.query("DELETE FROM users WHERE username = 'u1'");
+    expect(await Token.isAccessTokenRevoked("jti-1", "u1", iat)).toEqual(true);
+    expect(await Token.isAccessTokenRevoked("jti-2", "nope", iat)).toEqual(true);
+  });
+});
+
+/************************************** revokeAccessToken / isAccessTokenRevoked */
+
+describe("revokeAccessToken", function () {
+  const iat = Math.floor(Date.now() / 1000);
+
+  test("works", async function () {
+    const exp = Math.floor(Date.now() / 1000) + 60;
+    expect(await Token.isAccessTokenRevoked("jti-1", "u1", iat)).toEqual(false);
+    await Token.revokeAccessToken("jti-1", exp);
+    expect(await Token.isAccessTokenRevoked("jti-1", "u1", iat)).toEqual(true);
+  });
+
+  test("works: revoking twice", async function () {
+    const exp = Math.floor(Date.now() / 1000) + 60;
+    await Token.revokeAccessToken("jti-1", exp);
+    await Token.revokeAccessToken("jti-1", exp);
+    expect(await Token.isAccessTokenRevoked("jti-1", "u1", iat)).toEqual(true);
+  });
+
+  test("prunes expired entries", async function () {
+    const past = Math.floor(Date.now() / 1000) - 60;
+    const future = Math.floor(Date.now() / 1000) + 60;
+    await Token.revokeAccessToken("jti-old", past);
+    await Token.revokeAccessToken("jti-new", future);
+    expect(await Token.isAccessTokenRevoked("jti-old", "u1", iat)).toEqual(false);
+    expect(await Token.isAccessTokenRevoked("jti-new", "u1", iat)).toEqual(true);
+  });
+});
+
+/************************************** password reset tokens */
+
+describe("createPasswordResetToken / usePasswordResetToken", function () {
+  test("works", async function () {
+    const resetToken = await Token.createPasswordResetToken("u1");
+    const found = await db.query(
+        "SELECT * FROM password_reset_tokens WHERE username = 'u1'");
+    expect(found.rows.length).toEqual(1);
+    expect(found.rows[0].token_hash).toEqual(hashToken(resetToken));
+    const username = await Token.usePasswordResetToken(resetToken);
+    expect(username).toEqual("u1");
+  });
+
+  test("bad request if used twice", async function () {
+    const resetToken = await Token.createPasswordResetToken("u1");
+    await Token.usePasswordResetToken(resetToken);
+    try {
+      await Token.usePasswordResetToken(resetToken);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request if expired", async function () {
+    const resetToken = await Token.createPasswordResetToken("u1");
+    await db.query(
+        "UPDATE password_reset_tokens SET expires_at = NOW() - INTERVAL '1 minute'");
+    try {
+      await Token.usePasswordResetToken(resetToken);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request if no such token", async function () {
+    try {
+      await Token.usePasswordResetToken("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** email verification tokens */
+
+describe("createEmailVerificationToken / useEmailVerificationToken", function () {
+  test("works", async function () {
+    const verificationToken = await Token.createEmailVerificationToken("u1");
+    const found = await db.query(
+        "SELECT * FROM email_verification_tokens WHERE username = 'u1'");
+    expect(found.rows.length).toEqual(1);
+    expect(found.rows[0].token_hash).toEqual(hashToken(verificationToken));
+    const username = await Token.useEmailVerificationToken(verificationToken);
+    expect(username).toEqual("u1");
+  });
+
+  test("bad request if used twice", async function () {
+    const verificationToken = await Token.createEmailVerificationToken("u1");
+    await Token.useEmailVerificationToken(verificationToken);
+    try {
+      await Token.useEmailVerificationToken(verificationToken);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request if expired", async function () {
+    const verificationToken = await Token.createEmailVerificationToken("u1");
+    await db.query(
+        "UPDATE email_verification_tokens SET expires_at = NOW() - INTERVAL '1 minute'");
+    try {
+      await Token.useEmailVerificationToken(verificationToken);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
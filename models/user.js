@@ -3,6 +3,9 @@
 const db = require("../db");
 const bcrypt = require("bcrypt");
 const { sqlForPartialUpdate } = require("../helpers/sql");
+const LoginAttempt = require("./loginAttempt");
+const RecipeIngredient = require("./recipeIngredient");
+const { DEFAULT_SERVINGS } = require("../helpers/scaling");
 const {
   NotFoundError,
   BadRequestError,
@@ -14,21 +17,28 @@ const { BCRYPT_WORK_FACTOR } = require("../config.js");
 /** Related functions for users. */
 
 class User {
-  /** authenticate user with username, password.
+  /** authenticate user with username, password (and the IP address the
+   * attempt came from, if known).
    *
-   * Returns { username, first_name, last_name, email }
+   * Returns { username, first_name, last_name, email, is_admin }
    *
    * Throws UnauthorizedError is user not found or wrong password.
+   *
+   * Throws TooManyRequestsError if the username or IP address is locked out
+   * after too many failed attempts.
    **/
 
-  static async authenticate(username, password) {
+  static async authenticate(username, password, ip) {
+    await LoginAttempt.check(username, ip);
+
     // try to find the user first
     const result = await db.query(
           `SELECT username,
                   password,
                   first_name AS "firstName",
                   last_name AS "lastName",
-                  email
+                  email,
+                  is_admin AS "isAdmin"
            FROM users
            WHERE username = $1`,
         [username],
@@ -40,23 +50,25 @@ class User {
       // compare hashed password to a new hash from password
       const isValid = await bcrypt.compare(password, user.password);
       if (isValid === true) {
+        await LoginAttempt.recordSuccess(username);
         delete user.password;
         return user;
       }
     }
 
+    await LoginAttempt.recordFailure(username, ip);
     throw new UnauthorizedError("Invalid username/password");
   }
 
   /** Register user with data.
    *
-   * Returns { username, firstName, lastName, email }
+   * Returns { username, firstName, lastName, email, isAdmin }
    *
    * Throws BadRequestError on duplicates.
    **/
 
   static async register(
-      { username, password, firstName, lastName, email }) {
+      { username, password, firstName, lastName, email, isAdmin }) {
     const duplicateCheck = await db.query(
           `SELECT username
            FROM users
@@ -76,15 +88,17 @@ class User {
             password,
             first_name,
             last_name,
-            email)
-           VALUES ($1, $2, $3, $4, $5)
-           RETURNING username, first_name AS "firstName", last_name AS "lastName", email`,
+            email,
+            is_admin)
+           VALUES ($1, $2, $3, $4, $5, $6)
+           RETURNING username, first_name AS "firstName", last_name AS "lastName", email, is_admin AS "isAdmin"`,
         [
           username,
           hashedPassword,
           firstName,
           lastName,
           email,
+          isAdmin || false,
         ],
     );
 
@@ -95,17 +109,38 @@ class User {
 
   /** Find all users.
    *
-   * Returns [{ username, first_name, last_name, email }, ...]
+   * Returns [{ username, first_name, last_name, email, is_admin }, ...]
    **/
 
   static async findAll() {
+    const result = await db.query(
+          `SELECT username,
+                  first_name AS "firstName",
+                  last_name AS "lastName",
+                  email,
+                  is_admin AS "isAdmin"
+           FROM users
+           ORDER BY username`,
+    );
+
+    return result.rows;
+  }
+
+  /** Find all users with the given email address (case-insensitive).
+   *
+   * Returns [{ username, firstName, lastName, email }, ...]
+   **/
+
+  static async findByEmail(email) {
     const result = await db.query(
           `SELECT username,
                   first_name AS "firstName",
                   last_name AS "lastName",
                   email
            FROM users
+           WHERE lower(email) = lower($1)
            ORDER BY username`,
+        [email],
     );
 
     return result.rows;
@@ -113,7 +148,9 @@ class User {
 
   /** Given a username, return data about user.
    *
-   * Returns { username, first_name, last_name, email, favMeals, favDrinks }
+   * Returns { username, first_name, last_name, email, is_admin, email_verified, unitPreference, favMeals, favDrinks }
+   *   where unitPreference is the units the user sees recipes in by default:
+   *   "metric", "imperial" or "original"
    *   where favMeals is { id, name, category, area, instructions, thumbnail, ingredients }
    *   and favDrinks is { id, name, category, type, glass, instructions, thumbnail, ingredients }
    *
@@ -125,7 +162,10 @@ class User {
           `SELECT username,
                   first_name AS "firstName",
                   last_name AS "lastName",
-                  email
+                  email,
+                  is_admin AS "isAdmin",
+                  email_verified AS "emailVerified",
+                  unit_preference AS "unitPreference"
            FROM users
            WHERE username = $1`,
         [username],
@@ -158,9 +198,11 @@ class User {
    * all the fields; this only changes provided ones.
    *
    * Data can include:
-   *   { firstName, lastName, password, email }
+   *   { firstName, lastName, password, email, isAdmin, unitPreference }
    *
-   * Returns { username, firstName, lastName, email }
+   * Returns { username, firstName, lastName, email, isAdmin, unitPreference }
+   *
+   * Changing the email marks it as not verified.
    *
    * Throws NotFoundError if not found.
    *
@@ -174,11 +216,18 @@ class User {
       data.password = await bcrypt.hash(data.password, BCRYPT_WORK_FACTOR);
     }
 
+    if (data.email) {
+      data = { ...data, emailVerified: false };
+    }
+
     const { setCols, values } = sqlForPartialUpdate(
         data,
         {
           firstName: "first_name",
           lastName: "last_name",
+          isAdmin: "is_admin",
+          emailVerified: "email_verified",
+          unitPreference: "unit_preference",
         });
     const usernameVarIdx = "$" + (values.length + 1);
 
@@ -188,7 +237,9 @@ class User {
                       RETURNING username,
                                 first_name AS "firstName",
                                 last_name AS "lastName",
-                                email`;
+                                email,
+                                is_admin AS "isAdmin",
+                                unit_preference AS "unitPreference"`;
     const result = await db.query(querySql, [...values, username]);
     const user = result.rows[0];
 
@@ -198,6 +249,82 @@ class User {
     return user;
   }
 
+  /** Check whether a user has verified their email address.
+   *
+   * Returns true/false
+   *
+   * Throws NotFoundError if not found.
+   **/
+
+  static async isEmailVerified(username) {
+    const result = await db.query(
+          `SELECT email_verified AS "emailVerified"
+           FROM users
+           WHERE username = $1`,
+        [username],
+    );
+    const user = result.rows[0];
+
+    if (!user) throw new NotFoundError(`No user: ${username}`);
+
+    return user.emailVerified;
+  }
+
+  /** Given a username, return the units they see recipes in by default:
+   * "metric", "imperial" or "original".
+   *
+   * Throws NotFoundError if not found.
+   **/
+
+  static async getUnitPreference(username) {
+    const result = await db.query(
+          `SELECT unit_preference AS "unitPreference"
+           FROM users
+           WHERE username = $1`,
+        [username],
+    );
+    const user = result.rows[0];
+
+    if (!user) throw new NotFoundError(`No user: ${username}`);
+
+    return user.unitPreference;
+  }
+
+  /** Mark a user's email address as verified; returns undefined.
+   *
+   * Throws NotFoundError if not found.
+   **/
+
+  static async markEmailVerified(username) {
+    const result = await db.query(
+          `UPDATE users
+           SET email_verified = TRUE
+           WHERE username = $1
+           RETURNING username`,
+        [username],
+    );
+    const user = result.rows[0];
+
+    if (!user) throw new NotFoundError(`No user: ${username}`);
+  }
+
+  /** Record a change to a user's credentials (password or email) in the
+   * audit log; returns undefined.
+   *
+   * - username: user whose credentials changed
+   * - field: "password" or "email"
+   * - changedBy: username of who made the change
+   * - ip: IP address the change came from, if known
+   **/
+
+  static async recordCredentialChange(username, field, changedBy, ip) {
+    await db.query(
+          `INSERT INTO credential_changes (username, field, changed_by, ip)
+           VALUES ($1, $2, $3, $4)`,
+        [username, field, changedBy, ip],
+    );
+  }
+
   /** Delete given user from database; returns undefined. */
 
   static async remove(username) {
@@ -216,10 +343,10 @@ class User {
   /** Given a username and type (meals or drinks), find all of the peronal recipes associated to that user, of the given type.
    * 
    * if type = "meals":
-   * Returns [ { id, name, category, area, instructions, thumbnail, ingredients }, ...] 
+   * Returns [ { id, name, category, area, instructions, thumbnail, ingredients, servings }, ...] 
    * 
    * if type = "drinks":
-   * Returns [ { id, name, category, type, glass, instructions, thumbnail, ingredients }, ...] 
+   * Returns [ { id, name, category, type, glass, instructions, thumbnail, ingredients, servings }, ...] 
    **/ 
 
   static async getPersonalRecipes(username, type) {
@@ -231,7 +358,8 @@ class User {
                             area,
                             instructions,
                             thumbnail,
-                            ingredients
+                            ingredients,
+                            servings
                     FROM personal_meals
                     WHERE username = $1
                     ORDER BY name`,
@@ -246,7 +374,8 @@ class User {
                             glass,
                             instructions,
                             thumbnail,
-                            ingredients
+                            ingredients,
+                            servings
                     FROM personal_drinks
                     WHERE username = $1
                     ORDER BY name`,
@@ -260,22 +389,22 @@ class User {
    * 
    * data should be:
    * 
-   * -if meal { name, category, area, instructions, thumbnail, ingredients }
+   * -if meal { name, category, area, instructions, thumbnail, ingredients, servings }
    *
-   * Returns { id, name, category, area, instructions, thumbnail, ingredients }
+   * Returns { id, name, category, area, instructions, thumbnail, ingredients, servings, structuredIngredients }
    * 
-   * -if drink { name, category, type, glass, instructions, thumbnail, ingredients }
+   * -if drink { name, category, type, glass, instructions, thumbnail, ingredients, servings }
    * 
-   * Returns { id, name, category, type, glass, instructions, thumbnail, ingredients }
+   * Returns { id, name, category, type, glass, instructions, thumbnail, ingredients, servings, structuredIngredients }
    **/ 
 
   static async createPersonalRecipe(username, type, data) {
     const result = type === "meals"
             ? await db.query(
                     `INSERT INTO personal_meals
-                     (name, category, area, instructions, thumbnail, ingredients, username)
-                     VALUES ($1, $2, $3, $4, $5, $6, $7)
-                     RETURNING id, name, category, area, instructions, thumbnail, ingredients`,
+                     (name, category, area, instructions, thumbnail, ingredients, servings, username)
+                     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                     RETURNING id, name, category, area, instructions, thumbnail, ingredients, servings`,
                   [
                     data.name,
                     data.category,
@@ -283,15 +412,16 @@ class User {
                     data.instructions,
                     data.thumbnail,
                     data.ingredients,
+                    data.servings || DEFAULT_SERVINGS[type],
                     username
                   ]
               )
             :
               await db.query(
                     `INSERT INTO personal_drinks
-                    (name, category, type, glass, instructions, thumbnail, ingredients, username)
-                    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-                    RETURNING id, name, category, type, glass, instructions, thumbnail, ingredients`,
+                    (name, category, type, glass, instructions, thumbnail, ingredients, servings, username)
+                    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+                    RETURNING id, name, category, type, glass, instructions, thumbnail, ingredients, servings`,
                   [
                     data.name,
                     data.category,
@@ -300,11 +430,14 @@ class User {
                     data.instructions,
                     data.thumbnail,
                     data.ingredients,
+                    data.servings || DEFAULT_SERVINGS[type],
                     username
                   ]
               );
 
     const personalRecipe = result.rows[0];
+    personalRecipe.structuredIngredients = await RecipeIngredient.setFor(
+        personalTable(type), personalRecipe.id, data.ingredients);
 
     return personalRecipe;
   }
@@ -313,16 +446,18 @@ class User {
    * 
    * if type = meals:
    * 
-   * Returns { id, name, category, area, instructions, thumbnail, ingredients }
+   * Returns { id, name, category, area, instructions, thumbnail, ingredients, servings, structuredIngredients }
    * 
    * if type = drinks:
    * 
-   * Returns { id, name, category, type, glass, instructions, thumbnail, ingredients }
+   * Returns { id, name, category, type, glass, instructions, thumbnail, ingredients, servings, structuredIngredients }
    * 
    * Throws NotFoundError if not found.
    **/ 
 
   static async getPersonalRecipe(id, username, type) {
+    if (!/^\d{1,9}$/.test(id)) throw new NotFoundError(`No personal ${type}: ${id}`);
+
     const result = type === "meals"
              ? await db.query(`SELECT id,
                                       name,
@@ -330,7 +465,8 @@ class User {
                                       area,
                                       instructions,
                                       thumbnail,
-                                      ingredients
+                                      ingredients,
+                                      servings
                                FROM personal_meals
                                WHERE id = $1 AND username = $2`,
                             [id, username])
@@ -342,7 +478,8 @@ class User {
                                       glass,
                                       instructions,
                                       thumbnail,
-                                      ingredients
+                                      ingredients,
+                                      servings
                                FROM personal_drinks
                                WHERE id = $1 AND username = $2`,
                             [id, username]);
@@ -351,6 +488,9 @@ class User {
 
     if (!personalRecipe) throw new NotFoundError(`No personal ${type}: ${id}`);
 
+    personalRecipe.structuredIngredients = await RecipeIngredient.getFor(
+        personalTable(type), personalRecipe.id);
+
     return personalRecipe;
   }
 
@@ -361,13 +501,13 @@ class User {
    * 
    * Data can include:
    * 
-   * -if type = meal { name, category, area, instructions, thumbnail, ingredients }
+   * -if type = meal { name, category, area, instructions, thumbnail, ingredients, servings }
    *
-   * Returns { id, name, category, area, instructions, thumbnail, ingredients }
+   * Returns { id, name, category, area, instructions, thumbnail, ingredients, servings, structuredIngredients }
    * 
-   * -if type = drink { name, category, type, glass, instructions, thumbnail, ingredients }
+   * -if type = drink { name, category, type, glass, instructions, thumbnail, ingredients, servings }
    * 
-   * Returns { id, name, category, type, glass, instructions, thumbnail, ingredients }
+   * Returns { id, name, category, type, glass, instructions, thumbnail, ingredients, servings, structuredIngredients }
    * 
    * Throws NotFoundError if not found.
    **/ 
@@ -386,7 +526,8 @@ class User {
                          area, 
                          instructions,
                          thumbnail,
-                         ingredients`
+                         ingredients,
+                         servings`
             :
               `UPDATE personal_drinks 
                SET ${setCols} 
@@ -398,13 +539,18 @@ class User {
                          glass,
                          instructions,
                          thumbnail,
-                         ingredients`;
+                         ingredients,
+                         servings`;
 
     const result = await db.query(querySql, [...values, id]);
     const personalRecipe = result.rows[0];
 
     if (!personalRecipe) throw new NotFoundError(`No personal ${type}: ${id}`);
 
+    personalRecipe.structuredIngredients = data.ingredients
+        ? await RecipeIngredient.setFor(personalTable(type), personalRecipe.id, data.ingredients)
+        : await RecipeIngredient.getFor(personalTable(type), personalRecipe.id);
+
     return personalRecipe;
   }
 
@@ -528,4 +674,11 @@ class User {
 }
 
 
+/** The table of personal recipes of a type (meals or drinks). */
+
+function personalTable(type) {
+  return type === "meals" ? "personal_meals" : "personal_drinks";
+}
+
+
 module.exports = User;
@@ -4,7 +4,9 @@ const {
   NotFoundError,
   BadRequestError,
   UnauthorizedError,
+  TooManyRequestsError,
 } = require("../expressError");
+const { LOGIN_MAX_ATTEMPTS } = require("../config");
 const db = require("../db.js");
 const User = require("./user.js");
 const {
@@ -33,6 +35,7 @@ describe("authenticate", function () {
       firstName: "U1F",
       lastName: "U1L",
       email: "u1@email.com",
+      isAdmin: false,
     });
   });
 
@@ -53,6 +56,22 @@ describe("authenticate", function () {
       expect(err instanceof UnauthorizedError).toBeTruthy();
     }
   });
+
+  test("locked out after too many wrong passwords", async function () {
+    for (let i = 0; i < LOGIN_MAX_ATTEMPTS; i++) {
+      try {
+        await User.authenticate("u1", "wrong", "1.2.3.4");
+      } catch (err) {
+        expect(err instanceof UnauthorizedError).toBeTruthy();
+      }
+    }
+    try {
+      await User.authenticate("u1", "password1", "1.2.3.4");
+      fail();
+    } catch (err) {
+      expect(err instanceof TooManyRequestsError).toBeTruthy();
+    }
+  });
 });
 
 /************************************** register */
@@ -63,6 +82,7 @@ describe("register", function () {
     firstName: "Test",
     lastName: "Tester",
     email: "test@test.com",
+    isAdmin: false,
   };
 
   test("works", async function () {
@@ -73,6 +93,20 @@ describe("register", function () {
     expect(user).toEqual(newUser);
     const found = await db.query("SELECT * FROM users WHERE username = 'new'");
     expect(found.rows.length).toEqual(1);
+    expect(found.rows[0].is_admin).toEqual(false);
+    expect(found.rows[0].password.startsWith("$2b$")).toEqual(true);
+  });
+
+  test("works: adds admin", async function () {
+    let user = await User.register({
+      ...newUser,
+      password: "password",
+      isAdmin: true,
+    });
+    expect(user).toEqual({ ...newUser, isAdmin: true });
+    const found = await db.query("SELECT * FROM users WHERE username = 'new'");
+    expect(found.rows.length).toEqual(1);
+    expect(found.rows[0].is_admin).toEqual(true);
     expect(found.rows[0].password.startsWith("$2b$")).toEqual(true);
   });
 
@@ -104,17 +138,40 @@ describe("findAll", function () {
         firstName: "U1F",
         lastName: "U1L",
         email: "u1@email.com",
+        isAdmin: false,
       },
       {
         username: "u2",
         firstName: "U2F",
         lastName: "U2L",
         email: "u2@email.com",
+        isAdmin: false,
       },
     ]);
   });
 });
 
+/************************************** findByEmail */
+
+describe("findByEmail", function () {
+  test("works", async function () {
+    const users = await User.findByEmail("U1@email.com");
+    expect(users).toEqual([
+      {
+        username: "u1",
+        firstName: "U1F",
+        lastName: "U1L",
+        email: "u1@email.com",
+      },
+    ]);
+  });
+
+  test("works: no matches", async function () {
+    const users = await User.findByEmail("nope@email.com");
+    expect(users).toEqual([]);
+  });
+});
+
 /************************************** get */
 
 describe("get", function () {
@@ -125,6 +182,9 @@ describe("get", function () {
       firstName: "U1F",
       lastName: "U1L",
       email: "u1@email.com",
+      isAdmin: false,
+      emailVerified: false,
+      unitPreference: "original",
       favMeals: [testMealIds[0]],
       favDrinks: [testDrinkIds[0]],
     });
@@ -140,6 +200,25 @@ describe("get", function () {
   });
 });
 
+/************************************** getUnitPreference */
+
+describe("getUnitPreference", function () {
+  test("works", async function () {
+    expect(await User.getUnitPreference("u1")).toEqual("original");
+    await User.update("u1", { unitPreference: "imperial" });
+    expect(await User.getUnitPreference("u1")).toEqual("imperial");
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await User.getUnitPreference("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
 /************************************** update */
 
 describe("update", function () {
@@ -153,6 +232,8 @@ describe("update", function () {
     let user = await User.update("u1", updateData);
     expect(user).toEqual({
       username: "u1",
+      isAdmin: false,
+      unitPreference: "original",
       ...updateData,
     });
   });
@@ -166,12 +247,20 @@ describe("update", function () {
       firstName: "U1F",
       lastName: "U1L",
       email: "u1@email.com",
+      isAdmin: false,
+      unitPreference: "original",
     });
     const found = await db.query("SELECT * FROM users WHERE username = 'u1'");
     expect(found.rows.length).toEqual(1);
     expect(found.rows[0].password.startsWith("$2b$")).toEqual(true);
   });
 
+  test("works: changing email marks it unverified", async function () {
+    await User.markEmailVerified("u1");
+    await User.update("u1", { email: "new@email.com" });
+    expect(await User.isEmailVerified("u1")).toEqual(false);
+  });
+
   test("not found if no such user", async function () {
     try {
       await User.update("nope", {
@@ -194,6 +283,60 @@ describe("update", function () {
   });
 });
 
+/************************************** recordCredentialChange */
+
+describe("recordCredentialChange", function () {
+  test("works", async function () {
+    await User.recordCredentialChange("u1", "password", "u1", "1.2.3.4");
+    const found = await db.query(
+        "SELECT * FROM credential_changes WHERE username = 'u1'");
+    expect(found.rows).toEqual([
+      {
+        id: expect.any(Number),
+        username: "u1",
+        field: "password",
+        changed_by: "u1",
+        ip: "1.2.3.4",
+        changed_at: expect.any(Date),
+      },
+    ]);
+  });
+});
+
+/************************************** isEmailVerified / markEmailVerified */
+
+describe("isEmailVerified", function () {
+  test("works", async function () {
+    expect(await User.isEmailVerified("u1")).toEqual(false);
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await User.isEmailVerified("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+describe("markEmailVerified", function () {
+  test("works", async function () {
+    await User.markEmailVerified("u1");
+    expect(await User.isEmailVerified("u1")).toEqual(true);
+    expect(await User.isEmailVerified("u2")).toEqual(false);
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await User.markEmailVerified("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
 /************************************** remove */
 
 describe("remove", function () {
@@ -229,7 +372,8 @@ describe("getPersonalRecipes", function () {
         area: "P-A1",
         instructions: "P-Inst1",
         thumbnail: "http://P-M1.img",
-        ingredients: ["P-Ing1a", "P-Ing1b", "P-Ing1c"]
+        ingredients: ["P-Ing1a", "P-Ing1b", "P-Ing1c"],
+        servings: 4
       },
       {
         id: testPersonalMealIds[1],
@@ -238,7 +382,8 @@ describe("getPersonalRecipes", function () {
         area: "P-A2",
         instructions: "P-Inst2",
         thumbnail: "http://P-M2.img",
-        ingredients: ["P-Ing2a", "P-Ing2b", "P-Ing2c"]
+        ingredients: ["P-Ing2a", "P-Ing2b", "P-Ing2c"],
+        servings: 4
       },
       {
         id: testPersonalMealIds[2],
@@ -247,7 +392,8 @@ describe("getPersonalRecipes", function () {
         area: "P-A3",
         instructions: "P-Inst3",
         thumbnail: "http://P-M3.img",
-        ingredients: ["P-Ing3a", "P-Ing3b", "P-Ing3c"]
+        ingredients: ["P-Ing3a", "P-Ing3b", "P-Ing3c"],
+        servings: 4
       },
     ]);
 
@@ -260,7 +406,8 @@ describe("getPersonalRecipes", function () {
         glass: "P-G1",
         instructions: "P-Inst1",
         thumbnail: "http://P-D1.img",
-        ingredients: ["P-Ing1a", "P-Ing1b", "P-Ing1c"]
+        ingredients: ["P-Ing1a", "P-Ing1b", "P-Ing1c"],
+        servings: 1
       },
       {
         id: testPersonalDrinkIds[1],
@@ -270,7 +417,8 @@ describe("getPersonalRecipes", function () {
         glass: "P-G2",
         instructions: "P-Inst2",
         thumbnail: "http://P-D2.img",
-        ingredients: ["P-Ing2a", "P-Ing2b", "P-Ing2c"]
+        ingredients: ["P-Ing2a", "P-Ing2b", "P-Ing2c"],
+        servings: 1
       },
       {
         id: testPersonalDrinkIds[2],
@@ -280,7 +428,8 @@ describe("getPersonalRecipes", function () {
         glass: "P-G3",
         instructions: "P-Inst3",
         thumbnail: "http://P-D3.img",
-        ingredients: ["P-Ing3a", "P-Ing3b", "P-Ing3c"]
+        ingredients: ["P-Ing3a", "P-Ing3b", "P-Ing3c"],
+        servings: 1
       },
     ]);
   });
@@ -314,10 +463,22 @@ describe("createPersonalRecipe", function () {
     expect(personalMeal).toEqual({
       ...newPersonalMeal,
       id: expect.any(Number),
+      servings: 4,
+      structuredIngredients: [
+        { display: "New P-Ing1", quantity: null, quantityMax: null, unit: null, name: "new p-ing1", note: null },
+        { display: "New P-Ing1", quantity: null, quantityMax: null, unit: null, name: "new p-ing1", note: null },
+        { display: "New P-Ing1", quantity: null, quantityMax: null, unit: null, name: "new p-ing1", note: null },
+      ],
     });
     expect(personalDrink).toEqual({
       ...newPersonalDrink,
       id: expect.any(Number),
+      servings: 1,
+      structuredIngredients: [
+        { display: "New P-Ing1", quantity: null, quantityMax: null, unit: null, name: "new p-ing1", note: null },
+        { display: "New P-Ing1", quantity: null, quantityMax: null, unit: null, name: "new p-ing1", note: null },
+        { display: "New P-Ing1", quantity: null, quantityMax: null, unit: null, name: "new p-ing1", note: null },
+      ],
     });
   });
 });
@@ -336,7 +497,13 @@ describe("getPersonalRecipe", function () {
       area: "P-A1",
       instructions: "P-Inst1",
       thumbnail: "http://P-M1.img",
-      ingredients: ["P-Ing1a", "P-Ing1b", "P-Ing1c"]
+      ingredients: ["P-Ing1a", "P-Ing1b", "P-Ing1c"],
+      servings: 4,
+      structuredIngredients: [
+        { display: "P-Ing1a", quantity: null, quantityMax: null, unit: null, name: "p-ing1a", note: null },
+        { display: "P-Ing1b", quantity: null, quantityMax: null, unit: null, name: "p-ing1b", note: null },
+        { display: "P-Ing1c", quantity: null, quantityMax: null, unit: null, name: "p-ing1c", note: null },
+      ],
     });
 
     expect(personalDrink).toEqual({
@@ -347,7 +514,13 @@ describe("getPersonalRecipe", function () {
       glass: "P-G1",
       instructions: "P-Inst1",
       thumbnail: "http://P-D1.img",
-      ingredients: ["P-Ing1a", "P-Ing1b", "P-Ing1c"]
+      ingredients: ["P-Ing1a", "P-Ing1b", "P-Ing1c"],
+      servings: 1,
+      structuredIngredients: [
+        { display: "P-Ing1a", quantity: null, quantityMax: null, unit: null, name: "p-ing1a", note: null },
+        { display: "P-Ing1b", quantity: null, quantityMax: null, unit: null, name: "p-ing1b", note: null },
+        { display: "P-Ing1c", quantity: null, quantityMax: null, unit: null, name: "p-ing1c", note: null },
+      ],
     });
   });
 
@@ -379,7 +552,8 @@ describe("updatePersonalRecipe", function () {
     area: "New P-A",
     instructions: "New P-Inst",
     thumbnail: "http://New P-M.img",
-    ingredients: ["New P-Ing1", "New P-Ing1", "New P-Ing1"]
+    ingredients: ["New P-Ing1", "New P-Ing1", "New P-Ing1"],
+    servings: 6
   };
   let personalDrinkUpdate = {
     name: "New P-D",
@@ -388,7 +562,8 @@ describe("updatePersonalRecipe", function () {
     glass: "New P-G",
     instructions: "New P-Inst",
     thumbnail: "http://New P-D.img",
-    ingredients: ["New P-Ing1", "New P-Ing1", "New P-Ing1"]
+    ingredients: ["New P-Ing1", "New P-Ing1", "New P-Ing1"],
+    servings: 2
   };
 
   test("works", async function () {
@@ -398,10 +573,20 @@ describe("updatePersonalRecipe", function () {
     expect(personalMeal).toEqual({
       id: testPersonalMealIds[0],
       ...personalMealUpdate,
+      structuredIngredients: [
+        { display: "New P-Ing1", quantity: null, quantityMax: null, unit: null, name: "new p-ing1", note: null },
+        { display: "New P-Ing1", quantity: null, quantityMax: null, unit: null, name: "new p-ing1", note: null },
+        { display: "New P-Ing1", quantity: null, quantityMax: null, unit: null, name: "new p-ing1", note: null },
+      ],
     });
     expect(personalDrink).toEqual({
       id: testPersonalDrinkIds[0],
       ...personalDrinkUpdate,
+      structuredIngredients: [
+        { display: "New P-Ing1", quantity: null, quantityMax: null, unit: null, name: "new p-ing1", note: null },
+        { display: "New P-Ing1", quantity: null, quantityMax: null, unit: null, name: "new p-ing1", note: null },
+        { display: "New P-Ing1", quantity: null, quantityMax: null, unit: null, name: "new p-ing1", note: null },
+      ],
     });
   });
 
@@ -22,6 +22,11 @@ async function commonBeforeAll() {
   await db.query("DELETE FROM personal_meals");
   // noinspection SqlWithoutWhere
   await db.query("DELETE FROM personal_drinks");
+  // noinspection SqlWithoutWhere
+  await db.query("DELETE FROM revoked_tokens");
+  // noinspection SqlWithoutWhere
+  await db.query("DELETE FROM import_jobs");
+  await db.query("DELETE FROM deleted_catalog_recipes");
   
   //  Create meals 
   testMealIds[0] = (await Meal.create(
@@ -91,6 +96,7 @@ async function commonBeforeAll() {
     lastName: "U1L",
     email: "user1@user.com",
     password: "password1",
+    isAdmin: false,
   });
   await User.register({
     username: "u2",
@@ -98,6 +104,7 @@ async function commonBeforeAll() {
     lastName: "U2L",
     email: "user2@user.com",
     password: "password2",
+    isAdmin: false,
   });
   await User.register({
     username: "u3",
@@ -105,6 +112,16 @@ async function commonBeforeAll() {
     lastName: "U3L",
     email: "user3@user.com",
     password: "password3",
+    isAdmin: false,
+  });
+
+  await User.register({
+    username: "admin",
+    firstName: "AdminF",
+    lastName: "AdminL",
+    email: "admin@user.com",
+    password: "password-admin",
+    isAdmin: true,
   });
 
   await User.markFavMeal("u1", testMealIds[0]);
@@ -174,8 +191,9 @@ async function commonAfterAll() {
 }
 
 
-const u1Token = createToken({ username: "u1" });
-const u2Token = createToken({ username: "u2" });
+const u1Token = createToken({ username: "u1", isAdmin: false });
+const u2Token = createToken({ username: "u2", isAdmin: false });
+const adminToken = createToken({ username: "admin", isAdmin: true });
 
 
 module.exports = {
@@ -189,4 +207,5 @@ module.exports = {
   testPersonalDrinkIds,
   u1Token,
   u2Token,
+  adminToken,
 };
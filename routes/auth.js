@@ -5,17 +5,29 @@
 const jsonschema = require("jsonschema");
 
 const User = require("../models/user");
+const Token = require("../models/token");
+const LoginAttempt = require("../models/loginAttempt");
 const express = require("express");
 const router = express.Router();
 const { createToken } = require("../helpers/tokens");
+const { sendMail } = require("../helpers/mailer");
+const { passwordResetEmail, emailVerificationEmail } = require("../helpers/emails");
+const { ensureLoggedIn } = require("../middleware/auth");
 const userAuthSchema = require("../schemas/userAuth.json");
 const userRegisterSchema = require("../schemas/userRegister.json");
+const tokenRefreshSchema = require("../schemas/tokenRefresh.json");
+const passwordResetRequestSchema = require("../schemas/passwordResetRequest.json");
+const passwordResetConfirmSchema = require("../schemas/passwordResetConfirm.json");
 const { BadRequestError } = require("../expressError");
 
 
-/** POST /auth/token:  { username, password } => { token }
+/** POST /auth/token:  { username, password } => { token, refreshToken }
  *
- * Returns JWT token which can be used to authenticate further requests.
+ * Returns JWT token which can be used to authenticate further requests,
+ * and a refresh token which can be exchanged for a new one at /auth/refresh.
+ *
+ * After too many failed attempts for a username or from an IP address,
+ * responds with 429 (and a Retry-After header) until the lockout ends.
  *
  * Authorization required: none
  */
@@ -29,20 +41,24 @@ router.post("/token", async function (req, res, next) {
         }
 
         const { username, password } = req.body;
-        const user = await User.authenticate(username, password);
+        const user = await User.authenticate(username, password, req.ip);
         const token = createToken(user);
-        return res.json({ token });
+        const refreshToken = await Token.createRefreshToken(user.username);
+        return res.json({ token, refreshToken });
     } catch (err) {
         return next(err);
     }
 });
 
 
-/** POST /auth/register:   { user } => { token }
+/** POST /auth/register:   { user } => { token, refreshToken }
  *
  * user must include { username, password, firstName, lastName, email }
  *
- * Returns JWT token which can be used to authenticate further requests.
+ * Returns JWT token which can be used to authenticate further requests,
+ * and a refresh token which can be exchanged for a new one at /auth/refresh.
+ *
+ * Mails a link to /auth/verify/[token] to the new user's email address.
  *
  * Authorization required: none
  */
@@ -56,8 +72,170 @@ router.post("/register", async function (req, res, next) {
         }
 
         const newUser = await User.register({ ...req.body, isAdmin: false });
+        const verificationToken = await Token.createEmailVerificationToken(newUser.username);
+        await sendMail(emailVerificationEmail(newUser, verificationToken));
+
         const token = createToken(newUser);
-        return res.status(201).json({ token });
+        const refreshToken = await Token.createRefreshToken(newUser.username);
+        return res.status(201).json({ token, refreshToken });
+    } catch (err) {
+        return next(err);
+    }
+});
+
+
+/** POST /auth/refresh:   { refreshToken } => { token, refreshToken }
+ *
+ * Exchanges a refresh token for a new JWT token. The refresh token used is
+ * revoked, and a new one is returned in its place.
+ *
+ * Authorization required: none
+ */
+
+router.post("/refresh", async function (req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.body, tokenRefreshSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+
+        const user = await Token.useRefreshToken(req.body.refreshToken);
+        const token = createToken(user);
+        const refreshToken = await Token.createRefreshToken(user.username);
+        return res.json({ token, refreshToken });
+    } catch (err) {
+        return next(err);
+    }
+});
+
+
+/** POST /auth/logout:   { refreshToken } => { loggedOut: true }
+ *
+ * Revokes the refresh token. If the request also carries a JWT token, that
+ * token is revoked as well, so it can't be used until it would have expired.
+ *
+ * Authorization required: none
+ */
+
+router.post("/logout", async function (req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.body, tokenRefreshSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+
+        await Token.revokeRefreshToken(req.body.refreshToken);
+
+        const user = res.locals.user;
+        if (user) await Token.revokeAccessToken(user.jti, user.exp);
+
+        return res.json({ loggedOut: true });
+    } catch (err) {
+        return next(err);
+    }
+});
+
+
+
+/** GET /auth/verify/[token] => { verified: true }
+ *
+ * Marks the email address of the user the token was issued to as verified.
+ *
+ * Authorization required: none
+ */
+
+router.get("/verify/:token", async function (req, res, next) {
+    try {
+        const username = await Token.useEmailVerificationToken(req.params.token);
+        await User.markEmailVerified(username);
+        return res.json({ verified: true });
+    } catch (err) {
+        return next(err);
+    }
+});
+
+
+/** POST /auth/verify/resend => { sent: true }
+ *
+ * Mails a new verification link to the logged in user.
+ *
+ * Throws BadRequestError if their email address is already verified.
+ *
+ * Authorization required: logged in
+ */
+
+router.post("/verify/resend", ensureLoggedIn, async function (req, res, next) {
+    try {
+        const user = await User.get(res.locals.user.username);
+        if (user.emailVerified) throw new BadRequestError("Email already verified");
+
+        const verificationToken = await Token.createEmailVerificationToken(user.username);
+        await sendMail(emailVerificationEmail(user, verificationToken));
+
+        return res.json({ sent: true });
+    } catch (err) {
+        return next(err);
+    }
+});
+
+
+/** POST /auth/password-reset/request:   { email } => { requested: true }
+ *
+ * Mails a single-use password reset token to every account registered with
+ * that email. The response is the same whether or not any account matched,
+ * so it can't be used to find out which emails are registered.
+ *
+ * Authorization required: none
+ */
+
+router.post("/password-reset/request", async function (req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.body, passwordResetRequestSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+
+        const users = await User.findByEmail(req.body.email);
+
+        for (const user of users) {
+            const resetToken = await Token.createPasswordResetToken(user.username);
+            await sendMail(passwordResetEmail(user, resetToken));
+        }
+
+        return res.json({ requested: true });
+    } catch (err) {
+        return next(err);
+    }
+});
+
+
+/** POST /auth/password-reset/confirm:   { token, password } => { passwordReset: true }
+ *
+ * Sets a new password using a token from /auth/password-reset/request.
+ * The token can only be used once, and every session of the user is revoked,
+ * so they have to log in again. Any lockout
+ * from failed logins is lifted.
+ *
+ * Authorization required: none
+ */
+
+router.post("/password-reset/confirm", async function (req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.body, passwordResetConfirmSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+
+        const username = await Token.usePasswordResetToken(req.body.token);
+        await User.update(username, { password: req.body.password });
+        await Token.revokeAllSessions(username);
+        await LoginAttempt.unlock(username);
+
+        return res.json({ passwordReset: true });
     } catch (err) {
         return next(err);
     }
@@ -3,12 +3,16 @@
 const request = require("supertest");
 
 const app = require("../app");
+const User = require("../models/user");
+const { LOGIN_MAX_ATTEMPTS } = require("../config");
+const { setTransport } = require("../helpers/mailer");
 
 const {
   commonBeforeAll,
   commonBeforeEach,
   commonAfterEach,
   commonAfterAll,
+  u1Token,
 } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
@@ -16,6 +20,28 @@ beforeEach(commonBeforeEach);
 afterEach(commonAfterEach);
 afterAll(commonAfterAll);
 
+// capture outgoing mail instead of writing it out
+const sentMail = [];
+setTransport({ async send(message) { sentMail.push(message); } });
+beforeEach(function () {
+  sentMail.length = 0;
+});
+
+/** Return the verification token from the last verification link mailed. */
+function lastVerificationToken() {
+  const text = sentMail[sentMail.length - 1].text;
+  return text.match(/\/auth\/verify\/([0-9a-f]{64})/)[1];
+}
+
+/** Request a password reset for email, and return the token that was mailed. */
+async function requestResetToken(email) {
+  await request(app)
+      .post("/auth/password-reset/request")
+      .send({ email });
+  const match = sentMail[sentMail.length - 1].text.match(/: ([0-9a-f]{64})/);
+  return match[1];
+}
+
 /************************************** POST /auth/token */
 
 describe("POST /auth/token", function () {
@@ -28,6 +54,7 @@ describe("POST /auth/token", function () {
         });
     expect(resp.body).toEqual({
       "token": expect.any(String),
+      "refreshToken": expect.any(String),
     });
   });
 
@@ -51,6 +78,25 @@ describe("POST /auth/token", function () {
     expect(resp.statusCode).toEqual(401);
   });
 
+  test("too many requests after repeated wrong passwords", async function () {
+    for (let i = 0; i < LOGIN_MAX_ATTEMPTS; i++) {
+      await request(app)
+          .post("/auth/token")
+          .send({
+            username: "u1",
+            password: "nope",
+          });
+    }
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({
+          username: "u1",
+          password: "password1",
+        });
+    expect(resp.statusCode).toEqual(429);
+    expect(+resp.headers["retry-after"]).toBeGreaterThan(0);
+  });
+
   test("bad request with missing data", async function () {
     const resp = await request(app)
         .post("/auth/token")
@@ -87,6 +133,26 @@ describe("POST /auth/register", function () {
     expect(resp.statusCode).toEqual(201);
     expect(resp.body).toEqual({
       "token": expect.any(String),
+      "refreshToken": expect.any(String),
+    });
+  });
+
+  test("mails a verification link", async function () {
+    await request(app)
+        .post("/auth/register")
+        .send({
+          username: "new",
+          firstName: "first",
+          lastName: "last",
+          password: "password",
+          email: "new@email.com",
+        });
+    expect(sentMail.length).toEqual(1);
+    expect(sentMail[0]).toEqual({
+      from: expect.any(String),
+      to: "new@email.com",
+      subject: expect.any(String),
+      text: expect.stringMatching(/\/auth\/verify\/[0-9a-f]{64}/),
     });
   });
 
@@ -112,3 +178,243 @@ describe("POST /auth/register", function () {
     expect(resp.statusCode).toEqual(400);
   });
 });
+
+/************************************** POST /auth/refresh */
+
+describe("POST /auth/refresh", function () {
+  test("works", async function () {
+    const loginResp = await request(app)
+        .post("/auth/token")
+        .send({
+          username: "u1",
+          password: "password1",
+        });
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({
+          refreshToken: loginResp.body.refreshToken,
+        });
+    expect(resp.body).toEqual({
+      "token": expect.any(String),
+      "refreshToken": expect.any(String),
+    });
+    expect(resp.body.refreshToken).not.toEqual(loginResp.body.refreshToken);
+  });
+
+  test("unauth if refresh token already used", async function () {
+    const loginResp = await request(app)
+        .post("/auth/token")
+        .send({
+          username: "u1",
+          password: "password1",
+        });
+    await request(app)
+        .post("/auth/refresh")
+        .send({
+          refreshToken: loginResp.body.refreshToken,
+        });
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({
+          refreshToken: loginResp.body.refreshToken,
+        });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth with invalid refresh token", async function () {
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({
+          refreshToken: "nope",
+        });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with missing data", async function () {
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({});
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /auth/logout */
+
+describe("POST /auth/logout", function () {
+  test("works", async function () {
+    const loginResp = await request(app)
+        .post("/auth/token")
+        .send({
+          username: "u1",
+          password: "password1",
+        });
+    const { token, refreshToken } = loginResp.body;
+
+    const resp = await request(app)
+        .post("/auth/logout")
+        .send({ refreshToken })
+        .set("authorization", `Bearer ${token}`);
+    expect(resp.body).toEqual({ loggedOut: true });
+
+    const refreshResp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+    expect(refreshResp.statusCode).toEqual(401);
+
+    const userResp = await request(app)
+        .get("/users/u1")
+        .set("authorization", `Bearer ${token}`);
+    expect(userResp.statusCode).toEqual(401);
+  });
+
+  test("works without a token", async function () {
+    const resp = await request(app)
+        .post("/auth/logout")
+        .send({ refreshToken: "nope" });
+    expect(resp.body).toEqual({ loggedOut: true });
+  });
+
+  test("bad request with missing data", async function () {
+    const resp = await request(app)
+        .post("/auth/logout")
+        .send({});
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /auth/password-reset/request */
+
+describe("POST /auth/password-reset/request", function () {
+  test("works", async function () {
+    const resp = await request(app)
+        .post("/auth/password-reset/request")
+        .send({ email: "user1@user.com" });
+    expect(resp.body).toEqual({ requested: true });
+    expect(sentMail.length).toEqual(1);
+    expect(sentMail[0]).toEqual({
+      from: expect.any(String),
+      to: "user1@user.com",
+      subject: expect.any(String),
+      text: expect.stringContaining("u1"),
+    });
+  });
+
+  test("same response for unknown email, and no mail sent", async function () {
+    const resp = await request(app)
+        .post("/auth/password-reset/request")
+        .send({ email: "nope@user.com" });
+    expect(resp.body).toEqual({ requested: true });
+    expect(sentMail.length).toEqual(0);
+  });
+
+  test("bad request with invalid data", async function () {
+    const resp = await request(app)
+        .post("/auth/password-reset/request")
+        .send({ email: "not-an-email" });
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /auth/password-reset/confirm */
+
+describe("POST /auth/password-reset/confirm", function () {
+  test("works", async function () {
+    const token = await requestResetToken("user1@user.com");
+    const resp = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token, password: "new-password" });
+    expect(resp.body).toEqual({ passwordReset: true });
+    const user = await User.authenticate("u1", "new-password");
+    expect(user.username).toEqual("u1");
+  });
+
+  test("revokes existing refresh tokens", async function () {
+    const loginResp = await request(app)
+        .post("/auth/token")
+        .send({
+          username: "u1",
+          password: "password1",
+        });
+    const token = await requestResetToken("user1@user.com");
+    await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token, password: "new-password" });
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: loginResp.body.refreshToken });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request if token already used", async function () {
+    const token = await requestResetToken("user1@user.com");
+    await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token, password: "new-password" });
+    const resp = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token, password: "other-password" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with invalid token", async function () {
+    const resp = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token: "nope", password: "new-password" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with invalid password", async function () {
+    const token = await requestResetToken("user1@user.com");
+    const resp = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token, password: "abc" });
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** GET /auth/verify/:token */
+
+describe("GET /auth/verify/:token", function () {
+  test("works", async function () {
+    await request(app)
+        .post("/auth/verify/resend")
+        .set("authorization", `Bearer ${u1Token}`);
+    const resp = await request(app)
+        .get(`/auth/verify/${lastVerificationToken()}`);
+    expect(resp.body).toEqual({ verified: true });
+    expect(await User.isEmailVerified("u1")).toEqual(true);
+  });
+
+  test("bad request with invalid token", async function () {
+    const resp = await request(app)
+        .get("/auth/verify/nope");
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /auth/verify/resend */
+
+describe("POST /auth/verify/resend", function () {
+  test("works", async function () {
+    const resp = await request(app)
+        .post("/auth/verify/resend")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ sent: true });
+    expect(sentMail.length).toEqual(1);
+    expect(sentMail[0].to).toEqual("user1@user.com");
+  });
+
+  test("bad request if already verified", async function () {
+    await User.markEmailVerified("u1");
+    const resp = await request(app)
+        .post("/auth/verify/resend")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .post("/auth/verify/resend");
+    expect(resp.statusCode).toEqual(401);
+  });
+});
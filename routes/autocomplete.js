@@ -0,0 +1,50 @@
+"use strict";
+
+const jsonschema = require("jsonschema");
+const express = require("express");
+
+const { BadRequestError } = require("../expressError");
+const Autocomplete = require("../models/autocomplete");
+const autocompleteSchema = require("../schemas/autocomplete.json");
+
+const router = express.Router();
+
+
+/** GET /?q=&type=  =>  { suggestions: [ suggestion, ... ] }
+ *
+ * Type-ahead suggestions for the text typed so far (q). Tolerates typos:
+ * "margarta" finds Margarita.
+ *
+ * type is what to suggest:
+ * - meals or drinks: { id, name, thumbnail, popularity }
+ * - ingredients: { name, popularity }
+ * - categories: { type, name, popularity } (type is "meals" or "drinks")
+ *
+ * A name that is q comes first, then names starting with q, then the most
+ * similar, then the most popular (by favorites, or for ingredients and
+ * categories, by recipes).
+ *
+ * Can be given:
+ * - limit: most suggestions to return (default 10, at most 20)
+ *
+ * Authorization required: none
+ */
+
+router.get("/", async (req, res, next) => {
+    try {
+        const validator = jsonschema.validate(req.query, autocompleteSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+
+        const { q, type, limit } = req.query;
+        const suggestions = await Autocomplete.suggest(q, { type, limit: limit && +limit });
+        return res.json({ suggestions });
+    } catch (err) {
+        return next(err);
+    }
+});
+
+
+module.exports = router;
@@ -0,0 +1,66 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testMealIds,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** GET /autocomplete */
+
+describe("GET /autocomplete", function () {
+  test("works for anon", async function () {
+    const resp = await request(app).get("/autocomplete").query({ q: "M1", type: "meals" });
+    expect(resp.body).toEqual({
+      suggestions: [
+        { id: testMealIds[0], name: "M1", thumbnail: "http://M1.img", popularity: 1 },
+      ],
+    });
+  });
+
+  test("works: ingredients", async function () {
+    const resp = await request(app)
+        .get("/autocomplete")
+        .query({ q: "ing1", type: "ingredients", limit: "2" });
+    expect(resp.body).toEqual({
+      suggestions: [
+        { name: "ing1a", popularity: 2 },
+        { name: "ing1b", popularity: 2 },
+      ],
+    });
+  });
+
+  test("works: categories", async function () {
+    const resp = await request(app).get("/autocomplete").query({ q: "cat2", type: "categories" });
+    const { suggestions } = resp.body;
+    expect(suggestions.slice(0, 2)).toEqual(expect.arrayContaining([
+      { type: "drinks", name: "Cat2", popularity: 1 },
+      { type: "meals", name: "Cat2", popularity: 1 },
+    ]));
+    // similar names follow
+    expect(suggestions.slice(2).map(s => s.name).sort()).toEqual(["Cat1", "Cat1", "Cat3", "Cat3"]);
+  });
+
+  test("bad request without a type", async function () {
+    const resp = await request(app).get("/autocomplete").query({ q: "M1" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with invalid params", async function () {
+    const resp = await request(app)
+        .get("/autocomplete")
+        .query({ q: "M1", type: "glasses", limit: "50" });
+    expect(resp.statusCode).toEqual(400);
+  });
+});
@@ -2,55 +2,38 @@
 
 const jsonschema = require("jsonschema");
 const express = require("express");
-const axios = require("axios");
 
 const { BadRequestError, NotFoundError } = require("../expressError");
-const { makeDrinkObj } = require("../helpers/helperFunctions");
-const { ensureLoggedIn } = require("../middleware/auth");
+const { paginationLinks } = require("../helpers/pagination");
+const { scaleRecipe } = require("../helpers/scaling");
+const { convertRecipe } = require("../helpers/units");
+const { normalizeLanguage, translateRecipe } = require("../helpers/languages");
+const { ensureAdmin, ensureLoggedIn, ensureVerifiedEmail } = require("../middleware/auth");
 const Drink = require("../models/drink");
+const Pairing = require("../models/pairing");
+const RecipeTranslation = require("../models/recipeTranslation");
+const User = require("../models/user");
 const drinkNewSchema = require("../schemas/drinkNew.json");
 const drinkUpdateSchema = require("../schemas/drinkUpdate.json");
 const drinkSearchSchema = require("../schemas/drinkSearch.json");
-
-const { DRINK_BASE_URL } = require("../config");
+const drinkRandomSchema = require("../schemas/drinkRandom.json");
+const pairingSearchSchema = require("../schemas/pairingSearch.json");
+const recipeViewSchema = require("../schemas/recipeView.json");
+const translationSchema = require("../schemas/translation.json");
 
 const router = express.Router();
 
 
-router.get("/dump", async (req, res, next) => {
-    try {
-        const letters = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h', 'i', 'j', 'k', 'l', 'm', 'n', 'o', 'p', 'q', 'r', 's', 't', 'u', 'v', 'w', 'x', 'y', 'z'];
-        
-        const requests = letters.map(async letter => {
-            const response = await axios.get(`${DRINK_BASE_URL}/search.php?f=${letter}`);
-            const drinks = response.data.drinks;
-            if (drinks !== null) {
-                return drinks.map(drink => makeDrinkObj(drink));
-            }
-            return [];
-        });
-
-        const drinksArrays = await Promise.all(requests);
-        const allDrinks = [].concat(...drinksArrays);
-
-        Drink.dumpData(allDrinks);
-
-        return res.json({ allDrinks });
-    } catch (err) {
-        return next(err);
-    }
-});
-
 /** POST / { drink } => { drink }
  *
- * drink should be { name, category, type, glass, instructions, thumbnail, ingredients }
+ * drink should be { name, category, type, glass, instructions, thumbnail, ingredients, servings }
  *
- * Returns { id, name, category, type, glass, instructions, thumbnail, ingredients }
+ * Returns { id, name, category, type, glass, instructions, thumbnail, ingredients, servings, structuredIngredients }
  *
- * Authorization required: logged in
+ * Authorization required: admin
  */
 
-router.post("/", ensureLoggedIn, async (req, res, next) => {
+router.post("/", ensureAdmin, async (req, res, next) => {
     try {
         const validator = jsonschema.validate(req.body, drinkNewSchema);
         if (!validator.valid) {
@@ -66,12 +49,34 @@ router.post("/", ensureLoggedIn, async (req, res, next) => {
 });
 
 /** GET /  =>
- *    { drinks: [ { id, name, category, type, glass, instructions, thumbnail, ingredients }, ...] }
+ *    { drinks: [ { id, name, category, type, glass, instructions, thumbnail, ingredients, servings, language, languages }, ...],
+ *      pagination: { total, limit, nextCursor, prevCursor, next, prev },
+ *      facets }
  * 
  * Can filter based on provided search filters:
  * - name
  * - category
  * - type
+ * - glass
+ * - nonAlcoholic: true for only non-alcoholic drinks
+ * - ingredient (repeatable)
+ * - excludeIngredient (repeatable)
+ * - ingredientMatch: "all" (default) or "any" of the ingredients
+ *
+ * With facets=true, facets counts the drinks matching the filters by
+ * category, type, glass and ingredient, for showing filters with counts:
+ *   { category: [ { value, count }, ...], ... } (most common first)
+ *
+ * Can page and sort with:
+ * - sort: name, category, type or id (prefix with "-" for descending order)
+ * - limit: page size (default 50, at most 100)
+ * - offset: number of drinks to skip
+ * - cursor: a nextCursor/prevCursor from a previous page (instead of offset)
+ *
+ * next and prev are links to the next and previous pages (null if none).
+ *
+ * Instructions are in the language asked for by ?lang= or the
+ * Accept-Language header, where there's a translation (see GET /[drinkId]).
  */ 
 
 router.get("/", async (req, res, next) => {
@@ -83,8 +88,71 @@ router.get("/", async (req, res, next) => {
             const errs = validator.errors.map(e => e.stack);
             throw new BadRequestError(errs);
         }
-        const drinks = await Drink.findAll(q);
-        return res.json({ drinks });
+        const { drinks, pagination, facets } =
+            await Drink.findAll({
+                ...q,
+                facets: q.facets === "true",
+                nonAlcoholic: q.nonAlcoholic === "true",
+            });
+        const links = paginationLinks(req.baseUrl, q, pagination);
+
+        const translations = await RecipeTranslation.getForMany("drinks", drinks.map(r => r.id));
+        const asked = q.lang || req.get("Accept-Language");
+        res.vary("Accept-Language");
+        return res.json({
+            drinks: drinks.map(r => translateRecipe(r, translations[r.id] || {}, asked)),
+            pagination: { ...pagination, ...links },
+            ...(facets && { facets }),
+        });
+    } catch (err) {
+        return next(err);
+    }
+});
+
+/** GET /random =>
+ *    { drinks: [ { id, name, category, type, glass, instructions, thumbnail, ingredients, servings, language, languages }, ...] }
+ *
+ * Picks drinks at random, for discovery. Can filter like GET /:
+ * - name
+ * - category
+ * - type
+ * - glass
+ * - nonAlcoholic: true for only non-alcoholic drinks
+ * - ingredient (repeatable)
+ * - excludeIngredient (repeatable)
+ * - ingredientMatch: "all" (default) or "any" of the ingredients
+ *
+ * and with:
+ * - count: how many drinks to pick (default 1, at most 20)
+ *
+ * Leaves out the drinks the logged-in user has favorited. Returns fewer
+ * drinks (or none) if fewer match.
+ *
+ * Authorization required: none
+ */
+
+router.get("/random", async (req, res, next) => {
+    const q = req.query;
+
+    try {
+        const validator = jsonschema.validate(q, drinkRandomSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+        const filters = { ...q, nonAlcoholic: q.nonAlcoholic === "true" };
+        const user = res.locals.user;
+        const drinks = await Drink.random(filters, {
+            count: q.count && +q.count,
+            username: user && user.username,
+        });
+
+        const translations = await RecipeTranslation.getForMany("drinks", drinks.map(r => r.id));
+        const asked = q.lang || req.get("Accept-Language");
+        res.vary("Accept-Language");
+        return res.json({
+            drinks: drinks.map(r => translateRecipe(r, translations[r.id] || {}, asked)),
+        });
     } catch (err) {
         return next(err);
     }
@@ -105,16 +173,70 @@ router.get("/categories", async (req, res, next) => {
     }
 });
 
+/** GET /glasses => 
+ *    { glasses: [ { glass, count }, ...] }
+ * 
+ * Authorization required: none
+ */ 
+
+router.get("/glasses", async (req, res, next) => {
+    try {
+        const glasses = await Drink.getGlasses();
+        return res.json({ glasses });
+    } catch (err) {
+        return next(err);
+    }
+});
+
 /** GET /[drinkId] => { drink }
  *
- * Returns { id, name, category, type, glass, instructions, thumbnail, ingredients }
+ * Returns { id, name, category, type, glass, instructions, thumbnail, ingredients, servings, externalId, sourceUrl, videoUrl,
+ *           tags, imageSource, imageAttribution, creativeCommonsConfirmed, structuredIngredients,
+ *           language, languages }
+ *   where ingredients are display strings, like "1 1/2 cups Rice", and
+ *   structuredIngredients are the same split into parts:
+ *   [ { display, quantity, quantityMax, unit, name, note }, ... ]
+ *
+ * Can be given:
+ * - servings: scale the ingredients to make this many servings (1 to 100)
+ * - units: "metric", "imperial" or "original" to convert the ingredients'
+ *   volumes and weights, and the temperatures in the instructions, to
+ *   (default the logged in user's unitPreference, or "original")
+ * - lang: the language for the instructions, where there's a translation
+ *   (default the best for the Accept-Language header, or "en")
+ *
+ * language is the language the instructions are in, and languages are all
+ * the languages there are instructions in.
  *
  * Authorization required: none
  */
 
 router.get("/:id", async (req, res, next) => {
     try {
-        const drink = await Drink.get(req.params.id);
+        const validator = jsonschema.validate(req.query, recipeViewSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+
+        let drink = await Drink.get(req.params.id);
+        const translations = await RecipeTranslation.getForMany("drinks", [drink.id]);
+        drink = translateRecipe(drink, translations[drink.id] || {},
+            req.query.lang || req.get("Accept-Language"));
+        if (req.query.servings) drink = scaleRecipe(drink, +req.query.servings);
+
+        let units = req.query.units || "original";
+        if (!req.query.units && res.locals.user) {
+            // a token can outlive its user, who then just gets the original units
+            try {
+                units = await User.getUnitPreference(res.locals.user.username);
+            } catch (err) {
+                if (!(err instanceof NotFoundError)) throw err;
+            }
+        }
+        drink = convertRecipe(drink, units, { fluidOunces: true });
+        res.vary("Accept-Language");
+        res.set("Content-Language", drink.language);
         return res.json({ drink });
     } catch (err) {
         return next(err);
@@ -123,14 +245,15 @@ router.get("/:id", async (req, res, next) => {
 
 /** PATCH /[drinkId]  { fld1, fld2, ... } => { drink }
  *
- * Data can include: { name, category, type, glass, instructions, thumbnail, ingredients }
+ * Data can include: { name, category, type, glass, instructions, thumbnail, ingredients, servings }
  *
- * Returns { id, name, category, type, glass, instructions, thumbnail, ingredients }
+ * Returns { id, name, category, type, glass, instructions, thumbnail, ingredients, servings, externalId, sourceUrl, videoUrl,
+ *           tags, imageSource, imageAttribution, creativeCommonsConfirmed, structuredIngredients }
  *
- * Authorization required: logged in
+ * Authorization required: admin
  */
 
-router.patch("/:id", ensureLoggedIn, async (req, res, next) => {
+router.patch("/:id", ensureAdmin, async (req, res, next) => {
     try {
         const validator = jsonschema.validate(req.body, drinkUpdateSchema);
         if (!validator.valid) {
@@ -145,12 +268,134 @@ router.patch("/:id", ensureLoggedIn, async (req, res, next) => {
     }
 });
   
+/** GET /[drinkId]/translations => { translations: [ { language, instructions, contributedBy }, ... ] }
+ *
+ * The translations of a drink's instructions, by language tag (like "de"
+ * or "zh-hans"). contributedBy is the user who contributed one (null for
+ * ones from TheCocktailDB).
+ *
+ * Authorization required: none
+ */
+
+router.get("/:id/translations", async (req, res, next) => {
+    try {
+        await Drink.get(req.params.id);
+        const translations = await RecipeTranslation.getFor("drinks", req.params.id);
+        return res.json({ translations });
+    } catch (err) {
+        return next(err);
+    }
+});
+
+/** PUT /[drinkId]/translations/[language]  { instructions } => { translation }
+ *
+ * Contribute a translation of a drink's instructions, adding or replacing
+ * the one in that language. Only whoever contributed a translation, or an
+ * admin, can replace it.
+ *
+ * Returns { language, instructions, contributedBy }
+ *
+ * Authorization required: logged in (with a verified email, if required)
+ */
+
+router.put("/:id/translations/:language", ensureLoggedIn, ensureVerifiedEmail, async (req, res, next) => {
+    try {
+        const validator = jsonschema.validate(req.body, translationSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+
+        const language = normalizeLanguage(req.params.language);
+        const translation = await RecipeTranslation.set(
+            "drinks", req.params.id, language, req.body.instructions, res.locals.user.username,
+            { replaceAny: res.locals.user.isAdmin });
+        return res.json({ translation });
+    } catch (err) {
+        return next(err);
+    }
+});
+
+/** DELETE /[drinkId]/translations/[language]  =>  { deleted: language }
+ *
+ * Authorization required: admin
+ */
+
+router.delete("/:id/translations/:language", ensureAdmin, async (req, res, next) => {
+    try {
+        const language = normalizeLanguage(req.params.language);
+        await RecipeTranslation.remove("drinks", req.params.id, language);
+        return res.json({ deleted: language });
+    } catch (err) {
+        return next(err);
+    }
+});
+  
+/** GET /[drinkId]/pairings => { pairings: [ { id, name, category, thumbnail, pinned, score, reasons }, ... ] }
+ *
+ * The meals that go with a drink, best first: ones pinned by an admin, then
+ * ones suggested from the meal's area and category, shared ingredients and
+ * how many users favorited both. reasons say why, like "Has tequila, for
+ * Mexican food".
+ *
+ * Can be given:
+ * - limit: most pairings to return (default 10, at most 50)
+ *
+ * Authorization required: none
+ */
+
+router.get("/:id/pairings", async (req, res, next) => {
+    try {
+        const validator = jsonschema.validate(req.query, pairingSearchSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+
+        const { limit } = req.query;
+        const pairings = await Pairing.forDrink(req.params.id, { limit: limit && +limit });
+        return res.json({ pairings });
+    } catch (err) {
+        return next(err);
+    }
+});
+
+/** POST /[drinkId]/pairings/[mealId]  =>  { pinned: { mealId, drinkId } }
+ *
+ * Pin a meal as a pairing for a drink, so it comes first in both's pairings.
+ *
+ * Authorization required: admin
+ */
+
+router.post("/:id/pairings/:mealId", ensureAdmin, async (req, res, next) => {
+    try {
+        const pinned = await Pairing.pin(req.params.mealId, req.params.id, res.locals.user.username);
+        return res.status(201).json({ pinned });
+    } catch (err) {
+        return next(err);
+    }
+});
+
+/** DELETE /[drinkId]/pairings/[mealId]  =>  { unpinned: { mealId, drinkId } }
+ *
+ * Authorization required: admin
+ */
+
+router.delete("/:id/pairings/:mealId", ensureAdmin, async (req, res, next) => {
+    try {
+        const unpinned = await Pairing.unpin(req.params.mealId, req.params.id);
+        return res.json({ unpinned });
+    } catch (err) {
+        return next(err);
+    }
+});
+  
 /** DELETE /[id]  =>  { deleted: id }
  *
- * Authorization required: logged in
+ * Authorization required: admin
  */
   
-router.delete("/:id", ensureLoggedIn, async (req, res, next) => {
+router.delete("/:id", ensureAdmin, async (req, res, next) => {
     try {
         await Drink.remove(req.params.id);
         return res.json({ deleted: +req.params.id });
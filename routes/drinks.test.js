@@ -10,9 +10,14 @@ const {
   commonAfterEach,
   commonAfterAll,
   testDrinkIds,
+  testMealIds,
   u1Token,
+  u2Token,
+  adminToken,
 } = require("./_testCommon");
 const { BadRequestError } = require("../expressError");
+const RecipeTranslation = require("../models/recipeTranslation");
+const Pairing = require("../models/pairing");
 
 beforeAll(commonBeforeAll);
 beforeEach(commonBeforeEach);
@@ -22,7 +27,7 @@ afterAll(commonAfterAll);
 /************************************** POST /drinks */
 
 describe("POST /drinks", function () {
-  test("ok if logged in", async function () {
+  test("ok for admin", async function () {
     const resp = await request(app)
         .post(`/drinks`)
         .send({
@@ -34,7 +39,7 @@ describe("POST /drinks", function () {
             thumbnail: "http://NewDrink.img",
             ingredients: ["New Ing 1", "New Ing 2", "New Ing 3"],
         })
-        .set("authorization", `Bearer ${u1Token}`);
+        .set("authorization", `Bearer ${adminToken}`);
     expect(resp.statusCode).toEqual(201);
     expect(resp.body).toEqual({
       drink: {
@@ -46,6 +51,8 @@ describe("POST /drinks", function () {
         instructions: "New Inst",
         thumbnail: "http://NewDrink.img",
         ingredients: ["New Ing 1", "New Ing 2", "New Ing 3"],
+        servings: 1,
+        structuredIngredients: expect.any(Array),
       },
     });
   });
@@ -65,13 +72,29 @@ describe("POST /drinks", function () {
     expect(resp.statusCode).toEqual(401);
   });
 
+  test("unauth for non-admin user", async function () {
+    const resp = await request(app)
+        .post(`/drinks`)
+        .send({
+            name: "New Drink",
+            category: "New Cat",
+            type: "New Type",
+            glass: "New Glass",
+            instructions: "New Inst",
+            thumbnail: "http://NewDrink.img",
+            ingredients: ["New Ing 1", "New Ing 2", "New Ing 3"],
+        })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
   test("bad request with missing data", async function () {
     const resp = await request(app)
         .post(`/drinks`)
         .send({
           name: "test",
         })
-        .set("authorization", `Bearer ${u1Token}`);
+        .set("authorization", `Bearer ${adminToken}`);
     expect(resp.statusCode).toEqual(400);
   });
 
@@ -87,7 +110,7 @@ describe("POST /drinks", function () {
             thumbnail: "http://NewDrink.img",
             ingredients: ["New Ing 1", "New Ing 2", "New Ing 3"],
         })
-        .set("authorization", `Bearer ${u1Token}`);
+        .set("authorization", `Bearer ${adminToken}`);
     expect(resp.statusCode).toEqual(400);
   });
 });
@@ -95,6 +118,17 @@ describe("POST /drinks", function () {
 /************************************** GET /drinks */
 
 describe("GET /drinks", function () {
+  test("works: in the language asked for", async function () {
+    await RecipeTranslation.setUpstream("drinks", testDrinkIds[1], { de: "Anleitung 2" });
+    const resp = await request(app).get(`/drinks?lang=de`);
+    expect(resp.body.drinks.map(r => [r.instructions, r.language])).toEqual([
+      ["Inst1", "en"],
+      ["Anleitung 2", "de"],
+      ["Inst3", "en"],
+    ]);
+    expect(resp.body.pagination.next).toEqual(null);
+  });
+
   test("ok for anon", async function () {
     const resp = await request(app).get(`/drinks`);
     expect(resp.body).toEqual({
@@ -108,6 +142,9 @@ describe("GET /drinks", function () {
               instructions: "Inst1",
               thumbnail: "http://D1.img",
               ingredients: ["Ing1a", "Ing1b", "Ing1c"],
+              servings: 1,
+              language: "en",
+              languages: ["en"],
             },
             {
               id: expect.any(Number),
@@ -118,6 +155,9 @@ describe("GET /drinks", function () {
               instructions: "Inst2",
               thumbnail: "http://D2.img",
               ingredients: ["Ing2a", "Ing2b", "Ing2c"],
+              servings: 1,
+              language: "en",
+              languages: ["en"],
             },
             {
               id: expect.any(Number),
@@ -128,8 +168,12 @@ describe("GET /drinks", function () {
               instructions: "Inst3",
               thumbnail: "http://D3.img",
               ingredients: ["Ing3a", "Ing3b", "Ing3c"],
+              servings: 1,
+              language: "en",
+              languages: ["en"],
             },
           ],
+          pagination: expect.any(Object),
         },
     );
   });
@@ -149,8 +193,12 @@ describe("GET /drinks", function () {
               instructions: "Inst1",
               thumbnail: "http://D1.img",
               ingredients: ["Ing1a", "Ing1b", "Ing1c"],
+              servings: 1,
+              language: "en",
+              languages: ["en"],
             },
           ],
+          pagination: expect.any(Object),
         },
     );
   });
@@ -161,6 +209,128 @@ describe("GET /drinks", function () {
         .query({ nope: "nope" });
     expect(resp.statusCode).toEqual(400);
   });
+
+  test("bad request on an offset too large", async function () {
+    const resp = await request(app)
+        .get(`/drinks`)
+        .query({ offset: "99999999999999999999" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("works: filtering by ingredients", async function () {
+    const resp = await request(app)
+        .get(`/drinks?ingredient=Ing1a&ingredient=Ing2a&ingredientMatch=any&excludeIngredient=Ing2b`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.drinks.map(d => d.name)).toEqual(["D1"]);
+  });
+
+  test("bad request on invalid ingredient filters", async function () {
+    for (const query of [
+      { ingredient: "" },
+      { ingredient: " " },
+      { excludeIngredient: ["Ing1a", " "] },
+      { ingredientMatch: "some" },
+    ]) {
+      const resp = await request(app)
+          .get(`/drinks`)
+          .query(query);
+      expect(resp.statusCode).toEqual(400);
+    }
+  });
+
+  test("works: pagination", async function () {
+    const resp = await request(app)
+        .get(`/drinks`)
+        .query({ sort: "-name", limit: 2 });
+    expect(resp.body.drinks.map(d => d.name)).toEqual(["D3", "D2"]);
+    expect(resp.body.pagination).toEqual({
+      total: 3,
+      limit: 2,
+      nextCursor: expect.any(String),
+      prevCursor: null,
+      next: `/drinks?sort=-name&limit=2&cursor=${resp.body.pagination.nextCursor}`,
+      prev: null,
+    });
+
+    const resp2 = await request(app).get(resp.body.pagination.next);
+    expect(resp2.body.drinks.map(d => d.name)).toEqual(["D1"]);
+    expect(resp2.body.pagination.next).toEqual(null);
+    expect(resp2.body.pagination.prev).toEqual(expect.any(String));
+  });
+
+  test("bad request on invalid paging params", async function () {
+    for (const query of [{ limit: 0 }, { offset: -1 }, { sort: "nope" }, { cursor: "nope" }]) {
+      const resp = await request(app)
+          .get(`/drinks`)
+          .query(query);
+      expect(resp.statusCode).toEqual(400);
+    }
+  });
+
+  test("bad request with both cursor and offset", async function () {
+    const first = await request(app)
+        .get(`/drinks`)
+        .query({ limit: 1 });
+    const resp = await request(app)
+        .get(`/drinks`)
+        .query({ cursor: first.body.pagination.nextCursor, offset: 1 });
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** GET /drinks facets */
+
+describe("GET /drinks facets", function () {
+  test("works", async function () {
+    const resp = await request(app).get("/drinks").query({ category: "cat1", facets: "true" });
+    expect(resp.body.drinks.map(r => r.id)).toEqual([testDrinkIds[0]]);
+    expect(resp.body.facets.glass).toEqual([{ value: "G1", count: 1 }]);
+    expect(resp.body.facets.ingredient).toEqual([
+      { value: "ing1a", count: 1 },
+      { value: "ing1b", count: 1 },
+      { value: "ing1c", count: 1 },
+    ]);
+  });
+
+  test("works: no facets unless asked", async function () {
+    const resp = await request(app).get("/drinks").query({ facets: "false" });
+    expect(resp.body.facets).toBeUndefined();
+  });
+
+  test("bad request with invalid facets", async function () {
+    const resp = await request(app).get("/drinks").query({ facets: "yes" });
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** GET /drinks/random */
+
+describe("GET /drinks/random", function () {
+  test("works for anon", async function () {
+    const resp = await request(app).get("/drinks/random").query({ count: "3" });
+    expect(resp.body.drinks.map(r => r.id).sort()).toEqual([...testDrinkIds].sort());
+  });
+
+  test("works: filters", async function () {
+    const resp = await request(app).get("/drinks/random").query({ category: "Cat2", nonAlcoholic: "false" });
+    expect(resp.body.drinks.map(r => r.id)).toEqual([testDrinkIds[1]]);
+  });
+
+  test("works: leaves out the user's favorites", async function () {
+    const resp = await request(app)
+        .get("/drinks/random")
+        .query({ count: "3" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.drinks.map(r => r.id)).not.toContain(testDrinkIds[0]);
+    expect(resp.body.drinks.length).toEqual(2);
+  });
+
+  test("bad request with invalid params", async function () {
+    for (const query of [{ count: "50" }, { ingredient: " " }]) {
+      const resp = await request(app).get("/drinks/random").query(query);
+      expect(resp.statusCode).toEqual(400);
+    }
+  });
 });
 
 /************************************** GET /drinks/categories */
@@ -187,9 +357,50 @@ describe("GET /drinks/categories", function () {
   });
 });
 
+/************************************** GET /drinks/glasses */
+
+describe("GET /drinks/glasses", function () {
+  test("works for anon", async function () {
+    const resp = await request(app).get("/drinks/glasses");
+    expect(resp.body).toEqual({
+      glasses: [
+        { glass: "G1", count: "1" },
+        { glass: "G2", count: "1" },
+        { glass: "G3", count: "1" },
+      ],
+    });
+  });
+});
+
 /************************************** GET /drinks/:id */
 
 describe("GET /drinks/:id", function () {
+  test("works: in the language asked for", async function () {
+    await RecipeTranslation.setUpstream("drinks", testDrinkIds[0], { de: "Anleitung 1", it: "Istruzioni 1" });
+
+    let resp = await request(app)
+        .get(`/drinks/${testDrinkIds[0]}`)
+        .set("Accept-Language", "fr-FR, de;q=0.8, it;q=0.5");
+    expect(resp.body.drink.instructions).toEqual("Anleitung 1");
+    expect(resp.body.drink.language).toEqual("de");
+    expect(resp.body.drink.languages).toEqual(["en", "de", "it"]);
+    expect(resp.headers["content-language"]).toEqual("de");
+
+    resp = await request(app)
+        .get(`/drinks/${testDrinkIds[0]}?lang=it`)
+        .set("Accept-Language", "de");
+    expect(resp.body.drink.instructions).toEqual("Istruzioni 1");
+
+    resp = await request(app).get(`/drinks/${testDrinkIds[0]}?lang=fr`);
+    expect(resp.body.drink.instructions).toEqual("Inst1");
+    expect(resp.body.drink.language).toEqual("en");
+  });
+
+  test("bad request with invalid lang", async function () {
+    const resp = await request(app).get(`/drinks/${testDrinkIds[0]}?lang=not+a+language`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
   test("works for anon", async function () {
     const resp = await request(app).get(`/drinks/${testDrinkIds[0]}`);
     expect(resp.body).toEqual({
@@ -202,10 +413,88 @@ describe("GET /drinks/:id", function () {
         instructions: "Inst1",
         thumbnail: "http://D1.img",
         ingredients: ["Ing1a", "Ing1b", "Ing1c"],
+        servings: 1,
+        language: "en",
+        languages: ["en"],
+        externalId: null,
+        sourceUrl: null,
+        videoUrl: null,
+        tags: [],
+        imageSource: null,
+        imageAttribution: null,
+        creativeCommonsConfirmed: null,
+        structuredIngredients: [
+          { display: "Ing1a", quantity: null, quantityMax: null, unit: null, name: "ing1a", note: null },
+          { display: "Ing1b", quantity: null, quantityMax: null, unit: null, name: "ing1b", note: null },
+          { display: "Ing1c", quantity: null, quantityMax: null, unit: null, name: "ing1c", note: null },
+        ],
       },
     });
   });
 
+  test("works: scaled to servings", async function () {
+    await request(app)
+        .patch(`/drinks/${testDrinkIds[0]}`)
+        .send({ ingredients: ["1 1/2 oz Tequila", "1/2 oz Lime Juice", "Ice"] })
+        .set("authorization", `Bearer ${adminToken}`);
+    const resp = await request(app).get(`/drinks/${testDrinkIds[0]}?servings=2`);
+    expect(resp.body.drink.servings).toEqual(2);
+    expect(resp.body.drink.ingredients).toEqual(["3 oz Tequila", "1 oz Lime Juice", "Ice"]);
+    expect(resp.body.drink.structuredIngredients[0]).toEqual(expect.objectContaining({
+      quantity: 3,
+      unit: "oz",
+    }));
+  });
+
+  test("works: converted to units", async function () {
+    await request(app)
+        .patch(`/drinks/${testDrinkIds[0]}`)
+        .send({ ingredients: ["4 cl Gin", "1 dash Bitters"] })
+        .set("authorization", `Bearer ${adminToken}`);
+    const resp = await request(app).get(`/drinks/${testDrinkIds[0]}?units=imperial`);
+    expect(resp.body.drink.ingredients).toEqual(["1 1/4 oz Gin", "1 dash Bitters"]);
+  });
+
+  test("works: in the logged in user's preferred units", async function () {
+    await request(app)
+        .patch(`/users/u1`)
+        .send({ unitPreference: "imperial" })
+        .set("authorization", `Bearer ${u1Token}`);
+    await request(app)
+        .patch(`/drinks/${testDrinkIds[0]}`)
+        .send({ ingredients: ["4 cl Gin", "1 dash Bitters"] })
+        .set("authorization", `Bearer ${adminToken}`);
+    const resp = await request(app)
+        .get(`/drinks/${testDrinkIds[0]}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.drink.ingredients).toEqual(["1 1/4 oz Gin", "1 dash Bitters"]);
+  });
+
+  test("works: in the original units for a user who's gone", async function () {
+    await request(app)
+        .patch(`/drinks/${testDrinkIds[0]}`)
+        .send({ ingredients: ["4 cl Gin", "1 dash Bitters"] })
+        .set("authorization", `Bearer ${adminToken}`);
+    await request(app)
+        .delete(`/users/u1`)
+        .set("authorization", `Bearer ${adminToken}`);
+    const resp = await request(app)
+        .get(`/drinks/${testDrinkIds[0]}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.drink.ingredients).toEqual(["4 cl Gin", "1 dash Bitters"]);
+  });
+
+  test("bad request with invalid units", async function () {
+    const resp = await request(app).get(`/drinks/${testDrinkIds[0]}?units=cubits`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with invalid servings", async function () {
+    const resp = await request(app).get(`/drinks/${testDrinkIds[0]}?servings=0`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
   test("not found for no such drink", async function () {
     const resp = await request(app).get(`/drinks/0`);
     expect(resp.statusCode).toEqual(404);
@@ -215,13 +504,13 @@ describe("GET /drinks/:id", function () {
 /************************************** PATCH /drinks/:id */
 
 describe("PATCH /drinks/:id", function () {
-  test("works if logged in", async function () {
+  test("works for admin", async function () {
     const resp = await request(app)
         .patch(`/drinks/${testDrinkIds[0]}`)
         .send({
           name: "New D",
         })
-        .set("authorization", `Bearer ${u1Token}`);
+        .set("authorization", `Bearer ${adminToken}`);
     expect(resp.body).toEqual({
       drink: {
         id: expect.any(Number),
@@ -232,6 +521,15 @@ describe("PATCH /drinks/:id", function () {
         instructions: "Inst1",
         thumbnail: "http://D1.img",
         ingredients: ["Ing1a", "Ing1b", "Ing1c"],
+        servings: 1,
+        externalId: null,
+        sourceUrl: null,
+        videoUrl: null,
+        tags: [],
+        imageSource: null,
+        imageAttribution: null,
+        creativeCommonsConfirmed: null,
+        structuredIngredients: expect.any(Array),
       },
     });
   });
@@ -245,13 +543,23 @@ describe("PATCH /drinks/:id", function () {
     expect(resp.statusCode).toEqual(401);
   });
 
+  test("unauth for non-admin user", async function () {
+    const resp = await request(app)
+        .patch(`/drinks/${testDrinkIds[0]}`)
+        .send({
+          name: "New D",
+        })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
   test("not found on no such drink", async function () {
     const resp = await request(app)
         .patch(`/drinks/0`)
         .send({
           name: "New D",
         })
-        .set("authorization", `Bearer ${u1Token}`);
+        .set("authorization", `Bearer ${adminToken}`);
     expect(resp.statusCode).toEqual(404);
   });
 
@@ -261,7 +569,7 @@ describe("PATCH /drinks/:id", function () {
         .send({
           category: 1,
         })
-        .set("authorization", `Bearer ${u1Token}`);
+        .set("authorization", `Bearer ${adminToken}`);
     expect(resp.statusCode).toEqual(400);
   });
 });
@@ -269,10 +577,10 @@ describe("PATCH /drinks/:id", function () {
 /************************************** DELETE /drinks/:id */
 
 describe("DELETE /drinks/:id", function () {
-  test("works if logged in", async function () {
+  test("works for admin", async function () {
     const resp = await request(app)
         .delete(`/drinks/${testDrinkIds[0]}`)
-        .set("authorization", `Bearer ${u1Token}`);
+        .set("authorization", `Bearer ${adminToken}`);
     expect(resp.body).toEqual({ deleted: testDrinkIds[0] });
   });
 
@@ -282,10 +590,245 @@ describe("DELETE /drinks/:id", function () {
     expect(resp.statusCode).toEqual(401);
   });
 
+  test("unauth for non-admin user", async function () {
+    const resp = await request(app)
+        .delete(`/drinks/${testDrinkIds[0]}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
   test("not found for no such drink", async function () {
     const resp = await request(app)
         .delete(`/drinks/0`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** GET /drinks/:id/translations */
+
+describe("GET /drinks/:id/translations", function () {
+  test("works for anon", async function () {
+    await RecipeTranslation.setUpstream("drinks", testDrinkIds[0], { it: "Istruzioni 1" });
+    const resp = await request(app).get(`/drinks/${testDrinkIds[0]}/translations`);
+    expect(resp.body).toEqual({
+      translations: [{ language: "it", instructions: "Istruzioni 1", contributedBy: null }],
+    });
+  });
+
+  test("not found for no such drink", async function () {
+    const resp = await request(app).get(`/drinks/0/translations`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** PUT /drinks/:id/translations/:language */
+
+describe("PUT /drinks/:id/translations/:language", function () {
+  test("works for logged in user", async function () {
+    const resp = await request(app)
+        .put(`/drinks/${testDrinkIds[0]}/translations/zh-Hans`)
+        .send({ instructions: "说明" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      translation: { language: "zh-hans", instructions: "说明", contributedBy: "u1" },
+    });
+  });
+
+  test("works for the contributor, or admin, replacing it", async function () {
+    await request(app)
+        .put(`/drinks/${testDrinkIds[0]}/translations/de`)
+        .send({ instructions: "Anleitung" })
+        .set("authorization", `Bearer ${u1Token}`);
+    let resp = await request(app)
+        .put(`/drinks/${testDrinkIds[0]}/translations/de`)
+        .send({ instructions: "Neue Anleitung" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.translation).toEqual(
+        { language: "de", instructions: "Neue Anleitung", contributedBy: "u1" });
+
+    resp = await request(app)
+        .put(`/drinks/${testDrinkIds[0]}/translations/de`)
+        .send({ instructions: "Bessere Anleitung" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.translation).toEqual(
+        { language: "de", instructions: "Bessere Anleitung", contributedBy: "admin" });
+  });
+
+  test("forbidden replacing another user's, or one from upstream", async function () {
+    await request(app)
+        .put(`/drinks/${testDrinkIds[0]}/translations/de`)
+        .send({ instructions: "Anleitung" })
+        .set("authorization", `Bearer ${u1Token}`);
+    let resp = await request(app)
+        .put(`/drinks/${testDrinkIds[0]}/translations/de`)
+        .send({ instructions: "Falsche Anleitung" })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(403);
+
+    await RecipeTranslation.setUpstream("drinks", testDrinkIds[0], { it: "Istruzioni 1" });
+    resp = await request(app)
+        .put(`/drinks/${testDrinkIds[0]}/translations/it`)
+        .send({ instructions: "Istruzioni sbagliate" })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(403);
+
+    resp = await request(app).get(`/drinks/${testDrinkIds[0]}/translations`);
+    expect(resp.body.translations.map(t => t.instructions)).toEqual(["Anleitung", "Istruzioni 1"]);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .put(`/drinks/${testDrinkIds[0]}/translations/de`)
+        .send({ instructions: "Anleitung" });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with invalid language or data", async function () {
+    let resp = await request(app)
+        .put(`/drinks/${testDrinkIds[0]}/translations/en`)
+        .send({ instructions: "Instructions" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+
+    resp = await request(app)
+        .put(`/drinks/${testDrinkIds[0]}/translations/de`)
+        .send({ instructions: "" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found for no such drink", async function () {
+    const resp = await request(app)
+        .put(`/drinks/0/translations/de`)
+        .send({ instructions: "Anleitung" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** DELETE /drinks/:id/translations/:language */
+
+describe("DELETE /drinks/:id/translations/:language", function () {
+  test("works for admin", async function () {
+    await RecipeTranslation.setUpstream("drinks", testDrinkIds[0], { it: "Istruzioni 1" });
+    const resp = await request(app)
+        .delete(`/drinks/${testDrinkIds[0]}/translations/it`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ deleted: "it" });
+  });
+
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+        .delete(`/drinks/${testDrinkIds[0]}/translations/it`)
         .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found for no such translation", async function () {
+    const resp = await request(app)
+        .delete(`/drinks/${testDrinkIds[0]}/translations/it`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** GET /drinks/:id/pairings */
+
+describe("GET /drinks/:id/pairings", function () {
+  test("works for anon", async function () {
+    const resp = await request(app).get(`/drinks/${testDrinkIds[0]}/pairings`);
+    expect(resp.body).toEqual({
+      pairings: [
+        {
+          id: testMealIds[0],
+          name: "M1",
+          category: "Cat1",
+          thumbnail: "http://M1.img",
+          pinned: false,
+          score: 4,
+          reasons: ["Shares ing1a, ing1b, ing1c", "Favorited together by 1 user"],
+        },
+      ],
+    });
+  });
+
+  test("works: pinned first, with limit", async function () {
+    await Pairing.pin(testMealIds[2], testDrinkIds[0], "u1");
+    const resp = await request(app).get(`/drinks/${testDrinkIds[0]}/pairings?limit=1`);
+    expect(resp.body.pairings.map(p => [p.id, p.pinned])).toEqual([[testMealIds[2], true]]);
+  });
+
+  test("bad request with invalid limit", async function () {
+    const resp = await request(app).get(`/drinks/${testDrinkIds[0]}/pairings?limit=51`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found for no such drink", async function () {
+    const resp = await request(app).get(`/drinks/0/pairings`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("not found for an invalid id", async function () {
+    for (const id of ["abc", "99999999999"]) {
+      const resp = await request(app).get(`/drinks/${id}/pairings`);
+      expect(resp.statusCode).toEqual(404);
+    }
+  });
+});
+
+/************************************** POST /drinks/:id/pairings/:mealId */
+
+describe("POST /drinks/:id/pairings/:mealId", function () {
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .post(`/drinks/${testDrinkIds[0]}/pairings/${testMealIds[2]}`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      pinned: { mealId: testMealIds[2], drinkId: testDrinkIds[0] },
+    });
+  });
+
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+        .post(`/drinks/${testDrinkIds[0]}/pairings/${testMealIds[2]}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found for no such meal", async function () {
+    const resp = await request(app)
+        .post(`/drinks/${testDrinkIds[0]}/pairings/0`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** DELETE /drinks/:id/pairings/:mealId */
+
+describe("DELETE /drinks/:id/pairings/:mealId", function () {
+  test("works for admin", async function () {
+    await Pairing.pin(testMealIds[2], testDrinkIds[0], "u1");
+    const resp = await request(app)
+        .delete(`/drinks/${testDrinkIds[0]}/pairings/${testMealIds[2]}`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({
+      unpinned: { mealId: testMealIds[2], drinkId: testDrinkIds[0] },
+    });
+  });
+
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+        .delete(`/drinks/${testDrinkIds[0]}/pairings/${testMealIds[2]}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if not pinned", async function () {
+    const resp = await request(app)
+        .delete(`/drinks/${testDrinkIds[0]}/pairings/${testMealIds[2]}`)
+        .set("authorization", `Bearer ${adminToken}`);
     expect(resp.statusCode).toEqual(404);
   });
 });
@@ -0,0 +1,62 @@
+"use strict";
+
+const jsonschema = require("jsonschema");
+const express = require("express");
+
+const { BadRequestError } = require("../expressError");
+const { fetchCatalog } = require("../helpers/catalog");
+const { ensureAdmin } = require("../middleware/auth");
+const ImportJob = require("../models/importJob");
+const importNewSchema = require("../schemas/importNew.json");
+
+const router = express.Router();
+
+
+/** POST / { type } => { job }
+ *
+ * Starts importing the catalog of meals or drinks (type is "meals" or
+ * "drinks") from TheMealDB or TheCocktailDB. The import runs in the
+ * background; follow it with GET /imports/[id].
+ *
+ * Returns { id, type, status, requestedBy, total, processed, inserted, updated, unchanged, removed, errors, createdAt, startedAt, finishedAt }
+ *
+ * Authorization required: admin
+ */
+
+router.post("/", ensureAdmin, async (req, res, next) => {
+    try {
+        const validator = jsonschema.validate(req.body, importNewSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+
+        const { type } = req.body;
+        const job = await ImportJob.create(type, res.locals.user.username);
+        ImportJob.run(job.id, () => fetchCatalog(type)).catch(console.error);
+
+        return res.status(202).json({ job });
+    } catch (err) {
+        return next(err);
+    }
+});
+
+
+/** GET /[id] => { job }
+ *
+ * Returns { id, type, status, requestedBy, total, processed, inserted, updated, unchanged, removed, errors, createdAt, startedAt, finishedAt }
+ *
+ * Authorization required: admin
+ */
+
+router.get("/:id", ensureAdmin, async (req, res, next) => {
+    try {
+        const job = await ImportJob.get(req.params.id);
+        return res.json({ job });
+    } catch (err) {
+        return next(err);
+    }
+});
+
+
+module.exports = router;
@@ -0,0 +1,95 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+const ImportJob = require("../models/importJob");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  u1Token,
+  adminToken,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** POST /imports */
+
+describe("POST /imports", function () {
+  test("bad request with invalid type", async function () {
+    const resp = await request(app)
+        .post("/imports")
+        .send({ type: "snacks" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request if an import of the type is already running", async function () {
+    await ImportJob.create("meals", "u1");
+    const resp = await request(app)
+        .post("/imports")
+        .send({ type: "meals" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for non-admin user", async function () {
+    const resp = await request(app)
+        .post("/imports")
+        .send({ type: "meals" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .post("/imports")
+        .send({ type: "meals" });
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** GET /imports/:id */
+
+describe("GET /imports/:id", function () {
+  test("works for admin", async function () {
+    const job = await ImportJob.create("drinks", "u1");
+    const resp = await request(app)
+        .get(`/imports/${job.id}`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({
+      job: {
+        ...job,
+        createdAt: job.createdAt.toISOString(),
+      },
+    });
+  });
+
+  test("unauth for non-admin user", async function () {
+    const job = await ImportJob.create("drinks", "u1");
+    const resp = await request(app)
+        .get(`/imports/${job.id}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found for no such job", async function () {
+    const resp = await request(app)
+        .get("/imports/0")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("not found for an id that isn't a number", async function () {
+    const resp = await request(app)
+        .get("/imports/nope")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
@@ -2,56 +2,38 @@
 
 const jsonschema = require("jsonschema");
 const express = require("express");
-const axios = require("axios");
 
 const { BadRequestError, NotFoundError } = require("../expressError");
-const { makeMealObj } = require("../helpers/helperFunctions");
-const { ensureLoggedIn } = require("../middleware/auth");
+const { paginationLinks } = require("../helpers/pagination");
+const { scaleRecipe } = require("../helpers/scaling");
+const { convertRecipe } = require("../helpers/units");
+const { normalizeLanguage, translateRecipe } = require("../helpers/languages");
+const { ensureAdmin, ensureLoggedIn, ensureVerifiedEmail } = require("../middleware/auth");
 const Meal = require("../models/meal");
+const Pairing = require("../models/pairing");
+const RecipeTranslation = require("../models/recipeTranslation");
+const User = require("../models/user");
 const mealNewSchema = require("../schemas/mealNew.json");
 const mealUpdateSchema = require("../schemas/mealUpdate.json");
 const mealSearchSchema = require("../schemas/mealSearch.json");
-
-const { MEAL_BASE_URL } = require("../config");
+const mealRandomSchema = require("../schemas/mealRandom.json");
+const pairingSearchSchema = require("../schemas/pairingSearch.json");
+const recipeViewSchema = require("../schemas/recipeView.json");
+const translationSchema = require("../schemas/translation.json");
 
 const router = express.Router();
 
 
-router.get("/dump", async (req, res, next) => {
-    try {
-        const letters = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h', 'i', 'j', 'k', 'l', 'm', 'n', 'o', 'p', 'q', 'r', 's', 't', 'u', 'v', 'w', 'x', 'y', 'z'];
-        
-        const requests = letters.map(async letter => {
-            const response = await axios.get(`${MEAL_BASE_URL}/search.php?f=${letter}`);
-            const meals = response.data.meals;
-            if (meals !== null) {
-                return meals.map(meal => makeMealObj(meal));
-            }
-            return [];
-        });
-
-        const mealsArrays = await Promise.all(requests);
-        const allMeals = [].concat(...mealsArrays);
-
-        Meal.dumpData(allMeals);
-
-        return res.json({ allMeals });
-    } catch (err) {
-        return next(err);
-    }
-});
-
-
 /** POST / { meal } => { meal }
  *
- * meal should be { name, category, area, instructions, thumbnail, ingredients }
+ * meal should be { name, category, area, instructions, thumbnail, ingredients, servings }
  *
- * Returns { id, name, category, area, instructions, thumbnail, ingredients }
+ * Returns { id, name, category, area, instructions, thumbnail, ingredients, servings, structuredIngredients }
  *
- * Authorization required: logged in
+ * Authorization required: admin
  */
 
-router.post("/", ensureLoggedIn, async (req, res, next) => {
+router.post("/", ensureAdmin, async (req, res, next) => {
     try {
         const validator = jsonschema.validate(req.body, mealNewSchema);
         if (!validator.valid) {
@@ -67,12 +49,32 @@ router.post("/", ensureLoggedIn, async (req, res, next) => {
 });
 
 /** GET /  =>
- *    { meals: [ { id, name, category, area, instructions, thumbnail, ingredients }, ...] }
+ *    { meals: [ { id, name, category, area, instructions, thumbnail, ingredients, servings, language, languages }, ...],
+ *      pagination: { total, limit, nextCursor, prevCursor, next, prev },
+ *      facets }
  * 
  * Can filter based on provided search filters:
  * - name
  * - category
  * - area
+ * - ingredient (repeatable)
+ * - excludeIngredient (repeatable)
+ * - ingredientMatch: "all" (default) or "any" of the ingredients
+ *
+ * With facets=true, facets counts the meals matching the filters by
+ * category, area and ingredient, for showing filters with counts:
+ *   { category: [ { value, count }, ...], ... } (most common first)
+ *
+ * Can page and sort with:
+ * - sort: name, category, area or id (prefix with "-" for descending order)
+ * - limit: page size (default 50, at most 100)
+ * - offset: number of meals to skip
+ * - cursor: a nextCursor/prevCursor from a previous page (instead of offset)
+ *
+ * next and prev are links to the next and previous pages (null if none).
+ *
+ * Instructions are in the language asked for by ?lang= or the
+ * Accept-Language header, where there's a translation (see GET /[mealId]).
  */ 
 
 router.get("/", async (req, res, next) => {
@@ -84,14 +86,70 @@ router.get("/", async (req, res, next) => {
             const errs = validator.errors.map(e => e.stack);
             throw new BadRequestError(errs);
         }
-        const meals = await Meal.findAll(q);
-        return res.json({ meals });
+        const { meals, pagination, facets } =
+            await Meal.findAll({ ...q, facets: q.facets === "true" });
+        const links = paginationLinks(req.baseUrl, q, pagination);
+
+        const translations = await RecipeTranslation.getForMany("meals", meals.map(r => r.id));
+        const asked = q.lang || req.get("Accept-Language");
+        res.vary("Accept-Language");
+        return res.json({
+            meals: meals.map(r => translateRecipe(r, translations[r.id] || {}, asked)),
+            pagination: { ...pagination, ...links },
+            ...(facets && { facets }),
+        });
     } catch (err) {
         return next(err);
     }
 });
 
 
+/** GET /random =>
+ *    { meals: [ { id, name, category, area, instructions, thumbnail, ingredients, servings, language, languages }, ...] }
+ *
+ * Picks meals at random, for discovery. Can filter like GET /:
+ * - name
+ * - category
+ * - area
+ * - ingredient (repeatable)
+ * - excludeIngredient (repeatable)
+ * - ingredientMatch: "all" (default) or "any" of the ingredients
+ *
+ * and with:
+ * - count: how many meals to pick (default 1, at most 20)
+ *
+ * Leaves out the meals the logged-in user has favorited. Returns fewer
+ * meals (or none) if fewer match.
+ *
+ * Authorization required: none
+ */
+
+router.get("/random", async (req, res, next) => {
+    const q = req.query;
+
+    try {
+        const validator = jsonschema.validate(q, mealRandomSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+        const user = res.locals.user;
+        const meals = await Meal.random(q, {
+            count: q.count && +q.count,
+            username: user && user.username,
+        });
+
+        const translations = await RecipeTranslation.getForMany("meals", meals.map(r => r.id));
+        const asked = q.lang || req.get("Accept-Language");
+        res.vary("Accept-Language");
+        return res.json({
+            meals: meals.map(r => translateRecipe(r, translations[r.id] || {}, asked)),
+        });
+    } catch (err) {
+        return next(err);
+    }
+});
+
 /** GET /categories => 
  *    { categories: [ { category, count }, ...] }
  * 
@@ -107,16 +165,70 @@ router.get("/categories", async (req, res, next) => {
     }
 });
 
+/** GET /areas => 
+ *    { areas: [ { area, count }, ...] }
+ * 
+ * Authorization required: none
+ */ 
+
+router.get("/areas", async (req, res, next) => {
+    try {
+        const areas = await Meal.getAreas();
+        return res.json({ areas });
+    } catch (err) {
+        return next(err);
+    }
+});
+
 /** GET /[mealId] => { meal }
  *
- * Returns { id, name, category, area, instructions, thumbnail, ingredients }
+ * Returns { id, name, category, area, instructions, thumbnail, ingredients, servings, externalId, sourceUrl, videoUrl,
+ *           tags, imageSource, imageAttribution, creativeCommonsConfirmed, structuredIngredients,
+ *           language, languages }
+ *   where ingredients are display strings, like "1 1/2 cups Rice", and
+ *   structuredIngredients are the same split into parts:
+ *   [ { display, quantity, quantityMax, unit, name, note }, ... ]
+ *
+ * Can be given:
+ * - servings: scale the ingredients to make this many servings (1 to 100)
+ * - units: "metric", "imperial" or "original" to convert the ingredients'
+ *   volumes and weights, and the temperatures in the instructions, to
+ *   (default the logged in user's unitPreference, or "original")
+ * - lang: the language for the instructions, where there's a translation
+ *   (default the best for the Accept-Language header, or "en")
+ *
+ * language is the language the instructions are in, and languages are all
+ * the languages there are instructions in.
  *
  * Authorization required: none
  */
 
 router.get("/:id", async (req, res, next) => {
     try {
-        const meal = await Meal.get(req.params.id);
+        const validator = jsonschema.validate(req.query, recipeViewSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+
+        let meal = await Meal.get(req.params.id);
+        const translations = await RecipeTranslation.getForMany("meals", [meal.id]);
+        meal = translateRecipe(meal, translations[meal.id] || {},
+            req.query.lang || req.get("Accept-Language"));
+        if (req.query.servings) meal = scaleRecipe(meal, +req.query.servings);
+
+        let units = req.query.units || "original";
+        if (!req.query.units && res.locals.user) {
+            // a token can outlive its user, who then just gets the original units
+            try {
+                units = await User.getUnitPreference(res.locals.user.username);
+            } catch (err) {
+                if (!(err instanceof NotFoundError)) throw err;
+            }
+        }
+        meal = convertRecipe(meal, units);
+        res.vary("Accept-Language");
+        res.set("Content-Language", meal.language);
         return res.json({ meal });
     } catch (err) {
         return next(err);
@@ -125,14 +237,15 @@ router.get("/:id", async (req, res, next) => {
 
 /** PATCH /[mealId]  { fld1, fld2, ... } => { meal }
  *
- * Data can include: { name, category, area, instructions, thumbnail, ingredients }
+ * Data can include: { name, category, area, instructions, thumbnail, ingredients, servings }
  *
- * Returns { id, name, category, area, instructions, thumbnail, ingredients }
+ * Returns { id, name, category, area, instructions, thumbnail, ingredients, servings, externalId, sourceUrl, videoUrl,
+ *           tags, imageSource, imageAttribution, creativeCommonsConfirmed, structuredIngredients }
  *
- * Authorization required: logged in
+ * Authorization required: admin
  */
 
-router.patch("/:id", ensureLoggedIn, async (req, res, next) => {
+router.patch("/:id", ensureAdmin, async (req, res, next) => {
     try {
         const validator = jsonschema.validate(req.body, mealUpdateSchema);
         if (!validator.valid) {
@@ -147,12 +260,134 @@ router.patch("/:id", ensureLoggedIn, async (req, res, next) => {
     }
 });
   
+/** GET /[mealId]/translations => { translations: [ { language, instructions, contributedBy }, ... ] }
+ *
+ * The translations of a meal's instructions, by language tag (like "de"
+ * or "zh-hans"). contributedBy is the user who contributed one (null for
+ * ones from the catalog).
+ *
+ * Authorization required: none
+ */
+
+router.get("/:id/translations", async (req, res, next) => {
+    try {
+        await Meal.get(req.params.id);
+        const translations = await RecipeTranslation.getFor("meals", req.params.id);
+        return res.json({ translations });
+    } catch (err) {
+        return next(err);
+    }
+});
+
+/** PUT /[mealId]/translations/[language]  { instructions } => { translation }
+ *
+ * Contribute a translation of a meal's instructions, adding or replacing
+ * the one in that language. Only whoever contributed a translation, or an
+ * admin, can replace it.
+ *
+ * Returns { language, instructions, contributedBy }
+ *
+ * Authorization required: logged in (with a verified email, if required)
+ */
+
+router.put("/:id/translations/:language", ensureLoggedIn, ensureVerifiedEmail, async (req, res, next) => {
+    try {
+        const validator = jsonschema.validate(req.body, translationSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+
+        const language = normalizeLanguage(req.params.language);
+        const translation = await RecipeTranslation.set(
+            "meals", req.params.id, language, req.body.instructions, res.locals.user.username,
+            { replaceAny: res.locals.user.isAdmin });
+        return res.json({ translation });
+    } catch (err) {
+        return next(err);
+    }
+});
+
+/** DELETE /[mealId]/translations/[language]  =>  { deleted: language }
+ *
+ * Authorization required: admin
+ */
+
+router.delete("/:id/translations/:language", ensureAdmin, async (req, res, next) => {
+    try {
+        const language = normalizeLanguage(req.params.language);
+        await RecipeTranslation.remove("meals", req.params.id, language);
+        return res.json({ deleted: language });
+    } catch (err) {
+        return next(err);
+    }
+});
+  
+/** GET /[mealId]/pairings => { pairings: [ { id, name, category, thumbnail, pinned, score, reasons }, ... ] }
+ *
+ * The drinks that go with a meal, best first: ones pinned by an admin, then
+ * ones suggested from the meal's area and category, shared ingredients and
+ * how many users favorited both. reasons say why, like "Has tequila, for
+ * Mexican food".
+ *
+ * Can be given:
+ * - limit: most pairings to return (default 10, at most 50)
+ *
+ * Authorization required: none
+ */
+
+router.get("/:id/pairings", async (req, res, next) => {
+    try {
+        const validator = jsonschema.validate(req.query, pairingSearchSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+
+        const { limit } = req.query;
+        const pairings = await Pairing.forMeal(req.params.id, { limit: limit && +limit });
+        return res.json({ pairings });
+    } catch (err) {
+        return next(err);
+    }
+});
+
+/** POST /[mealId]/pairings/[drinkId]  =>  { pinned: { mealId, drinkId } }
+ *
+ * Pin a drink as a pairing for a meal, so it comes first in both's pairings.
+ *
+ * Authorization required: admin
+ */
+
+router.post("/:id/pairings/:drinkId", ensureAdmin, async (req, res, next) => {
+    try {
+        const pinned = await Pairing.pin(req.params.id, req.params.drinkId, res.locals.user.username);
+        return res.status(201).json({ pinned });
+    } catch (err) {
+        return next(err);
+    }
+});
+
+/** DELETE /[mealId]/pairings/[drinkId]  =>  { unpinned: { mealId, drinkId } }
+ *
+ * Authorization required: admin
+ */
+
+router.delete("/:id/pairings/:drinkId", ensureAdmin, async (req, res, next) => {
+    try {
+        const unpinned = await Pairing.unpin(req.params.id, req.params.drinkId);
+        return res.json({ unpinned });
+    } catch (err) {
+        return next(err);
+    }
+});
+  
 /** DELETE /[id]  =>  { deleted: id }
  *
- * Authorization required: logged in
+ * Authorization required: admin
  */
   
-router.delete("/:id", ensureLoggedIn, async (req, res, next) => {
+router.delete("/:id", ensureAdmin, async (req, res, next) => {
     try {
         await Meal.remove(req.params.id);
         return res.json({ deleted: +req.params.id });
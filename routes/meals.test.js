@@ -10,8 +10,13 @@ const {
   commonAfterEach,
   commonAfterAll,
   testMealIds,
+  testDrinkIds,
   u1Token,
+  u2Token,
+  adminToken,
 } = require("./_testCommon");
+const RecipeTranslation = require("../models/recipeTranslation");
+const Pairing = require("../models/pairing");
 
 beforeAll(commonBeforeAll);
 beforeEach(commonBeforeEach);
@@ -21,7 +26,7 @@ afterAll(commonAfterAll);
 /************************************** POST /meals */
 
 describe("POST /meals", function () {
-  test("ok if logged in", async function () {
+  test("ok for admin", async function () {
     const resp = await request(app)
         .post(`/meals`)
         .send({
@@ -32,7 +37,7 @@ describe("POST /meals", function () {
             thumbnail: "http://NewMeal.img",
             ingredients: ["New Ing 1", "New Ing 2", "New Ing 3"],
         })
-        .set("authorization", `Bearer ${u1Token}`);
+        .set("authorization", `Bearer ${adminToken}`);
     expect(resp.statusCode).toEqual(201);
     expect(resp.body).toEqual({
       meal: {
@@ -43,6 +48,8 @@ describe("POST /meals", function () {
         instructions: "New Inst",
         thumbnail: "http://NewMeal.img",
         ingredients: ["New Ing 1", "New Ing 2", "New Ing 3"],
+        servings: 4,
+        structuredIngredients: expect.any(Array),
       },
     });
   });
@@ -61,13 +68,28 @@ describe("POST /meals", function () {
     expect(resp.statusCode).toEqual(401);
   });
 
+  test("unauth for non-admin user", async function () {
+    const resp = await request(app)
+        .post(`/meals`)
+        .send({
+            name: "New Meal",
+            category: "New Cat",
+            area: "New Area",
+            instructions: "New Inst",
+            thumbnail: "http://NewMeal.img",
+            ingredients: ["New Ing 1", "New Ing 2", "New Ing 3"],
+        })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
   test("bad request with missing data", async function () {
     const resp = await request(app)
         .post(`/meals`)
         .send({
           name: "test",
         })
-        .set("authorization", `Bearer ${u1Token}`);
+        .set("authorization", `Bearer ${adminToken}`);
     expect(resp.statusCode).toEqual(400);
   });
 
@@ -82,7 +104,7 @@ describe("POST /meals", function () {
             thumbnail: "http://NewMeal.img",
             ingredients: ["New Ing 1", "New Ing 2", "New Ing 3"],
         })
-        .set("authorization", `Bearer ${u1Token}`);
+        .set("authorization", `Bearer ${adminToken}`);
     expect(resp.statusCode).toEqual(400);
   });
 });
@@ -90,6 +112,17 @@ describe("POST /meals", function () {
 /************************************** GET /meals */
 
 describe("GET /meals", function () {
+  test("works: in the language asked for", async function () {
+    await RecipeTranslation.setUpstream("meals", testMealIds[1], { de: "Anleitung 2" });
+    const resp = await request(app).get(`/meals?lang=de`);
+    expect(resp.body.meals.map(r => [r.instructions, r.language])).toEqual([
+      ["Inst1", "en"],
+      ["Anleitung 2", "de"],
+      ["Inst3", "en"],
+    ]);
+    expect(resp.body.pagination.next).toEqual(null);
+  });
+
   test("ok for anon", async function () {
     const resp = await request(app).get(`/meals`);
     expect(resp.body).toEqual({
@@ -102,6 +135,9 @@ describe("GET /meals", function () {
               instructions: "Inst1",
               thumbnail: "http://M1.img",
               ingredients: ["Ing1a", "Ing1b", "Ing1c"],
+              servings: 4,
+              language: "en",
+              languages: ["en"],
             },
             {
               id: expect.any(Number),
@@ -111,6 +147,9 @@ describe("GET /meals", function () {
               instructions: "Inst2",
               thumbnail: "http://M2.img",
               ingredients: ["Ing2a", "Ing2b", "Ing2c"],
+              servings: 4,
+              language: "en",
+              languages: ["en"],
             },
             {
               id: expect.any(Number),
@@ -120,8 +159,12 @@ describe("GET /meals", function () {
               instructions: "Inst3",
               thumbnail: "http://M3.img",
               ingredients: ["Ing3a", "Ing3b", "Ing3c"],
+              servings: 4,
+              language: "en",
+              languages: ["en"],
             },
           ],
+          pagination: expect.any(Object),
         },
     );
   });
@@ -140,8 +183,12 @@ describe("GET /meals", function () {
               instructions: "Inst1",
               thumbnail: "http://M1.img",
               ingredients: ["Ing1a", "Ing1b", "Ing1c"],
+              servings: 4,
+              language: "en",
+              languages: ["en"],
             },
           ],
+          pagination: expect.any(Object),
         },
     );
   });
@@ -152,6 +199,140 @@ describe("GET /meals", function () {
         .query({ nope: "nope" });
     expect(resp.statusCode).toEqual(400);
   });
+
+  test("bad request on an offset too large", async function () {
+    const resp = await request(app)
+        .get(`/meals`)
+        .query({ offset: "99999999999999999999" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("works: filtering by ingredients", async function () {
+    const resp = await request(app)
+        .get(`/meals?ingredient=Ing1a&ingredient=Ing2a&ingredientMatch=any&excludeIngredient=Ing2b`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.meals.map(d => d.name)).toEqual(["M1"]);
+  });
+
+  test("bad request on invalid ingredient filters", async function () {
+    for (const query of [
+      { ingredient: "" },
+      { ingredient: " " },
+      { excludeIngredient: ["Ing1a", " "] },
+      { ingredientMatch: "some" },
+    ]) {
+      const resp = await request(app)
+          .get(`/meals`)
+          .query(query);
+      expect(resp.statusCode).toEqual(400);
+    }
+  });
+
+  test("works: pagination", async function () {
+    const resp = await request(app)
+        .get(`/meals`)
+        .query({ sort: "-name", limit: 2 });
+    expect(resp.body.meals.map(d => d.name)).toEqual(["M3", "M2"]);
+    expect(resp.body.pagination).toEqual({
+      total: 3,
+      limit: 2,
+      nextCursor: expect.any(String),
+      prevCursor: null,
+      next: `/meals?sort=-name&limit=2&cursor=${resp.body.pagination.nextCursor}`,
+      prev: null,
+    });
+
+    const resp2 = await request(app).get(resp.body.pagination.next);
+    expect(resp2.body.meals.map(d => d.name)).toEqual(["M1"]);
+    expect(resp2.body.pagination.next).toEqual(null);
+    expect(resp2.body.pagination.prev).toEqual(expect.any(String));
+  });
+
+  test("bad request on invalid paging params", async function () {
+    for (const query of [{ limit: 0 }, { offset: -1 }, { sort: "nope" }, { cursor: "nope" }]) {
+      const resp = await request(app)
+          .get(`/meals`)
+          .query(query);
+      expect(resp.statusCode).toEqual(400);
+    }
+  });
+
+  test("bad request with both cursor and offset", async function () {
+    const first = await request(app)
+        .get(`/meals`)
+        .query({ limit: 1 });
+    const resp = await request(app)
+        .get(`/meals`)
+        .query({ cursor: first.body.pagination.nextCursor, offset: 1 });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with a forged cursor", async function () {
+    for (const cursor of [
+      { s: "id", v: "abc", id: 1, d: "next" },
+      { s: "id", v: 1, id: 99999999999, d: "next" },
+    ]) {
+      const resp = await request(app)
+          .get(`/meals`)
+          .query({ sort: "id", cursor: Buffer.from(JSON.stringify(cursor)).toString("base64url") });
+      expect(resp.statusCode).toEqual(400);
+    }
+  });
+});
+
+/************************************** GET /meals facets */
+
+describe("GET /meals facets", function () {
+  test("works", async function () {
+    const resp = await request(app).get("/meals").query({ category: "cat1", facets: "true" });
+    expect(resp.body.meals.map(r => r.id)).toEqual([testMealIds[0]]);
+    expect(resp.body.facets.area).toEqual([{ value: "A1", count: 1 }]);
+    expect(resp.body.facets.ingredient).toEqual([
+      { value: "ing1a", count: 1 },
+      { value: "ing1b", count: 1 },
+      { value: "ing1c", count: 1 },
+    ]);
+  });
+
+  test("works: no facets unless asked", async function () {
+    const resp = await request(app).get("/meals").query({ facets: "false" });
+    expect(resp.body.facets).toBeUndefined();
+  });
+
+  test("bad request with invalid facets", async function () {
+    const resp = await request(app).get("/meals").query({ facets: "yes" });
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** GET /meals/random */
+
+describe("GET /meals/random", function () {
+  test("works for anon", async function () {
+    const resp = await request(app).get("/meals/random").query({ count: "3" });
+    expect(resp.body.meals.map(r => r.id).sort()).toEqual([...testMealIds].sort());
+  });
+
+  test("works: filters", async function () {
+    const resp = await request(app).get("/meals/random").query({ category: "Cat2" });
+    expect(resp.body.meals.map(r => r.id)).toEqual([testMealIds[1]]);
+  });
+
+  test("works: leaves out the user's favorites", async function () {
+    const resp = await request(app)
+        .get("/meals/random")
+        .query({ count: "3" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.meals.map(r => r.id)).not.toContain(testMealIds[0]);
+    expect(resp.body.meals.length).toEqual(2);
+  });
+
+  test("bad request with invalid params", async function () {
+    for (const query of [{ count: "50" }, { ingredient: " " }]) {
+      const resp = await request(app).get("/meals/random").query(query);
+      expect(resp.statusCode).toEqual(400);
+    }
+  });
 });
 
 /************************************** GET /meals/categories */
@@ -178,9 +359,50 @@ describe("GET /meals/categories", function () {
   });
 });
 
+/************************************** GET /meals/areas */
+
+describe("GET /meals/areas", function () {
+  test("works for anon", async function () {
+    const resp = await request(app).get("/meals/areas");
+    expect(resp.body).toEqual({
+      areas: [
+        { area: "A1", count: "1" },
+        { area: "A2", count: "1" },
+        { area: "A3", count: "1" },
+      ],
+    });
+  });
+});
+
 /************************************** GET /meals/:id */
 
 describe("GET /meals/:id", function () {
+  test("works: in the language asked for", async function () {
+    await RecipeTranslation.setUpstream("meals", testMealIds[0], { de: "Anleitung 1", it: "Istruzioni 1" });
+
+    let resp = await request(app)
+        .get(`/meals/${testMealIds[0]}`)
+        .set("Accept-Language", "fr-FR, de;q=0.8, it;q=0.5");
+    expect(resp.body.meal.instructions).toEqual("Anleitung 1");
+    expect(resp.body.meal.language).toEqual("de");
+    expect(resp.body.meal.languages).toEqual(["en", "de", "it"]);
+    expect(resp.headers["content-language"]).toEqual("de");
+
+    resp = await request(app)
+        .get(`/meals/${testMealIds[0]}?lang=it`)
+        .set("Accept-Language", "de");
+    expect(resp.body.meal.instructions).toEqual("Istruzioni 1");
+
+    resp = await request(app).get(`/meals/${testMealIds[0]}?lang=fr`);
+    expect(resp.body.meal.instructions).toEqual("Inst1");
+    expect(resp.body.meal.language).toEqual("en");
+  });
+
+  test("bad request with invalid lang", async function () {
+    const resp = await request(app).get(`/meals/${testMealIds[0]}?lang=not+a+language`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
   test("works for anon", async function () {
     const resp = await request(app).get(`/meals/${testMealIds[0]}`);
     expect(resp.body).toEqual({
@@ -192,10 +414,89 @@ describe("GET /meals/:id", function () {
         instructions: "Inst1",
         thumbnail: "http://M1.img",
         ingredients: ["Ing1a", "Ing1b", "Ing1c"],
+        servings: 4,
+        language: "en",
+        languages: ["en"],
+        externalId: null,
+        sourceUrl: null,
+        videoUrl: null,
+        tags: [],
+        imageSource: null,
+        imageAttribution: null,
+        creativeCommonsConfirmed: null,
+        structuredIngredients: [
+          { display: "Ing1a", quantity: null, quantityMax: null, unit: null, name: "ing1a", note: null },
+          { display: "Ing1b", quantity: null, quantityMax: null, unit: null, name: "ing1b", note: null },
+          { display: "Ing1c", quantity: null, quantityMax: null, unit: null, name: "ing1c", note: null },
+        ],
       },
     });
   });
 
+  test("works: scaled to servings", async function () {
+    await request(app)
+        .patch(`/meals/${testMealIds[0]}`)
+        .send({ ingredients: ["1 1/2 cups Rice", "3/4 tsp Salt", "Pepper to taste"] })
+        .set("authorization", `Bearer ${adminToken}`);
+    const resp = await request(app).get(`/meals/${testMealIds[0]}?servings=8`);
+    expect(resp.body.meal.servings).toEqual(8);
+    expect(resp.body.meal.ingredients).toEqual(["3 cups Rice", "1 1/2 tsp Salt", "Pepper to taste"]);
+    expect(resp.body.meal.structuredIngredients[0]).toEqual(expect.objectContaining({
+      quantity: 3,
+      unit: "cup",
+    }));
+  });
+
+  test("works: converted to units", async function () {
+    await request(app)
+        .patch(`/meals/${testMealIds[0]}`)
+        .send({ ingredients: ["2 cups Flour", "8 oz Cheese", "1 tsp Salt"], instructions: "Bake at 350F for 20 minutes" })
+        .set("authorization", `Bearer ${adminToken}`);
+    const resp = await request(app).get(`/meals/${testMealIds[0]}?units=metric`);
+    expect(resp.body.meal.ingredients).toEqual(["470 ml Flour", "230 g Cheese", "1 tsp Salt"]);
+    expect(resp.body.meal.instructions).toEqual("Bake at 180°C for 20 minutes");
+  });
+
+  test("works: in the logged in user's preferred units", async function () {
+    await request(app)
+        .patch(`/users/u1`)
+        .send({ unitPreference: "metric" })
+        .set("authorization", `Bearer ${u1Token}`);
+    await request(app)
+        .patch(`/meals/${testMealIds[0]}`)
+        .send({ ingredients: ["2 cups Flour", "8 oz Cheese", "1 tsp Salt"], instructions: "Bake at 350F for 20 minutes" })
+        .set("authorization", `Bearer ${adminToken}`);
+    const resp = await request(app)
+        .get(`/meals/${testMealIds[0]}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.meal.ingredients).toEqual(["470 ml Flour", "230 g Cheese", "1 tsp Salt"]);
+  });
+
+  test("works: in the original units for a user who's gone", async function () {
+    await request(app)
+        .patch(`/meals/${testMealIds[0]}`)
+        .send({ ingredients: ["2 cups Flour", "8 oz Cheese", "1 tsp Salt"] })
+        .set("authorization", `Bearer ${adminToken}`);
+    await request(app)
+        .delete(`/users/u1`)
+        .set("authorization", `Bearer ${adminToken}`);
+    const resp = await request(app)
+        .get(`/meals/${testMealIds[0]}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.meal.ingredients).toEqual(["2 cups Flour", "8 oz Cheese", "1 tsp Salt"]);
+  });
+
+  test("bad request with invalid units", async function () {
+    const resp = await request(app).get(`/meals/${testMealIds[0]}?units=cubits`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with invalid servings", async function () {
+    const resp = await request(app).get(`/meals/${testMealIds[0]}?servings=0`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
   test("not found for no such meal", async function () {
     const resp = await request(app).get(`/meals/0`);
     expect(resp.statusCode).toEqual(404);
@@ -205,13 +506,13 @@ describe("GET /meals/:id", function () {
 /************************************** PATCH /meals/:id */
 
 describe("PATCH /meals/:id", function () {
-  test("works if logged in", async function () {
+  test("works for admin", async function () {
     const resp = await request(app)
         .patch(`/meals/${testMealIds[0]}`)
         .send({
           name: "New M",
         })
-        .set("authorization", `Bearer ${u1Token}`);
+        .set("authorization", `Bearer ${adminToken}`);
     expect(resp.body).toEqual({
       meal: {
         id: expect.any(Number),
@@ -221,6 +522,15 @@ describe("PATCH /meals/:id", function () {
         instructions: "Inst1",
         thumbnail: "http://M1.img",
         ingredients: ["Ing1a", "Ing1b", "Ing1c"],
+        servings: 4,
+        externalId: null,
+        sourceUrl: null,
+        videoUrl: null,
+        tags: [],
+        imageSource: null,
+        imageAttribution: null,
+        creativeCommonsConfirmed: null,
+        structuredIngredients: expect.any(Array),
       },
     });
   });
@@ -234,13 +544,23 @@ describe("PATCH /meals/:id", function () {
     expect(resp.statusCode).toEqual(401);
   });
 
+  test("unauth for non-admin user", async function () {
+    const resp = await request(app)
+        .patch(`/meals/${testMealIds[0]}`)
+        .send({
+          name: "New M",
+        })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
   test("not found on no such meal", async function () {
     const resp = await request(app)
         .patch(`/meals/0`)
         .send({
           name: "New M",
         })
-        .set("authorization", `Bearer ${u1Token}`);
+        .set("authorization", `Bearer ${adminToken}`);
     expect(resp.statusCode).toEqual(404);
   });
 
@@ -250,7 +570,7 @@ describe("PATCH /meals/:id", function () {
         .send({
           category: 1,
         })
-        .set("authorization", `Bearer ${u1Token}`);
+        .set("authorization", `Bearer ${adminToken}`);
     expect(resp.statusCode).toEqual(400);
   });
 });
@@ -258,10 +578,10 @@ describe("PATCH /meals/:id", function () {
 /************************************** DELETE /meals/:id */
 
 describe("DELETE /meals/:id", function () {
-  test("works if logged in", async function () {
+  test("works for admin", async function () {
     const resp = await request(app)
         .delete(`/meals/${testMealIds[0]}`)
-        .set("authorization", `Bearer ${u1Token}`);
+        .set("authorization", `Bearer ${adminToken}`);
     expect(resp.body).toEqual({ deleted: testMealIds[0] });
   });
 
@@ -271,10 +591,281 @@ describe("DELETE /meals/:id", function () {
     expect(resp.statusCode).toEqual(401);
   });
 
+  test("unauth for non-admin user", async function () {
+    const resp = await request(app)
+        .delete(`/meals/${testMealIds[0]}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
   test("not found for no such meal", async function () {
     const resp = await request(app)
         .delete(`/meals/0`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** GET /meals/:id/translations */
+
+describe("GET /meals/:id/translations", function () {
+  test("works for anon", async function () {
+    await RecipeTranslation.setUpstream("meals", testMealIds[0], { it: "Istruzioni 1" });
+    const resp = await request(app).get(`/meals/${testMealIds[0]}/translations`);
+    expect(resp.body).toEqual({
+      translations: [{ language: "it", instructions: "Istruzioni 1", contributedBy: null }],
+    });
+  });
+
+  test("not found for no such meal", async function () {
+    const resp = await request(app).get(`/meals/0/translations`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("not found for an invalid id", async function () {
+    const resp = await request(app).get(`/meals/abc/translations`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** PUT /meals/:id/translations/:language */
+
+describe("PUT /meals/:id/translations/:language", function () {
+  test("works for logged in user", async function () {
+    const resp = await request(app)
+        .put(`/meals/${testMealIds[0]}/translations/zh-Hans`)
+        .send({ instructions: "说明" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      translation: { language: "zh-hans", instructions: "说明", contributedBy: "u1" },
+    });
+  });
+
+  test("works for the contributor, or admin, replacing it", async function () {
+    await request(app)
+        .put(`/meals/${testMealIds[0]}/translations/de`)
+        .send({ instructions: "Anleitung" })
+        .set("authorization", `Bearer ${u1Token}`);
+    let resp = await request(app)
+        .put(`/meals/${testMealIds[0]}/translations/de`)
+        .send({ instructions: "Neue Anleitung" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.translation).toEqual(
+        { language: "de", instructions: "Neue Anleitung", contributedBy: "u1" });
+
+    resp = await request(app)
+        .put(`/meals/${testMealIds[0]}/translations/de`)
+        .send({ instructions: "Bessere Anleitung" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.translation).toEqual(
+        { language: "de", instructions: "Bessere Anleitung", contributedBy: "admin" });
+  });
+
+  test("forbidden replacing another user's, or one from upstream", async function () {
+    await request(app)
+        .put(`/meals/${testMealIds[0]}/translations/de`)
+        .send({ instructions: "Anleitung" })
+        .set("authorization", `Bearer ${u1Token}`);
+    let resp = await request(app)
+        .put(`/meals/${testMealIds[0]}/translations/de`)
+        .send({ instructions: "Falsche Anleitung" })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(403);
+
+    await RecipeTranslation.setUpstream("meals", testMealIds[0], { it: "Istruzioni 1" });
+    resp = await request(app)
+        .put(`/meals/${testMealIds[0]}/translations/it`)
+        .send({ instructions: "Istruzioni sbagliate" })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(403);
+
+    resp = await request(app).get(`/meals/${testMealIds[0]}/translations`);
+    expect(resp.body.translations.map(t => t.instructions)).toEqual(["Anleitung", "Istruzioni 1"]);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .put(`/meals/${testMealIds[0]}/translations/de`)
+        .send({ instructions: "Anleitung" });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with invalid language or data", async function () {
+    let resp = await request(app)
+        .put(`/meals/${testMealIds[0]}/translations/en`)
+        .send({ instructions: "Instructions" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+
+    resp = await request(app)
+        .put(`/meals/${testMealIds[0]}/translations/de`)
+        .send({ instructions: "" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found for no such meal", async function () {
+    const resp = await request(app)
+        .put(`/meals/0/translations/de`)
+        .send({ instructions: "Anleitung" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("not found for an invalid id", async function () {
+    for (const id of ["abc", "99999999999"]) {
+      const resp = await request(app)
+          .put(`/meals/${id}/translations/de`)
+          .send({ instructions: "Anleitung" })
+          .set("authorization", `Bearer ${u1Token}`);
+      expect(resp.statusCode).toEqual(404);
+    }
+  });
+});
+
+/************************************** DELETE /meals/:id/translations/:language */
+
+describe("DELETE /meals/:id/translations/:language", function () {
+  test("works for admin", async function () {
+    await RecipeTranslation.setUpstream("meals", testMealIds[0], { it: "Istruzioni 1" });
+    const resp = await request(app)
+        .delete(`/meals/${testMealIds[0]}/translations/it`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ deleted: "it" });
+  });
+
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+        .delete(`/meals/${testMealIds[0]}/translations/it`)
         .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found for no such translation", async function () {
+    const resp = await request(app)
+        .delete(`/meals/${testMealIds[0]}/translations/it`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("not found for an invalid id", async function () {
+    const resp = await request(app)
+        .delete(`/meals/abc/translations/it`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** GET /meals/:id/pairings */
+
+describe("GET /meals/:id/pairings", function () {
+  test("works for anon", async function () {
+    const resp = await request(app).get(`/meals/${testMealIds[0]}/pairings`);
+    expect(resp.body).toEqual({
+      pairings: [
+        {
+          id: testDrinkIds[0],
+          name: "D1",
+          category: "Cat1",
+          thumbnail: "http://D1.img",
+          pinned: false,
+          score: 4,
+          reasons: ["Shares ing1a, ing1b, ing1c", "Favorited together by 1 user"],
+        },
+      ],
+    });
+  });
+
+  test("works: pinned first, with limit", async function () {
+    await Pairing.pin(testMealIds[0], testDrinkIds[2], "u1");
+    const resp = await request(app).get(`/meals/${testMealIds[0]}/pairings?limit=1`);
+    expect(resp.body.pairings.map(p => [p.id, p.pinned])).toEqual([[testDrinkIds[2], true]]);
+  });
+
+  test("bad request with invalid limit", async function () {
+    const resp = await request(app).get(`/meals/${testMealIds[0]}/pairings?limit=51`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found for no such meal", async function () {
+    const resp = await request(app).get(`/meals/0/pairings`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("not found for an invalid id", async function () {
+    for (const id of ["abc", "99999999999"]) {
+      const resp = await request(app).get(`/meals/${id}/pairings`);
+      expect(resp.statusCode).toEqual(404);
+    }
+  });
+});
+
+/************************************** POST /meals/:id/pairings/:drinkId */
+
+describe("POST /meals/:id/pairings/:drinkId", function () {
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .post(`/meals/${testMealIds[0]}/pairings/${testDrinkIds[2]}`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      pinned: { mealId: testMealIds[0], drinkId: testDrinkIds[2] },
+    });
+  });
+
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+        .post(`/meals/${testMealIds[0]}/pairings/${testDrinkIds[2]}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found for no such drink", async function () {
+    const resp = await request(app)
+        .post(`/meals/${testMealIds[0]}/pairings/0`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("not found for an invalid drink id", async function () {
+    const resp = await request(app)
+        .post(`/meals/${testMealIds[0]}/pairings/abc`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** DELETE /meals/:id/pairings/:drinkId */
+
+describe("DELETE /meals/:id/pairings/:drinkId", function () {
+  test("works for admin", async function () {
+    await Pairing.pin(testMealIds[0], testDrinkIds[2], "u1");
+    const resp = await request(app)
+        .delete(`/meals/${testMealIds[0]}/pairings/${testDrinkIds[2]}`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({
+      unpinned: { mealId: testMealIds[0], drinkId: testDrinkIds[2] },
+    });
+  });
+
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+        .delete(`/meals/${testMealIds[0]}/pairings/${testDrinkIds[2]}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if not pinned", async function () {
+    const resp = await request(app)
+        .delete(`/meals/${testMealIds[0]}/pairings/${testDrinkIds[2]}`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("not found for an invalid id", async function () {
+    const resp = await request(app)
+        .delete(`/meals/abc/pairings/${testDrinkIds[2]}`)
+        .set("authorization", `Bearer ${adminToken}`);
     expect(resp.statusCode).toEqual(404);
   });
 });
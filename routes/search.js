@@ -0,0 +1,59 @@
+"use strict";
+
+const jsonschema = require("jsonschema");
+const express = require("express");
+
+const { BadRequestError } = require("../expressError");
+const Search = require("../models/search");
+const recipeSearchSchema = require("../schemas/recipeSearch.json");
+
+const router = express.Router();
+
+
+/** GET /?q=  =>
+ *    { results: [ { type, id, personal, name, category, thumbnail, rank, highlights }, ...],
+ *      pagination: { total, limit, offset } }
+ *
+ * Full-text search of meals and drinks (and, if logged in, the user's own
+ * personal recipes), most relevant first: matches in the name count most,
+ * then in the ingredients, then in the instructions.
+ *
+ * q is written as in a search engine: `lime -juice`, `"egg fried rice"`,
+ * `rum or gin`.
+ *
+ * Can be given:
+ * - type: "meals" or "drinks" (default both)
+ * - limit: most results to return (default 20, at most 100)
+ * - offset: number of results to skip
+ *
+ * highlights are { name, ingredients, instructions }: HTML with the
+ * matching words in <mark> tags (only the parts of the instructions with
+ * matches).
+ *
+ * Authorization required: none
+ */
+
+router.get("/", async (req, res, next) => {
+    try {
+        const validator = jsonschema.validate(req.query, recipeSearchSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+
+        const { q, type, limit, offset } = req.query;
+        const user = res.locals.user;
+        const { results, pagination } = await Search.recipes(q, {
+            username: user && user.username,
+            type,
+            limit: limit && +limit,
+            offset: offset && +offset,
+        });
+        return res.json({ results, pagination });
+    } catch (err) {
+        return next(err);
+    }
+});
+
+
+module.exports = router;
@@ -0,0 +1,96 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testMealIds,
+  testDrinkIds,
+  testPersonalMealIds,
+  u1Token,
+  u2Token,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** GET /search */
+
+describe("GET /search", function () {
+  test("works for anon", async function () {
+    const resp = await request(app).get("/search").query({ q: "m1" });
+    expect(resp.body).toEqual({
+      results: [
+        {
+          type: "meals",
+          id: testMealIds[0],
+          personal: false,
+          name: "M1",
+          category: "Cat1",
+          thumbnail: "http://M1.img",
+          rank: expect.any(Number),
+          highlights: {
+            name: "<mark>M1</mark>",
+            ingredients: "Ing1a, Ing1b, Ing1c",
+            instructions: "Inst1",
+          },
+        },
+      ],
+      pagination: { total: 1, limit: 20, offset: 0 },
+    });
+  });
+
+  test("works: ingredients, across meals and drinks", async function () {
+    const resp = await request(app).get("/search").query({ q: "ing2b" });
+    expect(resp.body.results.map(r => [r.type, r.id])).toEqual([
+      ["drinks", testDrinkIds[1]],
+      ["meals", testMealIds[1]],
+    ]);
+  });
+
+  test("works: with the user's personal recipes", async function () {
+    const resp = await request(app)
+        .get("/search")
+        .query({ q: "p-m1", type: "meals" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.results.map(r => [r.type, r.id, r.personal])).toEqual([
+      ["meals", testPersonalMealIds[0], true],
+    ]);
+  });
+
+  test("works: not other users' personal recipes", async function () {
+    const resp = await request(app)
+        .get("/search")
+        .query({ q: "p-m1" })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.body.results).toEqual([]);
+  });
+
+  test("works: paging", async function () {
+    const resp = await request(app).get("/search").query({ q: "ing2b", limit: "1", offset: "1" });
+    expect(resp.body.results.map(r => r.id)).toEqual([testMealIds[1]]);
+    expect(resp.body.pagination).toEqual({ total: 2, limit: 1, offset: 1 });
+  });
+
+  test("bad request without q", async function () {
+    const resp = await request(app).get("/search");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with invalid params", async function () {
+    const resp = await request(app).get("/search").query({ q: "m1", limit: "0", type: "snacks" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request on an offset too large", async function () {
+    const resp = await request(app).get("/search").query({ q: "m1", offset: "99999999999999999999" });
+    expect(resp.statusCode).toEqual(400);
+  });
+});
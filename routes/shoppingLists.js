@@ -0,0 +1,141 @@
+"use strict";
+
+const jsonschema = require("jsonschema");
+const express = require("express");
+
+const { BadRequestError } = require("../expressError");
+const { ensureLoggedIn, ensureVerifiedEmail } = require("../middleware/auth");
+const ShoppingList = require("../models/shoppingList");
+const shoppingListNewSchema = require("../schemas/shoppingListNew.json");
+const shoppingListUpdateSchema = require("../schemas/shoppingListUpdate.json");
+const shoppingListItemUpdateSchema = require("../schemas/shoppingListItemUpdate.json");
+
+const router = express.Router();
+
+
+/** POST / { name, recipes } => { shoppingList }
+ *
+ * Makes a shopping list for the logged in user from some meals and drinks:
+ * recipes are [{ type, id, personal, servings }, ...] where type is "meals"
+ * or "drinks", personal is whether id is one of the user's personal recipes
+ * (default false) and servings, if given, scales the recipe. name defaults
+ * to "Shopping list".
+ *
+ * The same ingredient in different recipes is bought once, adding up
+ * quantities in compatible units. Items whose measure couldn't be read,
+ * like "Juice of 1 lemon", are flagged unparsed.
+ *
+ * Returns { id, name, createdAt, aisles }
+ *   where aisles are [{ aisle, items: [item, ...] }, ...] and an item is
+ *   { id, aisle, display, name, quantity, unit, recipes, unparsed, checked }
+ *
+ * Authorization required: logged in (with a verified email, if required)
+ */
+
+router.post("/", ensureLoggedIn, ensureVerifiedEmail, async (req, res, next) => {
+    try {
+        const validator = jsonschema.validate(req.body, shoppingListNewSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+
+        const shoppingList = await ShoppingList.create(res.locals.user.username, req.body);
+        return res.status(201).json({ shoppingList });
+    } catch (err) {
+        return next(err);
+    }
+});
+
+/** GET / => { shoppingLists: [ { id, name, createdAt, itemCount, checkedCount }, ... ] }
+ *
+ * The logged in user's shopping lists, newest first.
+ *
+ * Authorization required: logged in
+ */
+
+router.get("/", ensureLoggedIn, async (req, res, next) => {
+    try {
+        const shoppingLists = await ShoppingList.findAll(res.locals.user.username);
+        return res.json({ shoppingLists });
+    } catch (err) {
+        return next(err);
+    }
+});
+
+/** GET /[id] => { shoppingList }
+ *
+ * Returns { id, name, createdAt, aisles }, as for POST /.
+ *
+ * Authorization required: logged in, as the list's owner
+ */
+
+router.get("/:id", ensureLoggedIn, async (req, res, next) => {
+    try {
+        const shoppingList = await ShoppingList.get(res.locals.user.username, req.params.id);
+        return res.json({ shoppingList });
+    } catch (err) {
+        return next(err);
+    }
+});
+
+/** PATCH /[id] { name } => { shoppingList }
+ *
+ * Authorization required: logged in, as the list's owner
+ */
+
+router.patch("/:id", ensureLoggedIn, async (req, res, next) => {
+    try {
+        const validator = jsonschema.validate(req.body, shoppingListUpdateSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+
+        const shoppingList = await ShoppingList.rename(
+            res.locals.user.username, req.params.id, req.body.name);
+        return res.json({ shoppingList });
+    } catch (err) {
+        return next(err);
+    }
+});
+
+/** PATCH /[id]/items/[itemId] { checked } => { item }
+ *
+ * Check an item off (or back on) the list.
+ *
+ * Authorization required: logged in, as the list's owner
+ */
+
+router.patch("/:id/items/:itemId", ensureLoggedIn, async (req, res, next) => {
+    try {
+        const validator = jsonschema.validate(req.body, shoppingListItemUpdateSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+
+        const item = await ShoppingList.checkItem(
+            res.locals.user.username, req.params.id, req.params.itemId, req.body.checked);
+        return res.json({ item });
+    } catch (err) {
+        return next(err);
+    }
+});
+
+/** DELETE /[id]  =>  { deleted: id }
+ *
+ * Authorization required: logged in, as the list's owner
+ */
+
+router.delete("/:id", ensureLoggedIn, async (req, res, next) => {
+    try {
+        await ShoppingList.remove(res.locals.user.username, req.params.id);
+        return res.json({ deleted: +req.params.id });
+    } catch (err) {
+        return next(err);
+    }
+});
+
+
+module.exports = router;
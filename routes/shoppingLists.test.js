@@ -0,0 +1,280 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+const ShoppingList = require("../models/shoppingList");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testMealIds,
+  testDrinkIds,
+  testPersonalMealIds,
+  u1Token,
+  u2Token,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+async function createList(username = "u1") {
+  return ShoppingList.create(username, {
+    name: "Dinner",
+    recipes: [{ type: "meals", id: testMealIds[0] }],
+  });
+}
+
+/************************************** POST /shopping-lists */
+
+describe("POST /shopping-lists", function () {
+  test("works", async function () {
+    const resp = await request(app)
+        .post("/shopping-lists")
+        .send({
+          name: "Dinner",
+          recipes: [
+            { type: "meals", id: testMealIds[0], servings: 4 },
+            { type: "drinks", id: testDrinkIds[0] },
+            { type: "meals", id: testPersonalMealIds[0], personal: true },
+          ],
+        })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body.shoppingList).toEqual({
+      id: expect.any(Number),
+      name: "Dinner",
+      createdAt: expect.any(String),
+      aisles: [{ aisle: "Other", items: expect.any(Array) }],
+    });
+    expect(resp.body.shoppingList.aisles[0].items.map(i => [i.name, i.recipes])).toEqual([
+      ["ing1a", ["M1", "D1"]],
+      ["ing1b", ["M1", "D1"]],
+      ["ing1c", ["M1", "D1"]],
+      ["p-ing1a", ["P-M1"]],
+      ["p-ing1b", ["P-M1"]],
+      ["p-ing1c", ["P-M1"]],
+    ]);
+  });
+
+  test("not found for another user's personal recipe", async function () {
+    const resp = await request(app)
+        .post("/shopping-lists")
+        .send({ recipes: [{ type: "meals", id: testPersonalMealIds[0], personal: true }] })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("bad request with no recipes", async function () {
+    const resp = await request(app)
+        .post("/shopping-lists")
+        .send({ name: "Dinner", recipes: [] })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with invalid data", async function () {
+    const resp = await request(app)
+        .post("/shopping-lists")
+        .send({ recipes: [{ type: "snacks", id: testMealIds[0], servings: 0 }] })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with a recipe id out of range", async function () {
+    const resp = await request(app)
+        .post("/shopping-lists")
+        .send({ recipes: [{ type: "meals", id: 99999999999 }] })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .post("/shopping-lists")
+        .send({ recipes: [{ type: "meals", id: testMealIds[0] }] });
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** GET /shopping-lists */
+
+describe("GET /shopping-lists", function () {
+  test("works", async function () {
+    const list = await createList();
+    await createList("u2");
+    const resp = await request(app)
+        .get("/shopping-lists")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      shoppingLists: [
+        {
+          id: list.id,
+          name: "Dinner",
+          createdAt: list.createdAt.toISOString(),
+          itemCount: 3,
+          checkedCount: 0,
+        },
+      ],
+    });
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).get("/shopping-lists");
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** GET /shopping-lists/:id */
+
+describe("GET /shopping-lists/:id", function () {
+  test("works", async function () {
+    const list = await createList();
+    const resp = await request(app)
+        .get(`/shopping-lists/${list.id}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      shoppingList: { ...list, createdAt: list.createdAt.toISOString() },
+    });
+  });
+
+  test("not found for another user's list", async function () {
+    const list = await createList();
+    const resp = await request(app)
+        .get(`/shopping-lists/${list.id}`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("not found for an invalid id", async function () {
+    for (const id of ["abc", "99999999999"]) {
+      const resp = await request(app)
+          .get(`/shopping-lists/${id}`)
+          .set("authorization", `Bearer ${u1Token}`);
+      expect(resp.statusCode).toEqual(404);
+    }
+  });
+
+  test("unauth for anon", async function () {
+    const list = await createList();
+    const resp = await request(app).get(`/shopping-lists/${list.id}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** PATCH /shopping-lists/:id */
+
+describe("PATCH /shopping-lists/:id", function () {
+  test("works", async function () {
+    const list = await createList();
+    const resp = await request(app)
+        .patch(`/shopping-lists/${list.id}`)
+        .send({ name: "Saturday" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.shoppingList.name).toEqual("Saturday");
+  });
+
+  test("bad request with invalid data", async function () {
+    const list = await createList();
+    const resp = await request(app)
+        .patch(`/shopping-lists/${list.id}`)
+        .send({ name: "" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found for another user's list", async function () {
+    const list = await createList();
+    const resp = await request(app)
+        .patch(`/shopping-lists/${list.id}`)
+        .send({ name: "Saturday" })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("not found for an invalid id", async function () {
+    const resp = await request(app)
+        .patch("/shopping-lists/abc")
+        .send({ name: "Saturday" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** PATCH /shopping-lists/:id/items/:itemId */
+
+describe("PATCH /shopping-lists/:id/items/:itemId", function () {
+  test("works", async function () {
+    const list = await createList();
+    const item = list.aisles[0].items[0];
+    const resp = await request(app)
+        .patch(`/shopping-lists/${list.id}/items/${item.id}`)
+        .send({ checked: true })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ item: { ...item, checked: true } });
+  });
+
+  test("bad request with invalid data", async function () {
+    const list = await createList();
+    const resp = await request(app)
+        .patch(`/shopping-lists/${list.id}/items/${list.aisles[0].items[0].id}`)
+        .send({ checked: "yes" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found for another user's list", async function () {
+    const list = await createList();
+    const resp = await request(app)
+        .patch(`/shopping-lists/${list.id}/items/${list.aisles[0].items[0].id}`)
+        .send({ checked: true })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("not found for an invalid item id", async function () {
+    const list = await createList();
+    const resp = await request(app)
+        .patch(`/shopping-lists/${list.id}/items/abc`)
+        .send({ checked: true })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** DELETE /shopping-lists/:id */
+
+describe("DELETE /shopping-lists/:id", function () {
+  test("works", async function () {
+    const list = await createList();
+    const resp = await request(app)
+        .delete(`/shopping-lists/${list.id}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ deleted: list.id });
+  });
+
+  test("not found for another user's list", async function () {
+    const list = await createList();
+    const resp = await request(app)
+        .delete(`/shopping-lists/${list.id}`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("not found for an invalid id", async function () {
+    const resp = await request(app)
+        .delete("/shopping-lists/abc")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("unauth for anon", async function () {
+    const list = await createList();
+    const resp = await request(app).delete(`/shopping-lists/${list.id}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
@@ -4,19 +4,50 @@
 const jsonschema = require("jsonschema");
 
 const express = require("express");
-const { ensureCorrectUser, ensureLoggedIn } = require("../middleware/auth");
+const {
+    ensureCorrectUser,
+    ensureLoggedIn,
+    ensureAdminOrCorrectUser,
+    ensureVerifiedEmail,
+    ensureAdmin,
+} = require("../middleware/auth");
 const { BadRequestError } = require("../expressError");
+const { sendMail } = require("../helpers/mailer");
+const { emailVerificationEmail } = require("../helpers/emails");
+const { createToken } = require("../helpers/tokens");
+const { scaleRecipe } = require("../helpers/scaling");
+const { convertRecipe } = require("../helpers/units");
+const { normalizeLanguage, translateRecipe } = require("../helpers/languages");
+const { planCalendar } = require("../helpers/calendar");
 const User = require("../models/user");
+const Token = require("../models/token");
+const LoginAttempt = require("../models/loginAttempt");
+const Pantry = require("../models/pantry");
+const Event = require("../models/event");
+const MealPlan = require("../models/mealPlan");
+const Recommendation = require("../models/recommendation");
+const RecipeTranslation = require("../models/recipeTranslation");
 const userUpdateSchema = require("../schemas/userUpdate.json");
 const mealNewSchema = require("../schemas/mealNew.json");
 const mealUpdateSchema = require("../schemas/mealUpdate.json");
 const drinkNewSchema = require("../schemas/drinkNew.json");
 const drinkUpdateSchema = require("../schemas/drinkUpdate.json");
+const pantryAddSchema = require("../schemas/pantryAdd.json");
+const eventNewSchema = require("../schemas/eventNew.json");
+const eventUpdateSchema = require("../schemas/eventUpdate.json");
+const pantryMatchesSchema = require("../schemas/pantryMatches.json");
+const mealPlanSearchSchema = require("../schemas/mealPlanSearch.json");
+const mealPlanEntryNewSchema = require("../schemas/mealPlanEntryNew.json");
+const mealPlanEntryUpdateSchema = require("../schemas/mealPlanEntryUpdate.json");
+const mealPlanGenerateSchema = require("../schemas/mealPlanGenerate.json");
+const recommendationSearchSchema = require("../schemas/recommendationSearch.json");
+const recipeViewSchema = require("../schemas/recipeView.json");
+const translationSchema = require("../schemas/translation.json");
 
 const router = express.Router();
 
 
-/** GET / => { users: [ {username, firstName, lastName, email }, ... ] }
+/** GET / => { users: [ {username, firstName, lastName, email, isAdmin }, ... ] }
  *
  * Returns list of all users.
  *
@@ -35,14 +66,15 @@ router.get("/", ensureLoggedIn, async function (req, res, next) {
   
 /** GET /[username] => { user }
  *
- * Returns { username, firstName, lastName, favMeals, favDrinks }
- *   where favMeals is { id, name, category, area, instructions, thumbnail, ingredients }
+ * Returns { username, firstName, lastName, isAdmin, unitPreference, favMeals, favDrinks }
+ *   where unitPreference is "metric", "imperial" or "original",
+ *   favMeals is { id, name, category, area, instructions, thumbnail, ingredients }
  *   and favDrinks is { id, name, category, type, glass, instructions, thumbnail, ingredients }
  *
- * Authorization required: same user-as-:username
+ * Authorization required: admin or same user-as-:username
  **/
   
-router.get("/:username", ensureCorrectUser, async function (req, res, next) {
+router.get("/:username", ensureAdminOrCorrectUser, async function (req, res, next) {
     try {
         const user = await User.get(req.params.username);
         return res.json({ user });
@@ -55,22 +87,64 @@ router.get("/:username", ensureCorrectUser, async function (req, res, next) {
 /** PATCH /[username] { user } => { user }
  *
  * Data can include:
- *   { firstName, lastName, password, email }
+ *   { firstName, lastName, password, email, currentPassword, unitPreference }
  *
- * Returns { username, firstName, lastName, email }
+ * Returns { username, firstName, lastName, email, isAdmin, unitPreference }
  *
- * Authorization required: same-user-as-:username
+ * Changing the password or email requires currentPassword: the password of
+ * whoever is making the change. Each such change is recorded in the audit log.
+ *
+ * Changing the email marks it as not verified, and mails a new verification
+ * link to it.
+ *
+ * Changing the password revokes every session of the user. If they changed
+ * it themselves, a new { token, refreshToken } for this session is returned
+ * alongside the user.
+ *
+ * Authorization required: admin or same-user-as-:username
  **/
   
-router.patch("/:username", ensureCorrectUser, async function (req, res, next) {
+router.patch("/:username", ensureAdminOrCorrectUser, async function (req, res, next) {
     try {
         const validator = jsonschema.validate(req.body, userUpdateSchema);
         if (!validator.valid) {
             const errs = validator.errors.map(e => e.stack);
             throw new BadRequestError(errs);
         }
+
+        const { username } = req.params;
+        const { currentPassword, ...data } = req.body;
+        const changedBy = res.locals.user.username;
+        const credentialChanges = ["password", "email"].filter(field => data[field] !== undefined);
+
+        if (credentialChanges.length > 0) {
+            if (!currentPassword) {
+                throw new BadRequestError("currentPassword is required to change password or email");
+            }
+            await User.authenticate(changedBy, currentPassword, req.ip);
+        }
     
-        const user = await User.update(req.params.username, req.body);
+        const user = await User.update(username, data);
+
+        for (const field of credentialChanges) {
+            await User.recordCredentialChange(username, field, changedBy, req.ip);
+        }
+
+        if (data.email) {
+            const verificationToken = await Token.createEmailVerificationToken(user.username);
+            await sendMail(emailVerificationEmail(user, verificationToken));
+        }
+
+        if (data.password) {
+            await Token.revokeAllSessions(username);
+
+            if (changedBy === username) {
+                const token = createToken(user);
+                const refreshToken = await Token.createRefreshToken(username);
+                return res.json({ user, token, refreshToken });
+            }
+        }
+
         return res.json({ user });
     } catch (err) {
         return next(err);
@@ -80,10 +154,10 @@ router.patch("/:username", ensureCorrectUser, async function (req, res, next) {
   
 /** DELETE /[username]  =>  { deleted: username }
  *
- * Authorization required: same-user-as-:username
+ * Authorization required: admin or same-user-as-:username
  **/
   
-router.delete("/:username", ensureCorrectUser, async function (req, res, next) {
+router.delete("/:username", ensureAdminOrCorrectUser, async function (req, res, next) {
     try {
         await User.remove(req.params.username);
         return res.json({ deleted: req.params.username });
@@ -93,11 +167,437 @@ router.delete("/:username", ensureCorrectUser, async function (req, res, next) {
 });
 
 
+/** POST /[username]/unlock  =>  { unlocked: username }
+ *
+ * Lifts a lockout caused by too many failed logins.
+ *
+ * Authorization required: admin
+ **/
+
+router.post("/:username/unlock", ensureAdmin, async function (req, res, next) {
+    try {
+        await LoginAttempt.unlock(req.params.username);
+        return res.json({ unlocked: req.params.username });
+    } catch (err) {
+        return next(err);
+    }
+});
+
+
+/** GET /[username]/pantry => { pantry: [ ingredient, ... ] }
+ *
+ * Returns the ingredients the user has at home.
+ *
+ * Authorization required: same-user-as-:username
+ **/
+
+router.get("/:username/pantry", ensureCorrectUser, async function (req, res, next) {
+    try {
+        const pantry = await Pantry.get(req.params.username);
+        return res.json({ pantry });
+    } catch (err) {
+        return next(err);
+    }
+});
+
+
+/** POST /[username]/pantry  { ingredients: [ ingredient, ... ] } => { pantry }
+ *
+ * Adds ingredients to the user's pantry. Ingredients can be given with a
+ * measure ("2 eggs"); only the ingredient name is kept.
+ *
+ * Returns { pantry: [ ingredient, ... ] }
+ *
+ * Authorization required: same-user-as-:username (with a verified email, if required)
+ **/
+
+router.post("/:username/pantry", ensureCorrectUser, ensureVerifiedEmail, async function (req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.body, pantryAddSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+
+        const pantry = await Pantry.add(req.params.username, req.body.ingredients);
+        return res.status(201).json({ pantry });
+    } catch (err) {
+        return next(err);
+    }
+});
+
+
+/** GET /[username]/pantry/matches => { matches: [ match, ... ] }
+ *
+ * Ranks meals, drinks and the user's personal recipes by how many of their
+ * ingredients are in the user's pantry.
+ *
+ * Can be given:
+ * - type: "meals" or "drinks" (default both)
+ * - limit: most matches to return (default 20, at most 100)
+ *
+ * Each match is { id, type, personal, name, thumbnail, haveCount, totalCount, missing }
+ *   where missing lists the recipe's ingredients that aren't in the pantry.
+ *
+ * Authorization required: same-user-as-:username
+ **/
+
+router.get("/:username/pantry/matches", ensureCorrectUser, async function (req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.query, pantryMatchesSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+
+        const { type, limit } = req.query;
+        const matches = await Pantry.findMatches(req.params.username, {
+            type,
+            limit: limit && +limit,
+        });
+        return res.json({ matches });
+    } catch (err) {
+        return next(err);
+    }
+});
+
+
+/** DELETE /[username]/pantry/[ingredient] => { removed: ingredient }
+ *
+ * Authorization required: same-user-as-:username
+ **/
+
+router.delete("/:username/pantry/:ingredient", ensureCorrectUser, async function (req, res, next) {
+    try {
+        const removed = await Pantry.remove(req.params.username, req.params.ingredient);
+        return res.json({ removed });
+    } catch (err) {
+        return next(err);
+    }
+});
+
+
+/** POST /[username]/events  { event } => { event }
+ *
+ * event should be { name, startsAt, guestCount, notes, menu }
+ *   where startsAt is a date and time with a time zone, like
+ *   "2026-11-01T19:00:00-05:00", and menu is
+ *   [{ type, id, personal, servingsPerGuest }, ...]: catalog or personal
+ *   ("personal": true) meals and drinks, and how many servings of each to
+ *   make per guest (default 1).
+ *
+ * Returns the event, as for GET /[username]/events/[id].
+ *
+ * Authorization required: same-user-as-:username (with a verified email, if required)
+ **/
+
+router.post("/:username/events", ensureCorrectUser, ensureVerifiedEmail, async function (req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.body, eventNewSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+
+        const event = await Event.create(req.params.username, req.body);
+        return res.status(201).json({ event });
+    } catch (err) {
+        return next(err);
+    }
+});
+
+
+/** GET /[username]/events => { events: [ { id, name, startsAt, guestCount, notes }, ... ] }
+ *
+ * Soonest first.
+ *
+ * Authorization required: same-user-as-:username
+ **/
+
+router.get("/:username/events", ensureCorrectUser, async function (req, res, next) {
+    try {
+        const events = await Event.findAll(req.params.username);
+        return res.json({ events });
+    } catch (err) {
+        return next(err);
+    }
+});
+
+
+/** GET /[username]/events/[id] => { event }
+ *
+ * Returns { id, name, startsAt, guestCount, notes, menu, shoppingList, timeline }
+ *   where menu is the meals and drinks, scaled to make servingsPerGuest for
+ *     every guest: [{ type, id, personal, servingsPerGuest, name, thumbnail,
+ *     instructions, servings, ingredients, structuredIngredients }, ...]
+ *   shoppingList is the ingredients of the whole menu, combined:
+ *     [{ aisle, display, name, quantity, unit, recipes, unparsed }, ...]
+ *   timeline is when to shop and start each recipe: [{ at, task }, ...]
+ *
+ * Authorization required: same-user-as-:username
+ **/
+
+router.get("/:username/events/:id", ensureCorrectUser, async function (req, res, next) {
+    try {
+        const event = await Event.get(req.params.username, req.params.id);
+        return res.json({ event });
+    } catch (err) {
+        return next(err);
+    }
+});
+
+
+/** PATCH /[username]/events/[id]  { fld1, fld2, ... } => { event }
+ *
+ * Data can include: { name, startsAt, guestCount, notes, menu }
+ *   (a menu replaces the whole menu)
+ *
+ * Returns the event, as for GET /[username]/events/[id].
+ *
+ * Authorization required: same-user-as-:username
+ **/
+
+router.patch("/:username/events/:id", ensureCorrectUser, async function (req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.body, eventUpdateSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+
+        const event = await Event.update(req.params.username, req.params.id, req.body);
+        return res.json({ event });
+    } catch (err) {
+        return next(err);
+    }
+});
+
+
+/** DELETE /[username]/events/[id]  =>  { deleted: id }
+ *
+ * Authorization required: same-user-as-:username
+ **/
+
+router.delete("/:username/events/:id", ensureCorrectUser, async function (req, res, next) {
+    try {
+        await Event.remove(req.params.username, req.params.id);
+        return res.json({ deleted: +req.params.id });
+    } catch (err) {
+        return next(err);
+    }
+});
+
+
+/** GET /[username]/plans => { entries: [ entry, ... ] }
+ *
+ * The user's meal plan, by date and slot.
+ *
+ * Can be given:
+ * - from: first date, like "2026-10-19" (default today)
+ * - to: last date (default a week from from; at most 92 days from it)
+ *
+ * Each entry is { id, date, slot, recipe }
+ *   where slot is "breakfast", "lunch", "snack" or "dinner", and recipe is
+ *   { type, id, personal, name, thumbnail, category, area }
+ *
+ * Authorization required: same-user-as-:username
+ **/
+
+router.get("/:username/plans", ensureCorrectUser, async function (req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.query, mealPlanSearchSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+
+        const entries = await MealPlan.findRange(req.params.username, req.query);
+        return res.json({ entries });
+    } catch (err) {
+        return next(err);
+    }
+});
+
+
+/** GET /[username]/plans.ics => iCalendar file
+ *
+ * The user's meal plan as an iCalendar file, for calendar apps: an event
+ * for each entry, at its slot's time of day. Takes from and to, as for
+ * GET /[username]/plans.
+ *
+ * Authorization required: same-user-as-:username
+ **/
+
+router.get("/:username/plans.ics", ensureCorrectUser, async function (req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.query, mealPlanSearchSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+
+        const entries = await MealPlan.findRange(req.params.username, req.query);
+        return res
+            .type("text/calendar")
+            .attachment("meal-plan.ics")
+            .send(planCalendar(entries));
+    } catch (err) {
+        return next(err);
+    }
+});
+
+
+/** POST /[username]/plans  { date, slot, type, id, personal } => { entry }
+ *
+ * Puts a recipe on the user's plan: a catalog or personal ("personal": true)
+ * meal or drink (type "meals" or "drinks"), on a date in a slot.
+ *
+ * Authorization required: same-user-as-:username (with a verified email, if required)
+ **/
+
+router.post("/:username/plans", ensureCorrectUser, ensureVerifiedEmail, async function (req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.body, mealPlanEntryNewSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+
+        const entry = await MealPlan.add(req.params.username, req.body);
+        return res.status(201).json({ entry });
+    } catch (err) {
+        return next(err);
+    }
+});
+
+
+/** POST /[username]/plans/generate  { start, slots } => { entries: [ entry, ... ] }
+ *
+ * Plans a week from the user's favorite meals, starting on start (default
+ * today), in the slots given (default ["dinner"]). Slots that already have
+ * a meal are left as they are. Meals are picked for variety: each is used
+ * once before any is repeated, and meals from the same category or area
+ * aren't put on the same or consecutive days when it can be helped.
+ *
+ * Returns the week's plan, as for GET /[username]/plans.
+ *
+ * Authorization required: same-user-as-:username (with a verified email, if required)
+ **/
+
+router.post("/:username/plans/generate", ensureCorrectUser, ensureVerifiedEmail, async function (req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.body, mealPlanGenerateSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+
+        const entries = await MealPlan.generateWeek(req.params.username, req.body);
+        return res.status(201).json({ entries });
+    } catch (err) {
+        return next(err);
+    }
+});
+
+
+/** GET /[username]/plans/[id] => { entry }
+ *
+ * Authorization required: same-user-as-:username
+ **/
+
+router.get("/:username/plans/:id", ensureCorrectUser, async function (req, res, next) {
+    try {
+        const entry = await MealPlan.get(req.params.username, req.params.id);
+        return res.json({ entry });
+    } catch (err) {
+        return next(err);
+    }
+});
+
+
+/** PATCH /[username]/plans/[id]  { date, slot } => { entry }
+ *
+ * Moves an entry to another date or slot.
+ *
+ * Authorization required: same-user-as-:username
+ **/
+
+router.patch("/:username/plans/:id", ensureCorrectUser, async function (req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.body, mealPlanEntryUpdateSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+
+        const entry = await MealPlan.update(req.params.username, req.params.id, req.body);
+        return res.json({ entry });
+    } catch (err) {
+        return next(err);
+    }
+});
+
+
+/** DELETE /[username]/plans/[id]  =>  { deleted: id }
+ *
+ * Authorization required: same-user-as-:username
+ **/
+
+router.delete("/:username/plans/:id", ensureCorrectUser, async function (req, res, next) {
+    try {
+        await MealPlan.remove(req.params.username, req.params.id);
+        return res.json({ deleted: +req.params.id });
+    } catch (err) {
+        return next(err);
+    }
+});
+
+
+/** GET /[username]/recommendations  =>  { recommendations: { meals, drinks } }
+ *
+ * Meals and drinks the user might like, from their favorites: recipes that
+ * share ingredients, category or area with a favorite, or that other users
+ * favorited along with it. Best first.
+ *
+ * Can take:
+ * - type: "meals" or "drinks", for only those
+ * - limit: most recommendations of each type (default 10, at most 50)
+ *
+ * Each recommendation is { id, name, category, thumbnail, score, because,
+ *   explanation, reasons }
+ *   where because is the favorite it's most like, as { id, name },
+ *   explanation is like "Because you liked Beef Stew", and reasons say how
+ *   it's like it
+ *
+ * Authorization required: same-user-as-:username
+ **/
+
+router.get("/:username/recommendations", ensureCorrectUser, async function (req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.query, recommendationSearchSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+
+        const { type, limit } = req.query;
+        const recommendations = {};
+        for (const recipeType of type ? [type] : ["meals", "drinks"]) {
+            recommendations[recipeType] = await Recommendation.forUser(
+                req.params.username, recipeType, { limit: limit && +limit });
+        }
+        return res.json({ recommendations });
+    } catch (err) {
+        return next(err);
+    }
+});
+
+
 /** GET /[username]/[type]/personal =>
  *   if (type === "meals")
- *    Return { personalRecipes: [ { id, name, category, area, instructions, thumbnail, ingredients }, ...] }
+ *    Return { personalRecipes: [ { id, name, category, area, instructions, thumbnail, ingredients, servings }, ...] }
  *   if (type === "drinks")
- *    Return { personalDrinks: [ { id, name, category, type, glass, instructions, thumbnail, ingredients }, ...] }
+ *    Return { personalDrinks: [ { id, name, category, type, glass, instructions, thumbnail, ingredients, servings }, ...] }
  * 
  * Authorization required: same-user-as-:username
  **/ 
@@ -117,18 +617,18 @@ router.get("/:username/:type/personal", ensureCorrectUser, async function(req, r
  * 
  * personalRecipe should be:
  * 
- * -if type = meal { name, category, area, instructions, thumbnail, ingredients }
+ * -if type = meal { name, category, area, instructions, thumbnail, ingredients, servings }
  *
- * Returns { id, name, category, area, instructions, thumbnail, ingredients }
+ * Returns { id, name, category, area, instructions, thumbnail, ingredients, servings, structuredIngredients }
  * 
- * -if type = drink { name, category, type, glass, instructions, thumbnail, ingredients }
+ * -if type = drink { name, category, type, glass, instructions, thumbnail, ingredients, servings }
  * 
- * Returns { id, name, category, type, glass, instructions, thumbnail, ingredients } 
+ * Returns { id, name, category, type, glass, instructions, thumbnail, ingredients, servings, structuredIngredients } 
  * 
- * Authorization required: same-user-as-:username
+ * Authorization required: same-user-as-:username (with a verified email, if required)
  **/ 
 
-router.post("/:username/:type/personal", ensureCorrectUser, async function(req, res, next) {
+router.post("/:username/:type/personal", ensureCorrectUser, ensureVerifiedEmail, async function(req, res, next) {
     try {
         const { username, type } = req.params;
 
@@ -153,19 +653,46 @@ router.post("/:username/:type/personal", ensureCorrectUser, async function(req,
  * 
  * if type = meals:
  * 
- * Returns { id, name, category, area, instructions, thumbnail, ingredients }
+ * Returns { id, name, category, area, instructions, thumbnail, ingredients, servings, structuredIngredients }
  * 
  * if type = drinks:
  * 
- * Returns { id, name, category, type, glass, instructions, thumbnail, ingredients }
+ * Returns { id, name, category, type, glass, instructions, thumbnail, ingredients, servings, structuredIngredients }
+ * 
+ * Can be given:
+ * - servings: scale the ingredients to make this many servings (1 to 100)
+ * - units: "metric", "imperial" or "original" to convert the ingredients'
+ *   volumes and weights, and the temperatures in the instructions, to
+ *   (default the user's unitPreference)
+ * - lang: the language for the instructions, where there's a translation
+ *   (default the best for the Accept-Language header, or "en")
+ *
+ * The recipe also has language (the language the instructions are in) and
+ * languages (all the languages there are instructions in).
  * 
  * Authorization required: same-user-as-:username
  **/ 
 
 router.get("/:username/:type/personal/:id", ensureCorrectUser, async function(req, res, next) {
     try {
+        const validator = jsonschema.validate(req.query, recipeViewSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+
         const { username, type, id } = req.params;
-        const personalRecipe = await User.getPersonalRecipe(id, username, type);
+        let personalRecipe = await User.getPersonalRecipe(id, username, type);
+        const table = type === "meals" ? "personal_meals" : "personal_drinks";
+        const translations = await RecipeTranslation.getForMany(table, [personalRecipe.id]);
+        personalRecipe = translateRecipe(personalRecipe, translations[personalRecipe.id] || {},
+            req.query.lang || req.get("Accept-Language"));
+        if (req.query.servings) personalRecipe = scaleRecipe(personalRecipe, +req.query.servings);
+
+        const units = req.query.units || await User.getUnitPreference(username);
+        personalRecipe = convertRecipe(personalRecipe, units, { fluidOunces: type === "drinks" });
+        res.vary("Accept-Language");
+        res.set("Content-Language", personalRecipe.language);
         return res.json({ personalRecipe });
     } catch (err) {
         return next(err);
@@ -177,13 +704,13 @@ router.get("/:username/:type/personal/:id", ensureCorrectUser, async function(re
  * 
  * data can include:
  * 
- * -if type = meal { name, category, area, instructions, thumbnail, ingredients }
+ * -if type = meal { name, category, area, instructions, thumbnail, ingredients, servings }
  *
- * Returns { id, name, category, area, instructions, thumbnail, ingredients }
+ * Returns { id, name, category, area, instructions, thumbnail, ingredients, servings, structuredIngredients }
  * 
- * -if type = drink { name, category, type, glass, instructions, thumbnail, ingredients }
+ * -if type = drink { name, category, type, glass, instructions, thumbnail, ingredients, servings }
  * 
- * Returns { id, name, category, type, glass, instructions, thumbnail, ingredients } 
+ * Returns { id, name, category, type, glass, instructions, thumbnail, ingredients, servings, structuredIngredients } 
  * 
  * Authorization required: same-user-as-:username
  **/ 
@@ -209,14 +736,64 @@ router.patch("/:username/:type/personal/:id", ensureCorrectUser, async function(
 });
   
   
+/** PUT /[username]/[type]/personal/[id]/translations/[language]  { instructions } => { translation }
+ *
+ * Add or replace a translation of a personal recipe's instructions (see
+ * GET /meals/[mealId]/translations).
+ *
+ * Returns { language, instructions, contributedBy }
+ *
+ * Authorization required: same-user-as-:username
+ **/
+
+router.put("/:username/:type/personal/:id/translations/:language", ensureCorrectUser, async function (req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.body, translationSchema);
+        if (!validator.valid) {
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+
+        const { username, type, id } = req.params;
+        const language = normalizeLanguage(req.params.language);
+        await User.getPersonalRecipe(id, username, type);
+        const table = type === "meals" ? "personal_meals" : "personal_drinks";
+        const translation = await RecipeTranslation.set(
+            table, id, language, req.body.instructions, username, { replaceAny: true });
+        return res.json({ translation });
+    } catch (err) {
+        return next(err);
+    }
+});
+
+
+/** DELETE /[username]/[type]/personal/[id]/translations/[language]  =>  { deleted: language }
+ *
+ * Authorization required: same-user-as-:username
+ **/
+
+router.delete("/:username/:type/personal/:id/translations/:language", ensureCorrectUser, async function (req, res, next) {
+    try {
+        const { username, type, id } = req.params;
+        const language = normalizeLanguage(req.params.language);
+        await User.getPersonalRecipe(id, username, type);
+        const table = type === "meals" ? "personal_meals" : "personal_drinks";
+        await RecipeTranslation.remove(table, id, language);
+        return res.json({ deleted: language });
+    } catch (err) {
+        return next(err);
+    }
+});
+  
+  
 /** POST /[username]/meals/[id]  { state } => { favorite }
  *
  * Returns {"favorited": mealId}
  *
- * Authorization required: same-user-as-:username
+ * Authorization required: same-user-as-:username (with a verified email, if required)
  **/
   
-router.post("/:username/meals/:id/:action", ensureCorrectUser, async function (req, res, next) {
+router.post("/:username/meals/:id/:action", ensureCorrectUser, ensureVerifiedEmail, async function (req, res, next) {
     try {
         const mealId = +req.params.id;
         const action = req.params.action;
@@ -242,10 +819,10 @@ router.post("/:username/meals/:id/:action", ensureCorrectUser, async function (r
  *
  * Returns {"favorited": drinkId}
  *
- * Authorization required: same-user-as-:username
+ * Authorization required: same-user-as-:username (with a verified email, if required)
  **/
   
-router.post("/:username/drinks/:id/:action", ensureCorrectUser, async function (req, res, next) {
+router.post("/:username/drinks/:id/:action", ensureCorrectUser, ensureVerifiedEmail, async function (req, res, next) {
     try {
         const drinkId = +req.params.id;
         const action = req.params.action;
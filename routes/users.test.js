@@ -1,10 +1,14 @@
 "use strict";
 
 const request = require("supertest");
+const jwt = require("jsonwebtoken");
 
 const db = require("../db.js");
 const app = require("../app");
 const User = require("../models/user");
+const LoginAttempt = require("../models/loginAttempt");
+const config = require("../config");
+const { LOGIN_MAX_ATTEMPTS, SECRET_KEY } = config;
 
 const {
   commonBeforeAll,
@@ -17,6 +21,7 @@ const {
   testPersonalDrinkIds,
   u1Token,
   u2Token,
+  adminToken,
 } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
@@ -33,23 +38,33 @@ describe("GET /users", function () {
         .set("authorization", `Bearer ${u1Token}`);
     expect(resp.body).toEqual({
       users: [
+        {
+          username: "admin",
+          firstName: "AdminF",
+          lastName: "AdminL",
+          email: "admin@user.com",
+          isAdmin: true,
+        },
         {
           username: "u1",
           firstName: "U1F",
           lastName: "U1L",
           email: "user1@user.com",
+          isAdmin: false,
         },
         {
           username: "u2",
           firstName: "U2F",
           lastName: "U2L",
           email: "user2@user.com",
+          isAdmin: false,
         },
         {
           username: "u3",
           firstName: "U3F",
           lastName: "U3L",
           email: "user3@user.com",
+          isAdmin: false,
         },
       ],
     });
@@ -83,6 +98,28 @@ describe("GET /users/:username", function () {
         firstName: "U1F",
         lastName: "U1L",
         email: "user1@user.com",
+        isAdmin: false,
+        emailVerified: false,
+        unitPreference: "original",
+        favMeals: [testMealIds[0]],
+        favDrinks: [testDrinkIds[0]],
+      },
+    });
+  });
+
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .get(`/users/u1`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({
+      user: {
+        username: "u1",
+        firstName: "U1F",
+        lastName: "U1L",
+        email: "user1@user.com",
+        isAdmin: false,
+        emailVerified: false,
+        unitPreference: "original",
         favMeals: [testMealIds[0]],
         favDrinks: [testDrinkIds[0]],
       },
@@ -119,6 +156,27 @@ describe("PATCH /users/:username", () => {
         firstName: "New",
         lastName: "U1L",
         email: "user1@user.com",
+        isAdmin: false,
+        unitPreference: "original",
+      },
+    });
+  });
+
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1`)
+        .send({
+          firstName: "New",
+        })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({
+      user: {
+        username: "u1",
+        firstName: "New",
+        lastName: "U1L",
+        email: "user1@user.com",
+        isAdmin: false,
+        unitPreference: "original",
       },
     });
   });
@@ -152,11 +210,32 @@ describe("PATCH /users/:username", () => {
     expect(resp.statusCode).toEqual(400);
   });
 
+  test("works: can set unit preference", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1`)
+        .send({
+          unitPreference: "metric",
+        })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.user.unitPreference).toEqual("metric");
+  });
+
+  test("bad request on invalid unit preference", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1`)
+        .send({
+          unitPreference: "cubits",
+        })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
   test("works: can set new password", async function () {
     const resp = await request(app)
         .patch(`/users/u1`)
         .send({
           password: "new-password",
+          currentPassword: "password1",
         })
         .set("authorization", `Bearer ${u1Token}`);
     expect(resp.body).toEqual({
@@ -165,11 +244,116 @@ describe("PATCH /users/:username", () => {
         firstName: "U1F",
         lastName: "U1L",
         email: "user1@user.com",
+        isAdmin: false,
+        unitPreference: "original",
       },
+      token: expect.any(String),
+      refreshToken: expect.any(String),
     });
     const isSuccessful = await User.authenticate("u1", "new-password");
     expect(isSuccessful).toBeTruthy();
   });
+
+  test("works: new password revokes other sessions", async function () {
+    const loginResp = await request(app)
+        .post("/auth/token")
+        .send({
+          username: "u1",
+          password: "password1",
+        });
+    const oldToken = jwt.sign(
+        { username: "u1", isAdmin: false, iat: Math.floor(Date.now() / 1000) - 60 },
+        SECRET_KEY, { expiresIn: "15m", jwtid: "old-session" });
+
+    const resp = await request(app)
+        .patch(`/users/u1`)
+        .send({
+          password: "new-password",
+          currentPassword: "password1",
+        })
+        .set("authorization", `Bearer ${oldToken}`);
+
+    const oldTokenResp = await request(app)
+        .get(`/users/u1`)
+        .set("authorization", `Bearer ${oldToken}`);
+    expect(oldTokenResp.statusCode).toEqual(401);
+
+    const refreshResp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: loginResp.body.refreshToken });
+    expect(refreshResp.statusCode).toEqual(401);
+
+    const newTokenResp = await request(app)
+        .get(`/users/u1`)
+        .set("authorization", `Bearer ${resp.body.token}`);
+    expect(newTokenResp.statusCode).toEqual(200);
+  });
+
+  test("works: records credential changes", async function () {
+    await request(app)
+        .patch(`/users/u1`)
+        .send({
+          password: "new-password",
+          email: "new1@user.com",
+          currentPassword: "password1",
+        })
+        .set("authorization", `Bearer ${u1Token}`);
+    const found = await db.query(
+        `SELECT field, changed_by
+         FROM credential_changes
+         WHERE username = 'u1'
+         ORDER BY field`);
+    expect(found.rows).toEqual([
+      { field: "email", changed_by: "u1" },
+      { field: "password", changed_by: "u1" },
+    ]);
+  });
+
+  test("bad request changing password without currentPassword", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1`)
+        .send({
+          password: "new-password",
+        })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request changing email without currentPassword", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1`)
+        .send({
+          email: "new1@user.com",
+        })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth with wrong currentPassword", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1`)
+        .send({
+          password: "new-password",
+          currentPassword: "wrong",
+        })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+    const found = await db.query("SELECT * FROM credential_changes");
+    expect(found.rows).toEqual([]);
+  });
+
+  test("works: changing email marks it unverified", async function () {
+    await User.markEmailVerified("u1");
+    const resp = await request(app)
+        .patch(`/users/u1`)
+        .send({
+          email: "new1@user.com",
+          currentPassword: "password1",
+        })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.user.email).toEqual("new1@user.com");
+    expect(await User.isEmailVerified("u1")).toEqual(false);
+  });
 });
 
 /************************************** DELETE /users/:username */
@@ -182,6 +366,13 @@ describe("DELETE /users/:username", function () {
     expect(resp.body).toEqual({ deleted: "u1" });
   });
 
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .delete(`/users/u1`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ deleted: "u1" });
+  });
+
   test("unauth if not same user", async function () {
     const resp = await request(app)
         .delete(`/users/u1`)
@@ -196,6 +387,36 @@ describe("DELETE /users/:username", function () {
   });
 });
 
+/************************************** POST /users/:username/unlock */
+
+describe("POST /users/:username/unlock", function () {
+  test("works for admin", async function () {
+    for (let i = 0; i < LOGIN_MAX_ATTEMPTS; i++) {
+      await LoginAttempt.recordFailure("u1");
+    }
+    const resp = await request(app)
+        .post(`/users/u1/unlock`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ unlocked: "u1" });
+    const user = await User.authenticate("u1", "password1");
+    expect(user.username).toEqual("u1");
+  });
+
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/unlock`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if no such user", async function () {
+    const resp = await request(app)
+        .post(`/users/nope/unlock`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
 /************************************** GET /users/:username/:type/personal */ 
 
 describe("GET /users/:username/:type/personal", function () {
@@ -217,7 +438,8 @@ describe("GET /users/:username/:type/personal", function () {
               area: "P-A1",
               instructions: "P-Inst1",
               thumbnail: "http://P-M1.img",
-              ingredients: ["P-Ing1a", "P-Ing1b", "P-Ing1c"]
+              ingredients: ["P-Ing1a", "P-Ing1b", "P-Ing1c"],
+              servings: 4
             },
             {
               id: expect.any(Number),
@@ -226,7 +448,8 @@ describe("GET /users/:username/:type/personal", function () {
               area: "P-A2",
               instructions: "P-Inst2",
               thumbnail: "http://P-M2.img",
-              ingredients: ["P-Ing2a", "P-Ing2b", "P-Ing2c"]
+              ingredients: ["P-Ing2a", "P-Ing2b", "P-Ing2c"],
+              servings: 4
             },
           ],
         },
@@ -242,7 +465,8 @@ describe("GET /users/:username/:type/personal", function () {
               glass: "P-G1",
               instructions: "P-Inst1",
               thumbnail: "http://P-D1.img",
-              ingredients: ["P-Ing1a", "P-Ing1b", "P-Ing1c"]
+              ingredients: ["P-Ing1a", "P-Ing1b", "P-Ing1c"],
+              servings: 1
             },
             {
               id: expect.any(Number),
@@ -252,7 +476,8 @@ describe("GET /users/:username/:type/personal", function () {
               glass: "P-G2",
               instructions: "P-Inst2",
               thumbnail: "http://P-D2.img",
-              ingredients: ["P-Ing2a", "P-Ing2b", "P-Ing2c"]
+              ingredients: ["P-Ing2a", "P-Ing2b", "P-Ing2c"],
+              servings: 1
             },
           ],
         },
@@ -321,6 +546,8 @@ describe("POST /users/:username/:type/personal", function () {
         instructions: "New Personal Inst",
         thumbnail: "http://NewPersonalMeal.img",
         ingredients: ["New Personal Ing 1", "New Personal Ing 2", "New Personal Ing 3"],
+        servings: 4,
+        structuredIngredients: expect.any(Array),
       },
     });
 
@@ -335,6 +562,8 @@ describe("POST /users/:username/:type/personal", function () {
         instructions: "New Personal Inst",
         thumbnail: "http://NewPersonalDrink.img",
         ingredients: ["New Personal Ing 1", "New Personal Ing 2", "New Personal Ing 3"],
+        servings: 1,
+        structuredIngredients: expect.any(Array),
       },
     });
   });
@@ -458,7 +687,15 @@ describe("GET /users/:username/:type/personal/:id", function () {
         area: "P-A1",
         instructions: "P-Inst1",
         thumbnail: "http://P-M1.img",
-        ingredients: ["P-Ing1a", "P-Ing1b", "P-Ing1c"]
+        ingredients: ["P-Ing1a", "P-Ing1b", "P-Ing1c"],
+        servings: 4,
+        language: "en",
+        languages: ["en"],
+        structuredIngredients: [
+          { display: "P-Ing1a", quantity: null, quantityMax: null, unit: null, name: "p-ing1a", note: null },
+          { display: "P-Ing1b", quantity: null, quantityMax: null, unit: null, name: "p-ing1b", note: null },
+          { display: "P-Ing1c", quantity: null, quantityMax: null, unit: null, name: "p-ing1c", note: null },
+        ],
       }
     });
 
@@ -474,11 +711,68 @@ describe("GET /users/:username/:type/personal/:id", function () {
         glass: "P-G1",
         instructions: "P-Inst1",
         thumbnail: "http://P-D1.img",
-        ingredients: ["P-Ing1a", "P-Ing1b", "P-Ing1c"]
+        ingredients: ["P-Ing1a", "P-Ing1b", "P-Ing1c"],
+        servings: 1,
+        language: "en",
+        languages: ["en"],
+        structuredIngredients: [
+          { display: "P-Ing1a", quantity: null, quantityMax: null, unit: null, name: "p-ing1a", note: null },
+          { display: "P-Ing1b", quantity: null, quantityMax: null, unit: null, name: "p-ing1b", note: null },
+          { display: "P-Ing1c", quantity: null, quantityMax: null, unit: null, name: "p-ing1c", note: null },
+        ],
       }
     });
   });
 
+  test("works: scaled to servings", async function () {
+    await User.updatePersonalRecipe(testPersonalMealIds[0], "meals", {
+      ingredients: ["2 cups Flour", "1 1/2 tsp Salt"],
+    });
+    const resp = await request(app)
+        .get(`/users/u1/meals/personal/${testPersonalMealIds[0]}?servings=2`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.personalRecipe.servings).toEqual(2);
+    expect(resp.body.personalRecipe.ingredients).toEqual(["1 cup Flour", "3/4 tsp Salt"]);
+  });
+
+  test("works: in the user's preferred units", async function () {
+    await User.update("u1", { unitPreference: "metric" });
+    await User.updatePersonalRecipe(testPersonalDrinkIds[0], "drinks", {
+      ingredients: ["1 1/2 oz Gin", "1 cup Tonic"],
+    });
+    const resp = await request(app)
+        .get(`/users/u1/drinks/personal/${testPersonalDrinkIds[0]}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.personalRecipe.ingredients).toEqual(["45 ml Gin", "240 ml Tonic"]);
+
+    const originalResp = await request(app)
+        .get(`/users/u1/drinks/personal/${testPersonalDrinkIds[0]}?units=original`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(originalResp.body.personalRecipe.ingredients).toEqual(["1 1/2 oz Gin", "1 cup Tonic"]);
+  });
+
+  test("works: in the language asked for", async function () {
+    await request(app)
+        .put(`/users/u1/meals/personal/${testPersonalMealIds[0]}/translations/es`)
+        .send({ instructions: "P-Instrucciones1" })
+        .set("authorization", `Bearer ${u1Token}`);
+
+    const resp = await request(app)
+        .get(`/users/u1/meals/personal/${testPersonalMealIds[0]}?lang=es-MX`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.personalRecipe.instructions).toEqual("P-Instrucciones1");
+    expect(resp.body.personalRecipe.language).toEqual("es");
+    expect(resp.body.personalRecipe.languages).toEqual(["en", "es"]);
+    expect(resp.headers["content-language"]).toEqual("es");
+  });
+
+  test("bad request with invalid servings", async function () {
+    const resp = await request(app)
+        .get(`/users/u1/meals/personal/${testPersonalMealIds[0]}?servings=abc`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
   test("unauth for others", async function () {
     const mealResp = await request(app)
         .get(`/users/u1/meals/personal/${testPersonalMealIds[0]}`)
@@ -514,6 +808,88 @@ describe("GET /users/:username/:type/personal/:id", function () {
   });
 });
 
+/************************************** PUT /users/:username/:type/personal/:id/translations/:language */
+
+describe("PUT /users/:username/:type/personal/:id/translations/:language", function () {
+  test("works for same user", async function () {
+    const resp = await request(app)
+        .put(`/users/u1/drinks/personal/${testPersonalDrinkIds[0]}/translations/DE`)
+        .send({ instructions: "P-Anleitung1" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      translation: { language: "de", instructions: "P-Anleitung1", contributedBy: "u1" },
+    });
+  });
+
+  test("unauth for others", async function () {
+    const resp = await request(app)
+        .put(`/users/u1/drinks/personal/${testPersonalDrinkIds[0]}/translations/de`)
+        .send({ instructions: "P-Anleitung1" })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with invalid language or data", async function () {
+    let resp = await request(app)
+        .put(`/users/u1/drinks/personal/${testPersonalDrinkIds[0]}/translations/en`)
+        .send({ instructions: "P-Inst1" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+
+    resp = await request(app)
+        .put(`/users/u1/drinks/personal/${testPersonalDrinkIds[0]}/translations/de`)
+        .send({})
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found for no such personal drink", async function () {
+    const resp = await request(app)
+        .put("/users/u1/drinks/personal/0/translations/de")
+        .send({ instructions: "P-Anleitung1" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("not found for an invalid id", async function () {
+    const resp = await request(app)
+        .put("/users/u1/drinks/personal/abc/translations/de")
+        .send({ instructions: "P-Anleitung1" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** DELETE /users/:username/:type/personal/:id/translations/:language */
+
+describe("DELETE /users/:username/:type/personal/:id/translations/:language", function () {
+  test("works for same user", async function () {
+    await request(app)
+        .put(`/users/u1/drinks/personal/${testPersonalDrinkIds[0]}/translations/de`)
+        .send({ instructions: "P-Anleitung1" })
+        .set("authorization", `Bearer ${u1Token}`);
+
+    const resp = await request(app)
+        .delete(`/users/u1/drinks/personal/${testPersonalDrinkIds[0]}/translations/de`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ deleted: "de" });
+  });
+
+  test("unauth for others", async function () {
+    const resp = await request(app)
+        .delete(`/users/u1/drinks/personal/${testPersonalDrinkIds[0]}/translations/de`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found for no such translation", async function () {
+    const resp = await request(app)
+        .delete(`/users/u1/drinks/personal/${testPersonalDrinkIds[0]}/translations/de`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
 /************************************** PATCH /users/:username/:type/personal/:id */ 
 
 describe("PATCH /users/:username/:type/personal/:id", function () {
@@ -533,6 +909,8 @@ describe("PATCH /users/:username/:type/personal/:id", function () {
         instructions: "P-Inst1",
         thumbnail: "http://P-M1.img",
         ingredients: ["P-Ing1a", "P-Ing1b", "P-Ing1c"],
+        servings: 4,
+        structuredIngredients: expect.any(Array),
       },
     });
 
@@ -552,6 +930,8 @@ describe("PATCH /users/:username/:type/personal/:id", function () {
         instructions: "P-Inst1",
         thumbnail: "http://P-D1.img",
         ingredients: ["P-Ing1a", "P-Ing1b", "P-Ing1c"],
+        servings: 1,
+        structuredIngredients: expect.any(Array),
       },
     });
   });
@@ -726,3 +1106,666 @@ describe("POST /users/:username/drinks/:id/:action", function () {
     expect(removeResp.statusCode).toEqual(404);
   });
 });
+
+/************************************** /users/:username/pantry */
+
+describe("GET /users/:username/pantry", function () {
+  test("works for same user", async function () {
+    const resp = await request(app)
+        .get("/users/u1/pantry")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ pantry: [] });
+  });
+
+  test("unauth for others", async function () {
+    const resp = await request(app)
+        .get("/users/u1/pantry")
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .get("/users/u1/pantry");
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+describe("POST /users/:username/pantry", function () {
+  test("works for same user", async function () {
+    const resp = await request(app)
+        .post("/users/u1/pantry")
+        .send({ ingredients: ["2 Large Eggs", "Soy Sauce"] })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({ pantry: ["egg", "soy sauce"] });
+  });
+
+  test("unauth for others", async function () {
+    const resp = await request(app)
+        .post("/users/u1/pantry")
+        .send({ ingredients: ["rice"] })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with invalid data", async function () {
+    const resp = await request(app)
+        .post("/users/u1/pantry")
+        .send({ ingredients: [] })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+describe("DELETE /users/:username/pantry/:ingredient", function () {
+  test("works for same user", async function () {
+    await request(app)
+        .post("/users/u1/pantry")
+        .send({ ingredients: ["soy sauce", "rice"] })
+        .set("authorization", `Bearer ${u1Token}`);
+    const resp = await request(app)
+        .delete("/users/u1/pantry/Soy%20Sauce")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ removed: "soy sauce" });
+  });
+
+  test("not found if not in pantry", async function () {
+    const resp = await request(app)
+        .delete("/users/u1/pantry/rice")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("unauth for others", async function () {
+    const resp = await request(app)
+        .delete("/users/u1/pantry/rice")
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+describe("GET /users/:username/pantry/matches", function () {
+  test("works for same user", async function () {
+    await request(app)
+        .post("/users/u1/pantry")
+        .send({ ingredients: ["Ing1a", "Ing1b", "Ing1c", "P-Ing1a"] })
+        .set("authorization", `Bearer ${u1Token}`);
+    const resp = await request(app)
+        .get("/users/u1/pantry/matches")
+        .query({ type: "meals" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      matches: [
+        {
+          id: testMealIds[0],
+          type: "meals",
+          personal: false,
+          name: "M1",
+          thumbnail: "http://M1.img",
+          haveCount: 3,
+          totalCount: 3,
+          missing: [],
+        },
+        {
+          id: testPersonalMealIds[0],
+          type: "meals",
+          personal: true,
+          name: "P-M1",
+          thumbnail: "http://P-M1.img",
+          haveCount: 1,
+          totalCount: 3,
+          missing: ["P-Ing1b", "P-Ing1c"],
+        },
+      ],
+    });
+  });
+
+  test("works: limit", async function () {
+    await request(app)
+        .post("/users/u1/pantry")
+        .send({ ingredients: ["Ing1a"] })
+        .set("authorization", `Bearer ${u1Token}`);
+    const resp = await request(app)
+        .get("/users/u1/pantry/matches")
+        .query({ limit: 1 })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.matches.map(m => m.name)).toEqual(["D1"]);
+  });
+
+  test("bad request with invalid query", async function () {
+    const resp = await request(app)
+        .get("/users/u1/pantry/matches")
+        .query({ type: "snacks" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for others", async function () {
+    const resp = await request(app)
+        .get("/users/u1/pantry/matches")
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** /users/:username/events */
+
+describe("/users/:username/events", function () {
+  const newEvent = {
+    name: "Dinner",
+    startsAt: "2026-11-01T19:00:00Z",
+    guestCount: 8,
+    notes: "Bring chairs",
+  };
+
+  test("create works for same user", async function () {
+    const resp = await request(app)
+        .post("/users/u1/events")
+        .send({
+          ...newEvent,
+          menu: [
+            { type: "meals", id: testMealIds[0] },
+            { type: "drinks", id: testPersonalDrinkIds[0], personal: true, servingsPerGuest: 2 },
+          ],
+        })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body.event).toEqual({
+      id: expect.any(Number),
+      ...newEvent,
+      startsAt: "2026-11-01T19:00:00.000Z",
+      menu: [
+        expect.objectContaining({
+          type: "meals", id: testMealIds[0], personal: false, name: "M1", servings: 8,
+        }),
+        expect.objectContaining({
+          type: "drinks", id: testPersonalDrinkIds[0], personal: true, name: "P-D1", servings: 16,
+        }),
+      ],
+      shoppingList: expect.any(Array),
+      timeline: [
+        { at: "2026-10-31T19:00:00.000Z", task: "Shop for ingredients" },
+        { at: "2026-11-01T18:30:00.000Z", task: "Start M1" },
+        { at: "2026-11-01T18:45:00.000Z", task: "Make P-D1" },
+        { at: "2026-11-01T19:00:00.000Z", task: "Guests arrive" },
+      ],
+    });
+    expect(resp.body.event.shoppingList.map(i => i.name)).toEqual([
+      "ing1a", "ing1b", "ing1c", "p-ing1a", "p-ing1b", "p-ing1c",
+    ]);
+  });
+
+  test("create: bad request with invalid data", async function () {
+    let resp = await request(app)
+        .post("/users/u1/events")
+        .send({ ...newEvent, startsAt: "tomorrow" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+
+    resp = await request(app)
+        .post("/users/u1/events")
+        .send({ ...newEvent, menu: [{ type: "snacks", id: 1 }] })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+
+    resp = await request(app)
+        .post("/users/u1/events")
+        .send({ ...newEvent, menu: [{ type: "meals", id: 99999999999 }] })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("create: not found for another user's personal recipe", async function () {
+    const resp = await request(app)
+        .post("/users/u2/events")
+        .send({ ...newEvent, menu: [{ type: "meals", id: testPersonalMealIds[0], personal: true }] })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("list, get, update and delete work for same user", async function () {
+    const createResp = await request(app)
+        .post("/users/u1/events")
+        .send(newEvent)
+        .set("authorization", `Bearer ${u1Token}`);
+    const { id } = createResp.body.event;
+
+    const listResp = await request(app)
+        .get("/users/u1/events")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(listResp.body).toEqual({
+      events: [{ id, ...newEvent, startsAt: "2026-11-01T19:00:00.000Z" }],
+    });
+
+    const getResp = await request(app)
+        .get(`/users/u1/events/${id}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(getResp.body.event).toEqual(createResp.body.event);
+
+    const patchResp = await request(app)
+        .patch(`/users/u1/events/${id}`)
+        .send({ guestCount: 3, menu: [{ type: "drinks", id: testDrinkIds[1] }] })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(patchResp.body.event.guestCount).toEqual(3);
+    expect(patchResp.body.event.menu.map(i => [i.name, i.servings])).toEqual([["D2", 3]]);
+
+    const deleteResp = await request(app)
+        .delete(`/users/u1/events/${id}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(deleteResp.body).toEqual({ deleted: id });
+
+    const goneResp = await request(app)
+        .get(`/users/u1/events/${id}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(goneResp.statusCode).toEqual(404);
+  });
+
+  test("update: bad request with invalid data", async function () {
+    const createResp = await request(app)
+        .post("/users/u1/events")
+        .send(newEvent)
+        .set("authorization", `Bearer ${u1Token}`);
+    const resp = await request(app)
+        .patch(`/users/u1/events/${createResp.body.event.id}`)
+        .send({ guestCount: 0 })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for others", async function () {
+    const createResp = await request(app)
+        .post("/users/u1/events")
+        .send(newEvent)
+        .set("authorization", `Bearer ${u1Token}`);
+    const { id } = createResp.body.event;
+
+    const listResp = await request(app)
+        .get("/users/u1/events")
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(listResp.statusCode).toEqual(401);
+
+    const getResp = await request(app)
+        .get(`/users/u1/events/${id}`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(getResp.statusCode).toEqual(401);
+
+    const deleteResp = await request(app)
+        .delete(`/users/u1/events/${id}`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(deleteResp.statusCode).toEqual(401);
+  });
+
+  test("not found for an invalid id", async function () {
+    for (const id of ["abc", "99999999999"]) {
+      let resp = await request(app)
+          .get(`/users/u1/events/${id}`)
+          .set("authorization", `Bearer ${u1Token}`);
+      expect(resp.statusCode).toEqual(404);
+
+      resp = await request(app)
+          .patch(`/users/u1/events/${id}`)
+          .send({ guestCount: 3 })
+          .set("authorization", `Bearer ${u1Token}`);
+      expect(resp.statusCode).toEqual(404);
+
+      resp = await request(app)
+          .delete(`/users/u1/events/${id}`)
+          .set("authorization", `Bearer ${u1Token}`);
+      expect(resp.statusCode).toEqual(404);
+    }
+  });
+
+  test("not found for another user's event", async function () {
+    const createResp = await request(app)
+        .post("/users/u1/events")
+        .send(newEvent)
+        .set("authorization", `Bearer ${u1Token}`);
+    const resp = await request(app)
+        .get(`/users/u2/events/${createResp.body.event.id}`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** /users/:username/plans */
+
+describe("/users/:username/plans", function () {
+  const entry = { date: "2026-10-19", slot: "dinner", type: "meals" };
+
+  async function addEntry(data = {}) {
+    const resp = await request(app)
+        .post("/users/u1/plans")
+        .send({ ...entry, id: testMealIds[0], ...data })
+        .set("authorization", `Bearer ${u1Token}`);
+    return resp.body.entry;
+  }
+
+  test("create works for same user", async function () {
+    const resp = await request(app)
+        .post("/users/u1/plans")
+        .send({ ...entry, id: testPersonalMealIds[0], personal: true })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      entry: {
+        id: expect.any(Number),
+        date: "2026-10-19",
+        slot: "dinner",
+        recipe: {
+          type: "meals",
+          id: testPersonalMealIds[0],
+          personal: true,
+          name: "P-M1",
+          thumbnail: "http://P-M1.img",
+          category: "P-Cat1",
+          area: "P-A1",
+        },
+      },
+    });
+  });
+
+  test("create: bad request with invalid data", async function () {
+    let resp = await request(app)
+        .post("/users/u1/plans")
+        .send({ ...entry, id: testMealIds[0], slot: "brunch" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+
+    resp = await request(app)
+        .post("/users/u1/plans")
+        .send({ ...entry, id: testMealIds[0], date: "19/10/2026" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+
+    resp = await request(app)
+        .post("/users/u1/plans")
+        .send({ ...entry, id: 99999999999 })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("create: unauth for other users", async function () {
+    const resp = await request(app)
+        .post("/users/u1/plans")
+        .send({ ...entry, id: testMealIds[0] })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("list works for a range", async function () {
+    const first = await addEntry();
+    const second = await addEntry({ date: "2026-10-20", id: testMealIds[1] });
+    await addEntry({ date: "2026-10-21", id: testMealIds[2] });
+    const resp = await request(app)
+        .get("/users/u1/plans")
+        .query({ from: "2026-10-19", to: "2026-10-20" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ entries: [first, second] });
+  });
+
+  test("list: bad request with invalid dates", async function () {
+    let resp = await request(app)
+        .get("/users/u1/plans")
+        .query({ from: "tomorrow" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+
+    resp = await request(app)
+        .get("/users/u1/plans")
+        .query({ from: "2026-10-20", to: "2026-10-19" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("list: unauth for anon", async function () {
+    const resp = await request(app).get("/users/u1/plans");
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("export works", async function () {
+    const { id } = await addEntry();
+    const resp = await request(app)
+        .get("/users/u1/plans.ics")
+        .query({ from: "2026-10-19" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.headers["content-type"]).toMatch(/^text\/calendar/);
+    expect(resp.headers["content-disposition"]).toEqual('attachment; filename="meal-plan.ics"');
+    expect(resp.text).toContain(`UID:meal-plan-entry-${id}@localhost\r\n`);
+    expect(resp.text).toContain("DTSTART:20261019T190000\r\nDURATION:PT60M\r\nSUMMARY:Dinner: M1\r\n");
+  });
+
+  test("export: unauth for other users", async function () {
+    const resp = await request(app)
+        .get("/users/u1/plans.ics")
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("generate works", async function () {
+    const resp = await request(app)
+        .post("/users/u1/plans/generate")
+        .send({ start: "2026-10-19", slots: ["lunch", "dinner"] })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body.entries.length).toEqual(14);
+    expect(resp.body.entries[0]).toEqual({
+      id: expect.any(Number),
+      date: "2026-10-19",
+      slot: "lunch",
+      recipe: expect.objectContaining({ type: "meals", id: testMealIds[0], name: "M1" }),
+    });
+  });
+
+  test("generate: bad request with no favorite meals", async function () {
+    const resp = await request(app)
+        .post("/users/u2/plans/generate")
+        .send({ start: "2026-10-19" })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("generate: bad request with invalid data", async function () {
+    const resp = await request(app)
+        .post("/users/u1/plans/generate")
+        .send({ start: "2026-10-19", slots: [] })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("get works", async function () {
+    const added = await addEntry();
+    const resp = await request(app)
+        .get(`/users/u1/plans/${added.id}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ entry: added });
+  });
+
+  test("update works", async function () {
+    const added = await addEntry();
+    const resp = await request(app)
+        .patch(`/users/u1/plans/${added.id}`)
+        .send({ slot: "lunch" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ entry: { ...added, slot: "lunch" } });
+  });
+
+  test("update: bad request with invalid data", async function () {
+    const added = await addEntry();
+    const resp = await request(app)
+        .patch(`/users/u1/plans/${added.id}`)
+        .send({ type: "drinks" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("delete works", async function () {
+    const added = await addEntry();
+    const resp = await request(app)
+        .delete(`/users/u1/plans/${added.id}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ deleted: added.id });
+  });
+
+  test("not found for another user's entry", async function () {
+    const added = await addEntry();
+    const resp = await request(app)
+        .delete(`/users/u2/plans/${added.id}`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("not found for an invalid id", async function () {
+    for (const id of ["abc", "99999999999"]) {
+      let resp = await request(app)
+          .get(`/users/u1/plans/${id}`)
+          .set("authorization", `Bearer ${u1Token}`);
+      expect(resp.statusCode).toEqual(404);
+
+      resp = await request(app)
+          .patch(`/users/u1/plans/${id}`)
+          .send({ slot: "lunch" })
+          .set("authorization", `Bearer ${u1Token}`);
+      expect(resp.statusCode).toEqual(404);
+
+      resp = await request(app)
+          .delete(`/users/u1/plans/${id}`)
+          .set("authorization", `Bearer ${u1Token}`);
+      expect(resp.statusCode).toEqual(404);
+    }
+  });
+});
+
+/************************************** GET /users/:username/recommendations */
+
+describe("GET /users/:username/recommendations", function () {
+  beforeEach(async function () {
+    await User.markFavMeal("u2", testMealIds[0]);
+    await User.markFavMeal("u2", testMealIds[2]);
+    await User.markFavDrink("u2", testDrinkIds[0]);
+    await User.markFavDrink("u2", testDrinkIds[1]);
+  });
+
+  test("works for same user", async function () {
+    const resp = await request(app)
+        .get(`/users/u1/recommendations`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      recommendations: {
+        meals: [
+          {
+            id: testMealIds[2],
+            name: "M3",
+            category: "Cat3",
+            thumbnail: "http://M3.img",
+            score: 2,
+            because: { id: testMealIds[0], name: "M1" },
+            explanation: "Because you liked M1",
+            reasons: ["Also favorited by 1 user who liked it"],
+          },
+        ],
+        drinks: [
+          {
+            id: testDrinkIds[1],
+            name: "D2",
+            category: "Cat2",
+            thumbnail: "http://D2.img",
+            score: 2,
+            because: { id: testDrinkIds[0], name: "D1" },
+            explanation: "Because you liked D1",
+            reasons: ["Also favorited by 1 user who liked it"],
+          },
+        ],
+      },
+    });
+  });
+
+  test("works: type", async function () {
+    const resp = await request(app)
+        .get(`/users/u1/recommendations`)
+        .query({ type: "drinks", limit: "5" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(Object.keys(resp.body.recommendations)).toEqual(["drinks"]);
+    expect(resp.body.recommendations.drinks.map(r => r.id)).toEqual([testDrinkIds[1]]);
+  });
+
+  test("bad request with invalid params", async function () {
+    const resp = await request(app)
+        .get(`/users/u1/recommendations`)
+        .query({ type: "snacks" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+        .get(`/users/u1/recommendations`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).get(`/users/u1/recommendations`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** REQUIRE_VERIFIED_EMAIL */
+
+describe("with REQUIRE_VERIFIED_EMAIL", function () {
+  beforeAll(function () {
+    config.REQUIRE_VERIFIED_EMAIL = true;
+  });
+
+  afterAll(function () {
+    config.REQUIRE_VERIFIED_EMAIL = false;
+  });
+
+  test("forbidden to favorite if email not verified", async function () {
+    const mealResp = await request(app)
+        .post(`/users/u1/meals/${testMealIds[1]}/add`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(mealResp.statusCode).toEqual(403);
+
+    const drinkResp = await request(app)
+        .post(`/users/u1/drinks/${testDrinkIds[1]}/add`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(drinkResp.statusCode).toEqual(403);
+  });
+
+  test("forbidden to create personal recipe if email not verified", async function () {
+    const resp = await request(app)
+        .post("/users/u1/meals/personal")
+        .send({
+            name: "New Personal Meal",
+            category: "New Personal Cat",
+            area: "New Personal Area",
+            instructions: "New Personal Inst",
+            ingredients: ["New Personal Ing 1"],
+        })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("works once email is verified", async function () {
+    await User.markEmailVerified("u1");
+
+    const favResp = await request(app)
+        .post(`/users/u1/meals/${testMealIds[1]}/add`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(favResp.body).toEqual({ favorited: true, mealId: testMealIds[1] });
+
+    const personalResp = await request(app)
+        .post("/users/u1/meals/personal")
+        .send({
+            name: "New Personal Meal",
+            category: "New Personal Cat",
+            area: "New Personal Area",
+            instructions: "New Personal Inst",
+            ingredients: ["New Personal Ing 1"],
+        })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(personalResp.statusCode).toEqual(201);
+  });
+});
@@ -1,8 +1,11 @@
 "use strict";
 
 const app = require("./app");
-const { PORT } = require("./config");
+const { scheduleSync } = require("./helpers/sync");
+const { PORT, SYNC_INTERVAL_HOURS } = require("./config");
 
 app.listen(PORT, function () {
     console.log(`Started on http://localhost:${PORT}`);
 });
+
+if (SYNC_INTERVAL_HOURS > 0) scheduleSync(SYNC_INTERVAL_HOURS);